@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+
+// previousHash of the first event in a chain
+const GENESIS_HASH = '0'.repeat(64);
+
+// What can happen to a document, in the order it usually happens
+const AUDIT_ACTIONS = ['uploaded', 'viewed', 'field_filled', 'signed', 'downloaded', 'verified'];
+
+// JSON with object keys sorted, so the same event always hashes the same way
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => canonicalJson(item === undefined ? null : item)).join(',')}]`;
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    const entries = Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Hash of an audit event, covering its content and the hash of the event before it
+ *
+ * @param {Object} event - { documentHash, sequence, action, actor, ipAddress, userAgent, details, timestamp, previousHash }
+ * @returns {String} - SHA-256 hex
+ */
+function hashAuditEvent(event) {
+  const content = canonicalJson({
+    documentHash: event.documentHash,
+    sequence: event.sequence,
+    action: event.action,
+    actor: event.actor || null,
+    ipAddress: event.ipAddress || null,
+    userAgent: event.userAgent || null,
+    details: event.details || {},
+    timestamp: new Date(event.timestamp).toISOString(),
+    previousHash: event.previousHash
+  });
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Check a document's audit chain for missing and altered events
+ * Every event must hash to its stored hash and point at the hash of the event before it.
+ * Events deleted from the end leave no gap, so the chain is also compared against its
+ * last known head
+ *
+ * @param {Array} events - The chain's events, in any order
+ * @param {Object} [head] - { sequence, hash } of the last event, as recorded when it was appended
+ * @returns {Object} - { valid, eventCount, problems: [{ sequence, problem, message }] }
+ */
+function verifyAuditChain(events, head) {
+  const sorted = [...events].sort((a, b) => a.sequence - b.sequence);
+  const problems = [];
+  const report = (sequence, problem, message) => problems.push({ sequence, problem, message });
+
+  let expectedSequence = 0;
+  let previous = null;
+  for (const event of sorted) {
+    if (event.sequence < expectedSequence) {
+      report(event.sequence, 'duplicate', `Event ${event.sequence} appears more than once`);
+      continue;
+    }
+    for (let missing = expectedSequence; missing < event.sequence; missing++) {
+      report(missing, 'missing', `Event ${missing} is missing`);
+    }
+
+    if (hashAuditEvent(event) !== event.hash) {
+      report(event.sequence, 'altered', `Event ${event.sequence} (${event.action}) does not match its hash`);
+    }
+
+    // After a gap the link is broken anyway; the missing event is already reported
+    const expectedPrevious = event.sequence === 0 ? GENESIS_HASH : previous && previous.hash;
+    if (event.sequence === expectedSequence && event.previousHash !== expectedPrevious) {
+      report(event.sequence, 'broken_link', `Event ${event.sequence} does not follow on from event ${event.sequence - 1}`);
+    }
+
+    previous = event;
+    expectedSequence = event.sequence + 1;
+  }
+
+  if (head) {
+    for (let missing = expectedSequence; missing <= head.sequence; missing++) {
+      report(missing, 'missing', `Event ${missing} is missing`);
+    }
+    const last = sorted.find(event => event.sequence === head.sequence);
+    if (last && last.hash !== head.hash) {
+      report(head.sequence, 'altered', `Event ${head.sequence} differs from the recorded end of the chain`);
+    }
+  }
+
+  return {
+    valid: problems.length === 0,
+    eventCount: sorted.length,
+    problems
+  };
+}
+
+module.exports = {
+  GENESIS_HASH,
+  AUDIT_ACTIONS,
+  hashAuditEvent,
+  verifyAuditChain
+};
@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// scrypt output length and salt size, in bytes
+const KEY_LENGTH = 64;
+const SALT_LENGTH = 16;
+
+/**
+ * Hash a password for storage
+ *
+ * @param {String} password
+ * @returns {Promise<String>} - "scrypt$<salt>$<hash>", both hex encoded
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_LENGTH).toString('hex');
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+/**
+ * Check a password against a stored hash in constant time
+ *
+ * @param {String} password
+ * @param {String} stored - Result of hashPassword
+ * @returns {Promise<Boolean>}
+ */
+async function verifyPassword(password, stored) {
+  const [scheme, salt, expected] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !salt || !expected) return false;
+
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  const expectedHash = Buffer.from(expected, 'hex');
+  return expectedHash.length === hash.length && crypto.timingSafeEqual(hash, expectedHash);
+}
+
+// A new random bearer token; the prefix tells sessions and API keys apart at a glance
+function generateToken(prefix) {
+  return `${prefix}_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+// Tokens are only stored as hashes, so a leaked database doesn't leak working credentials
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// The bearer token of a request: "Authorization: Bearer <token>" or "X-API-Key: <key>"
+function requestToken(req) {
+  const authorization = req.get('Authorization') || '';
+  const match = authorization.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : req.get('X-API-Key') || null;
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  generateToken,
+  hashToken,
+  requestToken
+};
@@ -0,0 +1,279 @@
+const path = require('path');
+const JSZip = require('jszip');
+const { httpError } = require('./errors');
+
+// Most documents one batch may hold, counting every PDF inside uploaded ZIPs
+const MAX_BATCH_DOCUMENTS = Number(process.env.BATCH_MAX_DOCUMENTS) || 200;
+
+// Largest PDF a ZIP may unpack to: the same as a PDF uploaded on its own
+const MAX_ENTRY_BYTES = (Number(process.env.MAX_UPLOAD_MB) || 25) * 1024 * 1024;
+
+// Most bytes all the ZIPs of one batch may unpack to together
+const MAX_UNCOMPRESSED_BYTES = (Number(process.env.BATCH_MAX_UNCOMPRESSED_MB) || 500) * 1024 * 1024;
+
+// CSV cells that tick a checkbox
+const TRUTHY_VALUES = ['1', 'true', 'yes', 'y', 'x', 'on', 'checked'];
+
+function isZip(file) {
+  return /\.zip$/i.test(file.originalname) || /zip/.test(file.mimetype || '');
+}
+
+// ZIP entries that hold documents: PDFs, minus folders and macOS metadata
+function isDocumentEntry(entry) {
+  const name = path.posix.basename(entry.name);
+  return !entry.dir && !entry.name.startsWith('__MACOSX/') && !name.startsWith('.') && /\.pdf$/i.test(name);
+}
+
+// Size a ZIP entry says it unpacks to, from the archive's central directory
+function declaredSize(entry) {
+  return entry._data.uncompressedSize;
+}
+
+/**
+ * Unpack a ZIP entry, giving up as soon as it yields more than it declared: the declared
+ * size is what the batch limits were checked against
+ *
+ * @param {ZipObject} entry - JSZip entry
+ * @returns {Promise<Buffer>}
+ * @throws {Error} - 422 unreadable_zip
+ */
+function unpackEntry(entry) {
+  const limit = declaredSize(entry);
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const stream = entry.internalStream('nodebuffer');
+    stream
+      .on('data', chunk => {
+        size += chunk.length;
+        if (size > limit) {
+          stream.pause();
+          reject(httpError(`${entry.name} unpacks to more than the ${limit} bytes its ZIP declares`, 422, 'unreadable_zip'));
+          return;
+        }
+        chunks.push(chunk);
+      })
+      .on('error', error => reject(httpError(`${entry.name} could not be unpacked: ${error.message || error}`, 422, 'unreadable_zip')))
+      .on('end', () => resolve(Buffer.concat(chunks, size)))
+      .resume();
+  });
+}
+
+/**
+ * Turn uploaded files into the documents of a batch
+ * PDFs are taken as they are; ZIP archives contribute every PDF inside them. Archived PDFs are
+ * only unpacked by load(), one at a time as they are signed, after their declared sizes have
+ * been checked against MAX_ENTRY_BYTES and, for the whole batch, MAX_UNCOMPRESSED_BYTES
+ *
+ * @param {Array} files - Multer files
+ * @returns {Promise<Array>} - [{ filename, load }], filename being the path inside its ZIP for
+ *   archived PDFs and load() resolving to the PDF's bytes
+ */
+async function collectBatchDocuments(files) {
+  const documents = [];
+  let uncompressedBytes = 0;
+
+  const add = (filename, load) => {
+    if (documents.length >= MAX_BATCH_DOCUMENTS) {
+      throw httpError(`A batch holds at most ${MAX_BATCH_DOCUMENTS} documents`, 413, 'too_many_documents');
+    }
+    documents.push({ filename, load });
+  };
+
+  for (const file of files) {
+    if (!isZip(file)) {
+      add(file.originalname, async () => file.buffer);
+      continue;
+    }
+
+    let archive;
+    try {
+      archive = await JSZip.loadAsync(file.buffer);
+    } catch (error) {
+      throw httpError(`${file.originalname} is not a readable ZIP archive`, 422, 'unreadable_zip');
+    }
+
+    const entries = Object.values(archive.files)
+      .filter(isDocumentEntry)
+      .sort((a, b) => a.name.localeCompare(b.name));
+    for (const entry of entries) {
+      if (declaredSize(entry) > MAX_ENTRY_BYTES) {
+        throw httpError(`${entry.name} in ${file.originalname} unpacks to more than ${MAX_ENTRY_BYTES / 1024 / 1024} MB`, 413, 'payload_too_large');
+      }
+      uncompressedBytes += declaredSize(entry);
+      if (uncompressedBytes > MAX_UNCOMPRESSED_BYTES) {
+        throw httpError(`The ZIPs of a batch may unpack to at most ${MAX_UNCOMPRESSED_BYTES / 1024 / 1024} MB together`, 413, 'payload_too_large');
+      }
+      add(entry.name, () => unpackEntry(entry));
+    }
+  }
+
+  if (documents.length === 0) {
+    throw httpError('No PDFs uploaded; send them as "pdfs", one file each or inside a ZIP', 400, 'invalid_batch');
+  }
+  return documents;
+}
+
+/**
+ * Parse CSV text (RFC 4180: comma separated, double quotes around cells with commas,
+ * quotes or line breaks, "" for a literal quote)
+ *
+ * @param {String} text
+ * @returns {Array} - Rows of cells; blank lines are skipped
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  const source = text.replace(/^\uFEFF/, '');
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0].trim() !== '') rows.push(row);
+    row = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) throw httpError('Values CSV has an unterminated quoted cell', 400, 'invalid_batch');
+  if (cell !== '' || row.length > 0) endRow();
+  return rows;
+}
+
+// Per-document values are looked up by filename, ignoring case and any folder inside a ZIP
+function valuesKey(filename) {
+  return path.posix.basename(String(filename).replace(/\\/g, '/')).toLowerCase();
+}
+
+/**
+ * Read per-document values from a CSV with a "filename" column; every other column
+ * is a value, its header naming the field it fills
+ *
+ * @param {String} text
+ * @returns {Map} - valuesKey(filename) -> { column: value }
+ */
+function parseValuesCsv(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return new Map();
+
+  const columns = header.map(column => column.trim());
+  const filenameColumn = columns.findIndex(column => column.toLowerCase() === 'filename');
+  if (filenameColumn === -1) {
+    throw httpError('Values CSV needs a "filename" column', 400, 'invalid_batch');
+  }
+
+  const table = new Map();
+  rows.forEach((cells, index) => {
+    const key = valuesKey(cells[filenameColumn] || '');
+    if (!key) throw httpError(`Values CSV row ${index + 2} has no filename`, 400, 'invalid_batch');
+    if (table.has(key)) throw httpError(`Values CSV lists ${cells[filenameColumn]} more than once`, 400, 'invalid_batch');
+
+    const values = {};
+    columns.forEach((column, columnIndex) => {
+      if (columnIndex !== filenameColumn && column) values[column] = cells[columnIndex] ?? '';
+    });
+    table.set(key, values);
+  });
+  return table;
+}
+
+/**
+ * Fill a layout with one document's values
+ * A value goes to the fields whose label, id or form field name matches its column (ignoring
+ * case). Text and dates take it as their value, checkboxes are ticked by "yes", "true", "x",
+ * "1"..., and radio buttons are selected when it equals their option value. Empty values keep
+ * whatever the layout had
+ *
+ * @param {Array} fields - Layout fields
+ * @param {Object} [values] - { column: value }
+ * @returns {Array} - Filled copies of the fields
+ */
+function applyDocumentValues(fields, values) {
+  if (!values) return fields;
+
+  const lookup = new Map(Object.entries(values).map(([column, value]) => [column.trim().toLowerCase(), value]));
+  const valueFor = (...names) => {
+    for (const name of names) {
+      const value = name && lookup.get(String(name).trim().toLowerCase());
+      if (value !== undefined && value !== null && String(value) !== '') return String(value);
+    }
+    return undefined;
+  };
+
+  return fields.map(field => {
+    switch (field.type) {
+      case 'text':
+      case 'textarea':
+      case 'date': {
+        const value = valueFor(field.label, field.id, field.formFieldName);
+        return value === undefined ? field : { ...field, value };
+      }
+      case 'checkbox': {
+        const value = valueFor(field.label, field.id, field.formFieldName);
+        return value === undefined ? field : { ...field, checked: TRUTHY_VALUES.includes(value.trim().toLowerCase()) };
+      }
+      case 'radio': {
+        const value = valueFor(field.groupName, field.formFieldName, field.label, field.id);
+        if (value === undefined) return field;
+        const option = field.formOption || field.optionValue;
+        return { ...field, checked: value.trim() === String(option) };
+      }
+      default:
+        return field;
+    }
+  });
+}
+
+/**
+ * Pick a name for a signed PDF inside the result ZIP, keeping names unique
+ *
+ * @param {String} filename - Source filename, possibly a path inside a ZIP
+ * @param {Set} taken - Names already used; the chosen name is added
+ * @returns {String}
+ */
+function outputName(filename, taken) {
+  const base = path.posix.basename(String(filename).replace(/\\/g, '/')) || 'document.pdf';
+  const extension = /\.pdf$/i.test(base) ? base.slice(-4) : '.pdf';
+  const stem = /\.pdf$/i.test(base) ? base.slice(0, -4) : base;
+
+  let name = `${stem}${extension}`;
+  for (let copy = 2; taken.has(name.toLowerCase()); copy++) {
+    name = `${stem} (${copy})${extension}`;
+  }
+  taken.add(name.toLowerCase());
+  return name;
+}
+
+module.exports = {
+  MAX_BATCH_DOCUMENTS,
+  collectBatchDocuments,
+  parseCsv,
+  parseValuesCsv,
+  valuesKey,
+  applyDocumentValues,
+  outputName
+};
@@ -0,0 +1,503 @@
+const forge = require('node-forge');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const {
+  PDFArray,
+  PDFHexString,
+  PDFName,
+  PDFNumber,
+  PDFString,
+  pushGraphicsState,
+  popGraphicsState,
+  concatTransformationMatrix,
+  drawObject
+} = require('pdf-lib');
+const {
+  signatureTimestampAttribute,
+  findSignatureTimestamp,
+  verifyTimestampToken,
+  readTrustAnchors,
+  chainsToAnchor
+} = require('./timestamp');
+
+// Bytes reserved in /Contents for the DER-encoded CMS signature
+const SIGNATURE_LENGTH = 16384;
+
+// Written into /ByteRange before the real offsets are known
+const BYTE_RANGE_PLACEHOLDER = '**********';
+
+// PEM file with the signer certificates, or the CAs that issue them, whose signatures are
+// trusted; without it signatures can check out (signatureValid) but are never trusted
+const SIGNING_TRUST_FILE = process.env.SIGNING_TRUST_FILE || '';
+
+// CMS digest algorithm OIDs understood by the verifier, mapped to Node hash names
+const DIGEST_ALGORITHMS = {
+  [forge.pki.oids.sha1]: 'sha1',
+  [forge.pki.oids.sha256]: 'sha256',
+  [forge.pki.oids.sha384]: 'sha384',
+  [forge.pki.oids.sha512]: 'sha512'
+};
+
+let cachedCredentials = null;
+let signingAnchors = null;
+
+// Utility: The certificates in SIGNING_TRUST_FILE, read on first use
+function signingTrustAnchors() {
+  if (!signingAnchors) signingAnchors = readTrustAnchors(SIGNING_TRUST_FILE);
+  return signingAnchors;
+}
+
+/**
+ * Load the signing key and certificate chain from the configured PKCS#12 file
+ * SIGNING_P12_PATH points at the .p12/.pfx file, SIGNING_P12_PASSWORD unlocks it
+ *
+ * @returns {Object} - { privateKey, certificate, chain }
+ */
+async function loadSigningCredentials() {
+  if (cachedCredentials) return cachedCredentials;
+
+  const p12Path = process.env.SIGNING_P12_PATH;
+  if (!p12Path) {
+    throw new Error('Digital signing is not configured: set SIGNING_P12_PATH');
+  }
+
+  const p12Der = await fs.readFile(p12Path);
+  const p12Asn1 = forge.asn1.fromDer(p12Der.toString('binary'));
+  const p12 = forge.pkcs12.pkcs12FromAsn1(p12Asn1, process.env.SIGNING_P12_PASSWORD || '');
+
+  const keyBags = [
+    ...(p12.getBags({ bagType: forge.pki.oids.pkcs8ShroudedKeyBag })[forge.pki.oids.pkcs8ShroudedKeyBag] || []),
+    ...(p12.getBags({ bagType: forge.pki.oids.keyBag })[forge.pki.oids.keyBag] || [])
+  ];
+  const certBags = p12.getBags({ bagType: forge.pki.oids.certBag })[forge.pki.oids.certBag] || [];
+
+  if (keyBags.length === 0 || certBags.length === 0) {
+    throw new Error('PKCS#12 file must contain a private key and its certificate');
+  }
+
+  const privateKey = keyBags[0].key;
+  const chain = certBags.map(bag => bag.cert);
+
+  // The signer is the certificate whose public key matches the private key
+  const certificate = chain.find(cert =>
+    cert.publicKey.n && cert.publicKey.n.equals(privateKey.n)
+  );
+  if (!certificate) {
+    throw new Error('No certificate in the PKCS#12 file matches its private key');
+  }
+
+  cachedCredentials = { privateKey, certificate, chain };
+  return cachedCredentials;
+}
+
+/**
+ * Summarise a certificate for audit records and API responses
+ *
+ * @param {Object} certificate - forge certificate
+ * @returns {Object} - { subject, issuer, serialNumber, fingerprint, validFrom, validTo }
+ */
+function describeCertificate(certificate) {
+  const der = forge.asn1.toDer(forge.pki.certificateToAsn1(certificate)).getBytes();
+  return describeX509(new crypto.X509Certificate(Buffer.from(der, 'binary')));
+}
+
+/**
+ * Same summary as describeCertificate, for a Node X509Certificate
+ *
+ * @param {X509Certificate} x509
+ * @returns {Object}
+ */
+function describeX509(x509) {
+  return {
+    subject: x509.subject.split('\n').join(', '),
+    issuer: x509.issuer.split('\n').join(', '),
+    serialNumber: x509.serialNumber.toLowerCase(),
+    fingerprint: x509.fingerprint256.replace(/:/g, '').toLowerCase(),
+    validFrom: new Date(x509.validFrom),
+    validTo: new Date(x509.validTo)
+  };
+}
+
+/**
+ * Add an unsigned signature field to the document
+ * The /ByteRange and /Contents are placeholders filled in by signPdf after saving
+ *
+ * @param {PDFDocument} pdfDoc - pdf-lib document
+ * @param {Object} options
+ * @param {PDFPage} options.page - Page holding the signature widget
+ * @param {Array} options.rect - [x1, y1, x2, y2] in PDF user space, [0, 0, 0, 0] for an invisible signature
+ * @param {Object} [options.appearance] - { image, x, y, width, height, boxWidth, boxHeight, rotation },
+ *   or { operators, boxWidth, boxHeight, rotation } to draw vector content instead of an image
+ *   where x/y/width/height place the image inside a boxWidth x boxHeight box
+ * @param {String} [options.fieldName] - Name of the AcroForm field, defaults to the first free SignatureN
+ * @param {String} [options.reason]
+ * @param {String} [options.location]
+ * @param {String} [options.signerName]
+ */
+function addSignaturePlaceholder(pdfDoc, options) {
+  const { page, rect, appearance, reason, location, signerName } = options;
+  const { context } = pdfDoc;
+  const form = pdfDoc.getForm();
+
+  let fieldName = options.fieldName;
+  for (let n = 1; !fieldName || form.getFieldMaybe(fieldName); n++) {
+    fieldName = `Signature${n}`;
+  }
+
+  const byteRange = PDFArray.withContext(context);
+  byteRange.push(PDFNumber.of(0));
+  byteRange.push(PDFName.of(BYTE_RANGE_PLACEHOLDER));
+  byteRange.push(PDFName.of(BYTE_RANGE_PLACEHOLDER));
+  byteRange.push(PDFName.of(BYTE_RANGE_PLACEHOLDER));
+
+  const signatureDict = context.obj({
+    Type: 'Sig',
+    Filter: 'Adobe.PPKLite',
+    SubFilter: 'adbe.pkcs7.detached',
+    ByteRange: byteRange,
+    Contents: PDFHexString.of('0'.repeat(SIGNATURE_LENGTH * 2)),
+    M: PDFString.fromDate(new Date())
+  });
+  if (reason) signatureDict.set(PDFName.of('Reason'), PDFString.of(reason));
+  if (location) signatureDict.set(PDFName.of('Location'), PDFString.of(location));
+  if (signerName) signatureDict.set(PDFName.of('Name'), PDFString.of(signerName));
+  const signatureRef = context.register(signatureDict);
+
+  const widgetDict = context.obj({
+    Type: 'Annot',
+    Subtype: 'Widget',
+    FT: 'Sig',
+    Rect: rect,
+    V: signatureRef,
+    T: PDFString.of(fieldName),
+    F: 4,
+    P: page.ref
+  });
+
+  if (appearance) {
+    // The visible signature becomes the field's normal appearance;
+    // /Matrix turns it so it reads upright on rotated pages
+    const radians = (appearance.rotation * Math.PI) / 180;
+    const cos = Math.round(Math.cos(radians));
+    const sin = Math.round(Math.sin(radians));
+
+    const appearanceStream = context.formXObject(
+      appearance.operators || [
+        pushGraphicsState(),
+        concatTransformationMatrix(appearance.width, 0, 0, appearance.height, appearance.x, appearance.y),
+        drawObject('Img'),
+        popGraphicsState()
+      ],
+      {
+        BBox: [0, 0, appearance.boxWidth, appearance.boxHeight],
+        Matrix: [cos, sin, -sin, cos, 0, 0],
+        Resources: appearance.image ? { XObject: { Img: appearance.image.ref } } : {}
+      }
+    );
+    widgetDict.set(PDFName.of('AP'), context.obj({ N: context.register(appearanceStream) }));
+  }
+
+  const widgetRef = context.register(widgetDict);
+  page.node.addAnnot(widgetRef);
+
+  const { acroForm } = form;
+  acroForm.addField(widgetRef);
+  // SignaturesExist | AppendOnly
+  acroForm.dict.set(PDFName.of('SigFlags'), PDFNumber.of(3));
+}
+
+/**
+ * Create a detached CMS/PKCS#7 SignedData over the given bytes
+ *
+ * @param {Buffer} data - Bytes covered by the /ByteRange
+ * @param {Object} credentials - Result of loadSigningCredentials
+ * @param {Function} [timestampSignature] - async (signature value) => DER RFC 3161 token,
+ *   embedded as the signer's signature timestamp; null leaves the signature without one
+ * @returns {Buffer} - DER-encoded ContentInfo
+ */
+async function createDetachedSignature(data, credentials, timestampSignature) {
+  const { privateKey, certificate, chain } = credentials;
+
+  const p7 = forge.pkcs7.createSignedData();
+  p7.content = forge.util.createBuffer(data.toString('binary'));
+  chain.forEach(cert => p7.addCertificate(cert));
+  p7.addSigner({
+    key: privateKey,
+    certificate,
+    digestAlgorithm: forge.pki.oids.sha256,
+    authenticatedAttributes: [
+      { type: forge.pki.oids.contentType, value: forge.pki.oids.data },
+      { type: forge.pki.oids.messageDigest },
+      { type: forge.pki.oids.signingTime, value: new Date() }
+    ]
+  });
+  p7.sign({ detached: true });
+
+  const contentInfo = p7.toAsn1();
+  if (timestampSignature) {
+    // forge can't write unsigned attributes, so the SignerInfo gets its [1] set here:
+    // ContentInfo > [0] > SignedData > signerInfos (last) > SignerInfo, signature value at 5
+    const signerInfos = contentInfo.value[1].value[0].value;
+    const signerInfo = signerInfos[signerInfos.length - 1].value[0];
+    const token = await timestampSignature(Buffer.from(signerInfo.value[5].value, 'binary'));
+    if (token) {
+      signerInfo.value.push(forge.asn1.create(forge.asn1.Class.CONTEXT_SPECIFIC, 1, true, [
+        signatureTimestampAttribute(token)
+      ]));
+    }
+  }
+
+  return Buffer.from(forge.asn1.toDer(contentInfo).getBytes(), 'binary');
+}
+
+/**
+ * Fill in the placeholder written by addSignaturePlaceholder
+ * The document must have been saved without object streams so the placeholder is plain text
+ *
+ * @param {Uint8Array} pdfBytes - Saved PDF containing exactly one signature placeholder
+ * @param {Object} credentials - Result of loadSigningCredentials
+ * @param {Object} [options] - { timestampSignature } see createDetachedSignature
+ * @returns {Buffer} - Signed PDF
+ */
+async function signPdf(pdfBytes, credentials, options = {}) {
+  const pdf = Buffer.from(pdfBytes);
+
+  const byteRangePlaceholder = `[ 0 /${BYTE_RANGE_PLACEHOLDER} /${BYTE_RANGE_PLACEHOLDER} /${BYTE_RANGE_PLACEHOLDER} ]`;
+  const byteRangePos = pdf.indexOf(byteRangePlaceholder);
+  if (byteRangePos === -1) {
+    throw new Error('Signature placeholder not found in PDF');
+  }
+
+  const contentsPlaceholder = `<${'0'.repeat(SIGNATURE_LENGTH * 2)}>`;
+  const contentsStart = pdf.indexOf(contentsPlaceholder);
+  if (contentsStart === -1) {
+    throw new Error('Signature contents placeholder not found in PDF');
+  }
+  const contentsEnd = contentsStart + contentsPlaceholder.length;
+
+  // Everything except the /Contents hex string is covered by the signature
+  const byteRange = [0, contentsStart, contentsEnd, pdf.length - contentsEnd];
+  const byteRangeString = `[${byteRange.join(' ')}]`.padEnd(byteRangePlaceholder.length, ' ');
+  pdf.write(byteRangeString, byteRangePos, 'latin1');
+
+  const signedData = Buffer.concat([
+    pdf.subarray(0, contentsStart),
+    pdf.subarray(contentsEnd)
+  ]);
+
+  const signature = (await createDetachedSignature(signedData, credentials, options.timestampSignature)).toString('hex');
+  if (signature.length > SIGNATURE_LENGTH * 2) {
+    throw new Error(`Signature is ${signature.length / 2} bytes, only ${SIGNATURE_LENGTH} reserved`);
+  }
+
+  pdf.write(`<${signature.padEnd(SIGNATURE_LENGTH * 2, '0')}>`, contentsStart, 'latin1');
+  return pdf;
+}
+
+/**
+ * Find the /ByteRange of every signature in the file, in file order
+ * Signature dictionaries are never compressed (their /Contents is patched in place),
+ * so scanning the raw bytes also finds signatures from earlier incremental revisions
+ *
+ * @param {Buffer} pdf
+ * @returns {Array} - [{ byteRange, dictionary }] where dictionary is the raw object text
+ */
+function findSignatureDictionaries(pdf) {
+  const text = pdf.toString('latin1');
+  const pattern = /\/ByteRange\s*\[\s*(\d+)\s+(\d+)\s+(\d+)\s+(\d+)\s*\]/g;
+  const found = [];
+  const seen = new Set();
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    const byteRange = match.slice(1, 5).map(Number);
+    const key = byteRange.join(' ');
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    const objectStart = text.lastIndexOf(' obj', match.index);
+    const objectEnd = text.indexOf('endobj', match.index);
+    found.push({
+      byteRange,
+      dictionary: text.slice(objectStart, objectEnd === -1 ? undefined : objectEnd)
+    });
+  }
+
+  return found;
+}
+
+/**
+ * Read the attributes we report on from a SignerInfo's signed attributes
+ *
+ * @param {Object} attributesAsn1 - [0] IMPLICIT SET OF Attribute
+ * @returns {Object} - { messageDigest, signingTime } (raw digest bytes as a Buffer)
+ */
+function readSignedAttributes(attributesAsn1) {
+  const attributes = {};
+
+  for (const attribute of attributesAsn1.value) {
+    const type = forge.asn1.derToOid(attribute.value[0].value);
+    const value = attribute.value[1].value[0];
+
+    if (type === forge.pki.oids.messageDigest) {
+      attributes.messageDigest = Buffer.from(value.value, 'binary');
+    } else if (type === forge.pki.oids.signingTime) {
+      attributes.signingTime = value.type === forge.asn1.Type.UTCTIME
+        ? forge.asn1.utcTimeToDate(value.value)
+        : forge.asn1.generalizedTimeToDate(value.value);
+    }
+  }
+
+  return attributes;
+}
+
+/**
+ * Check one embedded signature: its /ByteRange digest and its CMS signature
+ *
+ * @param {Buffer} pdf - Whole file
+ * @param {Object} entry - One result of findSignatureDictionaries
+ * @param {Array} anchors - Trusted certificates (crypto.X509Certificate)
+ * @returns {Object} - Per-signature report
+ */
+function verifySignature(pdf, { byteRange, dictionary }, anchors) {
+  const [start, contentsStart, contentsEnd, tailLength] = byteRange;
+  const subFilterMatch = /\/SubFilter\s*\/([^\s/<>[\]()]+)/.exec(dictionary);
+
+  const report = {
+    byteRange,
+    subFilter: subFilterMatch ? subFilterMatch[1] : null,
+    coversWholeDocument: start === 0 && contentsEnd + tailLength === pdf.length,
+    digestValid: false,
+    signatureValid: false,
+    trusted: false,
+    signingTime: null,
+    signer: null,
+    timestamp: null
+  };
+
+  if (start !== 0 || contentsStart >= contentsEnd || contentsEnd + tailLength > pdf.length) {
+    report.error = 'ByteRange does not describe this file';
+    return report;
+  }
+
+  const contents = /^<([0-9a-fA-F\s]*)>$/.exec(pdf.toString('latin1', contentsStart, contentsEnd));
+  if (!contents) {
+    report.error = 'Signature /Contents is not a hex string';
+    return report;
+  }
+
+  try {
+    // /Contents is zero-padded, so only parse the leading DER object
+    const der = Buffer.from(contents[1].replace(/\s/g, ''), 'hex').toString('binary');
+    const contentInfo = forge.asn1.fromDer(der, { parseAllBytes: false });
+
+    const contentInfoCapture = {};
+    if (!forge.asn1.validate(contentInfo, forge.pkcs7asn1.contentInfoValidator, contentInfoCapture) ||
+        forge.asn1.derToOid(contentInfoCapture.contentType) !== forge.pki.oids.signedData) {
+      throw new Error('Signature is not a CMS SignedData');
+    }
+
+    const signedData = {};
+    if (!forge.asn1.validate(contentInfoCapture.content.value[0], forge.pkcs7asn1.signedDataValidator, signedData)) {
+      throw new Error('Malformed CMS SignedData');
+    }
+
+    // SignerInfo ::= version, issuerAndSerialNumber, digestAlgorithm,
+    //   [0] signedAttrs OPTIONAL, signatureAlgorithm, signature, [1] unsignedAttrs OPTIONAL
+    const signerInfo = signedData.signerInfos[0].value;
+    const serialNumber = forge.util.bytesToHex(signerInfo[1].value[1].value).replace(/^0+/, '');
+    const digestOid = forge.asn1.derToOid(signerInfo[2].value[0].value);
+    const hasSignedAttributes = signerInfo[3].tagClass === forge.asn1.Class.CONTEXT_SPECIFIC;
+    const signedAttributesAsn1 = hasSignedAttributes ? signerInfo[3] : null;
+    const signatureValue = Buffer.from(signerInfo[hasSignedAttributes ? 5 : 4].value, 'binary');
+
+    const digestAlgorithm = DIGEST_ALGORITHMS[digestOid];
+    if (!digestAlgorithm) {
+      throw new Error(`Unsupported digest algorithm ${digestOid}`);
+    }
+    report.digestAlgorithm = digestAlgorithm;
+
+    // Locate the signer among the embedded certificates by serial number
+    const certificates = (signedData.certificates ? signedData.certificates.value : [])
+      .map(cert => new crypto.X509Certificate(Buffer.from(forge.asn1.toDer(cert).getBytes(), 'binary')));
+    const signerCertificate = certificates.find(cert =>
+      cert.serialNumber.toLowerCase().replace(/^0+/, '') === serialNumber.toLowerCase()
+    );
+    if (!signerCertificate) {
+      throw new Error('Signer certificate is not embedded in the signature');
+    }
+    report.signer = describeX509(signerCertificate);
+
+    // Digest of everything the ByteRange covers
+    const digest = crypto.createHash(digestAlgorithm)
+      .update(pdf.subarray(0, contentsStart))
+      .update(pdf.subarray(contentsEnd, contentsEnd + tailLength))
+      .digest();
+
+    let signedBytes;
+    if (signedAttributesAsn1) {
+      const attributes = readSignedAttributes(signedAttributesAsn1);
+      report.signingTime = attributes.signingTime || null;
+      report.digestValid = Boolean(attributes.messageDigest) && attributes.messageDigest.equals(digest);
+
+      // Signed attributes are signed as a DER SET OF, not with their [0] IMPLICIT tag
+      const attributeSet = forge.asn1.create(
+        forge.asn1.Class.UNIVERSAL, forge.asn1.Type.SET, true, signedAttributesAsn1.value
+      );
+      signedBytes = Buffer.from(forge.asn1.toDer(attributeSet).getBytes(), 'binary');
+    } else {
+      // Without signed attributes the signature is over the content itself
+      report.digestValid = true;
+      signedBytes = Buffer.concat([
+        pdf.subarray(0, contentsStart),
+        pdf.subarray(contentsEnd, contentsEnd + tailLength)
+      ]);
+    }
+
+    report.signatureValid = report.digestValid &&
+      crypto.verify(digestAlgorithm, signedBytes, signerCertificate.publicKey, signatureValue);
+
+    // Anyone can make a certificate with any name: the signer is only known when their
+    // certificate is a trust anchor or chains up to one through the embedded certificates
+    report.trusted = chainsToAnchor(signerCertificate, certificates, anchors);
+
+    // An RFC 3161 signature timestamp is a TSA's token over the signature value
+    const unsignedAttributes = signerInfo[hasSignedAttributes ? 6 : 5];
+    const timestampToken = unsignedAttributes && findSignatureTimestamp(unsignedAttributes);
+    if (timestampToken) {
+      report.timestamp = verifyTimestampToken(timestampToken, { data: signatureValue });
+    }
+
+    // The TSA's time, when there is a valid one, rather than the signer's own clock
+    const signedAt = report.timestamp && report.timestamp.valid ? report.timestamp.genTime : report.signingTime;
+    if (signedAt && report.signer) {
+      report.certificateValidAtSigning = signedAt >= report.signer.validFrom && signedAt <= report.signer.validTo;
+    }
+  } catch (err) {
+    report.error = err.message;
+  }
+
+  return report;
+}
+
+/**
+ * Verify every signature embedded in a PDF
+ *
+ * @param {Buffer} pdf
+ * @param {Object} [options] - { trustAnchors }, default the certificates in SIGNING_TRUST_FILE
+ * @returns {Array} - Per-signature reports, oldest first
+ */
+function verifyPdfSignatures(pdf, options = {}) {
+  const { trustAnchors = signingTrustAnchors() } = options;
+  return findSignatureDictionaries(pdf)
+    .map(entry => verifySignature(pdf, entry, trustAnchors))
+    .sort((a, b) => (a.byteRange[2] + a.byteRange[3]) - (b.byteRange[2] + b.byteRange[3]));
+}
+
+module.exports = {
+  loadSigningCredentials,
+  describeCertificate,
+  addSignaturePlaceholder,
+  signPdf,
+  verifyPdfSignatures
+};
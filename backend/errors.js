@@ -0,0 +1,21 @@
+/**
+ * Error carrying the HTTP status a route should respond with, and optionally a stable code
+ * clients can branch on; server.js answers errors without one with its status's default code
+ *
+ * @param {String} message
+ * @param {Number} status
+ * @param {String} [code]
+ * @param {Array} [details] - [{ path, code, message }], the problems behind the error
+ * @returns {Error}
+ */
+function httpError(message, status, code, details) {
+  const error = new Error(message);
+  error.status = status;
+  if (code) error.code = code;
+  if (details) error.details = details;
+  return error;
+}
+
+module.exports = {
+  httpError
+};
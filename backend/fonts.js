@@ -0,0 +1,220 @@
+const fontkit = require('@pdf-lib/fontkit');
+const fs = require('fs').promises;
+const path = require('path');
+const { StandardFonts } = require('pdf-lib');
+const { httpError } = require('./errors');
+// fontkit's Indic shaper (Devanagari, Bengali, Tamil, ...) is built with generators that expect this global
+require('regenerator-runtime/runtime');
+
+// The 14 standard PDF fonts need no embedding but only cover WinAnsi (Western European) text
+const STANDARD_FAMILIES = {
+  Helvetica: {
+    regular: StandardFonts.Helvetica,
+    bold: StandardFonts.HelveticaBold,
+    italic: StandardFonts.HelveticaOblique,
+    boldItalic: StandardFonts.HelveticaBoldOblique
+  },
+  'Times Roman': {
+    regular: StandardFonts.TimesRoman,
+    bold: StandardFonts.TimesRomanBold,
+    italic: StandardFonts.TimesRomanItalic,
+    boldItalic: StandardFonts.TimesRomanBoldItalic
+  },
+  Courier: {
+    regular: StandardFonts.Courier,
+    bold: StandardFonts.CourierBold,
+    italic: StandardFonts.CourierOblique,
+    boldItalic: StandardFonts.CourierBoldOblique
+  }
+};
+
+// Used when a field doesn't pick a font, matching the editor's default
+const DEFAULT_FAMILY = 'Helvetica';
+
+// Style suffixes recognised in font file names, e.g. NotoSans-BoldItalic.ttf
+const STYLE_SUFFIXES = {
+  regular: 'regular',
+  bold: 'bold',
+  italic: 'italic',
+  oblique: 'italic',
+  bolditalic: 'boldItalic',
+  boldoblique: 'boldItalic'
+};
+
+// Preferred stand-ins when a family lacks the requested style
+const STYLE_FALLBACKS = {
+  regular: ['regular'],
+  bold: ['bold', 'regular'],
+  italic: ['italic', 'regular'],
+  boldItalic: ['boldItalic', 'bold', 'italic', 'regular']
+};
+
+let cachedFamilies = null;
+
+/**
+ * Scan FONTS_DIR (default ./fonts) for TrueType/OpenType files, grouped by family
+ * Files are named Family.ttf or Family-Style.ttf (Bold, Italic, BoldItalic, ...)
+ *
+ * @returns {Object} - { [family]: { regular?, bold?, italic?, boldItalic? } } of file paths
+ */
+async function loadFontFamilies() {
+  if (cachedFamilies) return cachedFamilies;
+
+  const fontsDir = process.env.FONTS_DIR || path.join(__dirname, 'fonts');
+  let files = [];
+  try {
+    files = await fs.readdir(fontsDir);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  const families = {};
+  for (const file of files) {
+    const match = file.match(/^(.+?)(?:-([A-Za-z]+))?\.(ttf|otf)$/i);
+    if (!match) continue;
+
+    // A suffix that isn't a style is part of the family name (Noto-Sans.ttf)
+    let [, family, suffix = 'regular'] = match;
+    let style = STYLE_SUFFIXES[suffix.toLowerCase()];
+    if (!style) {
+      family = `${family}-${suffix}`;
+      style = 'regular';
+    }
+
+    families[family] = families[family] || {};
+    families[family][style] = path.join(fontsDir, file);
+  }
+
+  cachedFamilies = families;
+  return families;
+}
+
+/**
+ * Fonts a field can use, for the editor's font picker
+ *
+ * @returns {Array} - [{ family, styles, unicode }]
+ */
+async function listFonts() {
+  const families = await loadFontFamilies();
+
+  return [
+    ...Object.keys(STANDARD_FAMILIES).map(family => ({
+      family,
+      styles: Object.keys(STANDARD_FAMILIES[family]),
+      unicode: false
+    })),
+    ...Object.keys(families).sort().map(family => ({
+      family,
+      styles: Object.keys(families[family]),
+      unicode: true
+    }))
+  ];
+}
+
+// Families tried in order when the requested font can't display the text:
+// UNICODE_FONT (comma-separated, e.g. NotoSans,NotoSansDevanagari,NotoSansSC), else all of them
+async function unicodeFallbackFamilies() {
+  const families = await loadFontFamilies();
+  const configured = (process.env.UNICODE_FONT || '').split(',').map(family => family.trim()).filter(Boolean);
+  for (const family of configured) {
+    if (!families[family]) {
+      throw new Error(`UNICODE_FONT "${family}" was not found in the fonts directory`);
+    }
+  }
+  return configured.length > 0 ? configured : Object.keys(families).sort();
+}
+
+/**
+ * Create a font resolver for one document
+ * Each font is embedded at most once per document, custom fonts as a subset
+ *
+ * @param {PDFDocument} pdfDoc
+ * @returns {Function} - async ({ fontFamily, bold, italic }, text) => PDFFont
+ */
+function createFontResolver(pdfDoc) {
+  const embedded = new Map();
+  let fontkitRegistered = false;
+
+  // Returns { embed(), covers(text) } for one family and style; custom fonts are only
+  // embedded once they're used, so fallbacks that were checked and passed over stay out
+  const embedStyle = async (family, style) => {
+    const key = `${family}/${style}`;
+    if (embedded.has(key)) return embedded.get(key);
+
+    let entry;
+    if (STANDARD_FAMILIES[family]) {
+      const font = await pdfDoc.embedFont(STANDARD_FAMILIES[family][style]);
+      entry = {
+        embed: async () => font,
+        covers: text => {
+          try {
+            font.encodeText(text.replace(/\s/g, ' '));
+            return true;
+          } catch (error) {
+            return false;
+          }
+        }
+      };
+    } else {
+      // A family that only has other styles (just a Bold file, say) is drawn in one of those
+      const files = (await loadFontFamilies())[family];
+      const available = STYLE_FALLBACKS[style].find(candidate => files[candidate]) || Object.keys(files)[0];
+      const fontBytes = await fs.readFile(files[available]);
+
+      if (!fontkitRegistered) {
+        pdfDoc.registerFontkit(fontkit);
+        fontkitRegistered = true;
+      }
+      const glyphs = fontkit.create(fontBytes);
+      let font = null;
+      entry = {
+        embed: () => {
+          font = font || pdfDoc.embedFont(fontBytes, { subset: true });
+          return font;
+        },
+        covers: text => [...text].every(char => /\s/.test(char) || glyphs.hasGlyphForCodePoint(char.codePointAt(0)))
+      };
+    }
+
+    embedded.set(key, entry);
+    return entry;
+  };
+
+  return async ({ fontFamily, bold, italic } = {}, text = '') => {
+    const families = await loadFontFamilies();
+    const family = fontFamily || DEFAULT_FAMILY;
+    if (!STANDARD_FAMILIES[family] && !families[family]) {
+      throw httpError(`Unknown font "${family}"`, 400, 'unknown_font');
+    }
+
+    const style = bold && italic ? 'boldItalic' : bold ? 'bold' : italic ? 'italic' : 'regular';
+    const requested = await embedStyle(family, style);
+    if (requested.covers(text)) return requested.embed();
+
+    // Standard fonts stop at WinAnsi; retry in the first Unicode font that has every character
+    const fallbackFamilies = (await unicodeFallbackFamilies()).filter(candidate => candidate !== family);
+    for (const fallbackFamily of fallbackFamilies) {
+      const fallback = await embedStyle(fallbackFamily, style);
+      if (fallback.covers(text)) return fallback.embed();
+    }
+
+    throw httpError(
+      fallbackFamilies.length > 0
+        ? `Font "${family}" cannot display "${text}" and neither can ${fallbackFamilies.map(f => `"${f}"`).join(', ')}`
+        : `Font "${family}" cannot display "${text}"; add a Unicode font to the server's fonts directory`,
+      422,
+      'unsupported_characters'
+    );
+  };
+}
+
+// Whether a font is one of the standard PDF fonts rather than an embedded file
+function isStandardFont(font) {
+  return Object.values(StandardFonts).includes(font.name);
+}
+
+module.exports = {
+  listFonts,
+  isStandardFont,
+  createFontResolver
+};
@@ -0,0 +1,216 @@
+const { parseCsv } = require('./batch');
+const { httpError } = require('./errors');
+
+// {{path}} or {{path | format}}; paths are dotted, e.g. customer.name or items.0.price
+const PLACEHOLDER_PATTERN = /\{\{\s*([^{}|]+?)\s*(?:\|\s*([^{}]*?)\s*)?\}\}/g;
+
+// Format of date fields without a dateFormat; also the default of interactive date fields
+const DEFAULT_DATE_FORMAT = 'yyyy-mm-dd';
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Date format tokens, as in Acrobat's AFDate_FormatEx; longest first so "mmmm" wins over "mm"
+const DATE_TOKEN_PATTERN = /yyyy|yy|mmmm|mmm|mm|m|dddd|ddd|dd|d/g;
+
+// What a field's dateFormat may contain: token letters and separators. Interactive date fields
+// write the format into PDF JavaScript, so quotes, backslashes and the like must never get through
+const DATE_FORMAT_PATTERN = /^[dmy ,./-]+$/;
+
+// Calendar date of a moment in a time zone: { year, month (1-12), day, weekday (0-6) }
+function calendarDate(date, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', { timeZone, year: 'numeric', month: 'numeric', day: 'numeric', weekday: 'short' })
+      .formatToParts(date)
+      .map(part => [part.type, part.value])
+  );
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday)
+  };
+}
+
+/**
+ * Format a date with Acrobat-style tokens: yyyy, yy, mmmm (January), mmm (Jan), mm, m,
+ * dddd (Monday), ddd (Mon), dd, d. Anything else is copied as it is
+ *
+ * @param {Date} date
+ * @param {String} [format] - Default yyyy-mm-dd
+ * @param {String} [timeZone] - IANA zone the calendar date is taken in, default UTC
+ * @returns {String}
+ */
+function formatDate(date, format = DEFAULT_DATE_FORMAT, timeZone = 'UTC') {
+  let calendar;
+  try {
+    calendar = calendarDate(date, timeZone);
+  } catch (error) {
+    throw httpError(`Unknown time zone "${timeZone}"`, 400, 'invalid_time_zone');
+  }
+
+  const pad = value => String(value).padStart(2, '0');
+  const tokens = {
+    yyyy: String(calendar.year),
+    yy: pad(calendar.year % 100),
+    mmmm: MONTH_NAMES[calendar.month - 1],
+    mmm: MONTH_NAMES[calendar.month - 1].slice(0, 3),
+    mm: pad(calendar.month),
+    m: String(calendar.month),
+    dddd: DAY_NAMES[calendar.weekday],
+    ddd: DAY_NAMES[calendar.weekday].slice(0, 3),
+    dd: pad(calendar.day),
+    d: String(calendar.day)
+  };
+  return (format || DEFAULT_DATE_FORMAT).replace(DATE_TOKEN_PATTERN, token => tokens[token]);
+}
+
+/**
+ * Read a date out of a value: a Date, an ISO calendar date (2024-06-01) or an ISO timestamp
+ * Calendar dates carry no time zone, so they are read as UTC and formatted in UTC
+ *
+ * @param {*} value
+ * @returns {Object|null} - { date, calendarOnly }, or null when the value isn't a date
+ */
+function parseDateValue(value) {
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : { date: value, calendarOnly: false };
+  }
+
+  const text = String(value).trim();
+  const calendarMatch = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (calendarMatch) {
+    const [, year, month, day] = calendarMatch.map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCMonth() === month - 1 ? { date, calendarOnly: true } : null;
+  }
+  if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(text)) {
+    const date = new Date(text);
+    return Number.isNaN(date.getTime()) ? null : { date, calendarOnly: false };
+  }
+  return null;
+}
+
+/**
+ * Format a value as a date when it is one; other values are returned as they are
+ *
+ * @param {*} value
+ * @param {String} [format]
+ * @param {String} [timeZone]
+ * @returns {String}
+ */
+function formatDateValue(value, format, timeZone) {
+  const parsed = parseDateValue(value);
+  if (!parsed) return String(value);
+  return formatDate(parsed.date, format, parsed.calendarOnly ? 'UTC' : timeZone);
+}
+
+// The value at a dotted path; a flat key containing the dots (a CSV header) wins
+function lookupPath(data, path) {
+  if (data && Object.prototype.hasOwnProperty.call(data, path)) return data[path];
+
+  let current = data;
+  for (const key of path.split('.')) {
+    if (current === null || current === undefined || typeof current !== 'object') return undefined;
+    if (!Object.prototype.hasOwnProperty.call(current, key)) return undefined;
+    current = current[key];
+  }
+  return current;
+}
+
+// Whether a field's value binds merge data
+function hasPlaceholders(text) {
+  return typeof text === 'string' && new RegExp(PLACEHOLDER_PATTERN.source).test(text);
+}
+
+/**
+ * Replace the placeholders in a text with merge data
+ * A placeholder with a format ({{contract.startDate | d mmmm yyyy}}) formats its value as a date
+ *
+ * @param {String} text
+ * @param {Object} data
+ * @param {String} [timeZone]
+ * @returns {Object} - { text, missing: [placeholder paths without data] }
+ */
+function mergeText(text, data, timeZone) {
+  const missing = [];
+  const merged = text.replace(PLACEHOLDER_PATTERN, (placeholder, path, format) => {
+    const value = lookupPath(data, path);
+    if (value === undefined || value === null || value === '' || typeof value === 'object' && !(value instanceof Date)) {
+      missing.push(path);
+      return placeholder;
+    }
+    if (format) return formatDateValue(value, format, timeZone);
+    return value instanceof Date ? value.toISOString() : String(value);
+  });
+  return { text: merged, missing };
+}
+
+/**
+ * Resolve the placeholders of text, text area and date fields
+ * Every placeholder must find data; otherwise the request fails with 422 listing each field
+ * and the placeholders it is missing
+ *
+ * @param {Array} fields
+ * @param {Object} [data] - Merge data, nested objects and/or flat dotted keys
+ * @param {String} [timeZone] - For formatting timestamps
+ * @returns {Array} - Fields with merged values
+ * @throws {Error} - missing_merge_data with details: [{ path, fieldId, label, code, message }]
+ */
+function resolveMergeFields(fields, data = {}, timeZone) {
+  const problems = [];
+  const details = [];
+  const merged = fields.map((field, index) => {
+    if (!['text', 'textarea', 'date'].includes(field.type) || !hasPlaceholders(field.value)) return field;
+
+    const { text, missing } = mergeText(field.value, data, timeZone);
+    if (missing.length > 0) {
+      const name = field.label ? `"${field.label}"` : field.id;
+      const needs = `needs ${missing.map(path => `{{${path}}}`).join(', ')}`;
+      problems.push(`field ${name} ${needs}`);
+      details.push({
+        path: `data.fields[${index}].value`,
+        fieldId: String(field.id),
+        label: field.label,
+        code: 'missing_merge_data',
+        message: needs
+      });
+    }
+    return { ...field, value: text };
+  });
+
+  if (problems.length > 0) {
+    throw httpError(`Missing merge data: ${problems.join('; ')}`, 422, 'missing_merge_data', details);
+  }
+  return merged;
+}
+
+/**
+ * Merge data from a CSV: the header names the placeholders (customer.name, contract.startDate)
+ *
+ * @param {String} text
+ * @param {Number} [rowIndex] - Which data row to use, 0 being the first row after the header
+ * @returns {Object} - { column: value }
+ */
+function mergeDataFromCsv(text, rowIndex = 0) {
+  const [header, ...rows] = parseCsv(text);
+  const row = rows[rowIndex];
+  if (!header || !row) {
+    throw httpError(`Merge data CSV has no row ${rowIndex + 1}`, 400, 'invalid_merge_data');
+  }
+  return Object.fromEntries(
+    header.map((column, index) => [column.trim(), row[index] ?? '']).filter(([column]) => column)
+  );
+}
+
+module.exports = {
+  DEFAULT_DATE_FORMAT,
+  DATE_FORMAT_PATTERN,
+  formatDate,
+  formatDateValue,
+  parseDateValue,
+  hasPlaceholders,
+  resolveMergeFields,
+  mergeDataFromCsv
+};
@@ -0,0 +1,147 @@
+const Ajv = require('ajv');
+const signPdfV1 = require('./schemas/sign-pdf.v1.json');
+const signPdfBatchV1 = require('./schemas/sign-pdf-batch.v1.json');
+const envelopeV1 = require('./schemas/envelope.v1.json');
+const { httpError } = require('./errors');
+
+/**
+ * JSON Schemas of the signing API's "data" payloads, by name and version.
+ * They are published at GET /schemas so integrations can validate before sending;
+ * a payload picks its version with "version" (default 1)
+ */
+const REQUEST_SCHEMAS = {
+  'sign-pdf': { 1: signPdfV1 },
+  'sign-pdf-batch': { 1: signPdfBatchV1 },
+  envelope: { 1: envelopeV1 }
+};
+
+// Most schema problems reported for one request
+const MAX_SCHEMA_DETAILS = 50;
+
+// How far past the page edge, in percent, rounding in clients' percentage maths may put a field
+const PAGE_EDGE_TOLERANCE = 1e-6;
+
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+for (const versions of Object.values(REQUEST_SCHEMAS)) {
+  for (const schema of Object.values(versions)) ajv.addSchema(schema);
+}
+
+/**
+ * A published schema by name and version
+ *
+ * @param {String} name - e.g. sign-pdf
+ * @param {*} version - e.g. 1
+ * @returns {Object|null}
+ */
+function findRequestSchema(name, version) {
+  const own = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+  return own(REQUEST_SCHEMAS, name) && own(REQUEST_SCHEMAS[name], version) ? REQUEST_SCHEMAS[name][version] : null;
+}
+
+// A JSON pointer as a property path: /fields/2/coordinates -> data.fields[2].coordinates,
+// /values/a.pdf -> data.values["a.pdf"]
+function propertyPath(pointer, property) {
+  const segments = pointer.split('/').slice(1).map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+  if (property !== undefined) segments.push(property);
+  return segments.reduce((path, segment) => {
+    if (/^\d+$/.test(segment)) return `${path}[${segment}]`;
+    if (/^[A-Za-z_$][\w$]*$/.test(segment)) return `${path}.${segment}`;
+    return `${path}[${JSON.stringify(segment)}]`;
+  }, 'data');
+}
+
+// An Ajv error as { path, code, message }; codes are the JSON Schema keywords that failed
+function schemaProblem(error) {
+  switch (error.keyword) {
+    case 'required':
+      return { path: propertyPath(error.instancePath, error.params.missingProperty), code: 'required', message: 'is required' };
+    case 'additionalProperties':
+      return { path: propertyPath(error.instancePath, error.params.additionalProperty), code: 'additionalProperties', message: 'is not a known property' };
+    case 'enum':
+      return { path: propertyPath(error.instancePath), code: 'enum', message: `must be one of ${error.params.allowedValues.map(v => JSON.stringify(v)).join(', ')}` };
+    default:
+      return { path: propertyPath(error.instancePath), code: error.keyword, message: error.message };
+  }
+}
+
+// { path, fieldId, code, message } for every field reaching past the right or bottom edge of
+// its page, which the schema's per-property limits can't express
+function offPageProblems(fields) {
+  const problems = [];
+  fields.forEach(({ id, coordinates: { x, y, width, height } }, i) => {
+    const report = (property, message) => problems.push({
+      path: `data.fields[${i}].coordinates.${property}`,
+      fieldId: String(id),
+      code: 'off_page',
+      message
+    });
+    if (x + width > 100 + PAGE_EDGE_TOLERANCE) report('width', `reaches past the right edge of the page (x + width is ${x + width}, at most 100)`);
+    if (y + height > 100 + PAGE_EDGE_TOLERANCE) report('height', `reaches past the bottom of the page (y + height is ${y + height}, at most 100)`);
+  });
+  return problems;
+}
+
+/**
+ * Parse the JSON "data" part of a multipart request
+ *
+ * @param {String} raw - req.body.data
+ * @returns {*} - The parsed value
+ * @throws {Error} - 400 with code missing_data or malformed_json
+ */
+function parseJsonData(raw) {
+  if (raw === undefined || raw === '') {
+    throw httpError('The request has no "data" part', 400, 'missing_data', [
+      { path: 'data', code: 'required', message: 'is required' }
+    ]);
+  }
+
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    throw httpError(`"data" is not valid JSON: ${error.message}`, 400, 'malformed_json', [
+      { path: 'data', code: 'malformed_json', message: error.message }
+    ]);
+  }
+}
+
+/**
+ * Parse and validate the JSON "data" part of a signing request against its schema,
+ * before any PDF work starts
+ *
+ * @param {String} raw - req.body.data
+ * @param {String} name - Key of REQUEST_SCHEMAS
+ * @returns {Object} - The payload
+ * @throws {Error} - 400 with code missing_data, malformed_json, unsupported_version,
+ *   schema_violation or field_off_page
+ */
+function parseRequestData(raw, name) {
+  const payload = parseJsonData(raw);
+  const version = payload && payload.version !== undefined ? payload.version : 1;
+  const schema = findRequestSchema(name, String(version));
+  if (!schema) {
+    throw httpError(`Version ${JSON.stringify(version)} of the ${name} request is not supported`, 400, 'unsupported_version', [
+      { path: 'data.version', code: 'enum', message: `must be one of ${Object.keys(REQUEST_SCHEMAS[name]).join(', ')}` }
+    ]);
+  }
+
+  const validate = ajv.getSchema(schema.$id);
+  if (!validate(payload)) {
+    const details = validate.errors.slice(0, MAX_SCHEMA_DETAILS).map(schemaProblem);
+    const summary = details.slice(0, 3).map(problem => `${problem.path} ${problem.message}`).join('; ');
+    throw httpError(`The request does not match the ${name} v${version} schema: ${summary}`, 400, 'schema_violation', details);
+  }
+
+  const offPage = offPageProblems(payload.fields || []);
+  if (offPage.length > 0) {
+    const summary = offPage.slice(0, 3).map(problem => `${problem.path} ${problem.message}`).join('; ');
+    throw httpError(`Fields must fit on their page: ${summary}`, 400, 'field_off_page', offPage.slice(0, MAX_SCHEMA_DETAILS));
+  }
+  return payload;
+}
+
+module.exports = {
+  REQUEST_SCHEMAS,
+  findRequestSchema,
+  parseJsonData,
+  parseRequestData
+};
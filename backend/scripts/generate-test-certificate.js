@@ -0,0 +1,51 @@
+/**
+ * Generate a self-signed PKCS#12 certificate for local digital signing, and its certificate
+ * as PEM next to it (same name, .pem) for SIGNING_TRUST_FILE
+ *
+ * Usage: node scripts/generate-test-certificate.js [output.p12] [password]
+ * Defaults to certs/test-signer.p12 with the password "test"
+ *
+ * NOT for production: readers will report the signer as untrusted
+ */
+const forge = require('node-forge');
+const fs = require('fs');
+const path = require('path');
+
+const outputPath = path.resolve(process.argv[2] || path.join(__dirname, '..', 'certs', 'test-signer.p12'));
+const password = process.argv[3] || 'test';
+
+const keys = forge.pki.rsa.generateKeyPair(2048);
+const cert = forge.pki.createCertificate();
+cert.publicKey = keys.publicKey;
+cert.serialNumber = '01' + forge.util.bytesToHex(forge.random.getBytesSync(8));
+cert.validity.notBefore = new Date();
+cert.validity.notAfter = new Date();
+cert.validity.notAfter.setFullYear(cert.validity.notBefore.getFullYear() + 2);
+
+const attrs = [
+  { name: 'commonName', value: 'Signature Engine Test Signer' },
+  { name: 'organizationName', value: 'Signature Engine' },
+  { name: 'countryName', value: 'IN' }
+];
+cert.setSubject(attrs);
+cert.setIssuer(attrs);
+cert.setExtensions([
+  { name: 'basicConstraints', cA: false },
+  { name: 'keyUsage', digitalSignature: true, nonRepudiation: true },
+  { name: 'extKeyUsage', emailProtection: true }
+]);
+cert.sign(keys.privateKey, forge.md.sha256.create());
+
+const p12Asn1 = forge.pkcs12.toPkcs12Asn1(keys.privateKey, [cert], password, { algorithm: '3des' });
+const p12Der = forge.asn1.toDer(p12Asn1).getBytes();
+
+const pemPath = outputPath.replace(/\.(p12|pfx)$/i, '') + '.pem';
+
+fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+fs.writeFileSync(outputPath, Buffer.from(p12Der, 'binary'));
+fs.writeFileSync(pemPath, forge.pki.certificateToPem(cert));
+
+console.log(`Test certificate written to ${outputPath}`);
+console.log(`SIGNING_P12_PATH=${outputPath}`);
+console.log(`SIGNING_P12_PASSWORD=${password}`);
+console.log(`SIGNING_TRUST_FILE=${pemPath}`);
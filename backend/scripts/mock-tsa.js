@@ -0,0 +1,160 @@
+/**
+ * Local RFC 3161 timestamp authority for development and tests
+ *
+ * Usage: node scripts/mock-tsa.js [port] [--reject] [--cert file]
+ * Listens on port 3161 by default (0 picks a free one); point the server at it with TSA_URL=http://localhost:3161/
+ * Writes its self-signed certificate to certs/mock-tsa.pem (or --cert), for TSA_TRUST_FILE and openssl ts -verify -CAfile.
+ * The key is new on every start, so restart the server after the mock TSA to trust it again.
+ * --reject answers every request with status "rejection" to exercise the error path
+ *
+ * NOT for production: the key is made up at startup and the time is this machine's clock
+ */
+const forge = require('node-forge');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { TST_INFO_OID } = require('../timestamp');
+
+const { asn1 } = forge;
+const args = process.argv.slice(2);
+const reject = args.includes('--reject');
+const certArg = args.indexOf('--cert');
+const portArg = args.find((arg, index) => /^\d+$/.test(arg) && index !== certArg + 1);
+const port = portArg === undefined ? 3161 : Number(portArg);
+
+// Made-up policy for tokens from this TSA
+const POLICY_OID = '1.3.6.1.4.1.55555.3161.1';
+
+// id-aa-signingCertificateV2: binds the token to the TSA certificate (RFC 5816)
+const SIGNING_CERTIFICATE_V2_OID = '1.2.840.113549.1.9.16.2.47';
+
+const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const forgeKey = forge.pki.privateKeyFromPem(privateKey.export({ type: 'pkcs1', format: 'pem' }));
+
+const cert = forge.pki.createCertificate();
+cert.publicKey = forge.pki.setRsaPublicKey(forgeKey.n, forgeKey.e);
+cert.serialNumber = '01' + forge.util.bytesToHex(forge.random.getBytesSync(8));
+cert.validity.notBefore = new Date(Date.now() - 60 * 60 * 1000);
+cert.validity.notAfter = new Date();
+cert.validity.notAfter.setFullYear(cert.validity.notBefore.getFullYear() + 1);
+const attrs = [
+  { name: 'commonName', value: 'Signature Engine Mock TSA' },
+  { name: 'organizationName', value: 'Signature Engine' }
+];
+cert.setSubject(attrs);
+cert.setIssuer(attrs);
+cert.setExtensions([
+  { name: 'basicConstraints', cA: false },
+  { name: 'keyUsage', critical: true, digitalSignature: true, nonRepudiation: true },
+  { name: 'extKeyUsage', critical: true, timeStamping: true }
+]);
+cert.sign(forgeKey, forge.md.sha256.create());
+
+const certAsn1 = forge.pki.certificateToAsn1(cert);
+const certDer = asn1.toDer(certAsn1).getBytes();
+const certPath = certArg >= 0 ? path.resolve(args[certArg + 1]) : path.join(__dirname, '..', 'certs', 'mock-tsa.pem');
+fs.mkdirSync(path.dirname(certPath), { recursive: true });
+fs.writeFileSync(certPath, forge.pki.certificateToPem(cert));
+
+const node = (type, value, constructed = Array.isArray(value)) =>
+  asn1.create(asn1.Class.UNIVERSAL, type, constructed, value);
+const oid = (id) => node(asn1.Type.OID, asn1.oidToDer(id).getBytes());
+const integer = (n) => node(asn1.Type.INTEGER, asn1.integerToDer(n).getBytes());
+const sha256Algorithm = () => node(asn1.Type.SEQUENCE, [oid(forge.pki.oids.sha256), node(asn1.Type.NULL, '')]);
+const attribute = (type, value) => node(asn1.Type.SEQUENCE, [oid(type), node(asn1.Type.SET, [value])]);
+const sha256 = (bytes) => crypto.createHash('sha256').update(Buffer.from(bytes, 'binary')).digest().toString('binary');
+
+// GeneralizedTime with milliseconds, as TSAs commonly send it
+const generalizedTime = (date) => date.toISOString().replace(/[-:T]/g, '').replace(/\.(\d+)Z$/, '.$1Z');
+
+let serial = 1;
+
+// TimeStampResp for a DER TimeStampReq
+function stamp(query) {
+  if (reject) {
+    return node(asn1.Type.SEQUENCE, [
+      node(asn1.Type.SEQUENCE, [integer(2), node(asn1.Type.SEQUENCE, [node(asn1.Type.UTF8, 'Rejected by --reject')])])
+    ]);
+  }
+
+  // TimeStampReq ::= version, messageImprint, reqPolicy OPTIONAL, nonce OPTIONAL, certReq DEFAULT FALSE
+  const request = asn1.fromDer(query.toString('binary'));
+  const [, messageImprint, ...optional] = request.value;
+  const nonce = optional.find(n => n.type === asn1.Type.INTEGER);
+  const certReq = optional.find(n => n.type === asn1.Type.BOOLEAN);
+
+  const tstInfo = node(asn1.Type.SEQUENCE, [
+    integer(1),
+    oid(POLICY_OID),
+    messageImprint,
+    integer(serial++),
+    node(asn1.Type.GENERALIZEDTIME, generalizedTime(new Date())),
+    ...(nonce ? [nonce] : [])
+  ]);
+  const tstInfoDer = asn1.toDer(tstInfo).getBytes();
+
+  // ESSCertIDv2 with the default SHA-256 algorithm: just the certificate hash
+  const signingCertificate = node(asn1.Type.SEQUENCE, [
+    node(asn1.Type.SEQUENCE, [node(asn1.Type.SEQUENCE, [node(asn1.Type.OCTETSTRING, sha256(certDer))])])
+  ]);
+  const signedAttributes = [
+    attribute(forge.pki.oids.contentType, oid(TST_INFO_OID)),
+    attribute(forge.pki.oids.signingTime, node(asn1.Type.UTCTIME, asn1.dateToUtcTime(new Date()))),
+    attribute(forge.pki.oids.messageDigest, node(asn1.Type.OCTETSTRING, sha256(tstInfoDer))),
+    attribute(SIGNING_CERTIFICATE_V2_OID, signingCertificate)
+  ];
+  const signature = crypto.sign('sha256', Buffer.from(asn1.toDer(node(asn1.Type.SET, signedAttributes)).getBytes(), 'binary'), privateKey);
+
+  const signerInfo = node(asn1.Type.SEQUENCE, [
+    integer(1),
+    node(asn1.Type.SEQUENCE, [
+      forge.pki.distinguishedNameToAsn1(cert.issuer),
+      node(asn1.Type.INTEGER, forge.util.hexToBytes(cert.serialNumber))
+    ]),
+    sha256Algorithm(),
+    asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, signedAttributes),
+    node(asn1.Type.SEQUENCE, [oid(forge.pki.oids.rsaEncryption), node(asn1.Type.NULL, '')]),
+    node(asn1.Type.OCTETSTRING, signature.toString('binary'))
+  ]);
+
+  const signedData = node(asn1.Type.SEQUENCE, [
+    integer(3),
+    node(asn1.Type.SET, [sha256Algorithm()]),
+    node(asn1.Type.SEQUENCE, [
+      oid(TST_INFO_OID),
+      asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, [node(asn1.Type.OCTETSTRING, tstInfoDer)])
+    ]),
+    ...(certReq && certReq.value === '\xff' ? [asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, [certAsn1])] : []),
+    node(asn1.Type.SET, [signerInfo])
+  ]);
+
+  return node(asn1.Type.SEQUENCE, [
+    node(asn1.Type.SEQUENCE, [integer(0)]),
+    node(asn1.Type.SEQUENCE, [
+      oid(forge.pki.oids.signedData),
+      asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, [signedData])
+    ])
+  ]);
+}
+
+const server = http.createServer((req, res) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    if (req.method !== 'POST' || req.headers['content-type'] !== 'application/timestamp-query') {
+      res.writeHead(400).end('POST an application/timestamp-query');
+      return;
+    }
+    try {
+      const reply = Buffer.from(asn1.toDer(stamp(Buffer.concat(chunks))).getBytes(), 'binary');
+      console.log(`Timestamp ${reject ? 'rejected' : `#${serial - 1} issued`}`);
+      res.writeHead(200, { 'Content-Type': 'application/timestamp-reply' }).end(reply);
+    } catch (error) {
+      console.error('Bad timestamp query:', error.message);
+      res.writeHead(400).end('Malformed timestamp query');
+    }
+  });
+}).listen(port, () => {
+  console.log(`Mock TSA listening on http://localhost:${server.address().port}/ (certificate: ${certPath})`);
+});
@@ -0,0 +1,53 @@
+/**
+ * Local webhook receiver: checks the signature of every delivery and prints the event
+ *
+ * Usage: node scripts/webhook-receiver.js <secret> [port] [--fail N]
+ * Subscribe http://localhost:<port>/ (default 4000) with POST /webhooks, then pass the
+ * secret it returned. --fail N answers 500 to the first N deliveries to watch the retries
+ *
+ * NOT for production: it keeps nothing and trusts any timestamp within 5 minutes
+ */
+const http = require('http');
+const { verifyWebhookSignature } = require('../webhooks');
+
+const args = process.argv.slice(2);
+const failIndex = args.indexOf('--fail');
+let failuresLeft = failIndex >= 0 ? Number(args.splice(failIndex, 2)[1]) || 0 : 0;
+const [secret, port = 4000] = args;
+
+if (!secret) {
+  console.error('Usage: node scripts/webhook-receiver.js <secret> [port] [--fail N]');
+  process.exit(1);
+}
+
+http.createServer((req, res) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    const body = Buffer.concat(chunks).toString('utf8');
+    const valid = verifyWebhookSignature(secret, {
+      timestamp: req.headers['x-webhook-timestamp'],
+      body,
+      signature: req.headers['x-webhook-signature']
+    });
+    if (!valid) {
+      console.log(`Rejected ${req.headers['x-webhook-id']}: bad signature or stale timestamp`);
+      res.writeHead(401).end();
+      return;
+    }
+
+    if (failuresLeft > 0) {
+      failuresLeft -= 1;
+      console.log(`Failing ${req.headers['x-webhook-id']} on purpose (${failuresLeft} more to fail)`);
+      res.writeHead(500).end();
+      return;
+    }
+
+    const event = JSON.parse(body);
+    console.log(`${event.type} ${event.id}`);
+    console.log(JSON.stringify(event.data, null, 2));
+    res.writeHead(204).end();
+  });
+}).listen(port, () => {
+  console.log(`Webhook receiver listening on http://localhost:${port}/`);
+});
@@ -1,25 +1,71 @@
 const express = require('express');
 const cors = require('cors');
 const multer = require('multer');
-const { PDFDocument, rgb } = require('pdf-lib');
+const {
+  PDFDocument,
+  PDFName,
+  PDFString,
+  PDFTextField,
+  PDFCheckBox,
+  PDFRadioGroup,
+  PDFDropdown,
+  PDFOptionList,
+  PDFSignature,
+  TextAlignment,
+  LineCapStyle,
+  drawSvgPath,
+  pushGraphicsState,
+  popGraphicsState,
+  translate,
+  rotateDegrees,
+  rgb,
+  degrees,
+  EncryptedPDFError
+} = require('pdf-lib');
 const crypto = require('crypto');
+const JSZip = require('jszip');
 const mongoose = require('mongoose');
 const fs = require('fs').promises;
 const path = require('path');
+const {
+  loadSigningCredentials,
+  describeCertificate,
+  addSignaturePlaceholder,
+  signPdf,
+  verifyPdfSignatures
+} = require('./digitalSignature');
+const { TSA_URL, TSA_REQUIRED, requestTimestamp, verifyTimestampToken } = require('./timestamp');
+const { listFonts, createFontResolver, isStandardFont } = require('./fonts');
+const { hashPassword, verifyPassword, generateToken, hashToken, requestToken } = require('./auth');
+const { GENESIS_HASH, AUDIT_ACTIONS, hashAuditEvent, verifyAuditChain } = require('./audit');
+const { createStorage } = require('./storage');
+const {
+  MAX_BATCH_DOCUMENTS, collectBatchDocuments, parseValuesCsv, valuesKey, applyDocumentValues, outputName
+} = require('./batch');
+const { DEFAULT_DATE_FORMAT, DATE_FORMAT_PATTERN, formatDate, formatDateValue, resolveMergeFields, mergeDataFromCsv } = require('./merge');
+const { validationError, validateFields } = require('./validation');
+const { REQUEST_SCHEMAS, findRequestSchema, parseJsonData, parseRequestData } = require('./requestSchemas');
+const { httpError } = require('./errors');
+const {
+  WEBHOOK_TIMEOUT_MS, normalizeSubscription, postWebhook, signWebhookPayload, retryDelay
+} = require('./webhooks');
+
+// Largest file one upload field accepts; bigger uploads are answered with 413
+const MAX_UPLOAD_MB = Number(process.env.MAX_UPLOAD_MB) || 25;
 
 const app = express();
-const upload = multer({ storage: multer.memoryStorage() });
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_UPLOAD_MB * 1024 * 1024 } });
+
+// Original and signed PDFs, kept by hash (local filesystem or S3, see storage.js)
+const documentStorage = createStorage();
 
 // Middleware
 app.use(cors());
 app.use(express.json({ limit: '50mb' }));
 app.use(express.static('public'));
-
-// MongoDB Connection
-mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/signature_engine', {
-  useNewUrlParser: true,
-  useUnifiedTopology: true
-});
+// Requests carrying a session token or API key act as that user
+app.use(authenticate);
+app.use(recordApiUsage);
 
 // MongoDB Schema
 const SignatureSchema = new mongoose.Schema({
@@ -28,253 +74,3784 @@ const SignatureSchema = new mongoose.Schema({
   timestamp: { type: Date, default: Date.now },
   metadata: {
     originalFilename: String,
-    fieldsApplied: Number
-  }
+    fieldsApplied: Number,
+    signatureMode: { type: String, enum: ['stamp', 'digital'], default: 'stamp' }
+  },
+  // RFC 3161 token from the timestamp authority over signedHash, when TSA_URL is set;
+  // unlike `timestamp`, it doesn't depend on this server's clock
+  trustedTimestamp: {
+    token: Buffer,
+    genTime: Date,
+    serialNumber: String,
+    policy: String,
+    tsaUrl: String,
+    tsa: {
+      subject: String,
+      issuer: String,
+      serialNumber: String,
+      fingerprint: String
+    }
+  },
+  // Why there is no trustedTimestamp although TSA_URL is set: the TSA was down or refused
+  trustedTimestampError: String,
+  // Signer certificate, present when a cryptographic signature was embedded
+  certificate: {
+    subject: String,
+    issuer: String,
+    serialNumber: String,
+    fingerprint: String
+  },
+  // Hash of the delivered file when a certificate of completion was appended;
+  // signedHash stays the hash of the signed document without it
+  finalHash: String,
+  // Who signed, shown on the certificate of completion
+  signers: [{
+    _id: false,
+    name: String,
+    email: String,
+    ipAddress: String,
+    userAgent: String,
+    signedAt: Date,
+    signatures: [{ _id: false, imageData: String, vectorData: mongoose.Schema.Types.Mixed }]
+  }],
+  // Copies of the PDFs in document storage; the retention policy removes the files but keeps this row
+  storage: {
+    driver: String,
+    storedAt: Date,
+    purgedAt: Date
+  },
+  // Account and API key the signing request was made with, if any; the account's webhooks
+  // hear about the document
+  userId: mongoose.Schema.Types.ObjectId,
+  apiKeyId: { type: mongoose.Schema.Types.ObjectId, index: true }
 });
 
 const Signature = mongoose.model('Signature', SignatureSchema);
 
+// Requests made with each API key, counted per UTC day and route
+const ApiUsageSchema = new mongoose.Schema({
+  keyId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  userId: mongoose.Schema.Types.ObjectId,
+  // yyyy-mm-dd
+  day: { type: String, required: true },
+  // Method and route pattern, e.g. "POST /sign-pdf"
+  route: { type: String, required: true },
+  requests: { type: Number, default: 0 },
+  // Requests answered with a 4xx or 5xx status
+  failures: { type: Number, default: 0 },
+  // Signature records the requests produced; each carries the key as apiKeyId
+  documentsSigned: { type: Number, default: 0 },
+  lastUsedAt: Date
+});
+ApiUsageSchema.index({ keyId: 1, day: 1, route: 1 }, { unique: true });
+
+const ApiUsage = mongoose.model('ApiUsage', ApiUsageSchema);
+
+// Versions of a record's document that are stored, and the record field holding each one's hash
+const DOCUMENT_VERSIONS = {
+  original: 'originalHash',
+  signed: 'signedHash',
+  // Signed document with the certificate of completion appended
+  final: 'finalHash'
+};
+
+// Stored PDFs are deleted this many days after signing; unset or 0 keeps them forever
+const RETENTION_DAYS = Number(process.env.RETENTION_DAYS) || 0;
+
+// How often due webhook retries are looked for
+const WEBHOOK_POLL_MS = Number(process.env.WEBHOOK_POLL_MS) || 15 * 1000;
+// How long one attempt holds a delivery; a claim left by a process that stopped mid-send
+// lapses after this and the delivery becomes due again
+const WEBHOOK_CLAIM_MS = WEBHOOK_TIMEOUT_MS + 60 * 1000;
+
+// Styling of text, text area and date fields, shared by envelope and template fields
+const TEXT_STYLE_PATHS = {
+  fontFamily: String,
+  fontSize: Number,
+  color: String,
+  bold: Boolean,
+  italic: Boolean,
+  align: String,
+  // What a text area does when its text doesn't fit: 'shrink' | 'truncate' | 'error'
+  overflow: String,
+  // How date fields show their date, e.g. 'dd/mm/yyyy' or 'd mmmm yyyy'
+  dateFormat: String
+};
+
+// Validation rules of a field besides required, shared by envelope and template fields
+const VALIDATION_RULE_PATHS = {
+  maxLength: Number,
+  // Text: a named format ('email' | 'phone' | 'number' | 'integer') and/or a regular expression
+  // the whole value must match, with the message shown when it doesn't
+  format: String,
+  pattern: String,
+  patternMessage: String,
+  // Date: 'yyyy-mm-dd' or 'today'
+  minDate: String,
+  maxDate: String
+};
+
+// Multi-party signing: an envelope holds one PDF, its signers and the fields assigned to each
+const EnvelopeSignerSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  email: String,
+  // Position in a sequential routing order (ignored when routing is parallel)
+  order: { type: Number, default: 0 },
+  // Secret that makes up the signer's personal link
+  token: { type: String, required: true, index: true },
+  status: { type: String, enum: ['pending', 'completed'], default: 'pending' },
+  completedAt: Date,
+  ipAddress: String,
+  userAgent: String
+});
+
+const EnvelopeFieldSchema = new mongoose.Schema({
+  fieldId: { type: String, required: true },
+  type: { type: String, required: true },
+  pageIndex: { type: Number, default: 0 },
+  coordinates: {
+    x: Number,
+    y: Number,
+    width: Number,
+    height: Number
+  },
+  signerId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  label: String,
+  required: { type: Boolean, default: false },
+  // Set when the field is one of the PDF's own AcroForm fields
+  formFieldName: String,
+  formOption: String,
+  // Radio buttons sharing a groupName are mutually exclusive; optionValue is the exported value
+  groupName: String,
+  optionValue: String,
+  checkStyle: String,
+  ...TEXT_STYLE_PATHS,
+  ...VALIDATION_RULE_PATHS,
+  value: String,
+  imageData: String,
+  vectorData: mongoose.Schema.Types.Mixed,
+  checked: Boolean
+}, { _id: false });
+
+const EnvelopeSchema = new mongoose.Schema({
+  // Account that sent the envelope; only it can read the envelope and download the result
+  userId: { type: mongoose.Schema.Types.ObjectId, required: true, index: true },
+  title: String,
+  originalFilename: String,
+  pdfData: Buffer,
+  originalHash: String,
+  routingOrder: { type: String, enum: ['sequential', 'parallel'], default: 'sequential' },
+  status: { type: String, enum: ['in_progress', 'completed'], default: 'in_progress' },
+  signers: [EnvelopeSignerSchema],
+  fields: [EnvelopeFieldSchema],
+  // Produced once the last signer finishes
+  signedPdfData: Buffer,
+  signatureRecord: { type: mongoose.Schema.Types.ObjectId, ref: 'Signature' },
+  createdAt: { type: Date, default: Date.now },
+  completedAt: Date
+});
+
+const Envelope = mongoose.model('Envelope', EnvelopeSchema);
+
+// Reusable field layouts, remembered together with the PDF they were drawn on
+const TemplateFieldSchema = new mongoose.Schema({
+  type: { type: String, required: true },
+  pageIndex: { type: Number, default: 0 },
+  coordinates: {
+    x: Number,
+    y: Number,
+    width: Number,
+    height: Number
+  },
+  label: String,
+  required: { type: Boolean, default: false },
+  groupName: String,
+  optionValue: String,
+  checkStyle: String,
+  ...TEXT_STYLE_PATHS,
+  ...VALIDATION_RULE_PATHS
+}, { _id: false });
+
+const TemplateSchema = new mongoose.Schema({
+  // Account that saved the template; templates are private to it
+  userId: { type: mongoose.Schema.Types.ObjectId, required: true, index: true },
+  name: { type: String, required: true },
+  description: String,
+  fields: [TemplateFieldSchema],
+  // Identifies the source PDF so applying to a different document can be flagged
+  fingerprint: {
+    hash: String,
+    pageCount: Number,
+    pageSizes: [{ _id: false, width: Number, height: Number }]
+  },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+const Template = mongoose.model('Template', TemplateSchema);
+
+// A user's signature or initials, kept so they don't have to redraw it for every document
+const SavedSignatureSchema = new mongoose.Schema({
+  imageData: String,
+  vectorData: mongoose.Schema.Types.Mixed,
+  updatedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Local accounts; sessions and API keys are bearer tokens, stored only as hashes
+const UserSchema = new mongoose.Schema({
+  username: { type: String, required: true, unique: true },
+  passwordHash: { type: String, required: true },
+  sessions: [{
+    tokenHash: { type: String, index: true },
+    createdAt: { type: Date, default: Date.now }
+  }],
+  apiKeys: [{
+    name: String,
+    keyHash: { type: String, index: true },
+    // First characters of the key, so users can tell their keys apart
+    prefix: String,
+    createdAt: { type: Date, default: Date.now }
+  }],
+  signature: SavedSignatureSchema,
+  initials: SavedSignatureSchema,
+  createdAt: { type: Date, default: Date.now }
+});
+
+const User = mongoose.model('User', UserSchema);
+
+// Endpoints a user's systems listen on for events about their documents
+const WebhookSubscriptionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, required: true, index: true },
+  url: { type: String, required: true },
+  events: [String],
+  description: String,
+  // Key of the HMAC in X-Webhook-Signature; only shown when the subscription is created
+  secret: { type: String, required: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+const WebhookSubscription = mongoose.model('WebhookSubscription', WebhookSubscriptionSchema);
+
+// One event on its way to one subscription, with every attempt made to deliver it
+const WebhookDeliverySchema = new mongoose.Schema({
+  subscriptionId: { type: mongoose.Schema.Types.ObjectId, required: true, index: true },
+  eventId: String,
+  event: String,
+  // The JSON body exactly as sent, so retries carry the same bytes
+  payload: String,
+  // sending while an attempt holds it, until nextAttemptAt
+  status: { type: String, enum: ['pending', 'sending', 'delivered', 'failed'], default: 'pending' },
+  attempts: [{
+    _id: false,
+    at: Date,
+    statusCode: Number,
+    error: String,
+    durationMs: Number
+  }],
+  nextAttemptAt: Date,
+  deliveredAt: Date,
+  createdAt: { type: Date, default: Date.now }
+});
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', WebhookDeliverySchema);
+
+// Tamper-evident history of a document: who did what and when, each event hash-chained to
+// the one before it. A chain is keyed by the SHA-256 of the original PDF
+const AuditEventSchema = new mongoose.Schema({
+  documentHash: { type: String, required: true },
+  sequence: { type: Number, required: true },
+  action: { type: String, enum: AUDIT_ACTIONS, required: true },
+  // Username, envelope signer, or empty for anonymous requests
+  actor: String,
+  ipAddress: String,
+  userAgent: String,
+  details: mongoose.Schema.Types.Mixed,
+  timestamp: { type: Date, default: Date.now },
+  previousHash: { type: String, required: true },
+  hash: { type: String, required: true }
+});
+AuditEventSchema.index({ documentHash: 1, sequence: 1 }, { unique: true });
+
+const AuditEvent = mongoose.model('AuditEvent', AuditEventSchema);
+
+// Last event of each chain, so events deleted from the end of a chain are noticed as well
+const AuditHeadSchema = new mongoose.Schema({
+  documentHash: { type: String, required: true, unique: true },
+  sequence: Number,
+  hash: String
+});
+
+const AuditHead = mongoose.model('AuditHead', AuditHeadSchema);
+
+// Sessions from POST /sessions expire after this many days; API keys last until deleted
+const SESSION_TTL_DAYS = 30;
+
+// With API_KEY_REQUIRED=true the signing and verification API only serves requests carrying an
+// API key or a session token; by default it is open to anonymous use
+const API_KEY_REQUIRED = process.env.API_KEY_REQUIRED === 'true';
+
+// Error codes of responses whose error doesn't name a more specific one
+const ERROR_CODES = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  410: 'gone',
+  413: 'payload_too_large',
+  415: 'unsupported_media_type',
+  422: 'unprocessable',
+  500: 'internal_error',
+  502: 'bad_gateway'
+};
+
+// Utility: The properties of a field listed in a schema paths object, for copying between shapes
+function pickPaths(field, paths) {
+  const picked = {};
+  for (const key of Object.keys(paths)) {
+    if (field[key] !== undefined && field[key] !== null) picked[key] = field[key];
+  }
+  return picked;
+}
+
+// Utility: The text styling properties of a field
+function pickTextStyle(field) {
+  return pickPaths(field, TEXT_STYLE_PATHS);
+}
+
+// Utility: The validation rules of a field
+function pickValidationRules(field) {
+  return pickPaths(field, VALIDATION_RULE_PATHS);
+}
+
+// Utility: JSON body of an error response: the message, a stable code and, when the error
+// has them, details pointing at what failed ({ path, code, message }).
+// Only errors raised with a status carry their own code; Node's (ENOENT...) are not for clients
+function errorBody(error) {
+  const status = error.status || 500;
+  return {
+    error: error.message,
+    code: (error.status && error.code) || ERROR_CODES[status] || ERROR_CODES[Math.floor(status / 100) * 100],
+    ...(error.details && { details: error.details })
+  };
+}
+
 // Utility: Calculate SHA-256 hash
 function calculateHash(buffer) {
   return crypto.createHash('sha256').update(buffer).digest('hex');
 }
 
+/**
+ * Middleware: Attach the user a session token or API key belongs to as req.user
+ * Requests without a token stay anonymous; an unknown or expired token is rejected
+ */
+async function authenticate(req, res, next) {
+  const token = requestToken(req);
+  if (!token) return next();
+
+  try {
+    const tokenHash = hashToken(token);
+    const user = await User.findOne({
+      $or: [{ 'sessions.tokenHash': tokenHash }, { 'apiKeys.keyHash': tokenHash }]
+    });
+
+    const session = user && user.sessions.find(s => s.tokenHash === tokenHash);
+    const expired = session && Date.now() - session.createdAt > SESSION_TTL_DAYS * 24 * 60 * 60 * 1000;
+    if (!user || expired) {
+      return res.status(401).json(errorBody(httpError('Invalid or expired credentials', 401, 'invalid_credentials')));
+    }
+
+    req.user = user;
+    req.tokenHash = tokenHash;
+    // Set when the token is one of the user's API keys rather than a session
+    req.apiKey = user.apiKeys.find(key => key.keyHash === tokenHash);
+    next();
+  } catch (error) {
+    console.error('Error authenticating request:', error);
+    res.status(error.status || 500).json(errorBody(error));
+  }
+}
+
+// Middleware: Only let signed-in users through
+function requireUser(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json(errorBody(httpError('Sign in or provide an API key', 401, 'authentication_required')));
+  }
+  next();
+}
+
+// Middleware: Only serve the public API to callers with credentials, when API_KEY_REQUIRED is set
+function requireApiKey(req, res, next) {
+  if (API_KEY_REQUIRED && !req.user) {
+    return next(httpError('This API needs an API key: send it as X-API-Key or Authorization: Bearer', 401, 'api_key_required'));
+  }
+  next();
+}
+
+// Middleware: Count every request made with an API key towards its usage, once answered
+function recordApiUsage(req, res, next) {
+  if (!req.apiKey) return next();
+
+  res.on('finish', () => {
+    const now = new Date();
+    const route = req.route ? `${req.method} ${req.baseUrl}${req.route.path}` : `${req.method} (no route)`;
+    ApiUsage.findOneAndUpdate(
+      { keyId: req.apiKey._id, day: now.toISOString().slice(0, 10), route },
+      {
+        $inc: {
+          requests: 1,
+          failures: res.statusCode >= 400 ? 1 : 0,
+          documentsSigned: res.locals.documentsSigned || 0
+        },
+        $set: { userId: req.user._id, lastUsedAt: now }
+      },
+      { upsert: true }
+    ).catch(error => console.error('Error recording API usage:', error));
+  });
+  next();
+}
+
+// Middleware: Only let multipart uploads through, so other bodies get 415 instead of "No PDF uploaded"
+function requireMultipart(req, res, next) {
+  if (!req.is('multipart/form-data')) {
+    return next(httpError('Send the PDF and its "data" part as multipart/form-data', 415, 'unsupported_media_type'));
+  }
+  next();
+}
+
+// Utility: 400 for an upload missing one of its file parts
+function missingFileError(part, message) {
+  return httpError(message, 400, 'missing_file', [{ path: part, code: 'required', message: 'is required' }]);
+}
+
+/**
+ * Read the geometry a PDF viewer actually displays for a page:
+ * the CropBox (which may not start at 0,0) and the /Rotate angle
+ *
+ * @param {PDFPage} page - pdf-lib page
+ * @returns {Object} - { x, y, width, height, rotation } in unrotated PDF points
+ */
+function getPageGeometry(page) {
+  const { x, y, width, height } = page.getCropBox();
+  const rotation = ((page.getRotation().angle % 360) + 360) % 360;
+
+  return { x, y, width, height, rotation };
+}
+
 /**
  * CORE COORDINATE TRANSFORMATION FUNCTION
  * This is the mathematical heart of the engine
  * 
  * Converts percentage-based coordinates from frontend to PDF points
  * 
+ * Percentages are relative to the page as the viewer displays it, i.e. after
+ * cropping and rotation. The returned x/y is the point in PDF user space where
+ * the box's visual bottom-left corner lands, and width/height are measured along
+ * the visual axes. Drawing content at (x, y) with `rotate: degrees(rotation)`
+ * therefore renders it upright inside the box.
+ * 
  * @param {Object} percentCoords - { x: %, y: %, width: %, height: % }
- * @param {Object} pdfPageDimensions - { width: points, height: points }
- * @returns {Object} - PDF coordinates in points with bottom-left origin
+ * @param {Object} pdfPageDimensions - { width, height, x?, y?, rotation? } (see getPageGeometry)
+ * @returns {Object} - { x, y, width, height, rotation } in PDF points with bottom-left origin
  */
 function transformCoordinatesToPDF(percentCoords, pdfPageDimensions) {
   const { x: xPercent, y: yPercent, width: widthPercent, height: heightPercent } = percentCoords;
-  const { width: pageWidth, height: pageHeight } = pdfPageDimensions;
+  const {
+    width: pageWidth,
+    height: pageHeight,
+    x: originX = 0,
+    y: originY = 0,
+    rotation = 0
+  } = pdfPageDimensions;
 
-  // Step 1: Convert percentage to points (based on PDF dimensions)
-  const xPoints = (xPercent / 100) * pageWidth;
-  const yPointsFromTop = (yPercent / 100) * pageHeight;
-  const widthPoints = (widthPercent / 100) * pageWidth;
-  const heightPoints = (heightPercent / 100) * pageHeight;
+  // A quarter turn swaps the displayed width and height
+  const quarterTurn = rotation === 90 || rotation === 270;
+  const viewWidth = quarterTurn ? pageHeight : pageWidth;
+  const viewHeight = quarterTurn ? pageWidth : pageHeight;
+
+  // Step 1: Convert percentage to points (based on displayed dimensions)
+  const xPoints = (xPercent / 100) * viewWidth;
+  const yPointsFromTop = (yPercent / 100) * viewHeight;
+  const widthPoints = (widthPercent / 100) * viewWidth;
+  const heightPoints = (heightPercent / 100) * viewHeight;
 
   // Step 2: Transform Y-coordinate from top-left to bottom-left origin
   // Browser uses top-left as (0,0), PDF uses bottom-left as (0,0)
-  const yPointsFromBottom = pageHeight - yPointsFromTop - heightPoints;
+  const yPointsFromBottom = viewHeight - yPointsFromTop - heightPoints;
+
+  // Step 3: Undo the page rotation and shift by the CropBox origin
+  let x, y;
+  switch (rotation) {
+    case 90:
+      x = originX + pageWidth - yPointsFromBottom;
+      y = originY + xPoints;
+      break;
+    case 180:
+      x = originX + pageWidth - xPoints;
+      y = originY + pageHeight - yPointsFromBottom;
+      break;
+    case 270:
+      x = originX + yPointsFromBottom;
+      y = originY + pageHeight - xPoints;
+      break;
+    default:
+      x = originX + xPoints;
+      y = originY + yPointsFromBottom;
+  }
 
   return {
-    x: xPoints,
-    y: yPointsFromBottom,
+    x,
+    y,
     width: widthPoints,
-    height: heightPoints
+    height: heightPoints,
+    rotation
   };
 }
 
 /**
- * Maintain aspect ratio when embedding images
- * Ensures image fits within box without distortion
- * 
- * @param {Number} boxWidth - Available width in points
- * @param {Number} boxHeight - Available height in points
- * @param {Number} imgWidth - Original image width
- * @param {Number} imgHeight - Original image height
- * @returns {Object} - { width, height, offsetX, offsetY } for centering
+ * Locate a point inside a transformed box
+ * Offsets are along the box's visual axes, so they are rotated into PDF user space
+ *
+ * @param {Object} pdfCoords - Result of transformCoordinatesToPDF
+ * @param {Number} offsetX - Points to the right of the box's visual left edge
+ * @param {Number} offsetY - Points above the box's visual bottom edge
+ * @returns {Object} - { x, y } in PDF user space
  */
-function calculateAspectRatioFit(boxWidth, boxHeight, imgWidth, imgHeight) {
-  const boxRatio = boxWidth / boxHeight;
-  const imgRatio = imgWidth / imgHeight;
+function offsetWithinBox(pdfCoords, offsetX, offsetY) {
+  switch (pdfCoords.rotation) {
+    case 90:
+      return { x: pdfCoords.x - offsetY, y: pdfCoords.y + offsetX };
+    case 180:
+      return { x: pdfCoords.x - offsetX, y: pdfCoords.y - offsetY };
+    case 270:
+      return { x: pdfCoords.x + offsetY, y: pdfCoords.y - offsetX };
+    default:
+      return { x: pdfCoords.x + offsetX, y: pdfCoords.y + offsetY };
+  }
+}
 
-  let finalWidth, finalHeight, offsetX = 0, offsetY = 0;
+/**
+ * Bounding rectangle of a transformed box in PDF user space
+ *
+ * @param {Object} pdfCoords - Result of transformCoordinatesToPDF
+ * @returns {Array} - [x1, y1, x2, y2] as used by annotation /Rect entries
+ */
+function boxToRect(pdfCoords) {
+  const corner = offsetWithinBox(pdfCoords, 0, 0);
+  const opposite = offsetWithinBox(pdfCoords, pdfCoords.width, pdfCoords.height);
 
-  if (imgRatio > boxRatio) {
-    // Image is wider - fit to width
-    finalWidth = boxWidth;
-    finalHeight = boxWidth / imgRatio;
-    offsetY = (boxHeight - finalHeight) / 2;
-  } else {
-    // Image is taller - fit to height
-    finalHeight = boxHeight;
-    finalWidth = boxHeight * imgRatio;
-    offsetX = (boxWidth - finalWidth) / 2;
-  }
+  return [
+    Math.min(corner.x, opposite.x),
+    Math.min(corner.y, opposite.y),
+    Math.max(corner.x, opposite.x),
+    Math.max(corner.y, opposite.y)
+  ];
+}
 
-  return { width: finalWidth, height: finalHeight, offsetX, offsetY };
+/**
+ * Inverse of transformCoordinatesToPDF
+ * Locates a rectangle in PDF user space (e.g. a widget's /Rect) as percentages of the displayed page
+ *
+ * @param {Object} rect - { x, y, width, height } in PDF points
+ * @param {Object} pdfPageDimensions - { width, height, x?, y?, rotation? } (see getPageGeometry)
+ * @returns {Object} - { x: %, y: %, width: %, height: % } with top-left origin
+ */
+function transformPDFToCoordinates(rect, pdfPageDimensions) {
+  const {
+    width: pageWidth,
+    height: pageHeight,
+    x: originX = 0,
+    y: originY = 0,
+    rotation = 0
+  } = pdfPageDimensions;
+
+  const quarterTurn = rotation === 90 || rotation === 270;
+  const viewWidth = quarterTurn ? pageHeight : pageWidth;
+  const viewHeight = quarterTurn ? pageWidth : pageHeight;
+
+  // User space point -> displayed point measured from the top-left corner
+  const toView = (ux, uy) => {
+    const px = ux - originX;
+    const py = uy - originY;
+    switch (rotation) {
+      case 90: return { x: py, y: px };
+      case 180: return { x: pageWidth - px, y: py };
+      case 270: return { x: pageHeight - py, y: pageWidth - px };
+      default: return { x: px, y: pageHeight - py };
+    }
+  };
+
+  const corners = [
+    toView(rect.x, rect.y),
+    toView(rect.x + rect.width, rect.y + rect.height)
+  ];
+  const left = Math.min(corners[0].x, corners[1].x);
+  const top = Math.min(corners[0].y, corners[1].y);
+
+  return {
+    x: (left / viewWidth) * 100,
+    y: (top / viewHeight) * 100,
+    width: (Math.abs(corners[0].x - corners[1].x) / viewWidth) * 100,
+    height: (Math.abs(corners[0].y - corners[1].y) / viewHeight) * 100
+  };
 }
 
-// API Endpoint: Sign PDF
-app.post('/sign-pdf', upload.single('pdf'), async (req, res) => {
+// Utility: Whether a file starts like a PDF; viewers allow junk before the header, up to 1 KB
+function isPdf(buffer) {
+  return buffer.subarray(0, 1024).includes('%PDF-');
+}
+
+/**
+ * Load an uploaded PDF, turning files pdf-lib can't work with into client errors
+ *
+ * @param {Buffer} pdfBuffer
+ * @returns {Promise<PDFDocument>}
+ * @throws {Error} - 415 unsupported_file_type, 422 encrypted_pdf or 422 unreadable_pdf
+ */
+async function loadUploadedPdf(pdfBuffer) {
+  if (!isPdf(pdfBuffer)) {
+    throw httpError('The uploaded file is not a PDF', 415, 'unsupported_file_type');
+  }
   try {
-    const { fields, pdfDimensions } = JSON.parse(req.body.data);
-    const pdfBuffer = req.file.buffer;
+    const pdfDoc = await PDFDocument.load(pdfBuffer);
+    // pdf-lib parses lazily; a file without a usable page tree only fails here
+    pdfDoc.getPages();
+    return pdfDoc;
+  } catch (error) {
+    if (error instanceof EncryptedPDFError) {
+      throw httpError('The PDF is encrypted; remove its password protection and upload it again', 422, 'encrypted_pdf');
+    }
+    throw httpError(`The PDF could not be read: ${error.message}`, 422, 'unreadable_pdf');
+  }
+}
 
-    // Calculate hash of original PDF
-    const originalHash = calculateHash(pdfBuffer);
-    console.log('Original PDF Hash:', originalHash);
+/**
+ * Reject the first field that points past the end of the document
+ *
+ * @param {Array} fields - Editor fields with pageIndex
+ * @param {Number} pageCount
+ * @throws {Error} - 422 page_out_of_range
+ */
+function assertFieldsOnPages(fields, pageCount) {
+  const invalidIndex = fields.findIndex(f => (f.pageIndex || 0) >= pageCount);
+  if (invalidIndex === -1) return;
 
-    // Load PDF
-    const pdfDoc = await PDFDocument.load(pdfBuffer);
-    const pages = pdfDoc.getPages();
-    const firstPage = pages[0];
-    
-    // Get actual PDF page dimensions
-    const { width: pageWidth, height: pageHeight } = firstPage.getSize();
-    console.log('PDF Page Dimensions:', { pageWidth, pageHeight });
-
-    // Process each field
-    for (const field of fields) {
-      // Transform coordinates from percentage to PDF points
-      const pdfCoords = transformCoordinatesToPDF(
-        field.coordinates,
-        { width: pageWidth, height: pageHeight }
-      );
+  const invalidField = fields[invalidIndex];
+  throw httpError(
+    `Field ${invalidField.id} targets page ${(invalidField.pageIndex || 0) + 1}, but the document has ${pageCount} page(s)`,
+    422,
+    'page_out_of_range',
+    [{
+      path: `data.fields[${invalidIndex}].pageIndex`,
+      fieldId: String(invalidField.id),
+      code: 'page_out_of_range',
+      message: `must be less than ${pageCount}`
+    }]
+  );
+}
 
-      console.log(`Field ${field.type}:`, {
-        input: field.coordinates,
-        output: pdfCoords
-      });
+/**
+ * Describe a PDF well enough to tell whether a field layout still fits it
+ * Page sizes are as displayed (after CropBox and /Rotate), matching field percentages
+ *
+ * @param {Buffer} pdfBuffer
+ * @returns {Object} - { hash, pageCount, pageSizes: [{ width, height }] }
+ */
+async function fingerprintPdf(pdfBuffer) {
+  const pdfDoc = await loadUploadedPdf(pdfBuffer);
+  const pageSizes = pdfDoc.getPages().map(page => {
+    const { width, height, rotation } = getPageGeometry(page);
+    const quarterTurn = rotation === 90 || rotation === 270;
+    return quarterTurn ? { width: height, height: width } : { width, height };
+  });
 
-      // Handle different field types
-      switch (field.type) {
-        case 'signature':
-        case 'image':
-          if (field.imageData) {
-            // Decode base64 image
-            const imageBytes = Buffer.from(field.imageData.split(',')[1], 'base64');
-            
-            // Embed image (supports PNG and JPEG)
-            let embeddedImage;
-            try {
-              if (field.imageData.includes('image/png')) {
-                embeddedImage = await pdfDoc.embedPng(imageBytes);
-              } else {
-                embeddedImage = await pdfDoc.embedJpg(imageBytes);
-              }
-            } catch (err) {
-              console.error('Image embed error:', err);
-              continue;
-            }
+  return {
+    hash: calculateHash(pdfBuffer),
+    pageCount: pageSizes.length,
+    pageSizes
+  };
+}
 
-            // Calculate aspect ratio fit
-            const imgDims = embeddedImage.scale(1);
-            const fitted = calculateAspectRatioFit(
-              pdfCoords.width,
-              pdfCoords.height,
-              imgDims.width,
-              imgDims.height
-            );
-
-            // Draw image centered in box
-            firstPage.drawImage(embeddedImage, {
-              x: pdfCoords.x + fitted.offsetX,
-              y: pdfCoords.y + fitted.offsetY,
-              width: fitted.width,
-              height: fitted.height
-            });
-          }
-          break;
+// Editor field type used to present each kind of AcroForm field
+function formFieldType(formField) {
+  if (formField instanceof PDFSignature) return 'signature';
+  if (formField instanceof PDFCheckBox) return 'checkbox';
+  if (formField instanceof PDFRadioGroup) return 'radio';
+  if (formField instanceof PDFTextField && formField.isMultiline()) return 'textarea';
+  return 'text';
+}
 
-        case 'text':
-          if (field.value) {
-            firstPage.drawText(field.value, {
-              x: pdfCoords.x + 5,
-              y: pdfCoords.y + pdfCoords.height / 2,
-              size: Math.min(pdfCoords.height * 0.6, 12),
-              color: rgb(0, 0, 0)
-            });
-          }
-          break;
+/**
+ * List the interactive form fields already present in a PDF
+ * Every widget becomes one pre-placed editor field; radio groups yield one per option
+ *
+ * @param {PDFDocument} pdfDoc
+ * @returns {Array} - [{ formFieldName, formFieldType, type, pageIndex, coordinates, ... }]
+ */
+function detectFormFields(pdfDoc) {
+  const pages = pdfDoc.getPages();
+  const detected = [];
 
-        case 'date':
-          const dateValue = field.value || new Date().toLocaleDateString();
-          firstPage.drawText(dateValue, {
-            x: pdfCoords.x + 5,
-            y: pdfCoords.y + pdfCoords.height / 2,
-            size: Math.min(pdfCoords.height * 0.6, 12),
-            color: rgb(0, 0, 0)
-          });
-          break;
+  for (const formField of pdfDoc.getForm().getFields()) {
+    const widgets = formField.acroField.getWidgets();
+    const radioOptions = formField instanceof PDFRadioGroup ? formField.getOptions() : [];
+    const selectedOption = formField instanceof PDFRadioGroup ? formField.getSelected() : undefined;
 
-        case 'radio':
-          // Draw circle for radio button
-          if (field.checked) {
-            const centerX = pdfCoords.x + pdfCoords.width / 2;
-            const centerY = pdfCoords.y + pdfCoords.height / 2;
-            const radius = Math.min(pdfCoords.width, pdfCoords.height) / 3;
-
-            // Draw filled circle
-            firstPage.drawCircle({
-              x: centerX,
-              y: centerY,
-              size: radius,
-              color: rgb(0, 0, 0)
-            });
-          }
-          break;
-      }
-    }
+    widgets.forEach((widget, widgetIndex) => {
+      // Prefer the widget's /P entry, fall back to searching page annotations
+      const widgetRef = pdfDoc.context.getObjectRef(widget.dict);
+      const pageRef = widget.P() || (widgetRef && pdfDoc.findPageForAnnotationRef(widgetRef)?.ref);
+      const pageIndex = pages.findIndex(page => page.ref === pageRef);
+      if (pageIndex === -1) return;
 
-    // Save modified PDF
-    const signedPdfBytes = await pdfDoc.save();
-    const signedHash = calculateHash(Buffer.from(signedPdfBytes));
-    console.log('Signed PDF Hash:', signedHash);
+      const entry = {
+        formFieldName: formField.getName(),
+        formFieldType: formField.constructor.name.replace(/^PDF/, ''),
+        type: formFieldType(formField),
+        pageIndex,
+        coordinates: transformPDFToCoordinates(widget.getRectangle(), getPageGeometry(pages[pageIndex])),
+        required: formField.isRequired(),
+        readOnly: formField.isReadOnly()
+      };
 
-    // Store audit trail in MongoDB
-    const auditRecord = new Signature({
-      originalHash,
-      signedHash,
-      metadata: {
-        originalFilename: req.file.originalname,
-        fieldsApplied: fields.length
+      if (formField instanceof PDFTextField) {
+        entry.value = formField.getText() || '';
+      } else if (formField instanceof PDFCheckBox) {
+        entry.checked = formField.isChecked();
+      } else if (formField instanceof PDFRadioGroup) {
+        entry.formOption = radioOptions[widgetIndex];
+        entry.checked = selectedOption !== undefined && selectedOption === entry.formOption;
+      } else if (formField instanceof PDFDropdown || formField instanceof PDFOptionList) {
+        entry.options = formField.getOptions();
+        entry.value = formField.getSelected()[0] || '';
       }
-    });
-    await auditRecord.save();
 
-    // Return signed PDF
-    res.set({
-      'Content-Type': 'application/pdf',
-      'Content-Disposition': 'attachment; filename=signed-document.pdf',
-      'X-Original-Hash': originalHash,
-      'X-Signed-Hash': signedHash
+      detected.push(entry);
     });
-    res.send(Buffer.from(signedPdfBytes));
+  }
 
-  } catch (error) {
-    console.error('Error processing PDF:', error);
-    res.status(500).json({ error: error.message });
+  return detected;
+}
+
+/**
+ * Fill an existing AcroForm field by name from an editor field
+ *
+ * @param {PDFForm} form
+ * @param {Object} field - Editor field with formFieldName (and formOption for radio groups)
+ * @param {PDFFont} [font] - Redraws text fields in this font instead of the form's own
+ */
+function fillFormField(form, field, font) {
+  const formField = form.getFieldMaybe(field.formFieldName);
+  if (!formField) {
+    throw httpError(`Form field "${field.formFieldName}" does not exist in this PDF`, 422, 'unknown_form_field');
   }
-});
 
-// API Endpoint: Verify hash
-app.post('/verify-hash', async (req, res) => {
-  try {
-    const { hash } = req.body;
-    const record = await Signature.findOne({
-      $or: [{ originalHash: hash }, { signedHash: hash }]
-    });
+  if (formField instanceof PDFTextField) {
+    formField.setText(field.value || undefined);
+    if (font) formField.updateAppearances(font);
+  } else if (formField instanceof PDFCheckBox) {
+    if (field.checked) formField.check();
+    else formField.uncheck();
+  } else if (formField instanceof PDFRadioGroup) {
+    // Every option arrives as its own field; only the checked one selects
+    if (field.checked) formField.select(field.formOption);
+  } else if (formField instanceof PDFDropdown || formField instanceof PDFOptionList) {
+    if (field.value) formField.select(field.value);
+    if (font) formField.updateAppearances(font);
+  }
+}
 
-    if (record) {
-      res.json({
-        found: true,
-        originalHash: record.originalHash,
-        signedHash: record.signedHash,
-        timestamp: record.timestamp,
-        metadata: record.metadata
-      });
-    } else {
-      res.json({ found: false });
+// Glyphs a checkbox can be marked with: strokes in unit-square coordinates for stamping,
+// and the ZapfDingbats caption viewers use when they rebuild an interactive checkbox
+const CHECKBOX_GLYPHS = {
+  check: { caption: '4', weight: 8, strokes: [[[0.2, 0.5], [0.4, 0.25]], [[0.4, 0.25], [0.8, 0.75]]] },
+  tick: { caption: '3', weight: 14, strokes: [[[0.25, 0.45], [0.4, 0.2]], [[0.4, 0.2], [0.75, 0.85]]] },
+  cross: { caption: '8', weight: 8, strokes: [[[0.2, 0.2], [0.8, 0.8]], [[0.2, 0.8], [0.8, 0.2]]] }
+};
+
+/**
+ * Reject radio groups with more than one selection and checkboxes with unknown glyphs
+ * Editor radios are grouped by groupName, the PDF's own radios by formFieldName;
+ * a radio without either is a group of one
+ *
+ * @param {Array} fields - Editor fields
+ */
+function validateChoiceFields(fields) {
+  const groups = new Map();
+
+  for (const field of fields) {
+    if (field.type === 'checkbox' && field.checkStyle && !CHECKBOX_GLYPHS[field.checkStyle]) {
+      throw httpError(`Field ${field.id} has unknown check style "${field.checkStyle}"`, 400, 'invalid_style');
     }
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+    if (field.type !== 'radio') continue;
+
+    const groupName = field.formFieldName || field.groupName;
+    if (!groupName) continue;
+    if (!groups.has(groupName)) groups.set(groupName, []);
+    groups.get(groupName).push(field);
   }
-});
 
-// Health check
-app.get('/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
-});
+  for (const [groupName, members] of groups) {
+    const selected = members.filter(f => f.checked);
+    if (selected.length > 1) {
+      throw httpError(`Radio group "${groupName}" has ${selected.length} selected options; at most one is allowed`, 422, 'invalid_choice');
+    }
+
+    const optionValues = members.map(f => f.formOption || f.optionValue).filter(Boolean);
+    const duplicate = optionValues.find((value, index) => optionValues.indexOf(value) !== index);
+    if (duplicate) {
+      throw httpError(`Radio group "${groupName}" has more than one option named "${duplicate}"`, 422, 'invalid_choice');
+    }
+  }
+}
+
+// A form field name that isn't taken yet; dots would nest the field under a parent
+function uniqueFieldName(form, base) {
+  const cleaned = String(base).replace(/\./g, '_');
+  let name = cleaned;
+  for (let n = 2; form.getFieldMaybe(name); n++) {
+    name = `${cleaned}_${n}`;
+  }
+  return name;
+}
+
+// Text is shrunk down to this size before it is allowed to overflow its box
+const MIN_FONT_SIZE = 4;
+
+// Inset of text inside its box
+const TEXT_PADDING = 5;
+
+// Distance between text area baselines, relative to the font size
+const LINE_HEIGHT = 1.2;
+
+// Text area font size when none is given; it shrinks from here to fit
+const TEXT_AREA_FONT_SIZE = 12;
+
+const ELLIPSIS = '\u2026';
+
+/**
+ * Text styling of a text or date field, validated and with defaults applied
+ *
+ * @param {Object} field - Editor field with optional fontFamily, fontSize, color, bold, italic, align, overflow, dateFormat
+ * @returns {Object} - { fontFamily, bold, italic, fontSize, color, align, overflow }; fontSize null means automatic
+ */
+function textStyleOf(field) {
+  const { fontFamily, bold, italic, fontSize, color = '#000000', align = 'left', overflow = 'shrink' } = field;
+
+  if (!['left', 'center', 'right'].includes(align)) {
+    throw httpError(`Field ${field.id} has unknown alignment "${align}"`, 400, 'invalid_style');
+  }
+  if (!['shrink', 'truncate', 'error'].includes(overflow)) {
+    throw httpError(`Field ${field.id} has unknown overflow "${overflow}"`, 400, 'invalid_style');
+  }
+  const hasFontSize = fontSize !== undefined && fontSize !== null && fontSize !== '';
+  if (hasFontSize && !(Number(fontSize) > 0)) {
+    throw httpError(`Field ${field.id} has invalid font size "${fontSize}"`, 400, 'invalid_style');
+  }
+  const hex = /^#([0-9a-f]{6})$/i.exec(color);
+  if (!hex) {
+    throw httpError(`Field ${field.id} has invalid color "${color}"; use #rrggbb`, 400, 'invalid_style');
+  }
+  if (field.dateFormat && !DATE_FORMAT_PATTERN.test(field.dateFormat)) {
+    throw httpError(`Field ${field.id} has invalid date format "${field.dateFormat}"; use d, m, y and / . - , or spaces`, 400, 'invalid_style');
+  }
+
+  const value = parseInt(hex[1], 16);
+  return {
+    fontFamily,
+    bold: Boolean(bold),
+    italic: Boolean(italic),
+    fontSize: hasFontSize ? Number(fontSize) : null,
+    color: rgb((value >> 16) / 255, ((value >> 8) & 0xff) / 255, (value & 0xff) / 255),
+    align,
+    overflow
+  };
+}
+
+/**
+ * Break text into lines no wider than maxWidth
+ * Explicit line breaks are kept; a word longer than a whole line is split between characters
+ *
+ * @param {String} text
+ * @param {PDFFont} font
+ * @param {Number} size
+ * @param {Number} maxWidth
+ * @returns {Array} - Lines of text
+ */
+function wrapText(text, font, size, maxWidth) {
+  const fits = candidate => font.widthOfTextAtSize(candidate, size) <= maxWidth;
+  const lines = [];
+
+  for (const paragraph of text.split(/\r\n|\r|\n/)) {
+    let line = '';
+    for (const word of paragraph.split(/[ \t]+/)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (fits(candidate)) {
+        line = candidate;
+        continue;
+      }
+
+      if (line) lines.push(line);
+      line = '';
+      for (const char of word) {
+        if (line && !fits(line + char)) {
+          lines.push(line);
+          line = '';
+        }
+        line += char;
+      }
+    }
+    lines.push(line);
+  }
+
+  return lines;
+}
+
+/**
+ * Wrap a text area's text and apply its overflow rule
+ * 'shrink' lowers the font size until the lines fit (truncating at MIN_FONT_SIZE),
+ * 'truncate' keeps the size and ends the last visible line with an ellipsis,
+ * 'error' keeps every line and only reports the overflow
+ *
+ * @param {String} text
+ * @param {PDFFont} font
+ * @param {Object} style - Result of textStyleOf
+ * @param {Number} width - Box width in points
+ * @param {Number} height - Box height in points
+ * @returns {Object} - { lines, fontSize, lineHeight, overflowed }
+ */
+function layoutTextArea(text, font, style, width, height) {
+  const maxWidth = width - TEXT_PADDING * 2;
+  const maxHeight = height - TEXT_PADDING * 2;
+  const linesThatFit = size => Math.max(Math.floor(maxHeight / (size * LINE_HEIGHT)), 1);
+
+  let size = style.fontSize || TEXT_AREA_FONT_SIZE;
+  let lines = wrapText(text, font, size, maxWidth);
+
+  if (style.overflow === 'shrink') {
+    while (lines.length > linesThatFit(size) && size > MIN_FONT_SIZE) {
+      size = Math.max(size - 0.5, MIN_FONT_SIZE);
+      lines = wrapText(text, font, size, maxWidth);
+    }
+  }
+
+  const overflowed = lines.length > linesThatFit(size);
+  if (overflowed && style.overflow !== 'error') {
+    lines = lines.slice(0, linesThatFit(size));
+    let last = lines[lines.length - 1];
+    while (last && font.widthOfTextAtSize(last + ELLIPSIS, size) > maxWidth) {
+      last = last.slice(0, -1);
+    }
+    lines[lines.length - 1] = last.trimEnd() + ELLIPSIS;
+  }
+
+  return { lines, fontSize: size, lineHeight: size * LINE_HEIGHT, overflowed };
+}
+
+/**
+ * Draw a text area's wrapped lines from the top of its box
+ *
+ * @param {PDFPage} page
+ * @param {Object} pdfCoords - Result of transformCoordinatesToPDF
+ * @param {Object} field - Editor field, for error messages
+ * @param {PDFFont} font
+ * @param {Object} style - Result of textStyleOf
+ */
+function drawTextArea(page, pdfCoords, field, font, style) {
+  const layout = layoutTextArea(field.value, font, style, pdfCoords.width, pdfCoords.height);
+  if (layout.overflowed && style.overflow === 'error') {
+    throw httpError(`Text of field ${field.label || field.id} does not fit its box`, 422, 'text_overflow');
+  }
+
+  const firstBaseline = pdfCoords.height - TEXT_PADDING - font.heightAtSize(layout.fontSize, { descender: false });
+  layout.lines.forEach((line, index) => {
+    drawTextLine(page, pdfCoords, line, font, layout.fontSize, style, firstBaseline - index * layout.lineHeight);
+  });
+}
+
+/**
+ * Draw a line of text at a baseline height within a field box, aligned horizontally
+ *
+ * @param {PDFPage} page
+ * @param {Object} pdfCoords - Result of transformCoordinatesToPDF
+ * @param {String} text
+ * @param {PDFFont} font
+ * @param {Number} size
+ * @param {Object} style - Result of textStyleOf
+ * @param {Number} offsetY - Baseline height above the bottom of the box
+ */
+function drawTextLine(page, pdfCoords, text, font, size, style, offsetY) {
+  const textWidth = font.widthOfTextAtSize(text, size);
+  const offsetX = {
+    left: TEXT_PADDING,
+    center: (pdfCoords.width - textWidth) / 2,
+    right: pdfCoords.width - TEXT_PADDING - textWidth
+  }[style.align];
+
+  page.drawText(text, {
+    ...offsetWithinBox(pdfCoords, offsetX, offsetY),
+    font,
+    size,
+    color: style.color,
+    rotate: degrees(pdfCoords.rotation)
+  });
+}
+
+/**
+ * Draw one line of styled text inside a field box
+ * The font shrinks (down to MIN_FONT_SIZE) until the line fits the box
+ *
+ * @param {PDFPage} page
+ * @param {Object} pdfCoords - Result of transformCoordinatesToPDF
+ * @param {String} text
+ * @param {PDFFont} font
+ * @param {Object} style - Result of textStyleOf
+ */
+function drawFieldText(page, pdfCoords, text, font, style) {
+  const maxWidth = pdfCoords.width - TEXT_PADDING * 2;
+  const widthAtOnePoint = font.widthOfTextAtSize(text, 1);
+
+  let size = style.fontSize || Math.min(pdfCoords.height * 0.6, 12);
+  size = Math.min(size, pdfCoords.height / font.heightAtSize(1));
+  if (widthAtOnePoint * size > maxWidth) {
+    size = maxWidth / widthAtOnePoint;
+  }
+  size = Math.max(size, MIN_FONT_SIZE);
+
+  // Baseline placed so the glyphs above it are vertically centered
+  const offsetY = (pdfCoords.height - font.heightAtSize(size, { descender: false })) / 2;
+  drawTextLine(page, pdfCoords, text, font, size, style, offsetY);
+}
+
+/**
+ * Create a fillable text field carrying the editor field's font, size, color and alignment
+ *
+ * @param {PDFForm} form
+ * @param {PDFPage} page
+ * @param {String} name
+ * @param {Object} field - Editor field
+ * @param {Object} placement - Widget position for addToPage
+ * @param {PDFFont} font
+ * @param {Object} style - Result of textStyleOf
+ * @returns {PDFTextField}
+ */
+function createStyledTextField(form, page, name, field, placement, font, style) {
+  const textField = form.createTextField(name);
+  if (field.value) textField.setText(field.value);
+  textField.addToPage(page, { ...placement, font, textColor: style.color });
+
+  // Without a size the viewer auto-fits the text, like the stamped version
+  if (style.fontSize) textField.setFontSize(style.fontSize);
+  textField.setAlignment({ left: TextAlignment.Left, center: TextAlignment.Center, right: TextAlignment.Right }[style.align]);
+  textField.updateAppearances(font);
+  return textField;
+}
+
+/**
+ * Emit an editor field as a real, fillable AcroForm field instead of drawing it
+ *
+ * @param {PDFDocument} pdfDoc
+ * @param {PDFForm} form
+ * @param {PDFPage} page
+ * @param {Object} field - Editor field
+ * @param {Object} pdfCoords - Result of transformCoordinatesToPDF
+ * @param {PDFFont} [font] - Font of text and date fields
+ * @param {Object} [textStyle] - Result of textStyleOf for text and date fields
+ * @returns {Boolean} - false for fields that are still stamped (images, initials, drawn signatures)
+ */
+function createInteractiveField(pdfDoc, form, page, field, pdfCoords, font, textStyle) {
+  // pdf-lib rotates widgets about (x, y) the same way it rotates drawn content
+  const placement = {
+    x: pdfCoords.x,
+    y: pdfCoords.y,
+    width: pdfCoords.width,
+    height: pdfCoords.height,
+    rotate: degrees(pdfCoords.rotation)
+  };
+  const baseName = field.label || `${field.type}_${field.id}`;
+
+  switch (field.type) {
+    case 'text': {
+      createStyledTextField(form, page, uniqueFieldName(form, baseName), field, placement, font, textStyle);
+      return true;
+    }
+
+    case 'textarea': {
+      const textField = createStyledTextField(form, page, uniqueFieldName(form, baseName), field, placement, font, textStyle);
+      textField.enableMultiline();
+      textField.updateAppearances(font);
+      return true;
+    }
+
+    case 'date': {
+      const dateField = createStyledTextField(form, page, uniqueFieldName(form, baseName), field, placement, font, textStyle);
+
+      // Acrobat's date helpers format and validate what the recipient types
+      const format = field.dateFormat || DEFAULT_DATE_FORMAT;
+      dateField.acroField.dict.set(PDFName.of('AA'), pdfDoc.context.obj({
+        F: { S: 'JavaScript', JS: PDFString.of(`AFDate_FormatEx("${format}");`) },
+        K: { S: 'JavaScript', JS: PDFString.of(`AFDate_KeystrokeEx("${format}");`) }
+      }));
+      return true;
+    }
+
+    case 'checkbox': {
+      const checkBox = form.createCheckBox(uniqueFieldName(form, baseName));
+      checkBox.addToPage(page, placement);
+      const { caption } = CHECKBOX_GLYPHS[field.checkStyle || 'check'];
+      checkBox.acroField.getWidgets()[0].getOrCreateAppearanceCharacteristics().setCaptions({ normal: caption });
+      if (field.checked) checkBox.check();
+      return true;
+    }
+
+    case 'radio': {
+      // Buttons sharing a group name become options of one radio group
+      const groupName = (field.groupName || `radio_${field.id}`).replace(/\./g, '_');
+      let radioGroup = form.getFieldMaybe(groupName);
+      if (!(radioGroup instanceof PDFRadioGroup)) {
+        radioGroup = form.createRadioGroup(uniqueFieldName(form, groupName));
+      }
+      const option = field.optionValue || `Option${radioGroup.getOptions().length + 1}`;
+      radioGroup.addOptionToPage(option, page, placement);
+      if (field.checked) radioGroup.select(option);
+      return true;
+    }
+
+    case 'signature': {
+      // A drawn signature is stamped; an empty one is left for someone else to sign
+      if (field.imageData || field.vectorData) return false;
+
+      const widgetRef = pdfDoc.context.register(pdfDoc.context.obj({
+        Type: 'Annot',
+        Subtype: 'Widget',
+        FT: 'Sig',
+        Rect: boxToRect(pdfCoords),
+        T: PDFString.of(uniqueFieldName(form, baseName)),
+        F: 4,
+        P: page.ref
+      }));
+      page.node.addAnnot(widgetRef);
+      form.acroForm.addField(widgetRef);
+      return true;
+    }
+
+    default:
+      return false;
+  }
+}
+
+/**
+ * Remove a signature field and its widgets from the document
+ * pdf-lib's form.removeField needs every widget to have an appearance, which
+ * unsigned signature fields usually lack
+ *
+ * @param {PDFDocument} pdfDoc
+ * @param {PDFSignature} formField
+ */
+function removeSignatureField(pdfDoc, formField) {
+  const { context } = pdfDoc;
+  const refs = [
+    formField.ref,
+    ...formField.acroField.getWidgets().map(widget => context.getObjectRef(widget.dict))
+  ].filter(Boolean);
+
+  for (const page of pdfDoc.getPages()) {
+    if (!page.node.Annots()) continue;
+    refs.forEach(ref => page.node.removeAnnot(ref));
+  }
+
+  pdfDoc.getForm().acroForm.removeField(formField.acroField);
+  refs.forEach(ref => context.delete(ref));
+}
+
+/**
+ * Flatten all form fields into page content
+ * Signature fields without an appearance can't be flattened, so they are removed;
+ * any image placed on them has already been stamped onto the page
+ *
+ * @param {PDFDocument} pdfDoc
+ */
+function flattenFormFields(pdfDoc) {
+  const form = pdfDoc.getForm();
+
+  for (const formField of form.getFields()) {
+    if (!(formField instanceof PDFSignature)) continue;
+    const hasAppearance = formField.acroField.getWidgets()
+      .every(widget => widget.dict.has(PDFName.of('AP')));
+    if (!hasAppearance) removeSignatureField(pdfDoc, formField);
+  }
+
+  form.flatten();
+}
+
+/**
+ * Maintain aspect ratio when embedding images
+ * Ensures image fits within box without distortion
+ * 
+ * @param {Number} boxWidth - Available width in points
+ * @param {Number} boxHeight - Available height in points
+ * @param {Number} imgWidth - Original image width
+ * @param {Number} imgHeight - Original image height
+ * @returns {Object} - { width, height, offsetX, offsetY } for centering
+ */
+function calculateAspectRatioFit(boxWidth, boxHeight, imgWidth, imgHeight) {
+  const boxRatio = boxWidth / boxHeight;
+  const imgRatio = imgWidth / imgHeight;
+
+  let finalWidth, finalHeight, offsetX = 0, offsetY = 0;
+
+  if (imgRatio > boxRatio) {
+    // Image is wider - fit to width
+    finalWidth = boxWidth;
+    finalHeight = boxWidth / imgRatio;
+    offsetY = (boxHeight - finalHeight) / 2;
+  } else {
+    // Image is taller - fit to height
+    finalHeight = boxHeight;
+    finalWidth = boxHeight * imgRatio;
+    offsetX = (boxWidth - finalWidth) / 2;
+  }
+
+  return { width: finalWidth, height: finalHeight, offsetX, offsetY };
+}
+
+/**
+ * Check the vector data of a drawn signature
+ * { width, height, strokes: [{ width, path }] }: SVG path data (y pointing down) in the
+ * signature pad's units, inside a width x height drawing
+ *
+ * @param {Object} vectorData
+ * @param {String} owner - What the data belongs to, for the error message (e.g. "Field 3")
+ * @returns {Object} - The vector data
+ */
+function validateVectorSignature(vectorData, owner) {
+  const { width, height, strokes } = vectorData;
+  const validStroke = stroke => stroke && stroke.width > 0 &&
+    typeof stroke.path === 'string' && /^[MLQCZ\d\s.,eE+-]+$/i.test(stroke.path);
+
+  if (!(width > 0) || !(height > 0) || !Array.isArray(strokes) || strokes.length === 0 || !strokes.every(validStroke)) {
+    throw httpError(`${owner} has malformed vector signature data`, 400, 'invalid_vector_signature');
+  }
+  return vectorData;
+}
+
+/**
+ * PDF operators that draw a vector signature scaled into a fitted area
+ *
+ * @param {Object} vector - Result of validateVectorSignature
+ * @param {Object} fitted - Result of calculateAspectRatioFit
+ * @param {Object} origin - { x, y } of the fitted area's bottom-left corner
+ * @param {Number} [rotation] - Degrees to turn the drawing about the origin
+ * @returns {Array} - PDF operators
+ */
+function vectorSignatureOperators(vector, fitted, origin, rotation = 0) {
+  const scale = fitted.width / vector.width;
+
+  return [
+    pushGraphicsState(),
+    translate(origin.x, origin.y),
+    rotateDegrees(rotation),
+    // SVG paths start at the top-left corner
+    ...vector.strokes.flatMap(stroke => drawSvgPath(stroke.path, {
+      x: 0,
+      y: fitted.height,
+      scale,
+      borderColor: rgb(0, 0, 0),
+      borderWidth: stroke.width,
+      borderLineCap: LineCapStyle.Round
+    })),
+    popGraphicsState()
+  ];
+}
+
+/**
+ * Embed a base64 data URL image (PNG or JPEG)
+ *
+ * @param {PDFDocument} pdfDoc
+ * @param {String} imageData - data:image/png;base64,... or data:image/jpeg;base64,...
+ * @returns {PDFImage|null} - null when the image can't be decoded
+ */
+async function embedImageData(pdfDoc, imageData) {
+  const imageBytes = Buffer.from(imageData.split(',')[1], 'base64');
+
+  try {
+    if (imageData.includes('image/png')) {
+      return await pdfDoc.embedPng(imageBytes);
+    }
+    return await pdfDoc.embedJpg(imageBytes);
+  } catch (err) {
+    console.error('Image embed error:', err);
+    return null;
+  }
+}
+
+/**
+ * Stamp fields onto a PDF and, in digital mode, add a PKCS#7 signature
+ * Shared by /sign-pdf and envelope completion
+ *
+ * @param {Buffer} pdfBuffer - Original PDF bytes
+ * @param {Array} fields - [{ id, type, pageIndex, coordinates, value, imageData, vectorData, checked, formFieldName?,
+ *   groupName?, optionValue?, checkStyle? }]
+ * @param {Object} [options] - { signatureMode: 'stamp' | 'digital', fieldMode: 'stamp' | 'interactive',
+ *   signer: { name, reason, location }, flatten, timeZone }
+ *   fieldMode 'interactive' emits fillable form fields instead of drawing values;
+ *   flatten bakes all form fields into the page content;
+ *   timeZone (IANA, default UTC) decides which day "today" and timestamps fall on in date fields
+ * @returns {Object} - { signedPdfBytes, originalHash, signedHash, certificate, trustedTimestamp,
+ *   trustedTimestampError }
+ */
+async function renderSignedPdf(pdfBuffer, layoutFields, options = {}) {
+  const { signatureMode = 'stamp', fieldMode = 'stamp', signer = {}, flatten = false, timeZone } = options;
+
+  // Dates are shown in their field's format; values that aren't dates are kept as typed
+  const fields = layoutFields.map(field => field.type === 'date' && field.value
+    ? { ...field, value: formatDateValue(field.value, field.dateFormat, timeZone) }
+    : field);
+  const digital = signatureMode === 'digital';
+  const interactive = fieldMode === 'interactive';
+
+  // Fail before doing any work if the server has no certificate to sign with
+  let credentials = null;
+  if (digital) {
+    if (!process.env.SIGNING_P12_PATH) {
+      throw httpError('Digital signatures are not enabled on this server', 400, 'digital_signing_disabled');
+    }
+    credentials = await loadSigningCredentials();
+  }
+
+  // Calculate hash of original PDF
+  const originalHash = calculateHash(pdfBuffer);
+  console.log('Original PDF Hash:', originalHash);
+
+  // Load PDF
+  const pdfDoc = await loadUploadedPdf(pdfBuffer);
+  const pages = pdfDoc.getPages();
+
+  // Reject fields that point past the end of the document before drawing anything
+  assertFieldsOnPages(fields, pages.length);
+  validateChoiceFields(fields);
+
+  // Only touch the AcroForm when the document has one or the caller references it
+  const form = flatten || interactive || fields.some(f => f.formFieldName) ? pdfDoc.getForm() : null;
+
+  // In digital mode the first signature field carries the cryptographic signature
+  let signatureAppearance = null;
+
+  const resolveFont = createFontResolver(pdfDoc);
+
+  // Process each field
+  for (const field of fields) {
+    // Each field is drawn on its own page, using that page's size
+    const pageIndex = field.pageIndex || 0;
+    const page = pages[pageIndex];
+    const pageGeometry = getPageGeometry(page);
+
+    // Transform coordinates from percentage to PDF points
+    const pdfCoords = transformCoordinatesToPDF(field.coordinates, pageGeometry);
+
+    // Text falls back to a Unicode font when the chosen one can't display it
+    let textStyle = null;
+    let font = null;
+    if (field.type === 'text' || field.type === 'textarea' || field.type === 'date') {
+      textStyle = textStyleOf(field);
+      font = await resolveFont(textStyle, field.value || '');
+    }
+
+    // Fields that came from the PDF's own form are filled by name, not drawn;
+    // existing signature widgets are only drop targets, so signatures are still stamped.
+    // Their own font is kept unless another was picked or the value needs a Unicode one
+    if (field.formFieldName && field.type !== 'signature') {
+      fillFormField(form, field, font && (field.fontFamily || !isStandardFont(font)) ? font : null);
+      continue;
+    }
+
+    if (interactive && createInteractiveField(pdfDoc, form, page, field, pdfCoords, font, textStyle)) {
+      continue;
+    }
+
+    // Handle different field types
+    switch (field.type) {
+      case 'signature':
+      case 'initials':
+      case 'image': {
+        // Drawn signatures and initials arrive as vector strokes, everything else as an image
+        let drawing = null;
+        if (field.type !== 'image' && field.vectorData) {
+          const vector = validateVectorSignature(field.vectorData, `Field ${field.id}`);
+          drawing = {
+            vector,
+            ...calculateAspectRatioFit(pdfCoords.width, pdfCoords.height, vector.width, vector.height)
+          };
+        } else if (field.imageData) {
+          // A signature that can't be drawn must not leave a partly signed document
+          const embeddedImage = await embedImageData(pdfDoc, field.imageData);
+          if (!embeddedImage) {
+            throw validationError([{
+              path: `data.fields[${fields.indexOf(field)}].imageData`,
+              id: String(field.id),
+              label: field.label,
+              code: 'unreadable_image',
+              reason: 'has an image that is not a readable PNG or JPEG'
+            }]);
+          }
+
+          // Calculate aspect ratio fit
+          const imgDims = embeddedImage.scale(1);
+          drawing = {
+            image: embeddedImage,
+            ...calculateAspectRatioFit(pdfCoords.width, pdfCoords.height, imgDims.width, imgDims.height)
+          };
+        }
+        if (!drawing) break;
+
+        // The digital signature's widget shows the drawing instead of stamping it
+        if (digital && field.type === 'signature' && !signatureAppearance) {
+          // An empty signature widget from the PDF is replaced by the real signature
+          const existingField = field.formFieldName && form.getFieldMaybe(field.formFieldName);
+          if (existingField instanceof PDFSignature) {
+            removeSignatureField(pdfDoc, existingField);
+          }
+
+          signatureAppearance = {
+            page,
+            fieldName: existingField ? field.formFieldName : undefined,
+            rect: boxToRect(pdfCoords),
+            appearance: {
+              image: drawing.image,
+              operators: drawing.vector &&
+                vectorSignatureOperators(drawing.vector, drawing, { x: drawing.offsetX, y: drawing.offsetY }),
+              x: drawing.offsetX,
+              y: drawing.offsetY,
+              width: drawing.width,
+              height: drawing.height,
+              boxWidth: pdfCoords.width,
+              boxHeight: pdfCoords.height,
+              rotation: pdfCoords.rotation
+            }
+          };
+          break;
+        }
+
+        // Draw centered in box, upright relative to the page rotation
+        const origin = offsetWithinBox(pdfCoords, drawing.offsetX, drawing.offsetY);
+        if (drawing.vector) {
+          page.pushOperators(...vectorSignatureOperators(drawing.vector, drawing, origin, pdfCoords.rotation));
+        } else {
+          page.drawImage(drawing.image, {
+            ...origin,
+            width: drawing.width,
+            height: drawing.height,
+            rotate: degrees(pdfCoords.rotation)
+          });
+        }
+        break;
+      }
+
+      case 'text':
+        if (field.value) {
+          drawFieldText(page, pdfCoords, field.value, font, textStyle);
+        }
+        break;
+
+      case 'textarea':
+        if (field.value) {
+          drawTextArea(page, pdfCoords, field, font, textStyle);
+        }
+        break;
+
+      case 'date':
+        const dateValue = field.value || formatDate(new Date(), field.dateFormat, timeZone);
+        drawFieldText(page, pdfCoords, dateValue, font, textStyle);
+        break;
+
+      case 'radio':
+        // Draw circle for radio button
+        if (field.checked) {
+          const center = offsetWithinBox(pdfCoords, pdfCoords.width / 2, pdfCoords.height / 2);
+          const radius = Math.min(pdfCoords.width, pdfCoords.height) / 3;
+
+          // Draw filled circle
+          page.drawCircle({
+            x: center.x,
+            y: center.y,
+            size: radius,
+            color: rgb(0, 0, 0)
+          });
+        }
+        break;
+
+      case 'checkbox':
+        // Draw the chosen glyph as strokes inside the largest centered square
+        if (field.checked) {
+          const glyph = CHECKBOX_GLYPHS[field.checkStyle || 'check'];
+          const size = Math.min(pdfCoords.width, pdfCoords.height);
+          const left = (pdfCoords.width - size) / 2;
+          const bottom = (pdfCoords.height - size) / 2;
+          const point = ([fx, fy]) => offsetWithinBox(pdfCoords, left + fx * size, bottom + fy * size);
+          const thickness = Math.max(size / glyph.weight, 1);
+
+          for (const [start, end] of glyph.strokes) {
+            page.drawLine({ start: point(start), end: point(end), thickness, color: rgb(0, 0, 0) });
+          }
+        }
+        break;
+    }
+  }
+
+  if (flatten) {
+    flattenFormFields(pdfDoc);
+  }
+
+  // Save modified PDF
+  let signedPdfBytes;
+  if (digital) {
+    // Without a visible signature field the signature is invisible, anchored to page one
+    addSignaturePlaceholder(pdfDoc, {
+      ...(signatureAppearance || { page: pages[0], rect: [0, 0, 0, 0] }),
+      reason: signer.reason,
+      location: signer.location,
+      signerName: signer.name
+    });
+
+    // Object streams would compress the placeholder out of reach
+    const unsignedPdfBytes = await pdfDoc.save({ useObjectStreams: false });
+    signedPdfBytes = await signPdf(unsignedPdfBytes, credentials, {
+      // Readers show the TSA's time for the signature instead of the signer's clock
+      timestampSignature: TSA_URL
+        ? async signatureValue => {
+          const { stamp } = await timestampUnlessUnavailable(crypto.createHash('sha256').update(signatureValue).digest());
+          return stamp && stamp.token;
+        }
+        : undefined
+    });
+  } else {
+    signedPdfBytes = await pdfDoc.save();
+  }
+  const signedHash = calculateHash(Buffer.from(signedPdfBytes));
+  console.log('Signed PDF Hash:', signedHash);
+  const recordStamp = TSA_URL ? await timestampUnlessUnavailable(Buffer.from(signedHash, 'hex')) : {};
+
+  return {
+    signedPdfBytes,
+    originalHash,
+    signedHash,
+    signatureMode: digital ? 'digital' : 'stamp',
+    certificate: digital ? describeCertificate(credentials.certificate) : undefined,
+    trustedTimestamp: recordStamp.stamp,
+    trustedTimestampError: recordStamp.error
+  };
+}
+
+/**
+ * Get a timestamp with requestTimestamp, without letting a TSA outage stop the signing
+ * Unless TSA_REQUIRED is set, a failure is logged and returned instead of thrown
+ *
+ * @param {Buffer} digest - SHA-256 of the timestamped data
+ * @returns {Object} - { stamp } (see requestTimestamp), or { error } with why there is none
+ */
+async function timestampUnlessUnavailable(digest) {
+  try {
+    return { stamp: await requestTimestamp(digest) };
+  } catch (error) {
+    if (TSA_REQUIRED) throw error;
+    console.error('Signing without a trusted timestamp:', error.message);
+    return { error: error.message };
+  }
+}
+
+/**
+ * Build the audit trail entry for a signed document, without saving it
+ *
+ * @param {Object} result - Result of renderSignedPdf
+ * @param {String} originalFilename
+ * @param {Number} fieldsApplied
+ * @param {Array} [signers] - [{ name, email, ipAddress, userAgent, signedAt, signatures }]
+ * @param {Object} [owner] - { userId, apiKeyId } the request was made with
+ * @returns {Signature}
+ */
+function buildSignatureRecord(result, originalFilename, fieldsApplied, signers = [], owner = {}) {
+  return new Signature({
+    originalHash: result.originalHash,
+    signedHash: result.signedHash,
+    metadata: {
+      originalFilename,
+      fieldsApplied,
+      signatureMode: result.signatureMode
+    },
+    certificate: result.certificate,
+    trustedTimestamp: result.trustedTimestamp,
+    trustedTimestampError: result.trustedTimestampError,
+    signers,
+    userId: owner.userId,
+    apiKeyId: owner.apiKeyId
+  });
+}
+
+/**
+ * Persist the audit trail entry for a signed document
+ *
+ * @param {...*} args - See buildSignatureRecord
+ * @returns {Signature}
+ */
+async function saveSignatureRecord(...args) {
+  return buildSignatureRecord(...args).save();
+}
+
+// The signing record named by :recordId when the signed-in user made it, or null
+async function findOwnRecord(req) {
+  if (!mongoose.isValidObjectId(req.params.recordId)) return null;
+  return Signature.findOne({ _id: req.params.recordId, userId: req.user._id });
+}
+
+// The drawn signatures and initials among a signer's fields, for certificate thumbnails
+function signaturesOf(fields) {
+  return fields
+    .filter(f => (f.type === 'signature' || f.type === 'initials') && (f.imageData || f.vectorData))
+    .map(f => ({ imageData: f.imageData, vectorData: f.vectorData }));
+}
+
+/**
+ * Keep a record's PDFs in document storage
+ *
+ * @param {Signature} record
+ * @param {Object} documents - { original, signed, final? } PDF bytes
+ */
+async function storeRecordDocuments(record, documents) {
+  for (const [version, hashField] of Object.entries(DOCUMENT_VERSIONS)) {
+    if (documents[version]) {
+      await documentStorage.put(record[hashField], Buffer.from(documents[version]));
+    }
+  }
+
+  record.storage = { driver: documentStorage.name, storedAt: new Date() };
+  await record.save();
+}
+
+/**
+ * Apply the retention policy: delete the stored PDFs of records older than RETENTION_DAYS,
+ * and the copies kept on completed envelopes. Records themselves stay as the audit trail
+ *
+ * @returns {Number} - How many records were purged
+ */
+async function purgeExpiredDocuments() {
+  if (!RETENTION_DAYS) return 0;
+
+  const cutoff = new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  const expired = await Signature.find({
+    timestamp: { $lt: cutoff },
+    'storage.storedAt': { $exists: true },
+    'storage.purgedAt': { $exists: false }
+  });
+
+  for (const record of expired) {
+    for (const hashField of Object.values(DOCUMENT_VERSIONS)) {
+      const hash = record[hashField];
+      if (!hash) continue;
+
+      // Files are shared by hash, e.g. when the same PDF was signed again recently
+      const stillRetained = await Signature.countDocuments({
+        _id: { $ne: record._id },
+        timestamp: { $gte: cutoff },
+        $or: [{ originalHash: hash }, { signedHash: hash }, { finalHash: hash }]
+      });
+      if (!stillRetained) await documentStorage.remove(hash);
+    }
+
+    record.storage.purgedAt = new Date();
+    await record.save();
+
+    const envelope = await Envelope.findOne({ signatureRecord: record._id });
+    if (envelope) {
+      envelope.pdfData = undefined;
+      envelope.signedPdfData = undefined;
+      await envelope.save();
+    }
+  }
+
+  if (expired.length > 0) {
+    console.log(`Retention: purged stored documents of ${expired.length} record(s) older than ${RETENTION_DAYS} days`);
+  }
+  return expired.length;
+}
+
+// What webhook events say about a signing record
+function webhookRecordData(record) {
+  return {
+    signatureRecordId: String(record._id),
+    filename: record.metadata.originalFilename,
+    originalHash: record.originalHash,
+    signedHash: record.signedHash,
+    finalHash: record.finalHash,
+    fieldCount: record.metadata.fieldsApplied,
+    signatureMode: record.metadata.signatureMode
+  };
+}
+
+// Tell the caller's webhooks that a document could not be signed; a batch document that
+// couldn't be unpacked has no buffer, and so no hash
+function emitSigningFailure(req, document, error, details = {}) {
+  return emitWebhookEvent('document.failed', {
+    filename: document.filename,
+    ...(document.buffer && { originalHash: calculateHash(document.buffer) }),
+    ...details,
+    error: { status: error.status || 500, ...errorBody(error) }
+  }, [req.user && req.user._id]);
+}
+
+/**
+ * Queue an event for the webhooks of the given accounts that listen for it.
+ * Never throws: a webhook problem must not fail the request that triggered it
+ *
+ * @param {String} event - One of WEBHOOK_EVENTS
+ * @param {Object} data - Event data
+ * @param {Array} userIds - Accounts to notify; empty entries are skipped
+ */
+async function emitWebhookEvent(event, data, userIds) {
+  try {
+    const owners = [...new Set(userIds.filter(Boolean).map(String))];
+    if (owners.length === 0) return;
+
+    const subscriptions = await WebhookSubscription.find({ userId: { $in: owners }, events: event });
+    if (subscriptions.length === 0) return;
+
+    const eventId = `evt_${crypto.randomUUID()}`;
+    const payload = JSON.stringify({ id: eventId, type: event, createdAt: new Date(), data });
+    for (const subscription of subscriptions) {
+      await WebhookDelivery.create({
+        subscriptionId: subscription._id,
+        eventId,
+        event,
+        payload,
+        nextAttemptAt: new Date()
+      });
+    }
+    setImmediate(processWebhookDeliveries);
+  } catch (error) {
+    console.error(`Error queueing ${event} webhooks:`, error);
+  }
+}
+
+/**
+ * Take a delivery for one attempt, so the poller and a redelivery never send it at the same time
+ *
+ * @param {Object} filter - Which delivery may be taken; the update only applies if it still matches
+ * @returns {Promise<WebhookDelivery|null>} - The claimed delivery, or null when none matched
+ */
+function claimWebhookDelivery(filter) {
+  return WebhookDelivery.findOneAndUpdate(
+    filter,
+    { $set: { status: 'sending', nextAttemptAt: new Date(Date.now() + WEBHOOK_CLAIM_MS) } },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+}
+
+// Deliveries due for an attempt: waiting for one, or held by a claim that has lapsed
+function dueWebhookDeliveries() {
+  return { status: { $in: ['pending', 'sending'] }, nextAttemptAt: { $lte: new Date() } };
+}
+
+/**
+ * POST a claimed delivery to its subscription once and record the attempt; failures are
+ * scheduled again with retryDelay() until they run out of attempts
+ *
+ * @param {WebhookDelivery} delivery - As returned by claimWebhookDelivery()
+ */
+async function attemptWebhookDelivery(delivery) {
+  const subscription = await WebhookSubscription.findById(delivery.subscriptionId);
+  const attempt = { at: new Date() };
+
+  if (!subscription) {
+    attempt.error = 'Subscription was deleted';
+  } else {
+    const timestamp = Math.floor(Date.now() / 1000);
+    try {
+      attempt.statusCode = await postWebhook(subscription.url, {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Signature-Engine-Webhooks',
+        'X-Webhook-Id': delivery.eventId,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': signWebhookPayload(subscription.secret, timestamp, delivery.payload)
+      }, delivery.payload);
+      if (attempt.statusCode < 200 || attempt.statusCode >= 300) attempt.error = `Receiver answered ${attempt.statusCode}`;
+    } catch (error) {
+      attempt.error = error.message;
+    }
+  }
+  attempt.durationMs = Date.now() - attempt.at.getTime();
+  delivery.attempts.push(attempt);
+
+  const delay = subscription && retryDelay(delivery.attempts.length);
+  if (!attempt.error) {
+    delivery.status = 'delivered';
+    delivery.deliveredAt = new Date();
+    delivery.nextAttemptAt = undefined;
+  } else if (delay) {
+    delivery.status = 'pending';
+    delivery.nextAttemptAt = new Date(Date.now() + delay);
+  } else {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = undefined;
+  }
+  await delivery.save();
+}
+
+let webhookRun = null;
+let webhookRunRequested = false;
+
+/**
+ * Send every delivery that is due, claiming each one before sending it. Only one run happens
+ * at a time; a call during a run makes it go round again, so freshly queued events don't wait
+ * for the next poll
+ */
+async function processWebhookDeliveries() {
+  if (webhookRun) {
+    webhookRunRequested = true;
+    return webhookRun;
+  }
+
+  webhookRun = (async () => {
+    do {
+      webhookRunRequested = false;
+      let delivery;
+      while ((delivery = await claimWebhookDelivery(dueWebhookDeliveries()))) {
+        await attemptWebhookDelivery(delivery);
+      }
+    } while (webhookRunRequested);
+  })()
+    .catch(error => console.error('Error delivering webhooks:', error))
+    .finally(() => { webhookRun = null; });
+  return webhookRun;
+}
+
+// Check a record's RFC 3161 token against its signedHash; null when it has none
+function trustedTimestampReport(record) {
+  const stamp = record.trustedTimestamp;
+  if (!stamp || !stamp.token) return null;
+  const { nonce, ...report } = verifyTimestampToken(stamp.token, { digest: Buffer.from(record.signedHash, 'hex') });
+  return { ...report, tsaUrl: stamp.tsaUrl };
+}
+
+// Which of a record's hashes a file hash matched
+function matchedHashOf(record, hash) {
+  if (record.finalHash === hash) return 'finalHash';
+  return record.signedHash === hash ? 'signedHash' : 'originalHash';
+}
+
+// Certificate of completion: A4 pages, margins and signature thumbnail size, in points
+const CERTIFICATE_PAGE_SIZE = [595.28, 841.89];
+const CERTIFICATE_MARGIN = 50;
+const THUMBNAIL_WIDTH = 120;
+const THUMBNAIL_HEIGHT = 45;
+
+// Timestamps on the certificate, e.g. 2024-05-01 14:03:22 UTC
+function formatCertificateTime(date) {
+  return date ? new Date(date).toISOString().replace('T', ' ').replace(/\.\d+Z$/, ' UTC') : 'unknown';
+}
+
+/**
+ * Add a certificate of completion to the end of a document: the document's name and hashes
+ * and, for each signer, when and from where they signed with thumbnails of their signatures.
+ * Continues onto further pages when there are many signers
+ *
+ * @param {PDFDocument} pdfDoc
+ * @param {Signature} record - Audit record of the signing
+ */
+async function drawCompletionCertificate(pdfDoc, record) {
+  const resolveFont = createFontResolver(pdfDoc);
+  const [pageWidth, pageHeight] = CERTIFICATE_PAGE_SIZE;
+  const textWidth = pageWidth - CERTIFICATE_MARGIN * 2;
+  const gray = rgb(0.4, 0.4, 0.4);
+
+  let page, y;
+  const newPage = () => {
+    page = pdfDoc.addPage(CERTIFICATE_PAGE_SIZE);
+    y = pageHeight - CERTIFICATE_MARGIN;
+  };
+  const ensureSpace = (height) => {
+    if (y - height < CERTIFICATE_MARGIN) newPage();
+  };
+
+  // Wrapped text at the cursor. Names may need the Unicode font; characters no font
+  // can display become question marks rather than failing the whole certificate
+  const write = async (text, { size = 10, bold = false, fontFamily, color = rgb(0, 0, 0), indent = 0 } = {}) => {
+    let font;
+    try {
+      font = await resolveFont({ fontFamily, bold }, text);
+    } catch (error) {
+      if (error.code !== 'unsupported_characters') throw error;
+      font = await resolveFont({ fontFamily, bold });
+      text = text.replace(/[^\x20-\x7e\xa0-\xff]/g, '?');
+    }
+    for (const line of wrapText(text, font, size, textWidth - indent)) {
+      ensureSpace(size * LINE_HEIGHT);
+      y -= size * LINE_HEIGHT;
+      page.drawText(line, { x: CERTIFICATE_MARGIN + indent, y, size, font, color });
+    }
+  };
+  const entry = async (label, value, options = {}) => {
+    await write(label, { size: 8, bold: true, color: gray, indent: options.indent });
+    await write(value, options);
+    y -= 6;
+  };
+
+  const drawThumbnail = async (signature, x, bottom) => {
+    page.drawRectangle({
+      x, y: bottom, width: THUMBNAIL_WIDTH, height: THUMBNAIL_HEIGHT,
+      borderColor: rgb(0.75, 0.75, 0.75), borderWidth: 0.5
+    });
+
+    const inset = 4;
+    if (signature.vectorData) {
+      const vector = validateVectorSignature(signature.vectorData, 'Signature thumbnail');
+      const fitted = calculateAspectRatioFit(THUMBNAIL_WIDTH - inset * 2, THUMBNAIL_HEIGHT - inset * 2, vector.width, vector.height);
+      page.pushOperators(...vectorSignatureOperators(vector, fitted, {
+        x: x + inset + fitted.offsetX,
+        y: bottom + inset + fitted.offsetY
+      }));
+    } else if (signature.imageData) {
+      const image = await embedImageData(pdfDoc, signature.imageData);
+      if (!image) return;
+      const { width, height } = image.scale(1);
+      const fitted = calculateAspectRatioFit(THUMBNAIL_WIDTH - inset * 2, THUMBNAIL_HEIGHT - inset * 2, width, height);
+      page.drawImage(image, {
+        x: x + inset + fitted.offsetX,
+        y: bottom + inset + fitted.offsetY,
+        width: fitted.width,
+        height: fitted.height
+      });
+    }
+  };
+
+  newPage();
+  await write('Certificate of Completion', { size: 20, bold: true });
+  y -= 12;
+
+  await entry('DOCUMENT', record.metadata.originalFilename || 'Untitled document');
+  await entry('COMPLETED', formatCertificateTime(record.timestamp));
+  await entry('RECORD ID', String(record._id), { fontFamily: 'Courier' });
+  await entry('ORIGINAL HASH (SHA-256)', record.originalHash, { fontFamily: 'Courier', size: 9 });
+  await entry('SIGNED HASH (SHA-256, DOCUMENT WITHOUT THIS CERTIFICATE)', record.signedHash, { fontFamily: 'Courier', size: 9 });
+  if (record.certificate && record.certificate.subject) {
+    await entry('DIGITAL SIGNATURE CERTIFICATE', record.certificate.subject);
+  }
+  if (record.trustedTimestamp && record.trustedTimestamp.genTime) {
+    await entry('TRUSTED TIMESTAMP (RFC 3161, OVER THE SIGNED HASH)',
+      `${formatCertificateTime(record.trustedTimestamp.genTime)} by ${record.trustedTimestamp.tsa.subject}`);
+  }
+
+  y -= 10;
+  await write('Signers', { size: 14, bold: true });
+  y -= 4;
+  if (record.signers.length === 0) {
+    await write('No signer details were recorded for this document.', { color: gray });
+  }
+
+  for (const [index, signer] of record.signers.entries()) {
+    y -= 8;
+    await write(`${index + 1}. ${signer.name || 'Unnamed signer'}${signer.email ? ` <${signer.email}>` : ''}`, { size: 11, bold: true });
+    await write(`Signed: ${formatCertificateTime(signer.signedAt)}`, { size: 9, indent: 14 });
+    await write(`IP address: ${signer.ipAddress || 'unknown'}`, { size: 9, indent: 14 });
+    if (signer.userAgent) {
+      await write(`User agent: ${signer.userAgent}`, { size: 8, indent: 14, color: gray });
+    }
+
+    // Thumbnails in rows across the page
+    let x = CERTIFICATE_MARGIN + 14;
+    for (const [thumbnailIndex, signature] of signer.signatures.entries()) {
+      if (thumbnailIndex === 0 || x + THUMBNAIL_WIDTH > CERTIFICATE_MARGIN + textWidth) {
+        x = CERTIFICATE_MARGIN + 14;
+        ensureSpace(THUMBNAIL_HEIGHT + 6);
+        y -= THUMBNAIL_HEIGHT + 6;
+      }
+      await drawThumbnail(signature, x, y);
+      x += THUMBNAIL_WIDTH + 8;
+    }
+  }
+
+  y -= 16;
+  await write(
+    'The signed hash identifies the signed document before this certificate was added. ' +
+    'Check either hash with POST /verify-hash.',
+    { size: 8, color: gray }
+  );
+}
+
+/**
+ * Render the certificate of completion for an audit record
+ *
+ * @param {Signature} record
+ * @param {Uint8Array} [signedPdfBytes] - Signed document to append it to; omitted for a standalone PDF
+ * @returns {Uint8Array} - PDF bytes
+ */
+async function renderCompletionCertificate(record, signedPdfBytes) {
+  const pdfDoc = signedPdfBytes ? await PDFDocument.load(signedPdfBytes) : await PDFDocument.create();
+  await drawCompletionCertificate(pdfDoc, record);
+  return pdfDoc.save();
+}
+
+/**
+ * Fill fields from the signing user's saved profile
+ * Initials fields without a drawing always use the saved initials; signature fields
+ * use the saved signature when they ask for it with useSavedSignature
+ *
+ * @param {Array} fields - Editor fields
+ * @param {User} [user] - Signed-in user, if any
+ * @returns {Array} - Fields with imageData/vectorData filled in
+ */
+function applySavedSignatures(fields, user) {
+  return fields.map(field => {
+    if (field.type === 'signature' && field.useSavedSignature) {
+      if (!user) throw httpError(`Field ${field.id} uses a saved signature; sign in first`, 401, 'sign_in_required');
+      if (!user.signature) {
+        throw httpError(`Field ${field.id} uses a saved signature, but none is saved`, 422, 'no_saved_signature');
+      }
+      return { ...field, imageData: user.signature.imageData, vectorData: user.signature.vectorData };
+    }
+
+    if (field.type === 'initials' && !field.imageData && !field.vectorData && user && user.initials) {
+      return { ...field, imageData: user.initials.imageData, vectorData: user.initials.vectorData };
+    }
+
+    return field;
+  });
+}
+
+// Appends run one at a time per document, so two events never claim the same place in a chain
+const auditQueues = new Map();
+
+/**
+ * Append an event to a document's audit chain
+ *
+ * @param {String} documentHash - SHA-256 of the original PDF
+ * @param {String} action - One of AUDIT_ACTIONS
+ * @param {Object} req - Request the action came from, for its IP address, user agent and user
+ * @param {Object} [details] - Facts about the action, e.g. { fieldId } or { signedHash }
+ * @param {String} [actor] - Who acted, when it isn't the signed-in user (envelope signers)
+ * @returns {Promise<AuditEvent>}
+ */
+function recordAuditEvent(documentHash, action, req, details = {}, actor) {
+  const append = async () => {
+    const head = await AuditHead.findOne({ documentHash });
+    const event = new AuditEvent({
+      documentHash,
+      sequence: head ? head.sequence + 1 : 0,
+      action,
+      actor: actor || (req.user && req.user.username),
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      details,
+      timestamp: new Date(),
+      previousHash: head ? head.hash : GENESIS_HASH
+    });
+    event.hash = hashAuditEvent(event);
+
+    await event.save();
+    await AuditHead.findOneAndUpdate(
+      { documentHash },
+      { $set: { sequence: event.sequence, hash: event.hash } },
+      { upsert: true }
+    );
+    return event;
+  };
+
+  const queued = (auditQueues.get(documentHash) || Promise.resolve()).then(append, append);
+  auditQueues.set(documentHash, queued);
+  const release = () => {
+    if (auditQueues.get(documentHash) === queued) auditQueues.delete(documentHash);
+  };
+  queued.then(release, release);
+  return queued;
+}
+
+// Record a field_filled event for every field that was given a value
+async function recordFilledFields(documentHash, req, fields, details = {}, actor) {
+  const filled = fields.filter(f => f.value || f.imageData || f.vectorData || f.checked);
+  for (const field of filled) {
+    await recordAuditEvent(documentHash, 'field_filled', req, {
+      ...details,
+      fieldId: String(field.id),
+      type: field.type,
+      label: field.label,
+      pageIndex: field.pageIndex || 0
+    }, actor);
+  }
+}
+
+// How envelope signers appear in the audit trail
+function signerActor(signer) {
+  return signer.email ? `${signer.name} <${signer.email}>` : signer.name;
+}
+
+/**
+ * Sign one uploaded PDF: render the fields, append the certificate of completion when asked,
+ * then audit the upload, write the Signature record and keep the files in document storage
+ *
+ * @param {Object} req - Request the PDF came with, for the audit trail
+ * @param {Buffer} pdfBuffer
+ * @param {String} filename
+ * @param {Array} editorFields - Editor fields, saved signatures already applied
+ * @param {Object} options - { signatureMode, fieldMode, signer, flattenForm, completionCertificate, mergeData,
+ *   timeZone, auditDetails }
+ * @returns {Object} - { result, auditRecord, deliveredBytes }
+ */
+async function signUploadedPdf(req, pdfBuffer, filename, editorFields, options) {
+  const {
+    signatureMode, fieldMode, signer = {}, flattenForm, completionCertificate, mergeData, timeZone, auditDetails = {}
+  } = options;
+
+  // Nothing is recorded until the document has been checked and rendered, so a rejected
+  // document leaves no trace
+  const fields = resolveMergeFields(editorFields, mergeData, timeZone);
+  validateFields(fields, { timeZone });
+
+  const result = await renderSignedPdf(pdfBuffer, fields, {
+    signatureMode,
+    fieldMode,
+    signer,
+    flatten: flattenForm,
+    timeZone
+  });
+  const { signedPdfBytes, signedHash } = result;
+
+  const auditRecord = buildSignatureRecord(result, filename, fields.length, [{
+    name: signer.name || (req.user && req.user.username),
+    email: signer.email,
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent'),
+    signedAt: new Date(),
+    signatures: signaturesOf(fields)
+  }], { userId: req.user && req.user._id, apiKeyId: req.apiKey && req.apiKey._id });
+
+  // The certificate page changes the file, so its hash is recorded separately
+  let deliveredBytes = signedPdfBytes;
+  if (completionCertificate) {
+    deliveredBytes = await renderCompletionCertificate(auditRecord, signedPdfBytes);
+    auditRecord.finalHash = calculateHash(Buffer.from(deliveredBytes));
+  }
+
+  // Store audit trail in MongoDB
+  const documentHash = calculateHash(pdfBuffer);
+  await recordAuditEvent(documentHash, 'uploaded', req, { filename, ...auditDetails });
+  await auditRecord.save();
+  await recordFilledFields(documentHash, req, fields);
+  await recordAuditEvent(documentHash, 'signed', req, {
+    signedHash,
+    signatureMode: result.signatureMode,
+    signatureRecordId: String(auditRecord._id),
+    ...(result.trustedTimestamp && { trustedTimestamp: result.trustedTimestamp.genTime }),
+    ...(result.trustedTimestampError && { trustedTimestampError: result.trustedTimestampError })
+  });
+  await storeRecordDocuments(auditRecord, {
+    original: pdfBuffer,
+    signed: signedPdfBytes,
+    final: completionCertificate && deliveredBytes
+  });
+  await emitWebhookEvent('document.signed', {
+    ...webhookRecordData(auditRecord),
+    ...(auditDetails.batchId && { batchId: auditDetails.batchId })
+  }, [req.user && req.user._id]);
+
+  return { result, auditRecord, deliveredBytes };
+}
+
+// Adding a page after signing would invalidate the cryptographic signature
+function assertCertificateAllowed(signatureMode, completionCertificate) {
+  if (completionCertificate && signatureMode === 'digital') {
+    throw httpError(
+      'A certificate page cannot be appended to a digitally signed PDF; download it separately from /certificates/:recordId',
+      400,
+      'certificate_not_allowed'
+    );
+  }
+}
+
+/**
+ * Merge data of a signing request: an uploaded "mergeData" file, CSV (one row, picked by
+ * mergeRow) or JSON, with data.mergeData from the payload taking precedence
+ *
+ * @param {Object} [file] - Multer file
+ * @param {Object} payload - Parsed data field of the request
+ * @returns {Object}
+ */
+function requestMergeData(file, payload) {
+  let uploaded = {};
+  if (file) {
+    const text = file.buffer.toString('utf8');
+    if (/\.json$/i.test(file.originalname) || file.mimetype === 'application/json') {
+      try {
+        uploaded = JSON.parse(text);
+      } catch (error) {
+        throw httpError(`Merge data ${file.originalname} is not valid JSON`, 400, 'malformed_json');
+      }
+    } else {
+      uploaded = mergeDataFromCsv(text, Number(payload.mergeRow) || 0);
+    }
+  }
+  return { ...uploaded, ...payload.mergeData };
+}
+
+// API Endpoint: Sign PDF
+// The "data" part must match the sign-pdf schema (GET /schemas) before the PDF is opened
+app.post('/sign-pdf', requireApiKey, requireMultipart, upload.fields([
+  { name: 'pdf', maxCount: 1 },
+  { name: 'mergeData', maxCount: 1 }
+]), async (req, res) => {
+  const pdf = req.files && req.files.pdf && req.files.pdf[0];
+  let fields;
+  try {
+    if (!pdf) {
+      throw missingFileError('pdf', 'No PDF uploaded');
+    }
+    if (!isPdf(pdf.buffer)) {
+      throw httpError(`${pdf.originalname} is not a PDF`, 415, 'unsupported_file_type', [
+        { path: 'pdf', code: 'unsupported_file_type', message: 'must be a PDF' }
+      ]);
+    }
+
+    const { fields: editorFields, pdfDimensions, version, ...options } = parseRequestData(req.body.data, 'sign-pdf');
+    fields = applySavedSignatures(editorFields, req.user);
+    assertCertificateAllowed(options.signatureMode, options.completionCertificate);
+    options.mergeData = requestMergeData(req.files.mergeData && req.files.mergeData[0], options);
+
+    const { result, auditRecord, deliveredBytes } = await signUploadedPdf(
+      req, pdf.buffer, pdf.originalname, fields, options
+    );
+    const { originalHash, signedHash } = result;
+    await recordAuditEvent(originalHash, 'downloaded', req, { signedHash, finalHash: auditRecord.finalHash });
+    res.locals.documentsSigned = 1;
+
+    // Return signed PDF
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': 'attachment; filename=signed-document.pdf',
+      'X-Original-Hash': originalHash,
+      'X-Signed-Hash': signedHash,
+      'X-Signature-Record-Id': String(auditRecord._id),
+      ...(auditRecord.finalHash && { 'X-Final-Hash': auditRecord.finalHash })
+    });
+    res.send(Buffer.from(deliveredBytes));
+
+  } catch (error) {
+    console.error('Error processing PDF:', error);
+    if (pdf) {
+      await emitSigningFailure(req, { filename: pdf.originalname, buffer: pdf.buffer }, error, {
+        fieldCount: fields ? fields.length : null
+      });
+    }
+    res.status(error.status || 500).json(errorBody(error));
+  }
+});
+
+// API Endpoint: Sign many PDFs with one field layout
+// Takes PDFs and/or ZIPs of PDFs as "pdfs", optionally a "values" CSV with a filename column
+// filling fields per document, and returns a ZIP of the signed PDFs with manifest.json.
+// A document that fails is reported in the manifest; the rest of the batch still gets signed.
+// The "data" part must match the sign-pdf-batch schema (GET /schemas)
+app.post('/sign-pdf/batch', requireApiKey, requireMultipart, upload.fields([
+  { name: 'pdfs', maxCount: MAX_BATCH_DOCUMENTS },
+  { name: 'values', maxCount: 1 }
+]), async (req, res) => {
+  try {
+    if (!req.files || !req.files.pdfs) {
+      throw missingFileError('pdfs', 'No PDFs uploaded; send them as "pdfs", one file each or inside a ZIP');
+    }
+
+    const {
+      fields: layoutFields, pdfDimensions, version, values: jsonValues = {}, ...options
+    } = parseRequestData(req.body.data, 'sign-pdf-batch');
+    const fields = applySavedSignatures(layoutFields, req.user);
+    assertCertificateAllowed(options.signatureMode, options.completionCertificate);
+
+    const documents = await collectBatchDocuments(req.files.pdfs);
+
+    // Values from the JSON body win over the CSV for the same document
+    const valueTable = req.files && req.files.values
+      ? parseValuesCsv(req.files.values[0].buffer.toString('utf8'))
+      : new Map();
+    for (const [filename, values] of Object.entries(jsonValues)) {
+      const key = valuesKey(filename);
+      valueTable.set(key, { ...valueTable.get(key), ...values });
+    }
+
+    const batchId = crypto.randomUUID();
+    const archive = new JSZip();
+    const outputNames = new Set(['manifest.json']);
+    const manifestEntries = [];
+
+    // One document at a time keeps memory flat however large the batch is
+    for (const { filename, load } of documents) {
+      const document = { filename };
+      const entry = { filename };
+      const documentValues = valueTable.get(valuesKey(filename));
+      try {
+        document.buffer = await load();
+        entry.originalHash = calculateHash(document.buffer);
+        const { result, auditRecord, deliveredBytes } = await signUploadedPdf(
+          req,
+          document.buffer,
+          filename,
+          applyDocumentValues(fields, documentValues),
+          // A document's values also fill placeholders, e.g. a customer.name column
+          { ...options, mergeData: { ...options.mergeData, ...documentValues }, auditDetails: { batchId } }
+        );
+        await recordAuditEvent(result.originalHash, 'downloaded', req, {
+          signedHash: result.signedHash,
+          finalHash: auditRecord.finalHash,
+          batchId
+        });
+
+        Object.assign(entry, {
+          status: 'signed',
+          output: outputName(filename, outputNames),
+          signedHash: result.signedHash,
+          ...(auditRecord.finalHash && { finalHash: auditRecord.finalHash }),
+          signatureRecordId: String(auditRecord._id)
+        });
+        archive.file(entry.output, Buffer.from(deliveredBytes));
+      } catch (error) {
+        console.error(`Batch ${batchId}: error signing ${filename}:`, error);
+        Object.assign(entry, { status: 'failed', ...errorBody(error) });
+        await emitSigningFailure(req, document, error, { fieldCount: fields.length, batchId });
+      }
+      manifestEntries.push(entry);
+    }
+
+    const documentKeys = new Set(documents.map(d => valuesKey(d.filename)));
+    const signedCount = manifestEntries.filter(e => e.status === 'signed').length;
+    const manifest = {
+      batchId,
+      createdAt: new Date(),
+      signed: signedCount,
+      failed: manifestEntries.length - signedCount,
+      documents: manifestEntries,
+      // Rows for files that weren't in the batch usually mean a typo in the filename column
+      unmatchedValues: [...valueTable.keys()].filter(key => !documentKeys.has(key))
+    };
+    archive.file('manifest.json', JSON.stringify(manifest, null, 2));
+    res.locals.documentsSigned = signedCount;
+
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': 'attachment; filename=signed-documents.zip',
+      'X-Batch-Id': batchId,
+      'X-Batch-Signed': String(manifest.signed),
+      'X-Batch-Failed': String(manifest.failed)
+    });
+    res.send(await archive.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' }));
+
+  } catch (error) {
+    console.error('Error processing batch:', error);
+    // The whole batch was rejected: every uploaded file (or ZIP) failed
+    if (!res.headersSent) {
+      for (const file of (req.files && req.files.pdfs) || []) {
+        await emitSigningFailure(req, { filename: file.originalname, buffer: file.buffer }, error);
+      }
+    }
+    res.status(error.status || 500).json(errorBody(error));
+  }
+});
+
+/**
+ * Whether a signer may act on an envelope right now
+ * Sequential envelopes only open for a signer once everyone earlier in the order has finished
+ *
+ * @param {Envelope} envelope
+ * @param {Object} signer - Subdocument of envelope.signers
+ * @returns {Boolean}
+ */
+function isSignersTurn(envelope, signer) {
+  if (envelope.status !== 'in_progress' || signer.status !== 'pending') return false;
+  if (envelope.routingOrder === 'parallel') return true;
+
+  return envelope.signers.every(other =>
+    other.status === 'completed' || other.order >= signer.order
+  );
+}
+
+// Envelope summary for the sender; signer tokens are only revealed when the envelope is created
+function envelopeSummary(envelope) {
+  return {
+    id: envelope._id,
+    title: envelope.title,
+    originalFilename: envelope.originalFilename,
+    routingOrder: envelope.routingOrder,
+    status: envelope.status,
+    createdAt: envelope.createdAt,
+    completedAt: envelope.completedAt,
+    signatureRecord: envelope.signatureRecord,
+    signers: envelope.signers.map(signer => ({
+      id: signer._id,
+      name: signer.name,
+      email: signer.email,
+      order: signer.order,
+      status: signer.status,
+      completedAt: signer.completedAt,
+      fieldCount: envelope.fields.filter(f => f.signerId.equals(signer._id)).length
+    }))
+  };
+}
+
+// API Endpoint: Detect the interactive form fields already in a PDF
+// The editor shows them as pre-placed fields that /sign-pdf fills by name
+app.post('/form-fields', upload.single('pdf'), async (req, res) => {
+  try {
+    if (!req.file) {
+      throw missingFileError('pdf', 'No PDF uploaded');
+    }
+
+    const pdfDoc = await loadUploadedPdf(req.file.buffer);
+    res.json({ fields: detectFormFields(pdfDoc) });
+  } catch (error) {
+    console.error('Error reading form fields:', error);
+    res.status(error.status || 500).json(errorBody(error));
+  }
+});
+
+// Look up the envelope and signer a signing token belongs to
+async function findEnvelopeByToken(token) {
+  const envelope = await Envelope.findOne({ 'signers.token': token });
+  if (!envelope) {
+    throw httpError('Signing link is invalid', 404);
+  }
+  return { envelope, signer: envelope.signers.find(s => s.token === token) };
+}
+
+// API Endpoint: Create an envelope and assign fields to signers
+app.post('/envelopes', requireUser, upload.single('pdf'), async (req, res) => {
+  try {
+    if (!req.file) {
+      throw missingFileError('pdf', 'No PDF uploaded');
+    }
+
+    // The "data" part must match the envelope schema (GET /schemas)
+    const { title, routingOrder = 'sequential', signers = [], fields = [] } = parseRequestData(req.body.data, 'envelope');
+
+    if (signers.length === 0) {
+      return res.status(400).json(errorBody(httpError('An envelope needs at least one signer', 400, 'no_signers')));
+    }
+    const unassigned = fields.find(f => !signers[f.signerIndex]);
+    if (unassigned) {
+      return res.status(400).json(errorBody(httpError(`Field ${unassigned.id} is not assigned to a signer`, 400, 'unassigned_field')));
+    }
+
+    // Signers only see the document once it has been sent, so it must open and have every field's page
+    const pdfDoc = await loadUploadedPdf(req.file.buffer);
+    assertFieldsOnPages(fields, pdfDoc.getPageCount());
+
+    const signerDocs = signers.map((signer, index) => ({
+      _id: new mongoose.Types.ObjectId(),
+      name: signer.name,
+      email: signer.email,
+      order: signer.order !== undefined ? signer.order : index,
+      token: crypto.randomBytes(24).toString('hex')
+    }));
+
+    const envelope = new Envelope({
+      userId: req.user._id,
+      title: title || req.file.originalname,
+      originalFilename: req.file.originalname,
+      pdfData: req.file.buffer,
+      originalHash: calculateHash(req.file.buffer),
+      routingOrder,
+      signers: signerDocs,
+      fields: fields.map(f => ({
+        fieldId: String(f.id),
+        type: f.type,
+        pageIndex: f.pageIndex || 0,
+        coordinates: f.coordinates,
+        label: f.label,
+        required: Boolean(f.required),
+        formFieldName: f.formFieldName,
+        formOption: f.formOption,
+        groupName: f.groupName,
+        optionValue: f.optionValue,
+        checkStyle: f.checkStyle,
+        ...pickTextStyle(f),
+        ...pickValidationRules(f),
+        signerId: signerDocs[f.signerIndex]._id
+      }))
+    });
+    const renderFields = envelopeRenderFields(envelope);
+    validateChoiceFields(renderFields);
+    // Styles are checked up front so a bad one can't stop the last signer from completing
+    renderFields.filter(f => ['text', 'textarea', 'date'].includes(f.type)).forEach(textStyleOf);
+    await envelope.save();
+    await recordAuditEvent(envelope.originalHash, 'uploaded', req, {
+      envelopeId: String(envelope._id),
+      filename: envelope.originalFilename,
+      signerCount: signerDocs.length
+    });
+
+    const summary = envelopeSummary(envelope);
+    res.status(201).json({
+      ...summary,
+      signers: summary.signers.map((signer, index) => ({
+        ...signer,
+        token: signerDocs[index].token
+      }))
+    });
+  } catch (error) {
+    console.error('Error creating envelope:', error);
+    res.status(error.status || 500).json(errorBody(error));
+  }
+});
+
+// The signed-in user's envelope by id, or null
+async function findOwnEnvelope(req) {
+  if (!mongoose.isValidObjectId(req.params.id)) return null;
+  return Envelope.findOne({ _id: req.params.id, userId: req.user._id });
+}
+
+// API Endpoint: Envelope status, for its sender
+app.get('/envelopes/:id', requireUser, async (req, res) => {
+  try {
+    const envelope = await findOwnEnvelope(req);
+    if (!envelope) {
+      return res.status(404).json(errorBody(httpError('Envelope not found', 404)));
+    }
+    res.json(envelopeSummary(envelope));
+  } catch (error) {
+    res.status(error.status || 500).json(errorBody(error));
+  }
+});
+
+// API Endpoint: Download the completed envelope, for its sender
+app.get('/envelopes/:id/download', requireUser, async (req, res) => {
+  try {
+    const envelope = await findOwnEnvelope(req);
+    if (!envelope) {
+      return res.status(404).json(errorBody(httpError('Envelope not found', 404)));
+    }
+    if (envelope.status !== 'completed') {
+      return res.status(409).json(errorBody(httpError('Envelope has not been signed by everyone yet', 409)));
+    }
+    if (!envelope.signedPdfData) {
+      return res.status(410).json(errorBody(httpError('The signed PDF was deleted by the retention policy', 410)));
+    }
+
+    await recordAuditEvent(envelope.originalHash, 'downloaded', req, {
+      envelopeId: String(envelope._id),
+      signedHash: calculateHash(envelope.signedPdfData)
+    });
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': 'attachment; filename=signed-document.pdf'
+    });
+    res.send(envelope.signedPdfData);
+  } catch (error) {
+    res.status(error.status || 500).json(errorBody(error));
+  }
+});
+
+// API Endpoint: Signer view - only the fields assigned to this signer
+app.get('/sign/:token', async (req, res) => {
+  try {
+    const { envelope, signer } = await findEnvelopeByToken(req.params.token);
+    await recordAuditEvent(envelope.originalHash, 'viewed', req, { envelopeId: String(envelope._id) }, signerActor(signer));
+
+    res.json({
+      envelopeId: envelope._id,
+      title: envelope.title,
+      envelopeStatus: envelope.status,
+      signer: {
+        name: signer.name,
+        email: signer.email,
+        status: signer.status
+      },
+      canSign: isSignersTurn(envelope, signer),
+      fields: envelope.fields
+        .filter(f => f.signerId.equals(signer._id))
+        .map(f => ({
+          id: f.fieldId,
+          type: f.type,
+          pageIndex: f.pageIndex,
+          coordinates: f.coordinates,
+          label: f.label,
+          required: f.required,
+          formFieldName: f.formFieldName,
+          formOption: f.formOption,
+          groupName: f.groupName,
+          optionValue: f.optionValue,
+          checkStyle: f.checkStyle,
+          ...pickTextStyle(f),
+          ...pickValidationRules(f)
+        }))
+    });
+  } catch (error) {
+    res.status(error.status || 500).json(errorBody(error));
+  }
+});
+
+// API Endpoint: Original PDF for the signer view
+app.get('/sign/:token/pdf', async (req, res) => {
+  try {
+    const { envelope } = await findEnvelopeByToken(req.params.token);
+    if (!envelope.pdfData) {
+      return res.status(410).json(errorBody(httpError('The PDF was deleted by the retention policy', 410)));
+    }
+    res.set('Content-Type', 'application/pdf');
+    res.send(envelope.pdfData);
+  } catch (error) {
+    res.status(error.status || 500).json(errorBody(error));
+  }
+});
+
+// Envelope fields in the shape renderSignedPdf expects
+function envelopeRenderFields(envelope) {
+  return envelope.fields.map(f => ({
+    id: f.fieldId,
+    type: f.type,
+    pageIndex: f.pageIndex,
+    coordinates: f.coordinates,
+    formFieldName: f.formFieldName,
+    formOption: f.formOption,
+    groupName: f.groupName,
+    optionValue: f.optionValue,
+    checkStyle: f.checkStyle,
+    ...pickTextStyle(f),
+    value: f.value,
+    imageData: f.imageData,
+    vectorData: f.vectorData,
+    checked: f.checked
+  }));
+}
+
+// API Endpoint: Signer submits their field values
+app.post('/sign/:token', async (req, res) => {
+  try {
+    let { envelope, signer } = await findEnvelopeByToken(req.params.token);
+
+    if (!isSignersTurn(envelope, signer)) {
+      return res.status(409).json({
+        error: signer.status === 'completed'
+          ? 'You have already signed this envelope'
+          : 'It is not your turn to sign this envelope yet'
+      });
+    }
+
+    // Only accept values for fields that belong to this signer. A signed-in signer's
+    // saved signature and initials fill their fields
+    const submitted = new Map((req.body.fields || []).map(f => [String(f.id), f]));
+    for (const field of envelope.fields) {
+      if (!field.signerId.equals(signer._id)) continue;
+      const submittedValues = submitted.get(field.fieldId) || (field.type === 'initials' ? {} : null);
+      if (!submittedValues) continue;
+      const [values] = applySavedSignatures([{ ...submittedValues, id: field.fieldId, type: field.type }], req.user);
+      field.value = values.value;
+      field.imageData = values.imageData;
+      field.vectorData = values.vectorData;
+      field.checked = values.checked;
+    }
+
+    // The signer's own fields must pass their rules before the submission is accepted
+    validateFields(envelope.fields
+      .filter(f => f.signerId.equals(signer._id))
+      .map(f => ({
+        id: f.fieldId,
+        type: f.type,
+        label: f.label,
+        required: f.required,
+        formFieldName: f.formFieldName,
+        groupName: f.groupName,
+        ...pickValidationRules(f),
+        value: f.value,
+        imageData: f.imageData,
+        vectorData: f.vectorData,
+        checked: f.checked
+      })), { timeZone: req.body.timeZone, pathPrefix: null });
+
+    // Radio groups can span signers, so check the whole envelope before accepting
+    validateChoiceFields(envelopeRenderFields(envelope));
+    await envelope.save();
+
+    // Parallel signers can finish at the same moment: the status is set atomically, and only
+    // the update that completes the last signer sees everyone completed
+    const completed = await Envelope.findOneAndUpdate({
+      _id: envelope._id,
+      signers: { $elemMatch: { _id: signer._id, status: { $ne: 'completed' } } }
+    }, {
+      $set: {
+        'signers.$.status': 'completed',
+        'signers.$.completedAt': new Date(),
+        'signers.$.ipAddress': req.ip,
+        'signers.$.userAgent': req.get('User-Agent')
+      }
+    }, { new: true });
+    if (!completed) {
+      return res.status(409).json(errorBody(httpError('You have already signed this envelope', 409)));
+    }
+    envelope = completed;
+    signer = envelope.signers.id(signer._id);
+
+    // The last signer to finish produces the final document, with everyone's values
+    let signedHash;
+    if (envelope.signers.every(s => s.status === 'completed')) {
+      const fields = envelopeRenderFields(envelope);
+      let result;
+      try {
+        result = await renderSignedPdf(envelope.pdfData, fields);
+      } catch (error) {
+        // Without a final document the envelope can't complete: hand the signer their turn back,
+        // so they can correct their values instead of everyone showing completed on an open envelope
+        await Envelope.findOneAndUpdate({
+          _id: envelope._id,
+          signers: { $elemMatch: { _id: signer._id, status: 'completed' } }
+        }, {
+          $set: { 'signers.$.status': 'pending', 'signers.$.completedAt': null }
+        });
+        throw error;
+      }
+      const auditRecord = await saveSignatureRecord(result, envelope.originalFilename, fields.length,
+        envelope.signers.map(s => ({
+          name: s.name,
+          email: s.email,
+          ipAddress: s.ipAddress,
+          userAgent: s.userAgent,
+          signedAt: s.completedAt,
+          signatures: signaturesOf(envelope.fields.filter(f => f.signerId.equals(s._id)))
+        })),
+        { userId: envelope.userId }
+      );
+      await storeRecordDocuments(auditRecord, { original: envelope.pdfData, signed: result.signedPdfBytes });
+
+      envelope.signedPdfData = Buffer.from(result.signedPdfBytes);
+      envelope.signatureRecord = auditRecord._id;
+      envelope.status = 'completed';
+      envelope.completedAt = new Date();
+      signedHash = result.signedHash;
+    }
+
+    await envelope.save();
+
+    const envelopeId = String(envelope._id);
+    const signerFields = envelope.fields
+      .filter(f => f.signerId.equals(signer._id))
+      .map(f => ({ ...f.toObject(), id: f.fieldId }));
+    await recordFilledFields(envelope.originalHash, req, signerFields, { envelopeId }, signerActor(signer));
+    await recordAuditEvent(envelope.originalHash, 'signed', req, {
+      envelopeId,
+      envelopeStatus: envelope.status,
+      signedHash
+    }, signerActor(signer));
+
+    res.json({
+      status: signer.status,
+      envelopeStatus: envelope.status
+    });
+  } catch (error) {
+    console.error('Error completing signer:', error);
+    res.status(error.status || 500).json(errorBody(error));
+  }
+});
+
+// Template fields as sent to and from clients
+function normalizeTemplateFields(fields = []) {
+  return fields.map(f => ({
+    type: f.type,
+    pageIndex: f.pageIndex || 0,
+    coordinates: f.coordinates,
+    label: f.label,
+    required: Boolean(f.required),
+    groupName: f.groupName,
+    optionValue: f.optionValue,
+    checkStyle: f.checkStyle,
+    ...pickTextStyle(f),
+    ...pickValidationRules(f)
+  }));
+}
+
+/**
+ * Check a template's name, description and fields as sent to POST and PUT /templates
+ *
+ * @param {Object} input - { name, description, fields }
+ * @param {Object} [options] - { partial } to only check what is present, for updates;
+ *   { pathPrefix } where the input sits in the request (default data)
+ * @throws {Error} - 400 invalid_template naming the offending property
+ */
+function assertTemplateInput(input, options = {}) {
+  const { partial = false, pathPrefix = 'data' } = options;
+  const { name, description, fields } = input || {};
+  const invalid = (message, path) => httpError(message, 400, 'invalid_template', [
+    { path: pathPrefix ? `${pathPrefix}.${path}` : path, code: 'invalid_template', message }
+  ]);
+
+  if (!(partial && name === undefined) && (typeof name !== 'string' || !name.trim())) {
+    throw invalid('Template name is required', 'name');
+  }
+  if (description !== undefined && description !== null && typeof description !== 'string') {
+    throw invalid('Template description must be a string', 'description');
+  }
+  if (fields === undefined) return;
+  if (!Array.isArray(fields)) {
+    throw invalid('Template fields must be an array', 'fields');
+  }
+  fields.forEach((field, i) => {
+    if (!field || typeof field !== 'object' || typeof field.type !== 'string' || !field.type) {
+      throw invalid(`Template field ${i} needs a type`, `fields[${i}].type`);
+    }
+    const { coordinates } = field;
+    const numbers = coordinates && typeof coordinates === 'object' &&
+      ['x', 'y', 'width', 'height'].every(key => Number.isFinite(coordinates[key]));
+    if (!numbers) {
+      throw invalid(`Template field ${i} needs numeric coordinates x, y, width and height`, `fields[${i}].coordinates`);
+    }
+    if (field.pageIndex !== undefined && !(Number.isInteger(field.pageIndex) && field.pageIndex >= 0)) {
+      throw invalid(`Template field ${i} has an invalid pageIndex`, `fields[${i}].pageIndex`);
+    }
+  });
+}
+
+// The signed-in user's template named by :id, or null
+async function findOwnTemplate(req) {
+  if (!mongoose.isValidObjectId(req.params.id)) return null;
+  return Template.findOne({ _id: req.params.id, userId: req.user._id });
+}
+
+// API Endpoint: Save a template from a PDF and its field layout
+app.post('/templates', requireUser, upload.single('pdf'), async (req, res) => {
+  try {
+    if (!req.file) {
+      throw missingFileError('pdf', 'No PDF uploaded');
+    }
+
+    const { name, description, fields } = parseJsonData(req.body.data);
+    assertTemplateInput({ name, description, fields });
+
+    const template = new Template({
+      userId: req.user._id,
+      name,
+      description,
+      fields: normalizeTemplateFields(fields),
+      fingerprint: await fingerprintPdf(req.file.buffer)
+    });
+    await template.save();
+
+    res.status(201).json(template);
+  } catch (error) {
+    console.error('Error saving template:', error);
+    res.status(error.status || 500).json(errorBody(error));
+  }
+});
+
+// API Endpoint: List the signed-in user's templates
+app.get('/templates', requireUser, async (req, res) => {
+  try {
+    const templates = await Template.find({ userId: req.user._id }).sort({ updatedAt: -1 });
+    res.json(templates);
+  } catch (error) {
+    res.status(error.status || 500).json(errorBody(error));
+  }
+});
+
+// API Endpoint: Get one template
+app.get('/templates/:id', requireUser, async (req, res) => {
+  try {
+    const template = await findOwnTemplate(req);
+    if (!template) {
+      return res.status(404).json(errorBody(httpError('Template not found', 404)));
+    }
+    res.json(template);
+  } catch (error) {
+    res.status(error.status || 500).json(errorBody(error));
+  }
+});
+
+// API Endpoint: Rename a template or replace its field layout
+app.put('/templates/:id', requireUser, async (req, res) => {
+  try {
+    const template = await findOwnTemplate(req);
+    if (!template) {
+      return res.status(404).json(errorBody(httpError('Template not found', 404)));
+    }
+
+    const { name, description, fields } = req.body;
+    assertTemplateInput({ name, description, fields }, { partial: true, pathPrefix: null });
+    if (name !== undefined) template.name = name;
+    if (description !== undefined) template.description = description;
+    if (fields !== undefined) template.fields = normalizeTemplateFields(fields);
+    template.updatedAt = new Date();
+    await template.save();
+
+    res.json(template);
+  } catch (error) {
+    res.status(error.status || 500).json(errorBody(error));
+  }
+});
+
+// API Endpoint: Delete a template
+app.delete('/templates/:id', requireUser, async (req, res) => {
+  try {
+    const template = mongoose.isValidObjectId(req.params.id) &&
+      await Template.findOneAndDelete({ _id: req.params.id, userId: req.user._id });
+    if (!template) {
+      return res.status(404).json(errorBody(httpError('Template not found', 404)));
+    }
+    res.status(204).end();
+  } catch (error) {
+    res.status(error.status || 500).json(errorBody(error));
+  }
+});
+
+// API Endpoint: Apply a template to a newly uploaded PDF
+// Returns the template's fields plus warnings where the new document differs from the source
+app.post('/templates/:id/apply', requireUser, upload.single('pdf'), async (req, res) => {
+  try {
+    const template = await findOwnTemplate(req);
+    if (!template) {
+      return res.status(404).json(errorBody(httpError('Template not found', 404)));
+    }
+    if (!req.file) {
+      throw missingFileError('pdf', 'No PDF uploaded');
+    }
+
+    const target = await fingerprintPdf(req.file.buffer);
+    const source = template.fingerprint;
+    const warnings = [];
+
+    if (source.pageCount !== target.pageCount) {
+      warnings.push(`Template was made for ${source.pageCount} page(s), this document has ${target.pageCount}`);
+    }
+
+    // Percentages stretch with the page, so only pages that carry fields matter
+    const usedPages = [...new Set(template.fields.map(f => f.pageIndex))].sort((a, b) => a - b);
+    for (const pageIndex of usedPages) {
+      const expected = source.pageSizes[pageIndex];
+      const actual = target.pageSizes[pageIndex];
+      if (!actual) {
+        warnings.push(`Page ${pageIndex + 1} does not exist; its fields were skipped`);
+      } else if (expected && (Math.abs(expected.width - actual.width) > 1 || Math.abs(expected.height - actual.height) > 1)) {
+        warnings.push(
+          `Page ${pageIndex + 1} is ${Math.round(actual.width)}x${Math.round(actual.height)}pt, ` +
+          `template expects ${Math.round(expected.width)}x${Math.round(expected.height)}pt`
+        );
+      }
+    }
+
+    res.json({
+      templateId: template._id,
+      identicalDocument: source.hash === target.hash,
+      fields: template.fields.filter(f => f.pageIndex < target.pageCount),
+      warnings
+    });
+  } catch (error) {
+    console.error('Error applying template:', error);
+    res.status(error.status || 500).json(errorBody(error));
+  }
+});
+
+// Account details a user may see; password and token hashes never leave the server
+function userProfile(user) {
+  const saved = entry => entry ? {
+    imageData: entry.imageData,
+    vectorData: entry.vectorData,
+    updatedAt: entry.updatedAt
+  } : null;
+
+  return {
+    id: user._id,
+    username: user.username,
+    signature: saved(user.signature),
+    initials: saved(user.initials),
+    apiKeys: user.apiKeys.map(key => ({
+      id: key._id,
+      name: key.name,
+      prefix: key.prefix,
+      createdAt: key.createdAt
+    }))
+  };
+}
+
+// Start a session for a user, returning the token the client sends as a bearer token
+async function createSession(user) {
+  const token = generateToken('ses');
+  const cutoff = Date.now() - SESSION_TTL_DAYS * 24 * 60 * 60 * 1000;
+
+  // Expired sessions are dropped whenever a new one starts
+  user.sessions = user.sessions.filter(session => session.createdAt > cutoff);
+  user.sessions.push({ tokenHash: hashToken(token) });
+  await user.save();
+  return token;
+}
+
+// API Endpoint: Register a user with a local username and password
+app.post('/users', async (req, res) => {
+  try {
+    const username = String(req.body.username || '').trim().toLowerCase();
+    const { password } = req.body;
+
+    if (!/^[a-z0-9._-]{3,32}$/.test(username)) {
+      throw httpError('Username must be 3-32 letters, digits, dots, dashes or underscores', 400, 'invalid_username');
+    }
+    if (typeof password !== 'string' || password.length < 8) {
+      throw httpError('Password must be at least 8 characters', 400, 'weak_password');
+    }
+    if (await User.findOne({ username })) {
+      throw httpError(`Username "${username}" is taken`, 409, 'username_taken');
+    }
+
+    const user = new User({ username, passwordHash: await hashPassword(password) });
+    const token = await createSession(user);
+
+    res.status(201).json({ token, user: userProfile(user) });
+  } catch (error) {
+    console.error('Error registering user:', error);
+    res.status(error.status || 500).json(errorBody(error));
+  }
+});
+
+// API Endpoint: Sign in and receive a session token
+app.post('/sessions', async (req, res) => {
+  try {
+    const username = String(req.body.username || '').trim().toLowerCase();
+    const user = await User.findOne({ username });
+
+    if (!user || !(await verifyPassword(String(req.body.password || ''), user.passwordHash))) {
+      throw httpError('Wrong username or password', 401, 'invalid_credentials');
+    }
+
+    const token = await createSession(user);
+    res.json({ token, user: userProfile(user) });
+  } catch (error) {
+    console.error('Error signing in:', error);
+    res.status(error.status || 500).json(errorBody(error));
+  }
+});
+
+// API Endpoint: Sign out, ending the session whose token made the request
+app.delete('/sessions/current', requireUser, async (req, res) => {
+  try {
+    req.user.sessions = req.user.sessions.filter(session => session.tokenHash !== req.tokenHash);
+    await req.user.save();
+    res.json({ message: 'Signed out' });
+  } catch (error) {
+    console.error('Error signing out:', error);
+    res.status(error.status || 500).json(errorBody(error));
+  }
+});
+
+// API Endpoint: The signed-in user's profile
+app.get('/me', requireUser, (req, res) => {
+  res.json(userProfile(req.user));
+});
+
+// API Endpoint: Save the user's default signature or initials
+// Body: { vectorData } for drawn ones, or { imageData } (PNG/JPEG data URL) for typed and uploaded ones
+app.put('/me/:kind(signature|initials)', requireUser, async (req, res) => {
+  try {
+    const { kind } = req.params;
+    const { imageData, vectorData } = req.body;
+
+    if (vectorData) {
+      validateVectorSignature(vectorData, `Saved ${kind}`);
+    } else if (typeof imageData !== 'string' || !/^data:image\/(png|jpeg);base64,/.test(imageData)) {
+      throw httpError(`Send the ${kind} as vectorData or as a PNG or JPEG data URL in imageData`, 400, 'invalid_signature_image');
+    }
+
+    req.user[kind] = vectorData ? { vectorData } : { imageData };
+    await req.user.save();
+    res.json(userProfile(req.user));
+  } catch (error) {
+    console.error('Error saving signature profile:', error);
+    res.status(error.status || 500).json(errorBody(error));
+  }
+});
+
+// API Endpoint: Forget the user's saved signature or initials
+app.delete('/me/:kind(signature|initials)', requireUser, async (req, res) => {
+  try {
+    req.user[req.params.kind] = undefined;
+    await req.user.save();
+    res.json(userProfile(req.user));
+  } catch (error) {
+    console.error('Error deleting signature profile:', error);
+    res.status(error.status || 500).json(errorBody(error));
+  }
+});
+
+// API Endpoint: Create an API key
+// The key itself is only returned here; the server keeps just its hash
+app.post('/me/api-keys', requireUser, async (req, res) => {
+  try {
+    const key = generateToken('sek');
+    req.user.apiKeys.push({
+      name: String(req.body.name || '').trim() || `Key ${req.user.apiKeys.length + 1}`,
+      keyHash: hashToken(key),
+      prefix: key.slice(0, 8)
+    });
+    await req.user.save();
+
+    const { apiKeys } = userProfile(req.user);
+    res.status(201).json({ key, apiKey: apiKeys[apiKeys.length - 1] });
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    res.status(error.status || 500).json(errorBody(error));
+  }
+});
+
+// API Endpoint: Revoke an API key
+app.delete('/me/api-keys/:id', requireUser, async (req, res) => {
+  try {
+    const apiKey = req.user.apiKeys.id(req.params.id);
+    if (!apiKey) {
+      return res.status(404).json(errorBody(httpError('API key not found', 404)));
+    }
+
+    apiKey.deleteOne();
+    await req.user.save();
+    res.json(userProfile(req.user));
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(error.status || 500).json(errorBody(error));
+  }
+});
+
+// API Endpoint: Usage of an API key per day and route, over the last `days` days (default 30)
+app.get('/me/api-keys/:id/usage', requireUser, async (req, res) => {
+  try {
+    const apiKey = req.user.apiKeys.id(req.params.id);
+    if (!apiKey) {
+      return res.status(404).json(errorBody(httpError('API key not found', 404)));
+    }
+
+    const days = Math.min(Math.max(Number.parseInt(req.query.days, 10) || 30, 1), 366);
+    const since = new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const rows = await ApiUsage.find({ keyId: apiKey._id, day: { $gte: since } }).sort({ day: 1, route: 1 });
+
+    const totals = { requests: 0, failures: 0, documentsSigned: 0 };
+    for (const row of rows) {
+      for (const key of Object.keys(totals)) totals[key] += row[key] || 0;
+    }
+    const lastUsedAt = rows.reduce((latest, row) => row.lastUsedAt > latest ? row.lastUsedAt : latest, null);
+
+    res.json({
+      apiKey: userProfile(req.user).apiKeys.find(key => String(key.id) === String(apiKey._id)),
+      since,
+      totals,
+      lastUsedAt,
+      // Every Signature record made with the key, including those older than `since`
+      signatureRecords: await Signature.countDocuments({ apiKeyId: apiKey._id }),
+      usage: rows.map(row => ({
+        day: row.day,
+        route: row.route,
+        requests: row.requests,
+        failures: row.failures,
+        documentsSigned: row.documentsSigned
+      }))
+    });
+  } catch (error) {
+    console.error('Error reading API key usage:', error);
+    res.status(error.status || 500).json(errorBody(error));
+  }
+});
+
+// A subscription as shown to its owner; the secret is only shown when it is created
+function webhookSummary(subscription) {
+  return {
+    id: subscription._id,
+    url: subscription.url,
+    events: subscription.events,
+    description: subscription.description,
+    secretPrefix: subscription.secret.slice(0, 10),
+    createdAt: subscription.createdAt
+  };
+}
+
+// A delivery log entry, with the payload as sent
+function deliverySummary(delivery) {
+  return {
+    id: delivery._id,
+    eventId: delivery.eventId,
+    event: delivery.event,
+    status: delivery.status,
+    attempts: delivery.attempts,
+    nextAttemptAt: delivery.nextAttemptAt,
+    deliveredAt: delivery.deliveredAt,
+    createdAt: delivery.createdAt,
+    payload: JSON.parse(delivery.payload)
+  };
+}
+
+// The signed-in user's subscription by id, or null
+async function findOwnWebhook(req) {
+  if (!mongoose.isValidObjectId(req.params.id)) return null;
+  return WebhookSubscription.findOne({ _id: req.params.id, userId: req.user._id });
+}
+
+// API Endpoint: Subscribe a URL to events about the user's documents
+// The signing secret is only returned here
+app.post('/webhooks', requireUser, async (req, res) => {
+  try {
+    const { url, events } = await normalizeSubscription(req.body);
+    const secret = generateToken('whsec');
+    const subscription = await WebhookSubscription.create({
+      userId: req.user._id,
+      url,
+      events,
+      description: req.body.description ? String(req.body.description).trim() : undefined,
+      secret
+    });
+
+    res.status(201).json({ secret, webhook: webhookSummary(subscription) });
+  } catch (error) {
+    console.error('Error creating webhook:', error);
+    res.status(error.status || 500).json(errorBody(error));
+  }
+});
+
+// API Endpoint: List the user's webhooks
+app.get('/webhooks', requireUser, async (req, res) => {
+  try {
+    const subscriptions = await WebhookSubscription.find({ userId: req.user._id });
+    res.json(subscriptions.map(webhookSummary));
+  } catch (error) {
+    console.error('Error listing webhooks:', error);
+    res.status(500).json(errorBody(error));
+  }
+});
+
+// API Endpoint: One webhook
+app.get('/webhooks/:id', requireUser, async (req, res) => {
+  try {
+    const subscription = await findOwnWebhook(req);
+    if (!subscription) {
+      return res.status(404).json(errorBody(httpError('Webhook not found', 404)));
+    }
+    res.json(webhookSummary(subscription));
+  } catch (error) {
+    console.error('Error reading webhook:', error);
+    res.status(500).json(errorBody(error));
+  }
+});
+
+// API Endpoint: Delete a webhook
+// Deliveries still pending are marked failed on their next attempt; the log stays readable until then
+app.delete('/webhooks/:id', requireUser, async (req, res) => {
+  try {
+    const subscription = await findOwnWebhook(req);
+    if (!subscription) {
+      return res.status(404).json(errorBody(httpError('Webhook not found', 404)));
+    }
+    await WebhookSubscription.deleteOne({ _id: subscription._id });
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error deleting webhook:', error);
+    res.status(500).json(errorBody(error));
+  }
+});
+
+// API Endpoint: Delivery log of a webhook, newest first
+// ?status=pending|delivered|failed narrows it down; ?limit= caps it (default 50, at most 200)
+app.get('/webhooks/:id/deliveries', requireUser, async (req, res) => {
+  try {
+    const subscription = await findOwnWebhook(req);
+    if (!subscription) {
+      return res.status(404).json(errorBody(httpError('Webhook not found', 404)));
+    }
+
+    const query = { subscriptionId: subscription._id };
+    if (req.query.status) {
+      if (!['pending', 'sending', 'delivered', 'failed'].includes(req.query.status)) {
+        throw httpError('status must be pending, sending, delivered or failed', 400, 'invalid_query');
+      }
+      query.status = req.query.status;
+    }
+    const limit = Math.min(Math.max(Number.parseInt(req.query.limit, 10) || 50, 1), 200);
+    const deliveries = await WebhookDelivery.find(query).sort({ createdAt: -1 }).limit(limit);
+    res.json(deliveries.map(deliverySummary));
+  } catch (error) {
+    console.error('Error reading webhook deliveries:', error);
+    res.status(error.status || 500).json(errorBody(error));
+  }
+});
+
+// API Endpoint: Send a delivery again now, e.g. after fixing the receiver
+// The attempt is added to its log; the payload and event id stay the same so receivers can de-duplicate
+app.post('/webhooks/:id/deliveries/:deliveryId/redeliver', requireUser, async (req, res) => {
+  try {
+    const subscription = await findOwnWebhook(req);
+    const owned = subscription && mongoose.isValidObjectId(req.params.deliveryId) && {
+      _id: req.params.deliveryId,
+      subscriptionId: subscription._id
+    };
+    if (!owned || !(await WebhookDelivery.findOne(owned))) {
+      return res.status(404).json(errorBody(httpError('Delivery not found', 404)));
+    }
+
+    // Anything but a delivery another attempt is sending right now can be sent again
+    const delivery = await claimWebhookDelivery({
+      ...owned,
+      $or: [{ status: { $ne: 'sending' } }, { nextAttemptAt: { $lte: new Date() } }]
+    });
+    if (!delivery) {
+      throw httpError('The delivery is being sent right now; try again once the attempt is logged', 409, 'delivery_in_progress');
+    }
+
+    delivery.deliveredAt = undefined;
+    await attemptWebhookDelivery(delivery);
+    res.json(deliverySummary(delivery));
+  } catch (error) {
+    console.error('Error redelivering webhook:', error);
+    res.status(error.status || 500).json(errorBody(error));
+  }
+});
+
+// API Endpoint: RFC 3161 timestamp token of one of the user's signing records (DER), for checking with
+// third-party tools, e.g. openssl ts -verify -token_in -in <file> -digest <signedHash> -CAfile <TSA chain>
+app.get('/timestamps/:recordId', requireUser, async (req, res) => {
+  try {
+    const record = await findOwnRecord(req);
+    if (!record || !record.trustedTimestamp || !record.trustedTimestamp.token) {
+      return res.status(404).json(errorBody(httpError('No timestamp token for this record', 404)));
+    }
+
+    res.set({
+      'Content-Type': 'application/octet-stream',
+      'Content-Disposition': `attachment; filename=${record._id}.tst`,
+      'X-Signed-Hash': record.signedHash
+    });
+    res.send(Buffer.from(record.trustedTimestamp.token));
+  } catch (error) {
+    console.error('Error reading timestamp token:', error);
+    res.status(500).json(errorBody(error));
+  }
+});
+
+// API Endpoint: Certificate of completion for one of the user's signing records, as a standalone PDF
+app.get('/certificates/:recordId', requireUser, async (req, res) => {
+  try {
+    const record = await findOwnRecord(req);
+    if (!record) {
+      return res.status(404).json(errorBody(httpError('Signature record not found', 404)));
+    }
+
+    const certificateBytes = await renderCompletionCertificate(record);
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename=certificate-${record._id}.pdf`
+    });
+    res.send(Buffer.from(certificateBytes));
+  } catch (error) {
+    console.error('Error creating certificate of completion:', error);
+    res.status(error.status || 500).json(errorBody(error));
+  }
+});
+
+// Where a record's stored PDFs stand: which versions exist and when retention removes them
+function storedDocumentSummary(record) {
+  const stored = Boolean(record.storage && record.storage.storedAt);
+  const purgedAt = stored ? record.storage.purgedAt : undefined;
+
+  return {
+    recordId: record._id,
+    originalFilename: record.metadata.originalFilename,
+    stored,
+    storedAt: stored ? record.storage.storedAt : undefined,
+    purgedAt,
+    expiresAt: stored && !purgedAt && RETENTION_DAYS
+      ? new Date(record.timestamp.getTime() + RETENTION_DAYS * 24 * 60 * 60 * 1000)
+      : undefined,
+    versions: Object.entries(DOCUMENT_VERSIONS)
+      .filter(([, hashField]) => record[hashField])
+      .map(([version, hashField]) => ({
+        version,
+        hash: record[hashField],
+        available: stored && !purgedAt
+      }))
+  };
+}
+
+// API Endpoint: Stored documents of one of the user's signing records
+app.get('/documents/:recordId', requireUser, async (req, res) => {
+  try {
+    const record = await findOwnRecord(req);
+    if (!record) {
+      return res.status(404).json(errorBody(httpError('Signature record not found', 404)));
+    }
+
+    res.json(storedDocumentSummary(record));
+  } catch (error) {
+    res.status(error.status || 500).json(errorBody(error));
+  }
+});
+
+// API Endpoint: Download a stored PDF of one of the user's signing records
+// version: original | signed | final (signed with the certificate of completion)
+app.get('/documents/:recordId/:version(original|signed|final)', requireUser, async (req, res) => {
+  try {
+    const record = await findOwnRecord(req);
+    if (!record) {
+      return res.status(404).json(errorBody(httpError('Signature record not found', 404)));
+    }
+
+    const { version } = req.params;
+    const hash = record[DOCUMENT_VERSIONS[version]];
+    if (!record.storage || !record.storage.storedAt || !hash) {
+      return res.status(404).json(errorBody(httpError(`No ${version} PDF was stored for this record`, 404, 'document_not_stored')));
+    }
+    if (record.storage.purgedAt) {
+      return res.status(410).json(errorBody(httpError(
+        `The stored PDFs were deleted by the retention policy on ${record.storage.purgedAt.toISOString()}`,
+        410,
+        'document_purged'
+      )));
+    }
+
+    // Files are addressed by hash, so a changed file is caught on the way out
+    const pdfBytes = await documentStorage.get(hash);
+    if (!pdfBytes) {
+      return res.status(404).json(errorBody(httpError(`The ${version} PDF is missing from document storage`, 404, 'document_missing')));
+    }
+    if (calculateHash(pdfBytes) !== hash) {
+      throw httpError(`The stored ${version} PDF does not match its recorded hash`, 500);
+    }
+
+    await recordAuditEvent(record.originalHash, 'downloaded', req, {
+      signatureRecordId: String(record._id),
+      version
+    });
+
+    const baseName = (record.metadata.originalFilename || 'document.pdf').replace(/\.pdf$/i, '').replace(/[^\w.-]+/g, '_');
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename=${baseName}-${version}.pdf`
+    });
+    res.send(pdfBytes);
+  } catch (error) {
+    console.error('Error downloading stored document:', error);
+    res.status(error.status || 500).json(errorBody(error));
+  }
+});
+
+// API Endpoint: Verify hash
+app.post('/verify-hash', requireApiKey, async (req, res) => {
+  try {
+    const { hash } = req.body;
+    const record = await Signature.findOne({
+      $or: [{ originalHash: hash }, { signedHash: hash }, { finalHash: hash }]
+    });
+
+    if (record) {
+      await recordAuditEvent(record.originalHash, 'verified', req, {
+        method: 'hash',
+        matchedOn: matchedHashOf(record, hash)
+      });
+      await emitWebhookEvent('document.verified', {
+        ...webhookRecordData(record),
+        found: true,
+        method: 'hash',
+        hash,
+        matchedOn: matchedHashOf(record, hash)
+      }, [record.userId, req.user && req.user._id]);
+      res.json({
+        found: true,
+        originalHash: record.originalHash,
+        signedHash: record.signedHash,
+        finalHash: record.finalHash,
+        timestamp: record.timestamp,
+        trustedTimestamp: trustedTimestampReport(record),
+        ...(record.trustedTimestampError && { trustedTimestampError: record.trustedTimestampError }),
+        metadata: record.metadata
+      });
+    } else {
+      await emitWebhookEvent('document.verified', { found: false, method: 'hash', hash }, [req.user && req.user._id]);
+      res.json({ found: false });
+    }
+  } catch (error) {
+    res.status(error.status || 500).json(errorBody(error));
+  }
+});
+
+// API Endpoint: Verify an uploaded PDF
+// Matches the file against the audit trail and checks any embedded signatures
+app.post('/verify-pdf', requireApiKey, upload.single('pdf'), async (req, res) => {
+  try {
+    if (!req.file) {
+      throw missingFileError('pdf', 'No PDF uploaded');
+    }
+
+    const pdfBuffer = req.file.buffer;
+    const hash = calculateHash(pdfBuffer);
+    const record = await Signature.findOne({
+      $or: [{ originalHash: hash }, { signedHash: hash }, { finalHash: hash }]
+    });
+
+    const signatures = verifyPdfSignatures(pdfBuffer);
+    const latestSignature = signatures[signatures.length - 1];
+    const incrementalUpdatesAfterSigning = Boolean(latestSignature) && !latestSignature.coversWholeDocument;
+
+    // Embedded signatures are authoritative; otherwise fall back to the audit trail.
+    // Unchanged documents signed by anyone outside SIGNING_TRUST_FILE are untrusted, not intact
+    let status;
+    if (signatures.length > 0) {
+      if (signatures.some(sig => !sig.signatureValid)) {
+        status = 'invalid';
+      } else if (incrementalUpdatesAfterSigning) {
+        status = 'modified';
+      } else if (signatures.some(sig => !sig.trusted)) {
+        status = 'untrusted';
+      } else {
+        status = 'intact';
+      }
+    } else {
+      status = record ? 'intact' : 'unknown';
+    }
+
+    if (record) {
+      await recordAuditEvent(record.originalHash, 'verified', req, {
+        method: 'pdf',
+        matchedOn: matchedHashOf(record, hash),
+        integrity: status
+      });
+    }
+    await emitWebhookEvent('document.verified', {
+      ...(record ? webhookRecordData(record) : { filename: req.file.originalname }),
+      found: Boolean(record),
+      method: 'pdf',
+      hash,
+      ...(record && { matchedOn: matchedHashOf(record, hash) }),
+      integrity: status
+    }, [record && record.userId, req.user && req.user._id]);
+
+    res.json({
+      hash,
+      matchedRecord: record ? {
+        id: record._id,
+        matchedOn: matchedHashOf(record, hash),
+        originalHash: record.originalHash,
+        signedHash: record.signedHash,
+        finalHash: record.finalHash,
+        timestamp: record.timestamp,
+        trustedTimestamp: trustedTimestampReport(record),
+        ...(record.trustedTimestampError && { trustedTimestampError: record.trustedTimestampError }),
+        metadata: record.metadata
+      } : null,
+      integrity: {
+        status,
+        signatureCount: signatures.length,
+        untrustedSignatures: signatures.filter(sig => !sig.trusted).length,
+        incrementalUpdatesAfterSigning,
+        bytesAfterLastSignature: incrementalUpdatesAfterSigning
+          ? pdfBuffer.length - (latestSignature.byteRange[2] + latestSignature.byteRange[3])
+          : 0
+      },
+      signatures
+    });
+  } catch (error) {
+    console.error('Error verifying PDF:', error);
+    res.status(error.status || 500).json(errorBody(error));
+  }
+});
+
+// A document's audit chain, oldest event first, and the recorded end of the chain
+async function loadAuditChain(documentHash) {
+  const [events, head] = await Promise.all([
+    AuditEvent.find({ documentHash }).sort({ sequence: 1 }),
+    AuditHead.findOne({ documentHash })
+  ]);
+  return { events, head };
+}
+
+// An audit event as exported; it carries everything needed to recompute its hash
+function exportedAuditEvent(event) {
+  return {
+    documentHash: event.documentHash,
+    sequence: event.sequence,
+    action: event.action,
+    actor: event.actor,
+    ipAddress: event.ipAddress,
+    userAgent: event.userAgent,
+    details: event.details || {},
+    timestamp: event.timestamp,
+    previousHash: event.previousHash,
+    hash: event.hash
+  };
+}
+
+// Whether the signed-in user signed the document with this original hash or sent it in an envelope
+async function ownsDocument(req, documentHash) {
+  const owned = { originalHash: documentHash, userId: req.user._id };
+  const [record, envelope] = await Promise.all([Signature.findOne(owned), Envelope.findOne(owned)]);
+  return Boolean(record || envelope);
+}
+
+// API Endpoint: Export the audit chain of one of the user's documents as JSON
+// The document is identified by the SHA-256 of its original PDF (X-Original-Hash)
+app.get('/audit/:documentHash', requireUser, async (req, res) => {
+  try {
+    const { documentHash } = req.params;
+    const { events, head } = await ownsDocument(req, documentHash) ? await loadAuditChain(documentHash) : { events: [] };
+    if (events.length === 0 && !head) {
+      return res.status(404).json(errorBody(httpError('No audit events for this document', 404)));
+    }
+
+    res.set('Content-Disposition', `attachment; filename=audit-${documentHash.slice(0, 12)}.json`);
+    res.json({
+      documentHash,
+      exportedAt: new Date(),
+      verification: verifyAuditChain(events, head),
+      events: events.map(exportedAuditEvent)
+    });
+  } catch (error) {
+    console.error('Error exporting audit chain:', error);
+    res.status(error.status || 500).json(errorBody(error));
+  }
+});
+
+// API Endpoint: Check the stored audit chain of one of the user's documents for missing or altered events
+app.get('/audit/:documentHash/verify', requireUser, async (req, res) => {
+  try {
+    const { documentHash } = req.params;
+    const { events, head } = await ownsDocument(req, documentHash) ? await loadAuditChain(documentHash) : { events: [] };
+    if (events.length === 0 && !head) {
+      return res.status(404).json(errorBody(httpError('No audit events for this document', 404)));
+    }
+
+    res.json(verifyAuditChain(events, head));
+  } catch (error) {
+    console.error('Error verifying audit chain:', error);
+    res.status(error.status || 500).json(errorBody(error));
+  }
+});
+
+// API Endpoint: Check an exported audit chain
+// Body: the JSON from GET /audit/:documentHash. Events are checked against each other and
+// against the end of the chain recorded on this server
+app.post('/audit/verify', async (req, res) => {
+  try {
+    const { events } = req.body;
+    if (!Array.isArray(events) || events.length === 0) {
+      return res.status(400).json(errorBody(httpError('Send the exported chain with its events', 400, 'invalid_audit_chain')));
+    }
+
+    const documentHash = req.body.documentHash || events[0].documentHash;
+    if (events.some(event => event.documentHash !== documentHash)) {
+      return res.status(400).json(errorBody(httpError('All events must belong to the same document', 400, 'invalid_audit_chain')));
+    }
+
+    const head = await AuditHead.findOne({ documentHash });
+    res.json({
+      documentHash,
+      knownToServer: Boolean(head),
+      ...verifyAuditChain(events, head)
+    });
+  } catch (error) {
+    console.error('Error verifying audit chain:', error);
+    res.status(error.status || 500).json(errorBody(error));
+  }
+});
+
+// API Endpoint: How a text area will be wrapped, so the editor preview matches the PDF
+app.post('/text-layout', async (req, res) => {
+  try {
+    const { text = '', width, height } = req.body;
+    if (!(width > 0) || !(height > 0)) {
+      return res.status(400).json(errorBody(httpError('width and height (in points) are required', 400, 'invalid_text_layout')));
+    }
+
+    const style = textStyleOf(req.body);
+    const pdfDoc = await PDFDocument.create();
+    const font = await createFontResolver(pdfDoc)(style, text);
+
+    res.json(layoutTextArea(text, font, style, width, height));
+  } catch (error) {
+    res.status(error.status || 500).json(errorBody(error));
+  }
+});
+
+// API Endpoint: Fonts available to text and date fields
+app.get('/fonts', async (req, res) => {
+  try {
+    res.json(await listFonts());
+  } catch (error) {
+    console.error('Error listing fonts:', error);
+    res.status(error.status || 500).json(errorBody(error));
+  }
+});
+
+// Health check
+app.get('/health', (req, res) => {
+  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+});
+
+// API Endpoint: List the published request schemas
+app.get('/schemas', (req, res) => {
+  res.json(Object.entries(REQUEST_SCHEMAS).flatMap(([name, versions]) =>
+    Object.entries(versions).map(([version, schema]) => ({
+      name,
+      version: Number(version),
+      id: schema.$id,
+      title: schema.title,
+      url: `/schemas/${name}/v${version}`
+    }))
+  ));
+});
+
+// API Endpoint: OpenAPI description of the public API
+app.get('/openapi.json', (req, res) => {
+  res.sendFile(path.join(__dirname, 'openapi.json'));
+});
+
+// API Endpoint: Download a request schema (JSON Schema draft-07) to validate payloads client-side
+app.get('/schemas/:name/v:version', (req, res) => {
+  const schema = findRequestSchema(req.params.name, req.params.version);
+  if (!schema) {
+    return res.status(404).json(errorBody(httpError('Schema not found', 404)));
+  }
+  res.type('application/schema+json').send(JSON.stringify(schema, null, 2));
+});
+
+// Errors raised before a route runs: upload limits, unreadable JSON bodies, requireMultipart
+app.use((error, req, res, next) => {
+  let responseError = error;
+  if (error instanceof multer.MulterError) {
+    responseError = error.code === 'LIMIT_FILE_SIZE'
+      ? httpError(`${error.field} is larger than ${MAX_UPLOAD_MB} MB`, 413, 'payload_too_large')
+      : httpError(`${error.message}${error.field ? `: ${error.field}` : ''}`, 400, 'invalid_upload');
+    responseError.details = error.field && [{ path: error.field, code: responseError.code, message: responseError.message }];
+  } else if (error.type === 'entity.too.large') {
+    responseError = httpError('The request body is too large', 413, 'payload_too_large');
+  } else if (error.type === 'entity.parse.failed') {
+    responseError = httpError(`The request body is not valid JSON: ${error.message}`, 400, 'malformed_json');
+  }
+
+  if (!responseError.status) console.error('Unhandled error:', error);
+  res.status(responseError.status || 500).json(errorBody(responseError));
+});
+
+// Only when run as the server; tests require the app and connect to their own database
+if (require.main === module) {
+  // MongoDB Connection
+  mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/signature_engine', {
+    useNewUrlParser: true,
+    useUnifiedTopology: true
+  });
+
+  const PORT = process.env.PORT || 5000;
+  app.listen(PORT, () => {
+    console.log(`Server running on port ${PORT}`);
+  });
+
+  // Retention runs at startup and then hourly
+  if (RETENTION_DAYS) {
+    const runRetention = () => purgeExpiredDocuments()
+      .catch(error => console.error('Error applying retention policy:', error));
+    runRetention();
+    setInterval(runRetention, 60 * 60 * 1000).unref();
+  }
+
+  // Webhook deliveries left pending by a restart go out at startup; retries are picked up by polling
+  processWebhookDeliveries();
+  setInterval(processWebhookDeliveries, WEBHOOK_POLL_MS).unref();
+}
 
-const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-});
\ No newline at end of file
+module.exports = {
+  app,
+  renderSignedPdf,
+  getPageGeometry,
+  transformCoordinatesToPDF,
+  transformPDFToCoordinates,
+  isSignersTurn
+};
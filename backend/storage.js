@@ -0,0 +1,159 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Document storage keeps PDF bytes keyed by their SHA-256 hash, so a file that is stored
+ * twice is only kept once. Every backend implements the same interface:
+ *
+ *   name                  - 'local' | 's3'
+ *   put(hash, bytes)      - store bytes under their hash
+ *   get(hash)             - Buffer, or null when nothing is stored under the hash
+ *   remove(hash)          - delete; removing a missing file is not an error
+ *
+ * STORAGE_DRIVER picks the backend: 'local' (default) or 's3'
+ */
+
+// Keys are SHA-256 hex digests; anything else could escape the storage directory
+function assertHash(hash) {
+  if (!/^[a-f0-9]{64}$/.test(hash)) {
+    throw new Error(`Invalid storage key "${hash}"`);
+  }
+}
+
+/**
+ * Files under a directory, spread over subdirectories named after the first two hash characters
+ *
+ * @param {String} directory
+ * @returns {Object} - Storage
+ */
+function createLocalStorage(directory) {
+  const filePath = hash => path.join(directory, hash.slice(0, 2), `${hash}.pdf`);
+
+  return {
+    name: 'local',
+
+    async put(hash, bytes) {
+      assertHash(hash);
+      const target = filePath(hash);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+
+      // Write then rename, so a crash never leaves a half-written file under the hash
+      const temporary = `${target}.${process.pid}.tmp`;
+      await fs.writeFile(temporary, bytes);
+      await fs.rename(temporary, target);
+    },
+
+    async get(hash) {
+      assertHash(hash);
+      try {
+        return await fs.readFile(filePath(hash));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    async remove(hash) {
+      assertHash(hash);
+      try {
+        await fs.unlink(filePath(hash));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+  };
+}
+
+/**
+ * Objects in an S3-compatible bucket (AWS S3, MinIO, ...)
+ *
+ * @param {Object} options - { bucket, prefix, endpoint, region, accessKeyId, secretAccessKey, forcePathStyle }
+ * @returns {Object} - Storage
+ */
+function createS3Storage(options) {
+  // Only loaded when S3 is configured
+  const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+
+  if (!options.bucket) {
+    throw new Error('S3_BUCKET must be set when STORAGE_DRIVER is "s3"');
+  }
+
+  const client = new S3Client({
+    region: options.region,
+    endpoint: options.endpoint,
+    forcePathStyle: options.forcePathStyle,
+    credentials: options.accessKeyId
+      ? { accessKeyId: options.accessKeyId, secretAccessKey: options.secretAccessKey }
+      : undefined
+  });
+  const objectKey = hash => `${options.prefix}${hash}.pdf`;
+
+  return {
+    name: 's3',
+
+    async put(hash, bytes) {
+      assertHash(hash);
+      await client.send(new PutObjectCommand({
+        Bucket: options.bucket,
+        Key: objectKey(hash),
+        Body: bytes,
+        ContentType: 'application/pdf'
+      }));
+    },
+
+    async get(hash) {
+      assertHash(hash);
+      try {
+        const object = await client.send(new GetObjectCommand({ Bucket: options.bucket, Key: objectKey(hash) }));
+        return Buffer.from(await object.Body.transformToByteArray());
+      } catch (error) {
+        if (error.name === 'NoSuchKey' || (error.$metadata && error.$metadata.httpStatusCode === 404)) return null;
+        throw error;
+      }
+    },
+
+    async remove(hash) {
+      assertHash(hash);
+      await client.send(new DeleteObjectCommand({ Bucket: options.bucket, Key: objectKey(hash) }));
+    }
+  };
+}
+
+/**
+ * Create the storage backend configured in the environment
+ *
+ * local: STORAGE_DIR (default ./storage)
+ * s3:    S3_BUCKET, S3_PREFIX, S3_ENDPOINT (for MinIO and other S3-compatible services),
+ *        S3_REGION (default us-east-1), S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY,
+ *        S3_FORCE_PATH_STYLE (default on when S3_ENDPOINT is set, as MinIO needs)
+ *
+ * @param {Object} [env]
+ * @returns {Object} - Storage
+ */
+function createStorage(env = process.env) {
+  const driver = env.STORAGE_DRIVER || 'local';
+
+  if (driver === 'local') {
+    return createLocalStorage(env.STORAGE_DIR || path.join(__dirname, 'storage'));
+  }
+
+  if (driver === 's3') {
+    return createS3Storage({
+      bucket: env.S3_BUCKET,
+      prefix: env.S3_PREFIX || '',
+      endpoint: env.S3_ENDPOINT,
+      region: env.S3_REGION || 'us-east-1',
+      accessKeyId: env.S3_ACCESS_KEY_ID,
+      secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: env.S3_FORCE_PATH_STYLE
+        ? env.S3_FORCE_PATH_STYLE === 'true'
+        : Boolean(env.S3_ENDPOINT)
+    });
+  }
+
+  throw new Error(`Unknown STORAGE_DRIVER "${driver}"; use "local" or "s3"`);
+}
+
+module.exports = {
+  createStorage
+};
@@ -0,0 +1,142 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { GENESIS_HASH, hashAuditEvent, verifyAuditChain } = require('../audit');
+const { readFixture, describeWithDatabase, listen, request } = require('./helpers');
+const { app } = require('../server');
+
+const DOCUMENT_HASH = 'a'.repeat(64);
+
+// A well-formed chain: each event hashes its content and the hash of the one before it
+function buildChain(actions) {
+  const events = [];
+  for (const [sequence, action] of actions.entries()) {
+    const event = {
+      documentHash: DOCUMENT_HASH,
+      sequence,
+      action,
+      actor: { type: 'user', name: 'alice' },
+      ipAddress: '127.0.0.1',
+      details: { step: sequence },
+      timestamp: new Date(Date.UTC(2024, 0, 1, 12, sequence)),
+      previousHash: sequence === 0 ? GENESIS_HASH : events[sequence - 1].hash
+    };
+    events.push({ ...event, hash: hashAuditEvent(event) });
+  }
+  return events;
+}
+
+const headOf = events => ({ sequence: events.length - 1, hash: events[events.length - 1].hash });
+
+const problemsOf = report => report.problems.map(({ sequence, problem }) => ({ sequence, problem }));
+
+test('an intact chain verifies, in any order', () => {
+  const events = buildChain(['uploaded', 'viewed', 'field_filled', 'signed', 'downloaded']);
+  const report = verifyAuditChain([...events].reverse(), headOf(events));
+
+  assert.deepEqual(report, { valid: true, eventCount: 5, problems: [] });
+});
+
+test('the hash covers the content and ignores key order and undefined details', () => {
+  const [event] = buildChain(['uploaded']);
+  const reordered = Object.fromEntries(Object.entries(event).reverse());
+
+  assert.equal(hashAuditEvent(reordered), event.hash);
+  assert.equal(hashAuditEvent({ ...event, details: { ...event.details, note: undefined } }), event.hash);
+  assert.notEqual(hashAuditEvent({ ...event, ipAddress: '10.0.0.1' }), event.hash);
+});
+
+test('an edited event is reported as altered', () => {
+  const events = buildChain(['uploaded', 'viewed', 'signed']);
+  events[1] = { ...events[1], details: { step: 99 } };
+
+  const report = verifyAuditChain(events, headOf(events));
+  assert.equal(report.valid, false);
+  assert.deepEqual(problemsOf(report), [{ sequence: 1, problem: 'altered' }]);
+});
+
+test('an event rehashed after editing breaks the link to the next one', () => {
+  const events = buildChain(['uploaded', 'viewed', 'signed']);
+  const edited = { ...events[1], action: 'downloaded' };
+  events[1] = { ...edited, hash: hashAuditEvent(edited) };
+
+  assert.deepEqual(problemsOf(verifyAuditChain(events)), [{ sequence: 2, problem: 'broken_link' }]);
+});
+
+test('a deleted event in the middle is reported as missing', () => {
+  const events = buildChain(['uploaded', 'viewed', 'field_filled', 'signed']);
+  const report = verifyAuditChain([events[0], events[1], events[3]], headOf(events));
+
+  assert.deepEqual(problemsOf(report), [{ sequence: 2, problem: 'missing' }]);
+  assert.equal(report.eventCount, 3);
+});
+
+test('events deleted from the end are only caught against the recorded head', () => {
+  const events = buildChain(['uploaded', 'viewed', 'signed', 'downloaded']);
+  const truncated = events.slice(0, 2);
+
+  assert.equal(verifyAuditChain(truncated).valid, true);
+  assert.deepEqual(problemsOf(verifyAuditChain(truncated, headOf(events))), [
+    { sequence: 2, problem: 'missing' },
+    { sequence: 3, problem: 'missing' }
+  ]);
+});
+
+test('a rewritten chain does not match the recorded head', () => {
+  const events = buildChain(['uploaded', 'viewed', 'signed']);
+  const rewritten = buildChain(['uploaded', 'viewed', 'downloaded']);
+
+  assert.equal(verifyAuditChain(rewritten).valid, true);
+  assert.deepEqual(problemsOf(verifyAuditChain(rewritten, headOf(events))), [{ sequence: 2, problem: 'altered' }]);
+});
+
+test('a repeated sequence number is reported as a duplicate', () => {
+  const events = buildChain(['uploaded', 'viewed']);
+
+  assert.deepEqual(problemsOf(verifyAuditChain([...events, events[1]])), [{ sequence: 1, problem: 'duplicate' }]);
+});
+
+test('the first event must start from the genesis hash', () => {
+  const [first] = buildChain(['uploaded']);
+  const detached = { ...first, previousHash: 'b'.repeat(64) };
+
+  assert.deepEqual(problemsOf(verifyAuditChain([{ ...detached, hash: hashAuditEvent(detached) }])), [
+    { sequence: 0, problem: 'broken_link' }
+  ]);
+});
+
+describeWithDatabase('audit trail of /sign-pdf', () => {
+  let server;
+
+  const signPdf = (fixture, fields) => {
+    const form = new FormData();
+    form.append('pdf', new Blob([readFixture(fixture)], { type: 'application/pdf' }), fixture);
+    form.append('data', JSON.stringify({ fields }));
+    return request(`${server.baseUrl}/sign-pdf`, { method: 'POST', body: form });
+  };
+
+  const actionsOf = async (fixture) => {
+    const documentHash = crypto.createHash('sha256').update(readFixture(fixture)).digest('hex');
+    const events = await mongoose.model('AuditEvent').find({ documentHash }).sort({ sequence: 1 });
+    return events.map(event => event.action);
+  };
+
+  before(async () => {
+    server = await listen(app);
+  });
+
+  after(() => server.close());
+
+  test('a document that fails to render leaves no audit events; a signed one records its upload first', async () => {
+    const name = { id: 'name', type: 'text', label: 'Name', value: 'Alice', coordinates: { x: 10, y: 10, width: 40, height: 5 } };
+
+    const rejected = await signPdf('rotated-270.pdf', [{ ...name, pageIndex: 3 }]);
+    assert.equal(rejected.status, 422);
+    assert.equal(rejected.body.code, 'page_out_of_range');
+    assert.deepEqual(await actionsOf('rotated-270.pdf'), []);
+
+    assert.equal((await signPdf('rotated-270.pdf', [{ ...name, pageIndex: 0 }])).status, 200);
+    assert.deepEqual((await actionsOf('rotated-270.pdf')).slice(0, 3), ['uploaded', 'field_filled', 'signed']);
+  });
+});
@@ -0,0 +1,174 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const JSZip = require('jszip');
+const { PDFDocument } = require('pdf-lib');
+
+// Read when the modules load: small limits keep the archives in these tests small
+process.env.BATCH_MAX_DOCUMENTS = '4';
+process.env.MAX_UPLOAD_MB = '1';
+process.env.BATCH_MAX_UNCOMPRESSED_MB = '2';
+
+const {
+  collectBatchDocuments,
+  parseCsv,
+  parseValuesCsv,
+  applyDocumentValues,
+  outputName
+} = require('../batch');
+const { readFixture, describeWithDatabase, listen, request } = require('./helpers');
+const { app } = require('../server');
+
+const MB = 1024 * 1024;
+
+// A multer-like upload of a ZIP holding the given { name: content } entries
+async function zipUpload(originalname, entries) {
+  const zip = new JSZip();
+  for (const [name, content] of Object.entries(entries)) zip.file(name, content);
+  return { originalname, mimetype: 'application/zip', buffer: await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' }) };
+}
+
+test('ZIPs contribute their PDFs in name order, without folders, hidden files or macOS metadata', async () => {
+  const pdf = readFixture('cropped.pdf');
+  const documents = await collectBatchDocuments([
+    { originalname: 'single.pdf', mimetype: 'application/pdf', buffer: pdf },
+    await zipUpload('scans.zip', {
+      'b/second.pdf': pdf,
+      'a-first.pdf': pdf,
+      '__MACOSX/._a-first.pdf': 'resource fork',
+      '.hidden.pdf': pdf,
+      'notes.txt': 'not a document'
+    })
+  ]);
+
+  assert.deepEqual(documents.map(d => d.filename), ['single.pdf', 'a-first.pdf', 'b/second.pdf']);
+  for (const document of documents) assert.deepEqual(await document.load(), pdf);
+});
+
+test('a batch over BATCH_MAX_DOCUMENTS, or without any PDF, is refused', async () => {
+  const pdf = readFixture('cropped.pdf');
+  const upload = await zipUpload('many.zip', Object.fromEntries([1, 2, 3, 4, 5].map(n => [`${n}.pdf`, pdf])));
+
+  await assert.rejects(collectBatchDocuments([upload]), { status: 413, code: 'too_many_documents' });
+  await assert.rejects(collectBatchDocuments([await zipUpload('empty.zip', { 'notes.txt': 'x' })]), { status: 400, code: 'invalid_batch' });
+  await assert.rejects(
+    collectBatchDocuments([{ originalname: 'broken.zip', mimetype: 'application/zip', buffer: Buffer.from('not a zip') }]),
+    { status: 422, code: 'unreadable_zip' }
+  );
+});
+
+test('a ZIP entry unpacking to more than MAX_UPLOAD_MB is refused before it is unpacked', async () => {
+  // 1.5 MB of zeros deflates to a couple of kilobytes
+  const upload = await zipUpload('bomb.zip', { 'big.pdf': Buffer.alloc(1.5 * MB) });
+  assert.ok(upload.buffer.length < 10 * 1024);
+
+  await assert.rejects(collectBatchDocuments([upload]), { status: 413, code: 'payload_too_large', message: /big\.pdf in bomb\.zip/ });
+});
+
+test('ZIPs unpacking to more than BATCH_MAX_UNCOMPRESSED_MB together are refused', async () => {
+  const entry = Buffer.alloc(0.9 * MB);
+  const uploads = [
+    await zipUpload('one.zip', { 'a.pdf': entry, 'b.pdf': entry }),
+    await zipUpload('two.zip', { 'c.pdf': entry })
+  ];
+
+  await assert.rejects(collectBatchDocuments(uploads), { status: 413, code: 'payload_too_large', message: /together/ });
+  assert.equal((await collectBatchDocuments(uploads.slice(0, 1))).length, 2);
+});
+
+test('an entry that unpacks to more than its ZIP declares fails when it is loaded', async () => {
+  const upload = await zipUpload('lying.zip', { 'small.pdf': Buffer.alloc(0.5 * MB) });
+
+  // Rewrite the uncompressed size in the local header (offset 22) and central directory (offset 24)
+  const zipBytes = upload.buffer;
+  zipBytes.writeUInt32LE(1000, zipBytes.indexOf(Buffer.from([0x50, 0x4b, 0x03, 0x04])) + 22);
+  zipBytes.writeUInt32LE(1000, zipBytes.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02])) + 24);
+
+  const [document] = await collectBatchDocuments([upload]);
+  await assert.rejects(document.load(), { status: 422, code: 'unreadable_zip', message: /more than the 1000 bytes/ });
+});
+
+test('CSV cells may be quoted, with commas, line breaks and doubled quotes inside', () => {
+  assert.deepEqual(parseCsv('\uFEFFfilename,note\r\n"a.pdf","says ""hi"", then\nleaves"\n\nb.pdf,\n'), [
+    ['filename', 'note'],
+    ['a.pdf', 'says "hi", then\nleaves'],
+    ['b.pdf', '']
+  ]);
+  assert.throws(() => parseCsv('filename\n"a.pdf'), { status: 400, code: 'invalid_batch' });
+});
+
+test('values CSV rows are keyed by file name, ignoring case and folders', () => {
+  const table = parseValuesCsv('Filename,Name,Agree\nscans/Contract-1.PDF,Alice,yes\ncontract-2.pdf,Bob,no\n');
+
+  assert.deepEqual([...table.keys()], ['contract-1.pdf', 'contract-2.pdf']);
+  assert.deepEqual(table.get('contract-1.pdf'), { Name: 'Alice', Agree: 'yes' });
+  assert.throws(() => parseValuesCsv('name\nAlice\n'), { code: 'invalid_batch', message: /"filename" column/ });
+  assert.throws(() => parseValuesCsv('filename\na.pdf\nA.pdf\n'), { code: 'invalid_batch', message: /more than once/ });
+});
+
+test('a document\'s values fill text, ticks checkboxes and select the matching radio option', () => {
+  const fields = [
+    { id: 'n', type: 'text', label: 'Name', value: 'placeholder' },
+    { id: 'd', type: 'date', formFieldName: 'signed_on' },
+    { id: 'c', type: 'checkbox', label: 'Agree' },
+    { id: 'r1', type: 'radio', groupName: 'plan', optionValue: 'basic' },
+    { id: 'r2', type: 'radio', groupName: 'plan', optionValue: 'pro' },
+    { id: 's', type: 'signature', label: 'Name' }
+  ];
+
+  const filled = applyDocumentValues(fields, { name: 'Alice', SIGNED_ON: '2024-05-01', agree: 'Yes', plan: 'pro' });
+  assert.deepEqual(filled.map(f => f.value ?? f.checked), ['Alice', '2024-05-01', true, false, true, undefined]);
+
+  // Empty values keep the layout's own
+  assert.equal(applyDocumentValues(fields, { Name: '' })[0].value, 'placeholder');
+  assert.equal(applyDocumentValues(fields, undefined), fields);
+});
+
+test('output names stay unique inside the result ZIP', () => {
+  const taken = new Set(['manifest.json']);
+  assert.deepEqual(
+    ['a/contract.pdf', 'b/contract.pdf', 'Contract.PDF', 'scan'].map(name => outputName(name, taken)),
+    ['contract.pdf', 'contract (2).pdf', 'Contract (3).PDF', 'scan.pdf']
+  );
+});
+
+describeWithDatabase('batch signing', () => {
+  let server;
+
+  before(async () => {
+    server = await listen(app);
+  });
+
+  after(() => server.close());
+
+  test('a ZIP and a values CSV sign each document with its own values, reporting failures in the manifest', async () => {
+    const pdf = readFixture('cropped.pdf');
+    const form = new FormData();
+    const upload = await zipUpload('contracts.zip', { 'alice.pdf': pdf, 'bob.pdf': pdf, 'broken.pdf': 'not a PDF' });
+    form.append('pdfs', new Blob([upload.buffer], { type: 'application/zip' }), 'contracts.zip');
+    form.append('values', new Blob(['filename,Name\nalice.pdf,Alice\nbob.pdf,Bob\ncarol.pdf,Carol\n']), 'values.csv');
+    // Interactive fields keep their values readable in the signed PDFs
+    form.append('data', JSON.stringify({
+      fieldMode: 'interactive',
+      fields: [{ id: 'name', type: 'text', label: 'Name', pageIndex: 0, coordinates: { x: 10, y: 10, width: 40, height: 5 } }]
+    }));
+
+    const response = await request(`${server.baseUrl}/sign-pdf/batch`, { method: 'POST', body: form });
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('x-batch-signed'), '2');
+    assert.equal(response.headers.get('x-batch-failed'), '1');
+
+    const result = await JSZip.loadAsync(response.body);
+    const manifest = JSON.parse(await result.file('manifest.json').async('string'));
+    assert.deepEqual(manifest.documents.map(d => [d.filename, d.status, d.code]), [
+      ['alice.pdf', 'signed', undefined],
+      ['bob.pdf', 'signed', undefined],
+      ['broken.pdf', 'failed', 'unsupported_file_type']
+    ]);
+    assert.deepEqual(manifest.unmatchedValues, ['carol.pdf']);
+
+    for (const [file, name] of [['alice.pdf', 'Alice'], ['bob.pdf', 'Bob']]) {
+      const signed = await PDFDocument.load(await result.file(file).async('nodebuffer'));
+      assert.equal(signed.getForm().getTextField('Name').getText(), name);
+    }
+  });
+});
@@ -0,0 +1,149 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PDFDocument, PDFSignature } = require('pdf-lib');
+
+// The server trusts a certificate other than the one it signs with; the trust file is read on
+// first use, after before() has written it
+const certificateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'signature-engine-cert-'));
+process.env.SIGNING_TRUST_FILE = path.join(certificateDir, 'stranger.pem');
+
+const { readFixture, describeWithDatabase, listen, request } = require('./helpers');
+const { app, renderSignedPdf } = require('../server');
+const { verifyPdfSignatures } = require('../digitalSignature');
+const { readTrustAnchors } = require('../timestamp');
+
+const SIGNATURE_DRAWING = {
+  width: 200,
+  height: 80,
+  strokes: [{ width: 3, path: 'M 10 60 C 40 10, 80 10, 100 40 L 190 20' }]
+};
+
+// Fresh self-signed certificates, made by the same script as `npm run generate-test-cert`,
+// which also writes each one as PEM
+before(() => {
+  for (const name of ['signer', 'stranger']) {
+    execFileSync(process.execPath, [
+      path.join(__dirname, '..', 'scripts', 'generate-test-certificate.js'),
+      path.join(certificateDir, `${name}.p12`),
+      'test'
+    ]);
+  }
+
+  process.env.SIGNING_P12_PATH = path.join(certificateDir, 'signer.p12');
+  process.env.SIGNING_P12_PASSWORD = 'test';
+});
+
+after(() => fs.rmSync(certificateDir, { recursive: true, force: true }));
+
+async function signDigitally(fixture, fields) {
+  return renderSignedPdf(readFixture(fixture), fields, {
+    signatureMode: 'digital',
+    signer: { name: 'Alice Example', reason: 'Approval', location: 'Test suite' }
+  });
+}
+
+test('a digitally signed PDF verifies and names its signer', async () => {
+  const result = await signDigitally('cropped.pdf', [
+    { id: 1, type: 'text', pageIndex: 0, coordinates: { x: 10, y: 10, width: 40, height: 5 }, value: 'Alice Example' }
+  ]);
+  const signed = Buffer.from(result.signedPdfBytes);
+
+  assert.equal(result.signatureMode, 'digital');
+  assert.match(result.certificate.subject, /Signature Engine Test Signer/);
+
+  const [report, ...others] = verifyPdfSignatures(signed, { trustAnchors: readTrustAnchors(path.join(certificateDir, 'signer.pem')) });
+  assert.equal(others.length, 0);
+  assert.equal(report.error, undefined);
+  assert.equal(report.subFilter, 'adbe.pkcs7.detached');
+  assert.equal(report.coversWholeDocument, true);
+  assert.equal(report.digestValid, true);
+  assert.equal(report.signatureValid, true);
+  assert.equal(report.trusted, true);
+  assert.equal(report.signer.fingerprint, result.certificate.fingerprint);
+  assert.equal(report.certificateValidAtSigning, true);
+});
+
+test('a valid signature by a certificate outside the trust anchors is not trusted', async () => {
+  const { signedPdfBytes } = await signDigitally('cropped.pdf', []);
+
+  const [report] = verifyPdfSignatures(Buffer.from(signedPdfBytes));
+  assert.equal(report.signatureValid, true);
+  assert.equal(report.trusted, false);
+  assert.equal(verifyPdfSignatures(Buffer.from(signedPdfBytes), { trustAnchors: [] })[0].trusted, false);
+});
+
+test('changing a signed byte invalidates the signature', async () => {
+  const { signedPdfBytes } = await signDigitally('rotated-90.pdf', []);
+  const tampered = Buffer.from(signedPdfBytes);
+
+  // The fixture's label is drawn in the page content, inside the signed ranges
+  const label = tampered.indexOf('Rotate 90');
+  assert.notEqual(label, -1);
+  tampered[label] = 'r'.charCodeAt(0);
+
+  const [report] = verifyPdfSignatures(tampered);
+  assert.equal(report.digestValid, false);
+  assert.equal(report.signatureValid, false);
+});
+
+test('bytes appended after signing are not covered by the signature', async () => {
+  const { signedPdfBytes } = await signDigitally('rotated-180.pdf', []);
+  const extended = Buffer.concat([Buffer.from(signedPdfBytes), Buffer.from('\n% appended\n')]);
+
+  const [report] = verifyPdfSignatures(extended);
+  assert.equal(report.signatureValid, true);
+  assert.equal(report.coversWholeDocument, false);
+});
+
+test('a drawn signature on a rotated, cropped page becomes the visible signature widget', async () => {
+  const { signedPdfBytes } = await signDigitally('rotated-cropped.pdf', [
+    { id: 'sig', type: 'signature', pageIndex: 0, coordinates: { x: 0, y: 0, width: 10, height: 10 }, vectorData: SIGNATURE_DRAWING }
+  ]);
+
+  const [report] = verifyPdfSignatures(Buffer.from(signedPdfBytes));
+  assert.equal(report.signatureValid, true);
+
+  // Rotate 90 puts the displayed top-left corner at the CropBox origin (see geometry.test.js)
+  const pdfDoc = await PDFDocument.load(signedPdfBytes);
+  const signatureFields = pdfDoc.getForm().getFields().filter(field => field instanceof PDFSignature);
+  assert.equal(signatureFields.length, 1);
+  const { x, y, width, height } = signatureFields[0].acroField.getWidgets()[0].getRectangle();
+  assert.deepEqual([x, y, width, height].map(n => Math.round(n * 10) / 10), [50, 100, 51.2, 64.2]);
+});
+
+test('digital signing is refused when the server has no certificate', async () => {
+  const configured = process.env.SIGNING_P12_PATH;
+  delete process.env.SIGNING_P12_PATH;
+  try {
+    await assert.rejects(signDigitally('cropped.pdf', []), { status: 400, code: 'digital_signing_disabled' });
+  } finally {
+    process.env.SIGNING_P12_PATH = configured;
+  }
+});
+
+describeWithDatabase('/verify-pdf', () => {
+  let server;
+
+  before(async () => {
+    server = await listen(app);
+  });
+
+  after(() => server.close());
+
+  test('an unchanged document signed outside SIGNING_TRUST_FILE is untrusted, not intact', async () => {
+    const { signedPdfBytes } = await signDigitally('rotated-270.pdf', []);
+    const form = new FormData();
+    form.append('pdf', new Blob([signedPdfBytes], { type: 'application/pdf' }), 'signed.pdf');
+
+    const { status, body } = await request(`${server.baseUrl}/verify-pdf`, { method: 'POST', body: form });
+    assert.equal(status, 200);
+    assert.equal(body.integrity.status, 'untrusted');
+    assert.equal(body.integrity.untrustedSignatures, 1);
+    assert.equal(body.signatures[0].signatureValid, true);
+    assert.equal(body.signatures[0].trusted, false);
+  });
+});
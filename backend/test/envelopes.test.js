@@ -0,0 +1,194 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { PDFDocument } = require('pdf-lib');
+const { readFixture, describeWithDatabase, listen, request } = require('./helpers');
+const { app, isSignersTurn } = require('../server');
+
+function envelopeOf(routingOrder, signers, status = 'in_progress') {
+  return {
+    routingOrder,
+    status,
+    signers: signers.map(([order, signerStatus = 'pending']) => ({ order, status: signerStatus }))
+  };
+}
+
+describe('isSignersTurn', () => {
+  test('sequential envelopes open for each signer once everyone before them has finished', () => {
+    const envelope = envelopeOf('sequential', [[0], [1], [2]]);
+    assert.deepEqual(envelope.signers.map(signer => isSignersTurn(envelope, signer)), [true, false, false]);
+
+    envelope.signers[0].status = 'completed';
+    assert.deepEqual(envelope.signers.map(signer => isSignersTurn(envelope, signer)), [false, true, false]);
+  });
+
+  test('signers sharing a place in a sequential order sign side by side', () => {
+    const envelope = envelopeOf('sequential', [[0], [1], [1], [2]]);
+    envelope.signers[0].status = 'completed';
+
+    assert.deepEqual(envelope.signers.map(signer => isSignersTurn(envelope, signer)), [false, true, true, false]);
+  });
+
+  test('parallel envelopes are open to every pending signer', () => {
+    const envelope = envelopeOf('parallel', [[0], [1, 'completed'], [2]]);
+
+    assert.deepEqual(envelope.signers.map(signer => isSignersTurn(envelope, signer)), [true, false, true]);
+  });
+
+  test('nobody signs an envelope that is no longer in progress', () => {
+    const envelope = envelopeOf('parallel', [[0], [1]], 'completed');
+
+    assert.deepEqual(envelope.signers.map(signer => isSignersTurn(envelope, signer)), [false, false]);
+  });
+});
+
+describeWithDatabase('envelope completion', () => {
+  const SIGNATURE_DRAWING = {
+    width: 200,
+    height: 80,
+    strokes: [{ width: 3, path: 'M 10 60 C 40 10, 80 10, 100 40 L 190 20' }]
+  };
+
+  let server;
+  let senderToken;
+
+  const api = (method, path, body, token = senderToken) => request(`${server.baseUrl}${path}`, { method, body, token });
+  const sign = (signer, fields) => api('POST', `/sign/${signer.token}`, { fields }, null);
+
+  const register = async (prefix) => {
+    const username = `${prefix}-${crypto.randomBytes(4).toString('hex')}`;
+    const { status, body } = await api('POST', '/users', { username, password: 'correct horse' }, null);
+    assert.equal(status, 201);
+    return body.token;
+  };
+
+  const postEnvelope = (data, pdf = readFixture('rotated-cropped.pdf')) => {
+    const form = new FormData();
+    form.append('pdf', new Blob([pdf], { type: 'application/pdf' }), 'contract.pdf');
+    form.append('data', JSON.stringify(data));
+    return api('POST', '/envelopes', form);
+  };
+
+  const createEnvelope = async (routingOrder, signers, fields) => {
+    const { status, body } = await postEnvelope({ title: 'Contract', routingOrder, signers, fields });
+    assert.equal(status, 201, JSON.stringify(body));
+    return body;
+  };
+
+  before(async () => {
+    server = await listen(app);
+    senderToken = await register('sender');
+  });
+
+  after(() => server.close());
+
+  test('parallel signers finish in any order and the last one completes the envelope', async () => {
+    const envelope = await createEnvelope('parallel', [
+      { name: 'Alice', email: 'alice@example.com' },
+      { name: 'Bob', email: 'bob@example.com' }
+    ], [
+      { id: 'name', type: 'text', signerIndex: 0, required: true, coordinates: { x: 10, y: 10, width: 40, height: 5 } },
+      { id: 'sig', type: 'signature', signerIndex: 1, required: true, coordinates: { x: 10, y: 80, width: 30, height: 10 } }
+    ]);
+    const [alice, bob] = envelope.signers;
+
+    assert.equal((await api('GET', `/envelopes/${envelope.id}/download`)).status, 409);
+
+    const bobSigns = await sign(bob, [{ id: 'sig', vectorData: SIGNATURE_DRAWING }]);
+    assert.equal(bobSigns.status, 200);
+    assert.deepEqual(bobSigns.body, { status: 'completed', envelopeStatus: 'in_progress' });
+    assert.equal((await sign(bob, [])).status, 409);
+
+    const aliceSigns = await sign(alice, [{ id: 'name', value: 'Alice Example' }]);
+    assert.deepEqual(aliceSigns.body, { status: 'completed', envelopeStatus: 'completed' });
+
+    const summary = (await api('GET', `/envelopes/${envelope.id}`)).body;
+    assert.equal(summary.status, 'completed');
+    assert.ok(summary.completedAt);
+    assert.ok(summary.signatureRecord);
+    assert.deepEqual(summary.signers.map(signer => signer.status), ['completed', 'completed']);
+
+    const download = await api('GET', `/envelopes/${envelope.id}/download`);
+    assert.equal(download.status, 200);
+    assert.equal((await PDFDocument.load(download.body)).getPageCount(), 1);
+
+    // Upload, views and both signers' submissions are all in an intact audit chain
+    const originalHash = crypto.createHash('sha256').update(readFixture('rotated-cropped.pdf')).digest('hex');
+    const audit = await api('GET', `/audit/${originalHash}/verify`);
+    assert.equal(audit.status, 200);
+    assert.equal(audit.body.valid, true, JSON.stringify(audit.body.problems));
+  });
+
+  test('sequential signers wait for their turn', async () => {
+    const envelope = await createEnvelope('sequential', [
+      { name: 'Alice', email: 'alice@example.com' },
+      { name: 'Bob', email: 'bob@example.com' }
+    ], [
+      { id: 'a', type: 'text', signerIndex: 0, coordinates: { x: 10, y: 10, width: 40, height: 5 } },
+      { id: 'b', type: 'text', signerIndex: 1, coordinates: { x: 10, y: 20, width: 40, height: 5 } }
+    ]);
+    const [alice, bob] = envelope.signers;
+
+    assert.equal((await sign(bob, [{ id: 'b', value: 'Bob' }])).status, 409);
+    assert.equal((await api('GET', `/sign/${bob.token}`, undefined, null)).body.canSign, false);
+
+    assert.equal((await sign(alice, [{ id: 'a', value: 'Alice' }])).body.envelopeStatus, 'in_progress');
+    assert.equal((await api('GET', `/sign/${bob.token}`, undefined, null)).body.canSign, true);
+    assert.equal((await sign(bob, [{ id: 'b', value: 'Bob' }])).body.envelopeStatus, 'completed');
+  });
+
+  test('only the sender can see or download the envelope', async () => {
+    const envelope = await createEnvelope('parallel', [{ name: 'Alice', email: 'alice@example.com' }], []);
+
+    assert.equal((await api('GET', `/envelopes/${envelope.id}`, undefined, null)).status, 401);
+    assert.equal((await api('GET', `/envelopes/${envelope.id}`, undefined, await register('other'))).status, 404);
+  });
+
+  test('envelopes are checked like signing requests before they are stored', async () => {
+    const signers = [{ name: 'Alice' }];
+    const field = { id: 'a', type: 'text', signerIndex: 0, coordinates: { x: 10, y: 10, width: 40, height: 5 } };
+
+    const notPdf = await postEnvelope({ signers, fields: [field] }, Buffer.from('just text'));
+    assert.equal(notPdf.status, 415);
+    assert.equal(notPdf.body.code, 'unsupported_file_type');
+
+    const unnamed = await postEnvelope({ signers: [{ email: 'alice@example.com' }], fields: [] });
+    assert.equal(unnamed.status, 400);
+    assert.equal(unnamed.body.code, 'schema_violation');
+    assert.deepEqual(unnamed.body.details.map(d => d.path), ['data.signers[0].name']);
+
+    const blankName = await postEnvelope({ signers: [{ name: '  ' }], fields: [] });
+    assert.equal(blankName.status, 400);
+
+    const unknownType = await postEnvelope({ signers, fields: [{ ...field, type: 'barcode' }] });
+    assert.equal(unknownType.status, 400);
+    assert.equal(unknownType.body.details[0].path, 'data.fields[0].type');
+
+    const valueFromSender = await postEnvelope({ signers, fields: [{ ...field, value: 'prefilled' }] });
+    assert.equal(valueFromSender.status, 400);
+
+    const pastLastPage = await postEnvelope({ signers, fields: [{ ...field, pageIndex: 3 }] });
+    assert.equal(pastLastPage.status, 422);
+    assert.equal(pastLastPage.body.code, 'page_out_of_range');
+    assert.equal(pastLastPage.body.details[0].path, 'data.fields[0].pageIndex');
+  });
+
+  test('a final document that fails to render hands the last signer their turn back', async () => {
+    const envelope = await createEnvelope('parallel', [{ name: 'Alice', email: 'alice@example.com' }], [
+      { id: 'note', type: 'textarea', signerIndex: 0, overflow: 'error', fontSize: 20, coordinates: { x: 10, y: 10, width: 10, height: 3 } }
+    ]);
+    const [alice] = envelope.signers;
+
+    const tooLong = await sign(alice, [{ id: 'note', value: 'This note is far too long for such a small box' }]);
+    assert.equal(tooLong.status, 422);
+    assert.equal(tooLong.body.code, 'text_overflow');
+
+    const view = (await api('GET', `/sign/${alice.token}`, undefined, null)).body;
+    assert.equal(view.envelopeStatus, 'in_progress');
+    assert.equal(view.signer.status, 'pending');
+    assert.equal(view.canSign, true);
+
+    const fits = await sign(alice, [{ id: 'note', value: 'Ok' }]);
+    assert.deepEqual(fits.body, { status: 'completed', envelopeStatus: 'completed' });
+  });
+});
@@ -0,0 +1,31 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { listen, request } = require('./helpers');
+const { app } = require('../server');
+
+let server;
+
+before(async () => {
+  server = await listen(app);
+});
+
+after(() => server.close());
+
+// Every error answers with a message and a stable code, whichever route it comes from
+const cases = [
+  ['GET', '/me', undefined, 401, 'authentication_required'],
+  ['POST', '/users', { username: 'x', password: 'correct horse' }, 400, 'invalid_username'],
+  ['POST', '/users', { username: 'valid-name', password: 'short' }, 400, 'weak_password'],
+  ['POST', '/audit/verify', { events: [] }, 400, 'invalid_audit_chain'],
+  ['POST', '/text-layout', { text: 'Hello' }, 400, 'invalid_text_layout'],
+  ['POST', '/verify-pdf', new FormData(), 400, 'missing_file']
+];
+
+for (const [method, path, body, status, code] of cases) {
+  test(`${method} ${path} answers ${status} ${code}`, async () => {
+    const response = await request(`${server.baseUrl}${path}`, { method, body });
+    assert.equal(response.status, status);
+    assert.equal(response.body.code, code);
+    assert.equal(typeof response.body.error, 'string');
+  });
+}
@@ -0,0 +1,51 @@
+/**
+ * Regenerate the fixture PDFs used by the tests
+ *
+ * Usage: node test/fixtures/generate.js
+ *
+ * Every page is US Letter (612 x 792) with a label saying how it is displayed
+ */
+const { PDFDocument, StandardFonts, degrees } = require('pdf-lib');
+const fs = require('fs');
+const path = require('path');
+
+// CropBox of the cropped fixtures: a box that does not start at 0,0
+const CROP_BOX = [50, 100, 512, 642];
+
+const FIXTURES = {
+  'rotated-90.pdf': { rotation: 90 },
+  'rotated-180.pdf': { rotation: 180 },
+  'rotated-270.pdf': { rotation: 270 },
+  'cropped.pdf': { cropBox: CROP_BOX },
+  'rotated-cropped.pdf': { rotation: 90, cropBox: CROP_BOX }
+};
+
+async function createFixture({ rotation = 0, cropBox }) {
+  // No creation date or producer, so regenerating gives the same bytes
+  const pdfDoc = await PDFDocument.create({ updateMetadata: false });
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const page = pdfDoc.addPage([612, 792]);
+
+  if (cropBox) page.setCropBox(...cropBox);
+  page.setRotation(degrees(rotation));
+  page.drawText(`Rotate ${rotation}${cropBox ? `, CropBox [${cropBox.join(' ')}]` : ''}`, {
+    x: 100,
+    y: 400,
+    size: 14,
+    font
+  });
+
+  return pdfDoc.save({ useObjectStreams: false });
+}
+
+async function main() {
+  for (const [filename, options] of Object.entries(FIXTURES)) {
+    fs.writeFileSync(path.join(__dirname, filename), await createFixture(options));
+    console.log(`Wrote ${filename}`);
+  }
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
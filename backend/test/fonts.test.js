@@ -0,0 +1,51 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PDFDocument } = require('pdf-lib');
+
+// Font files are only grouped by name until a field needs one, so empty files will do.
+// Read on the first lookup, which caches the families for the rest of this file
+const fontsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'signature-engine-fonts-'));
+for (const file of ['NotoSans-Regular.ttf', 'NotoSans-BoldItalic.ttf', 'Noto-Sans.otf', 'NotoSansSC.ttf', 'OFL.txt']) {
+  fs.writeFileSync(path.join(fontsDir, file), '');
+}
+process.env.FONTS_DIR = fontsDir;
+
+const { listFonts, createFontResolver } = require('../fonts');
+
+after(() => fs.rmSync(fontsDir, { recursive: true, force: true }));
+
+test('font files are grouped into families by their style suffix', async () => {
+  const custom = (await listFonts()).filter(font => font.unicode);
+
+  assert.deepEqual(custom.map(({ family, styles }) => [family, styles.sort()]), [
+    ['Noto-Sans', ['regular']],
+    ['NotoSans', ['boldItalic', 'regular']],
+    ['NotoSansSC', ['regular']]
+  ]);
+});
+
+test('text a standard font can display stays in that font', async () => {
+  const resolveFont = createFontResolver(await PDFDocument.create());
+
+  assert.equal((await resolveFont({ fontFamily: 'Times Roman', italic: true }, 'Zoë Ångström')).name, 'Times-Italic');
+  assert.equal((await resolveFont({}, 'Renée')).name, 'Helvetica');
+  await assert.rejects(resolveFont({ fontFamily: 'Comic Sans' }, 'Hi'), { status: 400, code: 'unknown_font' });
+});
+
+test('every family listed in UNICODE_FONT must be in the fonts directory', async () => {
+  process.env.UNICODE_FONT = 'NotoSansSC, NotoSansDevanagari';
+  try {
+    const resolveFont = createFontResolver(await PDFDocument.create());
+    await assert.rejects(resolveFont({}, 'हिन्दी'), /UNICODE_FONT "NotoSansDevanagari" was not found/);
+  } finally {
+    delete process.env.UNICODE_FONT;
+  }
+});
+
+test('the shaper fontkit uses for Devanagari has the runtime it needs', () => {
+  // Without it, laying out Hindi text throws "regeneratorRuntime is not defined"
+  assert.equal(typeof globalThis.regeneratorRuntime, 'object');
+});
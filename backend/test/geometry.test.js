@@ -0,0 +1,127 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { PDFDocument } = require('pdf-lib');
+const { readFixture } = require('./helpers');
+const {
+  app,
+  renderSignedPdf,
+  getPageGeometry,
+  transformCoordinatesToPDF,
+  transformPDFToCoordinates
+} = require('../server');
+
+// The fixtures' CropBox as x, y, width, height (see fixtures/generate.js)
+const FULL_PAGE = { x: 0, y: 0, width: 612, height: 792 };
+const CROPPED = { x: 50, y: 100, width: 512, height: 642 };
+
+// Where a box covering the top-left 10% of the displayed page lands in PDF user space, as
+// [x1, y1, x2, y2] for a CropBox. Rotation turns the page clockwise, so the displayed
+// top-left corner is a different corner of the unrotated page each time
+const TOP_LEFT_CORNER = {
+  0: ({ x, y, width, height }) => [x, y + 0.9 * height, x + 0.1 * width, y + height],
+  90: ({ x, y, width, height }) => [x, y, x + 0.1 * width, y + 0.1 * height],
+  180: ({ x, y, width, height }) => [x + 0.9 * width, y, x + width, y + 0.1 * height],
+  270: ({ x, y, width, height }) => [x + 0.9 * width, y + 0.9 * height, x + width, y + height]
+};
+
+const FIXTURES = [
+  { name: 'rotated-90.pdf', box: FULL_PAGE, rotation: 90 },
+  { name: 'rotated-180.pdf', box: FULL_PAGE, rotation: 180 },
+  { name: 'rotated-270.pdf', box: FULL_PAGE, rotation: 270 },
+  { name: 'cropped.pdf', box: CROPPED, rotation: 0 },
+  { name: 'rotated-cropped.pdf', box: CROPPED, rotation: 90 }
+];
+
+// [x1, y1, x2, y2] of a transformed box, from its visual bottom-left corner and rotation
+function rectOf({ x, y, width, height, rotation }) {
+  const [dx, dy] = {
+    0: [width, height],
+    90: [-height, width],
+    180: [-width, -height],
+    270: [height, -width]
+  }[rotation];
+  return [Math.min(x, x + dx), Math.min(y, y + dy), Math.max(x, x + dx), Math.max(y, y + dy)];
+}
+
+function assertClose(actual, expected, message, tolerance = 0.01) {
+  assert.equal(actual.length, expected.length, message);
+  actual.forEach((value, i) => {
+    assert.ok(Math.abs(value - expected[i]) < tolerance, `${message}: got [${actual}], expected [${expected}]`);
+  });
+}
+
+async function firstPageGeometry(pdfBytes) {
+  const pdfDoc = await PDFDocument.load(pdfBytes);
+  return getPageGeometry(pdfDoc.getPage(0));
+}
+
+for (const { name, box, rotation } of FIXTURES) {
+  test(`${name}: page geometry is its CropBox and rotation`, async () => {
+    assert.deepEqual(await firstPageGeometry(readFixture(name)), { ...box, rotation });
+  });
+
+  test(`${name}: the displayed top-left corner maps to the right corner of the CropBox`, async () => {
+    const geometry = await firstPageGeometry(readFixture(name));
+    const pdfCoords = transformCoordinatesToPDF({ x: 0, y: 0, width: 10, height: 10 }, geometry);
+
+    assert.equal(pdfCoords.rotation, rotation);
+    assertClose(rectOf(pdfCoords), TOP_LEFT_CORNER[rotation](box), 'corner box');
+  });
+
+  test(`${name}: transformPDFToCoordinates undoes transformCoordinatesToPDF`, async () => {
+    const geometry = await firstPageGeometry(readFixture(name));
+    const percent = { x: 12.5, y: 40, width: 30, height: 8 };
+    const [x1, y1, x2, y2] = rectOf(transformCoordinatesToPDF(percent, geometry));
+    const back = transformPDFToCoordinates({ x: x1, y: y1, width: x2 - x1, height: y2 - y1 }, geometry);
+
+    assertClose(
+      [back.x, back.y, back.width, back.height],
+      [percent.x, percent.y, percent.width, percent.height],
+      'round trip'
+    );
+  });
+}
+
+test('unrotated pages without a CropBox origin keep the plain top-left to bottom-left flip', () => {
+  const pdfCoords = transformCoordinatesToPDF({ x: 10, y: 20, width: 30, height: 5 }, { width: 600, height: 800 });
+  assert.deepEqual(pdfCoords, { x: 60, y: 600, width: 180, height: 40, rotation: 0 });
+});
+
+// Fillable fields are emitted with /Rect from the transform, and /form-fields reads them back
+// through the inverse, so placing and detecting a field must agree on every fixture
+let server;
+let baseUrl;
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+for (const { name } of FIXTURES) {
+  test(`${name}: an interactive field is detected where it was placed`, async () => {
+    const coordinates = { x: 20, y: 30, width: 25, height: 5 };
+    const { signedPdfBytes } = await renderSignedPdf(readFixture(name), [
+      { id: 'placed', type: 'text', label: 'placed', pageIndex: 0, coordinates, value: 'Hello' }
+    ], { fieldMode: 'interactive' });
+
+    const body = new FormData();
+    body.append('pdf', new Blob([signedPdfBytes], { type: 'application/pdf' }), name);
+    const response = await fetch(`${baseUrl}/form-fields`, { method: 'POST', body });
+    assert.equal(response.status, 200);
+
+    const { fields } = await response.json();
+    const detected = fields.find(f => f.formFieldName === 'placed');
+    assert.ok(detected, 'field is detected');
+    assert.equal(detected.pageIndex, 0);
+    // pdf-lib widens a widget's /Rect by half its 1 pt border on each side, about 0.2% of these pages
+    assertClose(
+      [detected.coordinates.x, detected.coordinates.y, detected.coordinates.width, detected.coordinates.height],
+      [coordinates.x, coordinates.y, coordinates.width, coordinates.height],
+      'detected coordinates',
+      0.25
+    );
+  });
+}
@@ -0,0 +1,89 @@
+const { describe, test, after } = require('node:test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Stored documents go to a throwaway directory, not backend/storage.
+// Require this before server.js, which sets up storage when it loads
+if (!process.env.STORAGE_DIR) {
+  const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'signature-engine-test-'));
+  process.env.STORAGE_DIR = storageDir;
+  process.on('exit', () => fs.rmSync(storageDir, { recursive: true, force: true }));
+}
+
+// Fixture PDF by file name (see fixtures/generate.js)
+function readFixture(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', name));
+}
+
+/**
+ * A describe block whose tests run against MongoDB: MONGODB_TEST_URI when it is set,
+ * otherwise a throwaway in-memory server. When neither can be reached the block reports
+ * itself skipped with the reason
+ *
+ * @param {String} name
+ * @param {Function} fn - Defines the block's tests, as for describe
+ */
+function describeWithDatabase(name, fn) {
+  describe(name, async () => {
+    const mongoose = require('mongoose');
+    let memoryServer = null;
+    try {
+      let uri = process.env.MONGODB_TEST_URI;
+      if (!uri) {
+        const { MongoMemoryServer } = require('mongodb-memory-server');
+        memoryServer = await MongoMemoryServer.create();
+        uri = memoryServer.getUri();
+      }
+      await mongoose.connect(uri);
+    } catch (error) {
+      if (memoryServer) await memoryServer.stop();
+      test('needs MongoDB', { skip: `MongoDB is unavailable: ${error.message.split('\n')[0]}` }, () => {});
+      return;
+    }
+
+    after(async () => {
+      await mongoose.disconnect();
+      if (memoryServer) await memoryServer.stop();
+    });
+    fn();
+  });
+}
+
+// The app on a free port: { baseUrl, close }
+async function listen(app) {
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+/**
+ * Call the API: JSON bodies are sent as JSON, FormData as multipart
+ *
+ * @param {String} url
+ * @param {Object} [options] - { method, body, token }, token is sent as a bearer token
+ * @returns {Object} - { status, headers, body }, body parsed when the response is JSON, else a Buffer
+ */
+async function request(url, { method = 'GET', body, token } = {}) {
+  const headers = token ? { Authorization: `Bearer ${token}` } : {};
+  const multipart = body instanceof FormData;
+  if (body !== undefined && !multipart) headers['Content-Type'] = 'application/json';
+
+  const response = await fetch(url, { method, headers, body: multipart ? body : body && JSON.stringify(body) });
+  const json = (response.headers.get('content-type') || '').includes('json');
+  return {
+    status: response.status,
+    headers: response.headers,
+    body: json ? await response.json() : Buffer.from(await response.arrayBuffer())
+  };
+}
+
+module.exports = {
+  readFixture,
+  describeWithDatabase,
+  listen,
+  request
+};
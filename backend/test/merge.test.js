@@ -0,0 +1,133 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { PDFDocument } = require('pdf-lib');
+const {
+  formatDate,
+  formatDateValue,
+  parseDateValue,
+  hasPlaceholders,
+  resolveMergeFields,
+  mergeDataFromCsv
+} = require('../merge');
+const { readFixture, describeWithDatabase, listen, request } = require('./helpers');
+const { app } = require('../server');
+
+test('dates are formatted with Acrobat tokens on the calendar day of the time zone', () => {
+  const lateEvening = new Date('2024-03-01T02:30:00Z');
+
+  assert.equal(formatDate(lateEvening), '2024-03-01');
+  assert.equal(formatDate(lateEvening, 'dddd, d mmmm yyyy', 'America/New_York'), 'Thursday, 29 February 2024');
+  assert.equal(formatDate(lateEvening, 'ddd dd mmm yy', 'Asia/Kolkata'), 'Fri 01 Mar 24');
+  assert.equal(formatDate(lateEvening, 'm/d/yyyy'), '3/1/2024');
+  assert.throws(() => formatDate(lateEvening, undefined, 'Mars/Olympus'), { status: 400, code: 'invalid_time_zone' });
+});
+
+test('calendar dates keep their day in any time zone; other values pass through', () => {
+  assert.deepEqual(parseDateValue('2024-06-01'), { date: new Date('2024-06-01T00:00:00Z'), calendarOnly: true });
+  assert.equal(parseDateValue('2024-02-30'), null);
+  assert.equal(parseDateValue('next Tuesday'), null);
+  assert.equal(parseDateValue('2024-06-01T23:30:00Z').calendarOnly, false);
+
+  assert.equal(formatDateValue('2024-06-01', 'd mmm yyyy', 'Pacific/Honolulu'), '1 Jun 2024');
+  assert.equal(formatDateValue('2024-06-01T23:30:00Z', 'd mmm yyyy', 'Pacific/Auckland'), '2 Jun 2024');
+  assert.equal(formatDateValue('ACME Ltd', 'd mmm yyyy'), 'ACME Ltd');
+});
+
+test('placeholders take nested paths, flat dotted keys and date formats', () => {
+  const fields = [
+    { id: 'name', type: 'text', value: 'Dear {{ customer.name }},' },
+    { id: 'start', type: 'date', value: '{{contract.startDate | d mmmm yyyy}}' },
+    { id: 'item', type: 'textarea', value: '{{items.0.sku}}: {{items.0.price}}' },
+    { id: 'sig', type: 'signature', value: '{{customer.name}}' }
+  ];
+  const data = {
+    customer: { name: 'Nested' },
+    'customer.name': 'Alice',
+    contract: { startDate: '2024-06-01' },
+    items: [{ sku: 'A-1', price: 0 }]
+  };
+
+  assert.deepEqual(resolveMergeFields(fields, data).map(field => field.value), [
+    'Dear Alice,',
+    '1 June 2024',
+    'A-1: 0',
+    '{{customer.name}}'
+  ]);
+  assert.equal(hasPlaceholders('Plain text'), false);
+  assert.equal(hasPlaceholders('{{a}}'), true);
+});
+
+test('placeholders without data fail with every field and path that misses some', () => {
+  const fields = [
+    { id: 'name', type: 'text', label: 'Customer', value: '{{customer.name}} of {{customer.company}}' },
+    { id: 'ok', type: 'text', value: 'Static' },
+    { id: 'start', type: 'date', value: '{{contract}}' }
+  ];
+
+  assert.throws(() => resolveMergeFields(fields, { customer: { name: '' }, contract: { startDate: '2024-06-01' } }), error => {
+    assert.equal(error.status, 422);
+    assert.equal(error.code, 'missing_merge_data');
+    assert.deepEqual(error.details.map(({ path, fieldId, message }) => ({ path, fieldId, message })), [
+      { path: 'data.fields[0].value', fieldId: 'name', message: 'needs {{customer.name}}, {{customer.company}}' },
+      { path: 'data.fields[2].value', fieldId: 'start', message: 'needs {{contract}}' }
+    ]);
+    assert.match(error.message, /field "Customer" needs/);
+    return true;
+  });
+});
+
+test('a merge data CSV supplies one row, keyed by its header', () => {
+  const csv = 'customer.name, contract.startDate ,\nAlice,2024-06-01,x\nBob\n';
+
+  assert.deepEqual(mergeDataFromCsv(csv), { 'customer.name': 'Alice', 'contract.startDate': '2024-06-01' });
+  assert.deepEqual(mergeDataFromCsv(csv, 1), { 'customer.name': 'Bob', 'contract.startDate': '' });
+  assert.throws(() => mergeDataFromCsv(csv, 2), { status: 400, code: 'invalid_merge_data', message: /no row 3/ });
+});
+
+describeWithDatabase('merge data', () => {
+  let server;
+
+  before(async () => {
+    server = await listen(app);
+  });
+
+  after(() => server.close());
+
+  const signWithMergeData = (data, mergeFile) => {
+    const form = new FormData();
+    form.append('pdf', new Blob([readFixture('cropped.pdf')], { type: 'application/pdf' }), 'contract.pdf');
+    if (mergeFile) form.append('mergeData', new Blob([mergeFile.content]), mergeFile.name);
+    form.append('data', JSON.stringify({
+      fieldMode: 'interactive',
+      fields: [
+        { id: 'name', type: 'text', label: 'Name', pageIndex: 0, coordinates: { x: 10, y: 10, width: 40, height: 5 }, value: '{{customer.name}}' },
+        { id: 'city', type: 'text', label: 'City', pageIndex: 0, coordinates: { x: 10, y: 20, width: 40, height: 5 }, value: '{{customer.city}}' }
+      ],
+      ...data
+    }));
+    return request(`${server.baseUrl}/sign-pdf`, { method: 'POST', body: form });
+  };
+
+  test('an uploaded CSV row fills placeholders, with data.mergeData taking precedence', async () => {
+    const response = await signWithMergeData(
+      { mergeRow: 1, mergeData: { 'customer.city': 'Lisbon' } },
+      { name: 'customers.csv', content: 'customer.name,customer.city\nAlice,Paris\nBob,Berlin\n' }
+    );
+    assert.equal(response.status, 200);
+
+    const form = (await PDFDocument.load(response.body)).getForm();
+    assert.equal(form.getTextField('Name').getText(), 'Bob');
+    assert.equal(form.getTextField('City').getText(), 'Lisbon');
+  });
+
+  test('missing merge data and unreadable JSON merge files are refused', async () => {
+    const missing = await signWithMergeData({ mergeData: { customer: { name: 'Alice' } } });
+    assert.equal(missing.status, 422);
+    assert.equal(missing.body.code, 'missing_merge_data');
+    assert.equal(missing.body.details[0].path, 'data.fields[1].value');
+
+    const malformed = await signWithMergeData({}, { name: 'customers.json', content: '{ nope' });
+    assert.equal(malformed.status, 400);
+    assert.equal(malformed.body.code, 'malformed_json');
+  });
+});
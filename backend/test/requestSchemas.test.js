@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseRequestData } = require('../requestSchemas');
+
+const field = (id, coordinates) => ({ id, type: 'text', pageIndex: 0, coordinates });
+
+test('a field reaching past the right or bottom edge is rejected with its path', () => {
+  const raw = JSON.stringify({
+    fields: [
+      field('inside', { x: 60, y: 95, width: 40, height: 5 }),
+      field('wide', { x: 80, y: 10, width: 30, height: 5 }),
+      field('tall', { x: 10, y: 98, width: 20, height: 4 })
+    ]
+  });
+
+  assert.throws(() => parseRequestData(raw, 'sign-pdf'), error => {
+    assert.equal(error.status, 400);
+    assert.equal(error.code, 'field_off_page');
+    assert.deepEqual(error.details.map(({ path, fieldId, code }) => ({ path, fieldId, code })), [
+      { path: 'data.fields[1].coordinates.width', fieldId: 'wide', code: 'off_page' },
+      { path: 'data.fields[2].coordinates.height', fieldId: 'tall', code: 'off_page' }
+    ]);
+    assert.match(error.message, /data\.fields\[1\]\.coordinates\.width reaches past the right edge/);
+    return true;
+  });
+});
+
+test('fields touching the page edge, allowing for rounding, are accepted', () => {
+  // 8px and 292px of a 300px wide page, as percentages, add up to 100.00000000000001
+  const raw = JSON.stringify({ fields: [field(1, { x: 8 / 300 * 100, y: 0, width: 292 / 300 * 100, height: 100 })] });
+  assert.equal(parseRequestData(raw, 'sign-pdf').fields.length, 1);
+});
+
+test('batch and envelope fields must fit on their page too', () => {
+  const offPage = field('f', { x: 0, y: 90, width: 10, height: 20 });
+  const batch = JSON.stringify({ fields: [offPage], values: {} });
+  const envelope = JSON.stringify({ signers: [{ name: 'Alice' }], fields: [{ ...offPage, signerIndex: 0 }] });
+
+  for (const [raw, name] of [[batch, 'sign-pdf-batch'], [envelope, 'envelope']]) {
+    assert.throws(() => parseRequestData(raw, name), { code: 'field_off_page' });
+  }
+});
+
+test('schema violations are reported before the page check', () => {
+  const raw = JSON.stringify({ fields: [field(1, { x: 120, y: 0, width: 10, height: 10 })] });
+  assert.throws(() => parseRequestData(raw, 'sign-pdf'), error => {
+    assert.equal(error.code, 'schema_violation');
+    assert.deepEqual(error.details[0], { path: 'data.fields[0].coordinates.x', code: 'maximum', message: 'must be <= 100' });
+    return true;
+  });
+});
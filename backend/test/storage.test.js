@@ -0,0 +1,142 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('../storage');
+const { readFixture, describeWithDatabase, listen, request } = require('./helpers');
+const { app } = require('../server');
+
+const sha256 = bytes => crypto.createHash('sha256').update(bytes).digest('hex');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'signature-engine-storage-'));
+after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+test('local storage keeps files by hash under two-character folders', async () => {
+  const storage = createStorage({ STORAGE_DIR: directory });
+  const bytes = readFixture('cropped.pdf');
+  const hash = sha256(bytes);
+
+  assert.equal(storage.name, 'local');
+  await storage.put(hash, bytes);
+  await storage.put(hash, bytes);
+  assert.deepEqual(fs.readdirSync(path.join(directory, hash.slice(0, 2))), [`${hash}.pdf`]);
+  assert.deepEqual(await storage.get(hash), bytes);
+
+  await storage.remove(hash);
+  assert.equal(await storage.get(hash), null);
+  await storage.remove(hash);
+});
+
+test('keys that are not SHA-256 hashes are refused before touching the disk', async () => {
+  const storage = createStorage({ STORAGE_DIR: directory });
+
+  for (const key of ['../../etc/passwd', 'A'.repeat(64), 'abc']) {
+    await assert.rejects(storage.get(key), /Invalid storage key/);
+    await assert.rejects(storage.put(key, Buffer.from('x')), /Invalid storage key/);
+    await assert.rejects(storage.remove(key), /Invalid storage key/);
+  }
+});
+
+test('an unknown driver or an S3 driver without a bucket is a configuration error', () => {
+  assert.throws(() => createStorage({ STORAGE_DRIVER: 'ftp' }), /Unknown STORAGE_DRIVER "ftp"/);
+  assert.throws(() => createStorage({ STORAGE_DRIVER: 's3' }), /S3_BUCKET must be set/);
+});
+
+test('S3 storage puts, gets and removes objects under the prefix', async () => {
+  // Just enough of S3's path-style object API: PUT, GET and DELETE /bucket/key
+  const objects = new Map();
+  const s3 = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const key = decodeURIComponent(req.url.split('?')[0]);
+      if (req.method === 'PUT') {
+        objects.set(key, { body: Buffer.concat(chunks), contentType: req.headers['content-type'] });
+        res.writeHead(200).end();
+      } else if (req.method === 'GET' && objects.has(key)) {
+        res.writeHead(200, { 'Content-Type': 'application/pdf' }).end(objects.get(key).body);
+      } else if (req.method === 'GET') {
+        res.writeHead(404, { 'Content-Type': 'application/xml' })
+          .end('<?xml version="1.0" encoding="UTF-8"?><Error><Code>NoSuchKey</Code><Message>Not found</Message></Error>');
+      } else {
+        objects.delete(key);
+        res.writeHead(204).end();
+      }
+    });
+  });
+  const server = await listen(s3);
+
+  try {
+    const storage = createStorage({
+      STORAGE_DRIVER: 's3',
+      S3_BUCKET: 'documents',
+      S3_PREFIX: 'signed/',
+      S3_ENDPOINT: server.baseUrl,
+      S3_ACCESS_KEY_ID: 'test',
+      S3_SECRET_ACCESS_KEY: 'test'
+    });
+    const bytes = readFixture('cropped.pdf');
+    const hash = sha256(bytes);
+
+    assert.equal(storage.name, 's3');
+    await storage.put(hash, bytes);
+    assert.deepEqual([...objects.keys()], [`/documents/signed/${hash}.pdf`]);
+    assert.equal(objects.get(`/documents/signed/${hash}.pdf`).contentType, 'application/pdf');
+    assert.deepEqual(await storage.get(hash), bytes);
+
+    await storage.remove(hash);
+    assert.equal(objects.size, 0);
+    assert.equal(await storage.get(hash), null);
+  } finally {
+    await server.close();
+  }
+});
+
+describeWithDatabase('stored documents', () => {
+  let server;
+  let token;
+
+  before(async () => {
+    server = await listen(app);
+    const username = `storage-${crypto.randomBytes(4).toString('hex')}`;
+    token = (await request(`${server.baseUrl}/users`, { method: 'POST', body: { username, password: 'correct horse' } })).body.token;
+  });
+
+  after(() => server.close());
+
+  test('the original and signed PDFs can be downloaded until a stored file goes missing or changes', async () => {
+    const form = new FormData();
+    form.append('pdf', new Blob([readFixture('cropped.pdf')], { type: 'application/pdf' }), 'Lease Agreement.pdf');
+    form.append('data', JSON.stringify({
+      fields: [{ id: 'name', type: 'text', pageIndex: 0, coordinates: { x: 10, y: 10, width: 40, height: 5 }, value: 'Storage test' }]
+    }));
+    const signed = await request(`${server.baseUrl}/sign-pdf`, { method: 'POST', body: form, token });
+    assert.equal(signed.status, 200);
+    const recordId = signed.headers.get('x-signature-record-id');
+    const signedHash = signed.headers.get('x-signed-hash');
+    const download = version => request(`${server.baseUrl}/documents/${recordId}/${version}`, { token });
+
+    const summary = await request(`${server.baseUrl}/documents/${recordId}`, { token });
+    assert.equal(summary.body.stored, true);
+    assert.deepEqual(summary.body.versions.map(v => v.version), ['original', 'signed']);
+
+    const original = await download('original');
+    assert.deepEqual(original.body, readFixture('cropped.pdf'));
+    assert.match(original.headers.get('content-disposition'), /filename=Lease_Agreement-original\.pdf/);
+    assert.equal(sha256((await download('signed')).body), signedHash);
+    assert.equal((await download('final')).body.code, 'document_not_stored');
+
+    // helpers.js points STORAGE_DIR at a throwaway directory
+    const signedFile = path.join(process.env.STORAGE_DIR, signedHash.slice(0, 2), `${signedHash}.pdf`);
+    fs.appendFileSync(signedFile, '%% tampered');
+    assert.equal((await download('signed')).status, 500);
+
+    fs.unlinkSync(signedFile);
+    const missing = await download('signed');
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.code, 'document_missing');
+  });
+});
@@ -0,0 +1,119 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { readFixture, describeWithDatabase, listen, request } = require('./helpers');
+const { app } = require('../server');
+
+const FIELDS = [
+  { type: 'text', label: 'Name', pageIndex: 0, required: true, coordinates: { x: 10, y: 10, width: 40, height: 5 } },
+  { type: 'signature', label: 'Signature', pageIndex: 0, coordinates: { x: 10, y: 80, width: 30, height: 10 } }
+];
+
+describeWithDatabase('templates', () => {
+  let server;
+  let ownerToken;
+
+  const api = (method, path, body, token = ownerToken) => request(`${server.baseUrl}${path}`, { method, body, token });
+
+  const register = async (prefix) => {
+    const username = `${prefix}-${crypto.randomBytes(4).toString('hex')}`;
+    const { status, body } = await api('POST', '/users', { username, password: 'correct horse' }, null);
+    assert.equal(status, 201);
+    return body.token;
+  };
+
+  const withPdf = (fixture, data) => {
+    const form = new FormData();
+    form.append('pdf', new Blob([readFixture(fixture)], { type: 'application/pdf' }), fixture);
+    if (data) form.append('data', JSON.stringify(data));
+    return form;
+  };
+
+  const createTemplate = async (data = { name: 'NDA', fields: FIELDS }) => {
+    const { status, body } = await api('POST', '/templates', withPdf('cropped.pdf', data));
+    assert.equal(status, 201, JSON.stringify(body));
+    return body;
+  };
+
+  before(async () => {
+    server = await listen(app);
+    ownerToken = await register('owner');
+  });
+
+  after(() => server.close());
+
+  test('a saved template is listed, updated and applied to a new PDF', async () => {
+    const template = await createTemplate();
+    assert.equal(template.fields.length, 2);
+    assert.equal(template.fingerprint.pageCount, 1);
+
+    const listed = await api('GET', '/templates');
+    assert.ok(listed.body.some(t => t._id === template._id));
+
+    const renamed = await api('PUT', `/templates/${template._id}`, { name: 'Mutual NDA', fields: FIELDS.slice(0, 1) });
+    assert.equal(renamed.status, 200);
+    assert.equal(renamed.body.name, 'Mutual NDA');
+    assert.equal(renamed.body.fields.length, 1);
+
+    const same = await api('POST', `/templates/${template._id}/apply`, withPdf('cropped.pdf'));
+    assert.equal(same.status, 200);
+    assert.equal(same.body.identicalDocument, true);
+    assert.deepEqual(same.body.warnings, []);
+
+    // The fixtures differ in CropBox size, which the fingerprint flags
+    const other = await api('POST', `/templates/${template._id}/apply`, withPdf('rotated-90.pdf'));
+    assert.equal(other.body.identicalDocument, false);
+    assert.equal(other.body.fields.length, 1);
+    assert.match(other.body.warnings[0], /template expects/);
+  });
+
+  test('creating a template needs a name and an array of placed fields', async () => {
+    const cases = [
+      [{ fields: FIELDS }, 'data.name'],
+      [{ name: '   ', fields: FIELDS }, 'data.name'],
+      [{ name: 'NDA', fields: 'all of them' }, 'data.fields'],
+      [{ name: 'NDA', fields: [{ type: 'text' }] }, 'data.fields[0].coordinates']
+    ];
+    for (const [data, path] of cases) {
+      const { status, body } = await api('POST', '/templates', withPdf('cropped.pdf', data));
+      assert.equal(status, 400, JSON.stringify(data));
+      assert.equal(body.code, 'invalid_template');
+      assert.equal(body.details[0].path, path);
+    }
+  });
+
+  test('updating a template checks what it changes like creating one', async () => {
+    const template = await createTemplate();
+    const cases = [
+      [{ name: '' }, 'name'],
+      [{ name: 42 }, 'name'],
+      [{ fields: { type: 'text' } }, 'fields'],
+      [{ fields: [null] }, 'fields[0].type'],
+      [{ fields: [{ ...FIELDS[0], pageIndex: -1 }] }, 'fields[0].pageIndex']
+    ];
+    for (const [update, path] of cases) {
+      const { status, body } = await api('PUT', `/templates/${template._id}`, update);
+      assert.equal(status, 400, JSON.stringify(update));
+      assert.equal(body.code, 'invalid_template');
+      assert.equal(body.details[0].path, path);
+    }
+
+    // A description alone leaves the rest in place
+    const described = await api('PUT', `/templates/${template._id}`, { description: 'Standard terms' });
+    assert.equal(described.status, 200);
+    assert.equal(described.body.name, 'NDA');
+    assert.equal(described.body.fields.length, 2);
+  });
+
+  test('templates are private to the account that saved them', async () => {
+    const template = await createTemplate();
+    const stranger = await register('stranger');
+
+    assert.equal((await api('GET', `/templates/${template._id}`, undefined, stranger)).status, 404);
+    assert.equal((await api('PUT', `/templates/${template._id}`, { name: 'Mine' }, stranger)).status, 404);
+    assert.equal((await api('DELETE', `/templates/${template._id}`, undefined, stranger)).status, 404);
+
+    assert.equal((await api('DELETE', `/templates/${template._id}`)).status, 204);
+    assert.equal((await api('GET', `/templates/${template._id}`)).status, 404);
+  });
+});
@@ -0,0 +1,166 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readFixture, describeWithDatabase, listen, request } = require('./helpers');
+
+const certificateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'signature-engine-tsa-'));
+
+/**
+ * Start scripts/mock-tsa.js on a free port, with its certificate in certificateDir
+ *
+ * @param {String} name - Certificate file name, without .pem
+ * @param {...String} flags - e.g. --reject
+ * @returns {Promise<Object>} - { url, certPath, stop() }
+ */
+function startMockTsa(name, ...flags) {
+  const certPath = path.join(certificateDir, `${name}.pem`);
+  const child = spawn(process.execPath, [
+    path.join(__dirname, '..', 'scripts', 'mock-tsa.js'), '0', '--cert', certPath, ...flags
+  ], { stdio: ['ignore', 'pipe', 'inherit'] });
+  const exited = new Promise(resolve => child.once('exit', resolve));
+
+  return new Promise((resolve, reject) => {
+    let output = '';
+    child.stdout.on('data', chunk => {
+      output += chunk;
+      const match = output.match(/listening on (\S+)/);
+      if (match) {
+        child.stdout.removeAllListeners('data');
+        child.stdout.resume();
+        resolve({
+          url: match[1],
+          certPath,
+          stop: () => {
+            child.kill();
+            return exited;
+          }
+        });
+      }
+    });
+    exited.then(code => reject(new Error(`Mock TSA ${name} exited with ${code}`)));
+  });
+}
+
+let trustedTsa;
+let strangerTsa;
+let rejectingTsa;
+// Loaded once the TSAs are up: TSA_URL and TSA_TRUST_FILE are read when these modules load
+let timestamp;
+let app;
+
+before(async () => {
+  [trustedTsa, strangerTsa, rejectingTsa] = await Promise.all([
+    startMockTsa('trusted'),
+    startMockTsa('stranger'),
+    startMockTsa('rejecting', '--reject')
+  ]);
+  process.env.TSA_URL = trustedTsa.url;
+  process.env.TSA_TRUST_FILE = trustedTsa.certPath;
+  timestamp = require('../timestamp');
+  ({ app } = require('../server'));
+});
+
+after(async () => {
+  await Promise.all([trustedTsa, strangerTsa, rejectingTsa].filter(Boolean).map(tsa => tsa.stop()));
+  fs.rmSync(certificateDir, { recursive: true, force: true });
+});
+
+// What a TSA answers a query for digest, without requestTimestamp's checks
+async function queryTsa(url, digest) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/timestamp-query' },
+    body: timestamp.createTimestampQuery(digest, crypto.randomBytes(8))
+  });
+  return Buffer.from(await response.arrayBuffer());
+}
+
+const sha256 = text => crypto.createHash('sha256').update(text).digest();
+
+test('a token from a TSA in TSA_TRUST_FILE is valid for the digest it was asked for only', async () => {
+  const stamp = await timestamp.requestTimestamp(sha256('signed document'));
+  assert.equal(stamp.tsaUrl, trustedTsa.url);
+  assert.match(stamp.tsa.subject, /Mock TSA/);
+
+  const report = timestamp.verifyTimestampToken(stamp.token, { digest: sha256('signed document') });
+  assert.deepEqual([report.valid, report.consistent, report.trusted], [true, true, true]);
+  assert.equal(report.genTime.getTime(), stamp.genTime.getTime());
+
+  const other = timestamp.verifyTimestampToken(stamp.token, { data: Buffer.from('another document') });
+  assert.deepEqual([other.valid, other.imprintMatches], [false, false]);
+});
+
+test('a token from any other TSA checks out but is not trusted', async () => {
+  const token = timestamp.parseTimestampReply(await queryTsa(strangerTsa.url, sha256('signed document')));
+  const report = timestamp.verifyTimestampToken(token, { digest: sha256('signed document') });
+
+  assert.deepEqual([report.valid, report.consistent, report.trusted], [false, true, false]);
+});
+
+test('a refusal from the TSA is reported with its status text', async () => {
+  const reply = await queryTsa(rejectingTsa.url, sha256('signed document'));
+
+  assert.throws(() => timestamp.parseTimestampReply(reply), {
+    status: 502,
+    code: 'timestamp_unavailable',
+    message: /refused the request \(status 2: Rejected by --reject\)/
+  });
+});
+
+describeWithDatabase('trusted timestamps', () => {
+  let server;
+
+  before(async () => {
+    server = await listen(app);
+  });
+
+  after(() => server.close());
+
+  // Each test signs its own value: the same fields on the same PDF give the same signed hash
+  const signAndVerify = async (value) => {
+    const form = new FormData();
+    form.append('pdf', new Blob([readFixture('cropped.pdf')], { type: 'application/pdf' }), 'contract.pdf');
+    form.append('data', JSON.stringify({
+      fields: [{ id: 'name', type: 'text', pageIndex: 0, coordinates: { x: 10, y: 10, width: 40, height: 5 }, value }]
+    }));
+    const signed = await request(`${server.baseUrl}/sign-pdf`, { method: 'POST', body: form });
+    assert.equal(signed.status, 200);
+
+    const verified = await request(`${server.baseUrl}/verify-hash`, {
+      method: 'POST',
+      body: { hash: signed.headers.get('x-signed-hash') }
+    });
+    assert.equal(verified.body.found, true);
+    return verified.body;
+  };
+
+  test('a signed document\'s record carries a valid timestamp of its signed hash', async () => {
+    const record = await signAndVerify('Alice');
+
+    assert.equal(record.trustedTimestamp.valid, true);
+    assert.equal(record.trustedTimestamp.tsaUrl, trustedTsa.url);
+    assert.equal(record.trustedTimestampError, undefined);
+  });
+
+  test('while the TSA is down documents are signed without a timestamp and their record says why', async () => {
+    await trustedTsa.stop();
+    const record = await signAndVerify('Bob');
+
+    assert.equal(record.trustedTimestamp, null);
+    assert.match(record.trustedTimestampError, /timestamp authority is unreachable/);
+  });
+});
+
+test('asking a TSA that is down fails as unavailable', async () => {
+  await trustedTsa.stop();
+
+  await assert.rejects(timestamp.requestTimestamp(sha256('signed document')), {
+    status: 502,
+    code: 'timestamp_unavailable',
+    message: /unreachable/
+  });
+});
@@ -0,0 +1,101 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { compilePattern, validateFields } = require('../validation');
+
+// The details validateFields fails with, as [path, code] pairs
+function problems(fields, options) {
+  try {
+    validateFields(fields, options);
+  } catch (error) {
+    assert.equal(error.status, 422);
+    assert.equal(error.code, 'validation_failed');
+    return error.details.map(({ path, code }) => [path, code]);
+  }
+  return [];
+}
+
+test('patterns that can backtrack exponentially are refused', () => {
+  const refused = [
+    '(a+)+',
+    '(a*b?)*',
+    '(a|aa)*',
+    '(\\w+\\s?)*',
+    '(?:x+)+y',
+    '(a)\\1',
+    '(?<word>a)\\k<word>',
+    '(?=a)a',
+    '(?<!a)b',
+    '(unclosed',
+    'x'.repeat(201)
+  ];
+  for (const source of refused) assert.equal(compilePattern(source), null, source);
+
+  for (const source of ['[A-Z]{2}\\d{6}', '(ab)?c{2,3}', 'a{2}(b|c)', '(?:\\+44|0)\\d{10}', '[(|)*+]+']) {
+    assert.ok(compilePattern(source) instanceof RegExp, source);
+  }
+});
+
+test('a pattern must match the whole value', () => {
+  const field = { id: 'ref', type: 'text', pattern: '[A-Z]{2}\\d{3}', patternMessage: 'must look like AB123' };
+
+  assert.deepEqual(problems([{ ...field, value: 'AB123' }]), []);
+  assert.deepEqual(problems([{ ...field, value: 'xAB1234' }]), [['data.fields[0].value', 'pattern']]);
+  assert.throws(() => validateFields([{ ...field, value: 'AB12' }]), { message: /must look like AB123/ });
+  assert.deepEqual(problems([{ ...field, pattern: '(a+)+', value: 'aaa' }]), [['data.fields[0].value', 'invalid_pattern']]);
+});
+
+test('a pattern that is still too slow is cut off and reported as invalid', () => {
+  // Allowed, since nothing repeated sits inside a repeated group, but polynomial on a run of a's
+  const field = { id: 'slow', type: 'text', pattern: 'a*a*a*a*a*a*a*a*b', value: 'a'.repeat(60) };
+
+  const started = Date.now();
+  assert.throws(() => validateFields([field]), error => {
+    assert.equal(error.details[0].code, 'invalid_pattern');
+    assert.match(error.details[0].message, /takes too long/);
+    return true;
+  });
+  assert.ok(Date.now() - started < 1000);
+});
+
+test('required fields, formats and lengths are reported against the property that holds the value', () => {
+  const fields = [
+    { id: 'sig', type: 'signature', required: true },
+    { id: 'agree', type: 'checkbox', required: true },
+    { id: 'email', type: 'text', format: 'email', value: 'alice@' },
+    { id: 'note', type: 'textarea', maxLength: 5, value: 'Too long' },
+    { id: 'count', type: 'text', format: 'integer', value: ' 42 ' },
+    { id: 'blank', type: 'text', required: true, value: '   ' }
+  ];
+
+  assert.deepEqual(problems(fields), [
+    ['data.fields[0].imageData', 'required'],
+    ['data.fields[1].checked', 'required'],
+    ['data.fields[2].value', 'format'],
+    ['data.fields[3].value', 'max_length'],
+    ['data.fields[5].value', 'required']
+  ]);
+  assert.deepEqual(problems(fields.slice(0, 1), { pathPrefix: null }), [[undefined, 'required']]);
+});
+
+test('a required radio group is satisfied by any of its options and reported once', () => {
+  const radio = (id, checked) => ({ id, type: 'radio', groupName: 'plan', required: true, checked });
+
+  assert.deepEqual(problems([radio('basic', false), radio('pro', true)]), []);
+  assert.deepEqual(problems([radio('basic', false), radio('pro', false)]), [['data.fields[0].checked', 'required']]);
+});
+
+test('date limits compare calendar days, with "today" taken in the request time zone', () => {
+  const today = new Date().toISOString().slice(0, 10);
+  const field = { id: 'start', type: 'date', minDate: '2024-01-01', maxDate: 'today' };
+
+  assert.deepEqual(problems([{ ...field, value: '2024-01-01' }, { ...field, value: today }]), []);
+  assert.deepEqual(problems([{ ...field, value: '2023-12-31' }]), [['data.fields[0].value', 'min_date']]);
+  assert.deepEqual(problems([{ ...field, value: '2999-01-01' }]), [['data.fields[0].value', 'max_date']]);
+  assert.deepEqual(problems([{ ...field, value: '1 January' }]), [['data.fields[0].value', 'invalid_date']]);
+  assert.deepEqual(problems([{ ...field, minDate: 'soon', value: '2024-06-01' }]), [['data.fields[0].value', 'invalid_date_limit']]);
+
+  // 23:30 UTC on 31 December is already New Year's Day in Tokyo
+  const newYear = { id: 'ny', type: 'date', minDate: '2024-01-01', value: '2023-12-31T23:30:00Z' };
+  assert.deepEqual(problems([newYear], { timeZone: 'Asia/Tokyo' }), []);
+  assert.deepEqual(problems([newYear], { timeZone: 'UTC' }), [['data.fields[0].value', 'min_date']]);
+});
@@ -0,0 +1,198 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+
+// Read when the module loads: receivers in these tests listen on 127.0.0.1
+process.env.WEBHOOK_ALLOWED_HOSTS = '127.0.0.1';
+process.env.WEBHOOK_MAX_ATTEMPTS = '4';
+process.env.WEBHOOK_RETRY_BASE_MS = '1000';
+
+const {
+  normalizeSubscription,
+  postWebhook,
+  signWebhookPayload,
+  verifyWebhookSignature,
+  retryDelay
+} = require('../webhooks');
+const { readFixture, describeWithDatabase, listen, request } = require('./helpers');
+const { app } = require('../server');
+
+test('a delivery signature verifies with the same secret, timestamp and body only', () => {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const body = JSON.stringify({ id: 'evt_1', type: 'document.signed' });
+  const signature = signWebhookPayload('whsec_test', timestamp, body);
+
+  assert.match(signature, /^sha256=[0-9a-f]{64}$/);
+  assert.equal(verifyWebhookSignature('whsec_test', { timestamp, body, signature }), true);
+  assert.equal(verifyWebhookSignature('whsec_other', { timestamp, body, signature }), false);
+  assert.equal(verifyWebhookSignature('whsec_test', { timestamp, body: `${body} `, signature }), false);
+  assert.equal(verifyWebhookSignature('whsec_test', { timestamp: timestamp + 1, body, signature }), false);
+});
+
+test('a delivery signed too long ago is refused', () => {
+  const timestamp = Math.floor(Date.now() / 1000) - 600;
+  const signature = signWebhookPayload('whsec_test', timestamp, '{}');
+
+  assert.equal(verifyWebhookSignature('whsec_test', { timestamp, body: '{}', signature }), false);
+  assert.equal(verifyWebhookSignature('whsec_test', { timestamp, body: '{}', signature }, 900), true);
+});
+
+test('retries back off exponentially until the attempts run out', () => {
+  assert.deepEqual([1, 2, 3, 4].map(retryDelay), [1000, 2000, 4000, null]);
+});
+
+test('subscriptions to loopback, private and link-local addresses are refused', async () => {
+  const blocked = [
+    'http://127.0.0.2/hook',
+    'http://localhost:4000/',
+    'http://10.1.2.3/',
+    'http://172.20.0.1/',
+    'http://192.168.1.10/',
+    'http://169.254.169.254/latest/meta-data/',
+    'http://0.0.0.0/',
+    'http://2130706434/',
+    'http://[::1]/',
+    'http://[::ffff:127.0.0.1]/',
+    'http://[fd00::1]/',
+    'http://[fe80::1]/'
+  ];
+  for (const url of blocked) {
+    await assert.rejects(normalizeSubscription({ url }), { status: 400, code: 'invalid_webhook' }, url);
+  }
+});
+
+test('public and allowed addresses can be subscribed', async () => {
+  assert.deepEqual(await normalizeSubscription({ url: 'https://93.184.216.34/hooks', events: ['document.signed'] }), {
+    url: 'https://93.184.216.34/hooks',
+    events: ['document.signed']
+  });
+  assert.equal((await normalizeSubscription({ url: 'http://127.0.0.1:4000/' })).url, 'http://127.0.0.1:4000/');
+});
+
+let receiver;
+let received;
+// How the receiver answers anything but /fail, and after how long
+let answer = { status: 204, delayMs: 0 };
+
+before(async () => {
+  receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.statusCode = req.url === '/fail' ? 500 : answer.status;
+      setTimeout(() => res.end(), req.url === '/fail' ? 0 : answer.delayMs);
+    });
+  });
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+});
+
+after(() => new Promise(resolve => receiver.close(resolve)));
+
+test('a delivery is posted with its headers and answered with the receiver status', async () => {
+  received = [];
+  const { port } = receiver.address();
+
+  assert.equal(await postWebhook(`http://127.0.0.1:${port}/ok`, { 'X-Webhook-Id': 'evt_1' }, '{"a":1}'), 204);
+  assert.equal(await postWebhook(`http://127.0.0.1:${port}/fail`, {}, '{}'), 500);
+  assert.equal(received[0].headers['x-webhook-id'], 'evt_1');
+  assert.equal(received[0].body, '{"a":1}');
+});
+
+test('a delivery whose host resolves to a blocked address is not sent', async () => {
+  received = [];
+  const { port } = receiver.address();
+
+  // localhost passes the URL check at delivery time; its resolved address is what gets refused
+  await assert.rejects(postWebhook(`http://localhost:${port}/ok`, {}, '{}'), /private, loopback or link-local/);
+  await assert.rejects(postWebhook(`http://[::1]:${port}/ok`, {}, '{}'), /private, loopback or link-local/);
+  assert.equal(received.length, 0);
+});
+
+describeWithDatabase('webhook deliveries', () => {
+  let server;
+  let token;
+  let webhook;
+  let secret;
+
+  const api = (method, path, body) => request(`${server.baseUrl}${path}`, { method, body, token });
+
+  const signDocument = () => {
+    const form = new FormData();
+    form.append('pdf', new Blob([readFixture('cropped.pdf')], { type: 'application/pdf' }), 'contract.pdf');
+    form.append('data', JSON.stringify({
+      fields: [{ id: 'name', type: 'text', pageIndex: 0, coordinates: { x: 10, y: 10, width: 40, height: 5 }, value: 'Alice' }]
+    }));
+    return api('POST', '/sign-pdf', form);
+  };
+
+  // The webhook's delivery log once its newest delivery has had `attempts` attempts
+  const deliveriesAfter = async (attempts) => {
+    for (let tries = 0; tries < 100; tries++) {
+      const { body } = await api('GET', `/webhooks/${webhook.id}/deliveries`);
+      if (body.length > 0 && body[0].attempts.length >= attempts && body[0].status !== 'sending') return body;
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    throw new Error(`No delivery reached ${attempts} attempt(s)`);
+  };
+
+  before(async () => {
+    server = await listen(app);
+    const username = `hooks-${crypto.randomBytes(4).toString('hex')}`;
+    token = (await api('POST', '/users', { username, password: 'correct horse' })).body.token;
+
+    const { port } = receiver.address();
+    const created = await api('POST', '/webhooks', { url: `http://127.0.0.1:${port}/engine`, events: ['document.signed'] });
+    assert.equal(created.status, 201, JSON.stringify(created.body));
+    ({ webhook, secret } = created.body);
+  });
+
+  after(() => server.close());
+
+  test('a failed delivery is logged for a retry and a redelivery sends the same signed event', async () => {
+    received = [];
+    answer = { status: 503, delayMs: 0 };
+    assert.equal((await signDocument()).status, 200);
+
+    const [failed] = await deliveriesAfter(1);
+    assert.equal(failed.status, 'pending');
+    assert.equal(failed.attempts[0].statusCode, 503);
+    assert.equal(failed.attempts[0].error, 'Receiver answered 503');
+    // WEBHOOK_RETRY_BASE_MS is 1 s in this file
+    assert.ok(new Date(failed.nextAttemptAt) > new Date(failed.attempts[0].at));
+
+    answer = { status: 204, delayMs: 0 };
+    const redelivered = await api('POST', `/webhooks/${webhook.id}/deliveries/${failed.id}/redeliver`);
+    assert.equal(redelivered.status, 200);
+    assert.equal(redelivered.body.status, 'delivered');
+    assert.equal(redelivered.body.attempts.length, 2);
+
+    assert.equal(received.length, 2);
+    const [first, second] = received;
+    assert.equal(first.body, second.body);
+    assert.equal(first.headers['x-webhook-id'], failed.eventId);
+    assert.equal(verifyWebhookSignature(secret, {
+      timestamp: second.headers['x-webhook-timestamp'],
+      body: second.body,
+      signature: second.headers['x-webhook-signature']
+    }), true);
+    assert.equal(JSON.parse(second.body).type, 'document.signed');
+  });
+
+  test('a delivery is sent once when it is redelivered twice at the same time', async () => {
+    answer = { status: 204, delayMs: 0 };
+    assert.equal((await signDocument()).status, 200);
+    const [delivery] = await deliveriesAfter(1);
+
+    received = [];
+    answer = { status: 204, delayMs: 300 };
+    const redeliver = () => api('POST', `/webhooks/${webhook.id}/deliveries/${delivery.id}/redeliver`);
+    const statuses = (await Promise.all([redeliver(), redeliver()])).map(response => response.status).sort();
+
+    assert.deepEqual(statuses, [200, 409]);
+    assert.equal(received.length, 1);
+    const [logged] = await deliveriesAfter(2);
+    assert.equal(logged.attempts.length, 2);
+  });
+});
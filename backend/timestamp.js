@@ -0,0 +1,359 @@
+const forge = require('node-forge');
+const crypto = require('crypto');
+const fs = require('fs');
+const { httpError } = require('./errors');
+
+const { asn1 } = forge;
+
+// RFC 3161 timestamp authority; unset leaves documents with only the server's own clock
+const TSA_URL = process.env.TSA_URL || '';
+
+// With TSA_REQUIRED=true signing fails while the timestamp authority is unavailable; by default
+// documents are signed without a timestamp and their record says why
+const TSA_REQUIRED = process.env.TSA_REQUIRED === 'true';
+
+// PEM file with the TSA certificates, or the CAs that issue them, whose tokens are trusted;
+// without it tokens can check out (consistent) but are never valid
+const TSA_TRUST_FILE = process.env.TSA_TRUST_FILE || '';
+
+// How long the timestamp authority gets to answer
+const TSA_TIMEOUT_MS = Number(process.env.TSA_TIMEOUT_MS) || 10 * 1000;
+
+// id-ct-TSTInfo: the content type of a timestamp token
+const TST_INFO_OID = '1.2.840.113549.1.9.16.1.4';
+
+// id-aa-signatureTimeStampToken: unsigned attribute carrying a timestamp of a CMS signature
+const SIGNATURE_TIMESTAMP_OID = '1.2.840.113549.1.9.16.2.14';
+
+// Message imprint algorithms understood by the verifier, mapped to Node hash names
+const IMPRINT_ALGORITHMS = {
+  [forge.pki.oids.sha1]: 'sha1',
+  [forge.pki.oids.sha256]: 'sha256',
+  [forge.pki.oids.sha384]: 'sha384',
+  [forge.pki.oids.sha512]: 'sha512'
+};
+
+let trustAnchors = null;
+
+// Utility: The certificates in a PEM trust file; none without a file
+function readTrustAnchors(file) {
+  const pem = file ? fs.readFileSync(file, 'utf8') : '';
+  return (pem.match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g) || [])
+    .map(block => new crypto.X509Certificate(block));
+}
+
+// Utility: The certificates in TSA_TRUST_FILE, read on first use
+function tsaTrustAnchors() {
+  if (!trustAnchors) trustAnchors = readTrustAnchors(TSA_TRUST_FILE);
+  return trustAnchors;
+}
+
+// Whether a certificate is a trust anchor or chains up to one through the given certificates
+function chainsToAnchor(certificate, certificates, anchors) {
+  const issuedBy = (cert, issuer) => cert.checkIssued(issuer) && cert.verify(issuer.publicKey);
+
+  let current = certificate;
+  for (let depth = 0; current && depth <= certificates.length; depth++) {
+    if (anchors.some(anchor => anchor.fingerprint256 === current.fingerprint256 || issuedBy(current, anchor))) {
+      return true;
+    }
+    const cert = current;
+    current = certificates.find(candidate => candidate !== cert && issuedBy(cert, candidate));
+  }
+  return false;
+}
+
+// Utility: DER bytes of an ASN.1 object as a Buffer
+function toDer(object) {
+  return Buffer.from(asn1.toDer(object).getBytes(), 'binary');
+}
+
+// Utility: A positive DER INTEGER from big-endian bytes
+function integerFromBytes(bytes) {
+  const value = bytes[0] & 0x80 ? Buffer.concat([Buffer.from([0]), bytes]) : bytes;
+  return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, value.toString('binary'));
+}
+
+// Utility: Hex of a DER INTEGER's value without leading zeros
+function integerHex(node) {
+  return forge.util.bytesToHex(node.value).replace(/^0+(?=.)/, '');
+}
+
+/**
+ * DER TimeStampReq for a SHA-256 digest, asking for the TSA certificate in the reply
+ *
+ * @param {Buffer} digest - SHA-256 of the timestamped data
+ * @param {Buffer} nonce - Random bytes the reply must echo
+ * @returns {Buffer}
+ */
+function createTimestampQuery(digest, nonce) {
+  return toDer(asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, asn1.integerToDer(1).getBytes()),
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(forge.pki.oids.sha256).getBytes()),
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.NULL, false, '')
+      ]),
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false, digest.toString('binary'))
+    ]),
+    integerFromBytes(nonce),
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.BOOLEAN, false, '\xff')
+  ]));
+}
+
+/**
+ * The token inside a TimeStampResp, or why the TSA refused
+ *
+ * @param {Buffer} reply - DER TimeStampResp
+ * @returns {Buffer} - DER TimeStampToken (a CMS ContentInfo)
+ */
+function parseTimestampReply(reply) {
+  let response;
+  try {
+    response = asn1.fromDer(reply.toString('binary'));
+  } catch (error) {
+    throw httpError(`The timestamp authority's reply is not DER: ${error.message}`, 502, 'timestamp_unavailable');
+  }
+
+  // PKIStatusInfo ::= SEQUENCE { status, statusString OPTIONAL, failInfo OPTIONAL }
+  const [statusInfo, token] = response.value;
+  const status = asn1.derToInteger(statusInfo.value[0].value);
+  if (status !== 0 && status !== 1) {
+    const text = statusInfo.value[1] && statusInfo.value[1].tagClass === asn1.Class.UNIVERSAL &&
+      statusInfo.value[1].type === asn1.Type.SEQUENCE
+      ? statusInfo.value[1].value.map(line => forge.util.decodeUtf8(line.value)).join('; ')
+      : '';
+    throw httpError(`The timestamp authority refused the request (status ${status}${text ? `: ${text}` : ''})`, 502, 'timestamp_unavailable');
+  }
+  if (!token) {
+    throw httpError('The timestamp authority granted the request but sent no token', 502, 'timestamp_unavailable');
+  }
+  return toDer(token);
+}
+
+// Fields of a TSTInfo: version, policy, messageImprint, serialNumber, genTime, then optional
+// accuracy, ordering, nonce, [0] tsa and [1] extensions
+function readTstInfo(der) {
+  const tstInfo = asn1.fromDer(der.toString('binary'));
+  const [, policy, messageImprint, serialNumber, genTime, ...optional] = tstInfo.value;
+  const nonce = optional.find(node => node.tagClass === asn1.Class.UNIVERSAL && node.type === asn1.Type.INTEGER);
+
+  return {
+    policy: asn1.derToOid(policy.value),
+    hashAlgorithm: IMPRINT_ALGORITHMS[asn1.derToOid(messageImprint.value[0].value[0].value)] || null,
+    imprint: Buffer.from(messageImprint.value[1].value, 'binary'),
+    serialNumber: integerHex(serialNumber),
+    genTime: asn1.generalizedTimeToDate(genTime.value),
+    nonce: nonce ? integerHex(nonce) : null
+  };
+}
+
+/**
+ * Check an RFC 3161 timestamp token: the TSA's signature over its TSTInfo, that the signing
+ * certificate is issued for timestamping, and that the token covers the expected data (consistent),
+ * and that the TSA certificate leads to one in TSA_TRUST_FILE (trusted). Valid takes both
+ *
+ * @param {Buffer} token - DER TimeStampToken
+ * @param {Object} [expected] - { data } to hash with the token's algorithm, or { digest } (SHA-256)
+ * @returns {Object} - { valid, consistent, trusted, genTime, serialNumber, policy, hashAlgorithm,
+ *   imprintMatches, signatureValid, tsa, error? }
+ */
+function verifyTimestampToken(token, expected = {}) {
+  const report = {
+    valid: false,
+    consistent: false,
+    trusted: false,
+    genTime: null,
+    serialNumber: null,
+    policy: null,
+    hashAlgorithm: null,
+    imprintMatches: false,
+    signatureValid: false,
+    tsa: null
+  };
+
+  try {
+    const contentInfo = asn1.fromDer(Buffer.from(token).toString('binary'));
+    const contentInfoCapture = {};
+    if (!asn1.validate(contentInfo, forge.pkcs7asn1.contentInfoValidator, contentInfoCapture) ||
+        asn1.derToOid(contentInfoCapture.contentType) !== forge.pki.oids.signedData) {
+      throw new Error('Timestamp token is not a CMS SignedData');
+    }
+
+    const signedData = {};
+    if (!asn1.validate(contentInfoCapture.content.value[0], forge.pkcs7asn1.signedDataValidator, signedData)) {
+      throw new Error('Malformed timestamp token');
+    }
+    if (asn1.derToOid(signedData.contentType) !== TST_INFO_OID) {
+      throw new Error('Timestamp token does not contain a TSTInfo');
+    }
+
+    const tstInfoDer = Buffer.from(signedData.content.value[0].value, 'binary');
+    const tstInfo = readTstInfo(tstInfoDer);
+    Object.assign(report, {
+      genTime: tstInfo.genTime,
+      serialNumber: tstInfo.serialNumber,
+      policy: tstInfo.policy,
+      hashAlgorithm: tstInfo.hashAlgorithm,
+      nonce: tstInfo.nonce
+    });
+    if (!tstInfo.hashAlgorithm) {
+      throw new Error('Unsupported message imprint algorithm');
+    }
+
+    if (expected.data) {
+      report.imprintMatches = crypto.createHash(tstInfo.hashAlgorithm).update(expected.data).digest().equals(tstInfo.imprint);
+    } else if (expected.digest) {
+      report.imprintMatches = tstInfo.hashAlgorithm === 'sha256' && Buffer.from(expected.digest).equals(tstInfo.imprint);
+    }
+
+    // SignerInfo ::= version, issuerAndSerialNumber, digestAlgorithm, [0] signedAttrs,
+    //   signatureAlgorithm, signature, [1] unsignedAttrs OPTIONAL
+    // RFC 3161 tokens always carry signed attributes
+    const signerInfo = signedData.signerInfos[0].value;
+    const serialNumber = integerHex(signerInfo[1].value[1]);
+    const digestAlgorithm = IMPRINT_ALGORITHMS[asn1.derToOid(signerInfo[2].value[0].value)];
+    const signedAttributes = signerInfo[3];
+    if (!digestAlgorithm || signedAttributes.tagClass !== asn1.Class.CONTEXT_SPECIFIC) {
+      throw new Error('Timestamp token signer has no signed attributes or an unsupported digest');
+    }
+
+    const certificates = (signedData.certificates ? signedData.certificates.value : [])
+      .map(cert => new crypto.X509Certificate(toDer(cert)));
+    const tsaCertificate = certificates.find(cert =>
+      cert.serialNumber.toLowerCase().replace(/^0+(?=.)/, '') === serialNumber.toLowerCase()
+    );
+    if (!tsaCertificate) {
+      throw new Error('TSA certificate is not embedded in the timestamp token');
+    }
+    report.tsa = {
+      subject: tsaCertificate.subject.split('\n').join(', '),
+      issuer: tsaCertificate.issuer.split('\n').join(', '),
+      serialNumber: tsaCertificate.serialNumber.toLowerCase(),
+      fingerprint: tsaCertificate.fingerprint256.replace(/:/g, '').toLowerCase(),
+      // RFC 3161 requires the id-kp-timeStamping extended key usage
+      timestamping: (tsaCertificate.keyUsage || []).includes(forge.pki.oids.timeStamping),
+      validAtGenTime: tstInfo.genTime >= new Date(tsaCertificate.validFrom) &&
+        tstInfo.genTime <= new Date(tsaCertificate.validTo)
+    };
+
+    const messageDigest = signedAttributes.value
+      .find(attribute => asn1.derToOid(attribute.value[0].value) === forge.pki.oids.messageDigest);
+    const digestValid = Boolean(messageDigest) &&
+      crypto.createHash(digestAlgorithm).update(tstInfoDer).digest()
+        .equals(Buffer.from(messageDigest.value[1].value[0].value, 'binary'));
+
+    // Signed attributes are signed as a DER SET OF, not with their [0] IMPLICIT tag
+    const attributeSet = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SET, true, signedAttributes.value);
+    report.signatureValid = digestValid && crypto.verify(
+      digestAlgorithm, toDer(attributeSet), tsaCertificate.publicKey, Buffer.from(signerInfo[5].value, 'binary')
+    );
+
+    report.consistent = report.signatureValid && report.imprintMatches && report.tsa.timestamping && report.tsa.validAtGenTime;
+    report.trusted = chainsToAnchor(tsaCertificate, certificates, tsaTrustAnchors());
+    report.valid = report.consistent && report.trusted;
+  } catch (error) {
+    report.error = error.message;
+  }
+
+  return report;
+}
+
+/**
+ * Get a timestamp token for a SHA-256 digest from TSA_URL and check it before it is kept;
+ * with TSA_TRUST_FILE set the TSA has to be a trusted one
+ *
+ * @param {Buffer} digest - SHA-256 of the timestamped data
+ * @returns {Object} - { token, genTime, serialNumber, policy, tsa, tsaUrl }
+ * @throws {Error} - 502 timestamp_unavailable when the TSA is unreachable, refuses, or sends a bad token
+ */
+async function requestTimestamp(digest) {
+  // Positive and without a leading zero byte, so it reads back the same from the TSTInfo
+  const nonce = crypto.randomBytes(8);
+  nonce[0] = (nonce[0] & 0x7f) | 0x40;
+
+  const headers = { 'Content-Type': 'application/timestamp-query' };
+  if (process.env.TSA_USERNAME) {
+    const credentials = `${process.env.TSA_USERNAME}:${process.env.TSA_PASSWORD || ''}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  }
+
+  let response;
+  try {
+    response = await fetch(TSA_URL, {
+      method: 'POST',
+      headers,
+      body: createTimestampQuery(digest, nonce),
+      signal: AbortSignal.timeout(TSA_TIMEOUT_MS)
+    });
+  } catch (error) {
+    throw httpError(error.name === 'TimeoutError'
+      ? `The timestamp authority did not answer within ${TSA_TIMEOUT_MS} ms`
+      : `The timestamp authority is unreachable: ${(error.cause && error.cause.message) || error.message}`, 502, 'timestamp_unavailable');
+  }
+  if (!response.ok) {
+    throw httpError(`The timestamp authority answered ${response.status}`, 502, 'timestamp_unavailable');
+  }
+
+  const token = parseTimestampReply(Buffer.from(await response.arrayBuffer()));
+  const report = verifyTimestampToken(token, { digest });
+  if (!report.consistent) {
+    throw httpError(`The timestamp authority sent a token that does not verify: ${report.error ||
+      (!report.imprintMatches ? 'it covers different data' : 'its signature or certificate is not valid')}`, 502, 'timestamp_unavailable');
+  }
+  // Without a trust file there is nothing to hold the TSA to; the token is kept but won't be valid
+  if (TSA_TRUST_FILE && !report.trusted) {
+    throw httpError(`The timestamp authority's certificate (${report.tsa.subject}) does not lead to one in TSA_TRUST_FILE`, 502, 'timestamp_unavailable');
+  }
+  if (report.nonce !== nonce.toString('hex')) {
+    throw httpError('The timestamp authority sent a token for another request', 502, 'timestamp_unavailable');
+  }
+
+  return {
+    token,
+    genTime: report.genTime,
+    serialNumber: report.serialNumber,
+    policy: report.policy,
+    tsa: report.tsa,
+    tsaUrl: TSA_URL
+  };
+}
+
+/**
+ * Unsigned CMS attribute holding a timestamp token over a signature value
+ *
+ * @param {Buffer} token - DER TimeStampToken
+ * @returns {Object} - forge ASN.1 Attribute
+ */
+function signatureTimestampAttribute(token) {
+  return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(SIGNATURE_TIMESTAMP_OID).getBytes()),
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SET, true, [asn1.fromDer(token.toString('binary'))])
+  ]);
+}
+
+/**
+ * The signature timestamp token among a SignerInfo's unsigned attributes, if any
+ *
+ * @param {Object} unsignedAttributes - forge ASN.1 [1] IMPLICIT SET OF Attribute
+ * @returns {Buffer|null} - DER TimeStampToken
+ */
+function findSignatureTimestamp(unsignedAttributes) {
+  const attribute = unsignedAttributes.value
+    .find(node => asn1.derToOid(node.value[0].value) === SIGNATURE_TIMESTAMP_OID);
+  return attribute ? toDer(attribute.value[1].value[0]) : null;
+}
+
+module.exports = {
+  TSA_URL,
+  TSA_REQUIRED,
+  TST_INFO_OID,
+  createTimestampQuery,
+  parseTimestampReply,
+  verifyTimestampToken,
+  requestTimestamp,
+  signatureTimestampAttribute,
+  findSignatureTimestamp,
+  readTrustAnchors,
+  chainsToAnchor
+};
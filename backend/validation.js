@@ -0,0 +1,262 @@
+const vm = require('vm');
+const { parseDateValue, formatDate } = require('./merge');
+const { httpError } = require('./errors');
+
+// Named formats a text field's value can be required to have
+const FIELD_FORMATS = {
+  email: { pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/, description: 'an email address' },
+  phone: { pattern: /^\+?[\d\s().-]{6,20}$/, description: 'a phone number' },
+  number: { pattern: /^-?\d+(\.\d+)?$/, description: 'a number' },
+  integer: { pattern: /^-?\d+$/, description: 'a whole number' }
+};
+
+// Patterns run on the server, so they are kept short
+const MAX_PATTERN_LENGTH = 200;
+
+// How long one value may take to match its pattern before the pattern counts as invalid
+const PATTERN_TIMEOUT_MS = 50;
+
+// A quantifier at the start of a string: *, +, ?, {n}, {n,} or {n,m}, optionally lazy
+const QUANTIFIER = /^(?:[*+?]|\{\d+(?:,\d*)?\})\??/;
+
+// Separate context to match patterns in, so a slow match can be cut off by its timeout
+const patternContext = vm.createContext({});
+const patternTest = new vm.Script('pattern.test(value)');
+
+// The property of a field that holds what the signer filled in, for error paths
+const VALUE_PROPERTIES = {
+  signature: 'imageData',
+  initials: 'imageData',
+  image: 'imageData',
+  checkbox: 'checked',
+  radio: 'checked'
+};
+
+/**
+ * Error listing every field that failed validation, answered with 422
+ *
+ * @param {Array} problems - [{ path?, id, label, code, reason }]
+ * @returns {Error} - With status 422, code validation_failed and
+ *   details: [{ path?, fieldId, label, code, message }]
+ */
+function validationError(problems) {
+  const described = problems.map(({ id, label, reason }) => `field ${label ? `"${label}"` : id} ${reason}`);
+  return httpError(`Validation failed: ${described.join('; ')}`, 422, 'validation_failed', problems.map(
+    ({ path, id, label, code, reason }) => ({
+      ...(path && { path }),
+      fieldId: id,
+      label,
+      code,
+      message: reason
+    })
+  ));
+}
+
+// Index of the ] closing the character class opened at start, or -1
+function classEnd(source, start) {
+  let i = start + 1;
+  if (source[i] === '^') i++;
+  if (source[i] === ']') i++;
+  for (; i < source.length; i++) {
+    if (source[i] === '\\') i++;
+    else if (source[i] === ']') return i;
+  }
+  return -1;
+}
+
+/**
+ * Compile a field's pattern to match whole values, refusing the constructs that make
+ * backtracking blow up (ReDoS): backreferences, lookarounds, and a repeated group that can
+ * itself match in more than one way, like (a+)+, (a*b?)* or (a|aa)*
+ *
+ * @param {String} source - JavaScript regular expression without delimiters
+ * @returns {RegExp|null} - null when the pattern is too long, malformed or refused
+ */
+function compilePattern(source) {
+  if (typeof source !== 'string' || source.length > MAX_PATTERN_LENGTH) return null;
+
+  // Whether each open group (the pattern itself first) contains a quantifier or alternation
+  const groups = [false];
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (char === '\\') {
+      if (/[1-9k]/.test(source[i + 1] || '')) return null;
+      i++;
+    } else if (char === '[') {
+      i = classEnd(source, i);
+      if (i < 0) return null;
+    } else if (char === '(') {
+      if (/^\(\?<?[=!]/.test(source.slice(i, i + 4))) return null;
+      // Skip the ?: or ?<name> of non-capturing and named groups
+      const prefix = /^\?(?::|<[^>]*>)/.exec(source.slice(i + 1));
+      if (prefix) i += prefix[0].length;
+      groups.push(false);
+    } else if (char === ')') {
+      if (groups.length === 1) return null;
+      const ambiguous = groups.pop();
+      const quantifier = QUANTIFIER.exec(source.slice(i + 1));
+      if (quantifier && !quantifier[0].startsWith('?') && ambiguous) return null;
+      if (ambiguous || quantifier) groups[groups.length - 1] = true;
+      if (quantifier) i += quantifier[0].length;
+    } else if (char === '|') {
+      groups[groups.length - 1] = true;
+    } else {
+      const quantifier = QUANTIFIER.exec(source.slice(i));
+      if (quantifier) {
+        groups[groups.length - 1] = true;
+        i += quantifier[0].length - 1;
+      }
+    }
+  }
+  if (groups.length !== 1) return null;
+
+  try {
+    return new RegExp(`^(?:${source})$`);
+  } catch (error) {
+    return null;
+  }
+}
+
+// Whether value matches pattern; null when matching took longer than PATTERN_TIMEOUT_MS
+function matchesPattern(pattern, value) {
+  try {
+    patternContext.pattern = pattern;
+    patternContext.value = value;
+    return patternTest.runInContext(patternContext, { timeout: PATTERN_TIMEOUT_MS });
+  } catch (error) {
+    if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') return null;
+    throw error;
+  }
+}
+
+// Whether a field has what its type needs to count as filled in
+function isFilled(field) {
+  switch (field.type) {
+    case 'signature':
+    case 'initials':
+    case 'image':
+      return Boolean(field.imageData || field.vectorData);
+    case 'checkbox':
+    case 'radio':
+      return Boolean(field.checked);
+    default:
+      return field.value !== undefined && field.value !== null && String(field.value).trim() !== '';
+  }
+}
+
+// A date as yyyy-mm-dd; calendar dates stay as they are, timestamps fall on a day in timeZone
+function calendarDay(value, timeZone) {
+  const parsed = parseDateValue(value);
+  if (!parsed) return null;
+  return formatDate(parsed.date, 'yyyy-mm-dd', parsed.calendarOnly ? 'UTC' : timeZone);
+}
+
+// [code, reason] for every way a filled-in text, text area or date value breaks its field's rules
+function ruleProblems(field, timeZone) {
+  const value = String(field.value);
+  const reasons = [];
+
+  if (field.maxLength && value.length > field.maxLength) {
+    reasons.push(['max_length', `is longer than ${field.maxLength} characters`]);
+  }
+
+  if (field.type === 'text' || field.type === 'textarea') {
+    if (field.format) {
+      const format = FIELD_FORMATS[field.format];
+      if (!format) {
+        reasons.push(['unknown_format', `has an unknown format "${field.format}"`]);
+      } else if (!format.pattern.test(value.trim())) {
+        reasons.push(['format', `must be ${format.description}`]);
+      }
+    }
+
+    if (field.pattern) {
+      const pattern = compilePattern(field.pattern);
+      const matches = pattern && matchesPattern(pattern, value);
+      if (!pattern) {
+        reasons.push(['invalid_pattern', `has an invalid pattern (at most ${MAX_PATTERN_LENGTH} characters of JavaScript regular expression, without backreferences, lookarounds or nested repetition)`]);
+      } else if (matches === null) {
+        reasons.push(['invalid_pattern', 'has a pattern that takes too long to check']);
+      } else if (!matches) {
+        reasons.push(['pattern', field.patternMessage || 'does not have the expected format']);
+      }
+    }
+  }
+
+  if (field.type === 'date' && (field.minDate || field.maxDate)) {
+    const day = calendarDay(value, timeZone);
+    const today = formatDate(new Date(), 'yyyy-mm-dd', timeZone);
+    const bound = limit => limit === 'today' ? today : calendarDay(limit, 'UTC');
+
+    if (!day) {
+      reasons.push(['invalid_date', 'is not a date (expected yyyy-mm-dd)']);
+    } else {
+      const limits = [['minDate', 'min_date', 1, 'before'], ['maxDate', 'max_date', -1, 'after']];
+      for (const [rule, code, compare, word] of limits) {
+        const limit = field[rule];
+        if (!limit) continue;
+        const limitDay = bound(limit);
+        if (!limitDay) {
+          reasons.push(['invalid_date_limit', `has an invalid ${rule} "${limit}"`]);
+        } else if (day.localeCompare(limitDay) * compare < 0) {
+          reasons.push([code, `must not be ${word} ${limitDay}`]);
+        }
+      }
+    }
+  }
+
+  return reasons;
+}
+
+/**
+ * Check fields against their rules: required, and for filled-in values maxLength, format and
+ * pattern (text, text area), minDate and maxDate (date, yyyy-mm-dd or "today")
+ * A required radio button is satisfied by any selected option in its group
+ *
+ * @param {Array} fields - Fields with their values, placeholders already merged
+ * @param {Object} [options] - { timeZone } for "today" and timestamps, default UTC;
+ *   { pathPrefix } where the fields sit in the request (default data.fields), null for no paths
+ * @throws {Error} - validationError listing every failing field
+ */
+function validateFields(fields, options = {}) {
+  const { timeZone, pathPrefix = 'data.fields' } = options;
+  const problems = [];
+  const report = (field, code, reason) => problems.push({
+    path: pathPrefix && `${pathPrefix}[${fields.indexOf(field)}].${VALUE_PROPERTIES[field.type] || 'value'}`,
+    id: String(field.id),
+    label: field.label,
+    code,
+    reason
+  });
+
+  const reportedGroups = new Set();
+  for (const field of fields) {
+    if (field.type === 'radio') {
+      const group = field.formFieldName || field.groupName || `radio_${field.id}`;
+      const members = fields.filter(f => f.type === 'radio' && (f.formFieldName || f.groupName || `radio_${f.id}`) === group);
+      if (field.required && !reportedGroups.has(group) && !members.some(isFilled)) {
+        reportedGroups.add(group);
+        report(field, 'required', 'is required: choose an option');
+      }
+      continue;
+    }
+
+    if (!isFilled(field)) {
+      if (field.required) report(field, 'required', 'is required');
+      continue;
+    }
+
+    if (['text', 'textarea', 'date'].includes(field.type)) {
+      for (const [code, reason] of ruleProblems(field, timeZone)) report(field, code, reason);
+    }
+  }
+
+  if (problems.length > 0) throw validationError(problems);
+}
+
+module.exports = {
+  FIELD_FORMATS,
+  compilePattern,
+  validationError,
+  validateFields
+};
@@ -0,0 +1,210 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { httpError } = require('./errors');
+
+// Events a subscription can receive
+const WEBHOOK_EVENTS = ['document.signed', 'document.verified', 'document.failed'];
+
+// Attempts per delivery before it is given up as failed, counting the first one
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+
+// Wait before the first retry; each later retry waits twice as long as the one before
+const WEBHOOK_RETRY_BASE_MS = Number(process.env.WEBHOOK_RETRY_BASE_MS) || 30 * 1000;
+
+// How long a receiver gets to answer
+const WEBHOOK_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000;
+
+// Host names or addresses webhooks may reach even though they are private, e.g. a receiver on
+// the internal network: WEBHOOK_ALLOWED_HOSTS=hooks.internal,10.0.0.5
+const WEBHOOK_ALLOWED_HOSTS = (process.env.WEBHOOK_ALLOWED_HOSTS || '')
+  .split(',')
+  .map(host => host.trim().toLowerCase())
+  .filter(Boolean);
+
+// Where webhooks must not go: this machine, private and shared networks, link-local services
+// such as cloud metadata (169.254.169.254), multicast and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+// Whether an IP address is one webhooks must not reach; IPv4-mapped IPv6 counts as its IPv4 address
+function isBlockedAddress(address) {
+  return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// A URL's host without the brackets of an IPv6 literal
+function hostOf(url) {
+  return url.hostname.replace(/^\[(.*)\]$/, '$1').toLowerCase();
+}
+
+// Error refusing a webhook target, answered with 400 when subscribing
+function blockedTargetError(host) {
+  return httpError(`Webhooks can't be sent to ${host}: it is a private, loopback or link-local address`, 400, 'invalid_webhook');
+}
+
+/**
+ * dns.lookup for webhook requests that fails when the name resolves to a blocked address,
+ * so a host that passed the check when subscribing can't be pointed somewhere private later
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+    const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+    const blocked = addresses.find(isBlockedAddress);
+    if (blocked) return callback(blockedTargetError(`${hostname} (${blocked})`));
+    callback(null, address, family);
+  });
+}
+
+/**
+ * Reject a webhook URL whose host is, or resolves to, an address in BLOCKED_ADDRESSES,
+ * unless it is listed in WEBHOOK_ALLOWED_HOSTS
+ *
+ * @param {URL} url
+ * @throws {Error} - 400 invalid_webhook
+ */
+async function assertPublicTarget(url) {
+  const host = hostOf(url);
+  if (WEBHOOK_ALLOWED_HOSTS.includes(host)) return;
+
+  let addresses;
+  if (net.isIP(host)) {
+    addresses = [host];
+  } else {
+    try {
+      addresses = (await dns.promises.lookup(host, { all: true })).map(entry => entry.address);
+    } catch (error) {
+      throw httpError(`The webhook host ${host} could not be resolved`, 400, 'invalid_webhook');
+    }
+  }
+  const blocked = addresses.find(isBlockedAddress);
+  if (blocked) throw blockedTargetError(blocked === host ? host : `${host} (${blocked})`);
+}
+
+/**
+ * Check a subscription's URL and event list
+ *
+ * @param {Object} input - { url, events }
+ * @returns {Promise<Object>} - { url, events }; events default to all of WEBHOOK_EVENTS
+ */
+async function normalizeSubscription({ url, events }) {
+  let parsed;
+  try {
+    parsed = new URL(String(url || ''));
+  } catch (error) {
+    throw httpError('A webhook needs an absolute http(s) URL', 400, 'invalid_webhook');
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw httpError('A webhook needs an absolute http(s) URL', 400, 'invalid_webhook');
+  }
+  await assertPublicTarget(parsed);
+
+  const chosen = events === undefined ? WEBHOOK_EVENTS : events;
+  if (!Array.isArray(chosen) || chosen.length === 0) {
+    throw httpError(`events must list at least one of ${WEBHOOK_EVENTS.join(', ')}`, 400, 'invalid_webhook');
+  }
+  const unknown = chosen.find(event => !WEBHOOK_EVENTS.includes(event));
+  if (unknown) {
+    throw httpError(`Unknown webhook event "${unknown}"; use ${WEBHOOK_EVENTS.join(', ')}`, 400, 'invalid_webhook');
+  }
+  return { url: parsed.href, events: [...new Set(chosen)] };
+}
+
+/**
+ * POST a delivery body to a webhook URL. Redirects are not followed, since they could send
+ * the payload somewhere the subscriber never registered, and blocked addresses are refused
+ * when the host is resolved for this request
+ *
+ * @param {String} url - Subscription URL
+ * @param {Object} headers
+ * @param {String} body
+ * @returns {Promise<Number>} - The receiver's status code
+ * @throws {Error} - When the receiver can't be reached or doesn't answer within WEBHOOK_TIMEOUT_MS
+ */
+function postWebhook(url, headers, body) {
+  const target = new URL(url);
+  const host = hostOf(target);
+  const allowed = WEBHOOK_ALLOWED_HOSTS.includes(host);
+  if (!allowed && net.isIP(host) && isBlockedAddress(host)) {
+    return Promise.reject(blockedTargetError(host));
+  }
+
+  return new Promise((resolve, reject) => {
+    const request = (target.protocol === 'https:' ? https : http).request(target, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      timeout: WEBHOOK_TIMEOUT_MS,
+      ...(!allowed && { lookup: publicLookup })
+    }, response => {
+      // Only the status matters; the body is read and dropped so the socket is released
+      response.resume();
+      resolve(response.statusCode);
+    });
+    request.on('timeout', () => request.destroy(new Error(`No answer within ${WEBHOOK_TIMEOUT_MS} ms`)));
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+/**
+ * HMAC-SHA256 of a delivery: receivers recompute it over "<timestamp>.<raw body>" with their
+ * subscription's secret and compare it to the X-Webhook-Signature header ("sha256=<hex>")
+ *
+ * @param {String} secret
+ * @param {String|Number} timestamp - X-Webhook-Timestamp, Unix seconds
+ * @param {String} body - Raw JSON body
+ * @returns {String} - "sha256=<hex>"
+ */
+function signWebhookPayload(secret, timestamp, body) {
+  const hmac = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${hmac}`;
+}
+
+/**
+ * Check a received delivery's signature in constant time, rejecting stale timestamps
+ *
+ * @param {String} secret
+ * @param {Object} delivery - { timestamp, body, signature } as received
+ * @param {Number} [toleranceSeconds] - How old a timestamp may be, default 5 minutes
+ * @returns {Boolean}
+ */
+function verifyWebhookSignature(secret, { timestamp, body, signature }, toleranceSeconds = 300) {
+  if (!timestamp || !signature) return false;
+  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > toleranceSeconds) return false;
+
+  const expected = Buffer.from(signWebhookPayload(secret, timestamp, body));
+  const received = Buffer.from(String(signature));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * When to try a failed delivery again
+ *
+ * @param {Number} attempts - Attempts made so far
+ * @returns {Number|null} - Milliseconds to wait, or null once WEBHOOK_MAX_ATTEMPTS is reached
+ */
+function retryDelay(attempts) {
+  if (attempts >= WEBHOOK_MAX_ATTEMPTS) return null;
+  return WEBHOOK_RETRY_BASE_MS * 2 ** (attempts - 1);
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  WEBHOOK_MAX_ATTEMPTS,
+  WEBHOOK_TIMEOUT_MS,
+  normalizeSubscription,
+  postWebhook,
+  signWebhookPayload,
+  verifyWebhookSignature,
+  retryDelay
+};
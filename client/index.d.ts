@@ -0,0 +1,211 @@
+/// <reference types="node" />
+
+export type FieldType = 'text' | 'textarea' | 'signature' | 'initials' | 'image' | 'date' | 'radio' | 'checkbox';
+
+export const FIELD_TYPES: FieldType[];
+
+/** Percentages of the page as displayed: top-left corner from the left and top edges, and box size */
+export interface Coordinates {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+export interface VectorData {
+  width: number;
+  height: number;
+  strokes: { width: number; path: string }[];
+}
+
+export interface FieldProperties {
+  label?: string;
+  value?: string | null;
+  imageData?: string | null;
+  vectorData?: VectorData | null;
+  useSavedSignature?: boolean;
+  checked?: boolean;
+  required?: boolean;
+  formFieldName?: string;
+  formOption?: string;
+  groupName?: string;
+  optionValue?: string;
+  checkStyle?: 'check' | 'tick' | 'cross';
+  fontFamily?: string;
+  fontSize?: number;
+  color?: string;
+  bold?: boolean;
+  italic?: boolean;
+  align?: 'left' | 'center' | 'right';
+  overflow?: 'shrink' | 'truncate' | 'error';
+  dateFormat?: string;
+  maxLength?: number;
+  format?: 'email' | 'phone' | 'number' | 'integer';
+  pattern?: string;
+  patternMessage?: string;
+  minDate?: string;
+  maxDate?: string;
+}
+
+export interface Field extends FieldProperties {
+  id: string | number;
+  type: FieldType;
+  pageIndex: number;
+  coordinates: Coordinates;
+}
+
+export interface FieldOptions extends Coordinates, FieldProperties {
+  id?: string | number;
+  /** 1-based page number */
+  page?: number;
+  /** 0-based page index; wins over page */
+  pageIndex?: number;
+}
+
+export function field(type: FieldType, options: FieldOptions): Field;
+
+export const fields: { [T in FieldType]: (options: FieldOptions) => Field };
+
+/** Percentage coordinates of a box in PDF points, origin at the page's bottom-left corner */
+export function fromPoints(box: Coordinates, pageSize: { width: number; height: number }): Coordinates;
+
+export interface SignPdfData {
+  version?: 1;
+  fields: Field[];
+  pdfDimensions?: { width?: number; height?: number; pages?: { width: number; height: number }[] };
+  signatureMode?: 'stamp' | 'digital';
+  fieldMode?: 'stamp' | 'interactive';
+  flattenForm?: boolean;
+  completionCertificate?: boolean;
+  signer?: { name?: string; email?: string; reason?: string; location?: string };
+  mergeData?: Record<string, unknown>;
+  mergeRow?: number;
+  timeZone?: string;
+}
+
+export interface SignBatchData extends SignPdfData {
+  values?: Record<string, Record<string, string | number | boolean>>;
+}
+
+export interface SignedPdf {
+  pdf: Buffer;
+  originalHash: string;
+  signedHash: string;
+  finalHash?: string;
+  signatureRecordId: string;
+}
+
+export interface SignedBatch {
+  zip: Buffer;
+  batchId: string;
+  signed: number;
+  failed: number;
+}
+
+export interface ErrorDetail {
+  path?: string;
+  fieldId?: string;
+  label?: string;
+  code: string;
+  message: string;
+}
+
+/** Failed requests reject with an Error carrying these */
+export interface ApiError extends Error {
+  status: number;
+  code?: string;
+  details?: ErrorDetail[];
+}
+
+export interface UsageCounts {
+  requests: number;
+  failures: number;
+  documentsSigned: number;
+}
+
+export interface ApiKeyUsage {
+  apiKey: { id: string; name: string; prefix: string; createdAt: string };
+  since: string;
+  totals: UsageCounts;
+  lastUsedAt: string | null;
+  signatureRecords: number;
+  usage: (UsageCounts & { day: string; route: string })[];
+}
+
+export type WebhookEventType = 'document.signed' | 'document.verified' | 'document.failed';
+
+export interface Webhook {
+  id: string;
+  url: string;
+  events: WebhookEventType[];
+  description?: string;
+  secretPrefix: string;
+  createdAt: string;
+}
+
+export interface WebhookEvent {
+  id: string;
+  type: WebhookEventType;
+  createdAt: string;
+  data: {
+    signatureRecordId?: string;
+    filename?: string;
+    originalHash?: string;
+    signedHash?: string;
+    finalHash?: string;
+    fieldCount?: number | null;
+    signatureMode?: 'stamp' | 'digital';
+    batchId?: string;
+    found?: boolean;
+    method?: 'hash' | 'pdf';
+    hash?: string;
+    matchedOn?: 'originalHash' | 'signedHash' | 'finalHash';
+    integrity?: 'intact' | 'untrusted' | 'modified' | 'invalid' | 'unknown';
+    error?: { status: number; error: string; code: string; details?: ErrorDetail[] };
+  };
+}
+
+export interface WebhookDelivery {
+  id: string;
+  eventId: string;
+  event: WebhookEventType;
+  status: 'pending' | 'sending' | 'delivered' | 'failed';
+  attempts: { at: string; statusCode?: number; error?: string; durationMs: number }[];
+  nextAttemptAt?: string;
+  deliveredAt?: string;
+  createdAt: string;
+  payload: WebhookEvent;
+}
+
+/** Check X-Webhook-Signature against the raw body; false for stale timestamps */
+export function verifyWebhookSignature(
+  secret: string,
+  delivery: { timestamp: string | number | undefined; body: string; signature: string | undefined },
+  toleranceSeconds?: number
+): boolean;
+
+type FileContent = Buffer | Uint8Array | Blob;
+
+export interface Client {
+  health(): Promise<{ status: 'ok'; timestamp: string }>;
+  signPdf(pdf: FileContent, data: SignPdfData, options?: { filename?: string }): Promise<SignedPdf>;
+  signBatch(
+    documents: { filename: string; content: FileContent }[],
+    data: SignBatchData,
+    options?: { valuesCsv?: string }
+  ): Promise<SignedBatch>;
+  verifyHash(hash: string): Promise<{ found: boolean; [key: string]: unknown }>;
+  verifyPdf(pdf: FileContent, options?: { filename?: string }): Promise<Record<string, unknown>>;
+  timestampToken(recordId: string): Promise<Buffer>;
+  listSchemas(): Promise<{ name: string; version: number; id: string; title: string; url: string }[]>;
+  getSchema(name: string, version?: number): Promise<Record<string, unknown>>;
+  getOpenApi(): Promise<Record<string, unknown>>;
+  apiKeyUsage(id: string, options?: { days?: number }): Promise<ApiKeyUsage>;
+  createWebhook(subscription: { url: string; events?: WebhookEventType[]; description?: string }): Promise<{ secret: string; webhook: Webhook }>;
+  listWebhooks(): Promise<Webhook[]>;
+  deleteWebhook(id: string): Promise<void>;
+  webhookDeliveries(id: string, options?: { status?: WebhookDelivery['status']; limit?: number }): Promise<WebhookDelivery[]>;
+  redeliverWebhook(id: string, deliveryId: string): Promise<WebhookDelivery>;
+}
+
+export function createClient(options?: { baseUrl?: string; apiKey?: string; fetch?: typeof fetch }): Client;
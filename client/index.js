@@ -0,0 +1,226 @@
+// Node client for the Signature Engine API (see backend/openapi.json)
+// Needs Node 18+ for fetch, FormData and Blob
+
+const crypto = require('crypto');
+
+const FIELD_TYPES = ['text', 'textarea', 'signature', 'initials', 'image', 'date', 'radio', 'checkbox'];
+
+let nextFieldId = 1;
+
+// Utility: Error carrying the response's status, code and details
+function apiError(status, body) {
+  const error = new Error(body.error || `Request failed with status ${status}`);
+  error.status = status;
+  error.code = body.code;
+  error.details = body.details;
+  return error;
+}
+
+function assertPercent(name, value, { allowZero = true } = {}) {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value > 100 || value < 0 || (!allowZero && value === 0)) {
+    throw new RangeError(`${name} must be a percentage of the page (${allowZero ? '0' : 'above 0'} to 100), got ${value}`);
+  }
+}
+
+/**
+ * Build a field for a layout. Positions are percentages of the page as displayed:
+ * x and y of the top-left corner from the page's left and top edges, width and height of the box
+ *
+ * @param {String} type - One of FIELD_TYPES
+ * @param {Object} options - { x, y, width, height, page (1-based) or pageIndex (0-based), id, ...field properties }
+ * @returns {Object} - Field as sent in data.fields
+ */
+function field(type, options) {
+  if (!FIELD_TYPES.includes(type)) {
+    throw new TypeError(`Unknown field type "${type}"; use one of ${FIELD_TYPES.join(', ')}`);
+  }
+  const { x, y, width, height, page, pageIndex, id, ...properties } = options;
+  assertPercent('x', x);
+  assertPercent('y', y);
+  assertPercent('width', width, { allowZero: false });
+  assertPercent('height', height, { allowZero: false });
+
+  return {
+    id: id === undefined ? `field-${nextFieldId++}` : id,
+    type,
+    pageIndex: pageIndex !== undefined ? pageIndex : page !== undefined ? page - 1 : 0,
+    coordinates: { x, y, width, height },
+    ...properties
+  };
+}
+
+/**
+ * Percentage coordinates of a box given in PDF points, origin at the page's bottom-left corner
+ * as in the PDF itself
+ *
+ * @param {Object} box - { x, y, width, height } in points
+ * @param {Object} pageSize - { width, height } of the page in points
+ * @returns {Object} - { x, y, width, height } for field()
+ */
+function fromPoints(box, pageSize) {
+  return {
+    x: (box.x / pageSize.width) * 100,
+    y: ((pageSize.height - box.y - box.height) / pageSize.height) * 100,
+    width: (box.width / pageSize.width) * 100,
+    height: (box.height / pageSize.height) * 100
+  };
+}
+
+// Shorthands: fields.text({ x, y, width, height, value }), fields.signature({ ..., imageData })...
+const fields = Object.fromEntries(FIELD_TYPES.map(type => [type, options => field(type, options)]));
+
+/**
+ * Check a webhook delivery's X-Webhook-Signature in constant time, rejecting timestamps more
+ * than toleranceSeconds old. Pass the raw body as received, before any JSON parsing
+ *
+ * @param {String} secret - The secret returned when the webhook was created
+ * @param {Object} delivery - { timestamp, body, signature } from X-Webhook-Timestamp, the body and X-Webhook-Signature
+ * @param {Number} [toleranceSeconds] - Default 5 minutes
+ * @returns {Boolean}
+ */
+function verifyWebhookSignature(secret, { timestamp, body, signature }, toleranceSeconds = 300) {
+  if (!timestamp || !signature) return false;
+  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > toleranceSeconds) return false;
+
+  const hmac = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  const expected = Buffer.from(`sha256=${hmac}`);
+  const received = Buffer.from(String(signature));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+// Utility: A file part from a Buffer, Uint8Array or Blob
+function filePart(content, type) {
+  return content instanceof Blob ? content : new Blob([content], { type });
+}
+
+/**
+ * Create a client for a Signature Engine server
+ *
+ * @param {Object} options - { baseUrl, apiKey, fetch } ; fetch defaults to the global one
+ * @returns {Object} - API methods; failed requests reject with an error carrying status, code and details
+ */
+function createClient(options = {}) {
+  const { baseUrl = 'http://localhost:5000', apiKey, fetch: fetchImpl = globalThis.fetch } = options;
+  const root = baseUrl.replace(/\/+$/, '');
+
+  const request = async (method, path, { body, json } = {}) => {
+    const headers = {};
+    if (apiKey) headers['X-API-Key'] = apiKey;
+    if (json !== undefined) headers['Content-Type'] = 'application/json';
+
+    const response = await fetchImpl(`${root}${path}`, {
+      method,
+      headers,
+      body: json !== undefined ? JSON.stringify(json) : body
+    });
+    if (!response.ok) {
+      throw apiError(response.status, await response.json().catch(() => ({})));
+    }
+    return response;
+  };
+
+  const getJson = async (path) => (await request('GET', path)).json();
+
+  return {
+    health: () => getJson('/health'),
+
+    /**
+     * Sign one PDF
+     *
+     * @param {Buffer|Blob} pdf
+     * @param {Object} data - The sign-pdf request: { fields, signatureMode, mergeData, ... }
+     * @param {Object} [options] - { filename }
+     * @returns {Promise<Object>} - { pdf: Buffer, originalHash, signedHash, finalHash, signatureRecordId }
+     */
+    async signPdf(pdf, data, { filename = 'document.pdf' } = {}) {
+      const form = new FormData();
+      form.append('pdf', filePart(pdf, 'application/pdf'), filename);
+      form.append('data', JSON.stringify({ version: 1, ...data }));
+
+      const response = await request('POST', '/sign-pdf', { body: form });
+      return {
+        pdf: Buffer.from(await response.arrayBuffer()),
+        originalHash: response.headers.get('X-Original-Hash'),
+        signedHash: response.headers.get('X-Signed-Hash'),
+        finalHash: response.headers.get('X-Final-Hash') || undefined,
+        signatureRecordId: response.headers.get('X-Signature-Record-Id')
+      };
+    },
+
+    /**
+     * Sign many PDFs with one layout
+     *
+     * @param {Array} documents - [{ filename, content }]; ZIP archives of PDFs work as well
+     * @param {Object} data - The sign-pdf-batch request: { fields, values: { filename: { column: value } }, ... }
+     * @param {Object} [options] - { valuesCsv } text of a values CSV
+     * @returns {Promise<Object>} - { zip: Buffer, batchId, signed, failed }; manifest.json is inside the ZIP
+     */
+    async signBatch(documents, data, { valuesCsv } = {}) {
+      const form = new FormData();
+      for (const { filename, content } of documents) {
+        form.append('pdfs', filePart(content, 'application/octet-stream'), filename);
+      }
+      if (valuesCsv) form.append('values', filePart(valuesCsv, 'text/csv'), 'values.csv');
+      form.append('data', JSON.stringify({ version: 1, ...data }));
+
+      const response = await request('POST', '/sign-pdf/batch', { body: form });
+      return {
+        zip: Buffer.from(await response.arrayBuffer()),
+        batchId: response.headers.get('X-Batch-Id'),
+        signed: Number(response.headers.get('X-Batch-Signed')),
+        failed: Number(response.headers.get('X-Batch-Failed'))
+      };
+    },
+
+    verifyHash: async (hash) => (await request('POST', '/verify-hash', { json: { hash } })).json(),
+
+    async verifyPdf(pdf, { filename = 'document.pdf' } = {}) {
+      const form = new FormData();
+      form.append('pdf', filePart(pdf, 'application/pdf'), filename);
+      return (await request('POST', '/verify-pdf', { body: form })).json();
+    },
+
+    // RFC 3161 token over the record's signedHash, as DER; needs an apiKey of the account that
+    // signed it and rejects with 404 when the record has no token or belongs to someone else
+    timestampToken: async (recordId) =>
+      Buffer.from(await (await request('GET', `/timestamps/${encodeURIComponent(recordId)}`)).arrayBuffer()),
+
+    listSchemas: () => getJson('/schemas'),
+    getSchema: (name, version = 1) => getJson(`/schemas/${encodeURIComponent(name)}/v${version}`),
+    getOpenApi: () => getJson('/openapi.json'),
+
+    apiKeyUsage: (id, { days } = {}) =>
+      getJson(`/me/api-keys/${encodeURIComponent(id)}/usage${days ? `?days=${days}` : ''}`),
+
+    /**
+     * Subscribe a URL to document events
+     *
+     * @param {Object} subscription - { url, events, description }; events default to all
+     * @returns {Promise<Object>} - { secret, webhook }; the secret is not shown again
+     */
+    createWebhook: async (subscription) => (await request('POST', '/webhooks', { json: subscription })).json(),
+    listWebhooks: () => getJson('/webhooks'),
+    deleteWebhook: async (id) => { await request('DELETE', `/webhooks/${encodeURIComponent(id)}`); },
+
+    webhookDeliveries(id, { status, limit } = {}) {
+      const query = new URLSearchParams();
+      if (status) query.set('status', status);
+      if (limit) query.set('limit', String(limit));
+      const search = query.toString();
+      return getJson(`/webhooks/${encodeURIComponent(id)}/deliveries${search ? `?${search}` : ''}`);
+    },
+
+    redeliverWebhook: async (id, deliveryId) => (await request(
+      'POST', `/webhooks/${encodeURIComponent(id)}/deliveries/${encodeURIComponent(deliveryId)}/redeliver`
+    )).json()
+  };
+}
+
+module.exports = {
+  FIELD_TYPES,
+  createClient,
+  field,
+  fields,
+  fromPoints,
+  verifyWebhookSignature
+};
@@ -2,8 +2,13 @@ import React, { useState, useRef, useEffect } from 'react';
 import { Document, Page, pdfjs } from 'react-pdf';
 import { 
   FileText, Type, PenTool, Image as ImageIcon, 
-  Calendar, Circle, Download, Upload, X, Check 
+  Calendar, Circle, CheckSquare, Download, Upload, X, Check, Send, Users, Save,
+  Bold, Italic, AlignLeft, Edit3, User, LogOut, Key
 } from 'lucide-react';
+import {
+  SIGNATURE_FONTS, drawStrokes, strokesToVector, renderTypedSignature, extractSignatureFromPhoto
+} from './signatureImage';
+import { FIELD_FORMATS, compilePattern, pickValidationRules, validateFieldValues } from './fieldValidation';
 import 'react-pdf/dist/esm/Page/AnnotationLayer.css';
 import 'react-pdf/dist/esm/Page/TextLayer.css';
 
@@ -12,32 +17,139 @@ pdfjs.GlobalWorkerOptions.workerSrc = `//cdnjs.cloudflare.com/ajax/libs/pdf.js/$
 
 const FIELD_TYPES = {
   TEXT: { id: 'text', label: 'Text Box', icon: Type, color: 'bg-blue-100 border-blue-400' },
+  TEXTAREA: { id: 'textarea', label: 'Text Area', icon: AlignLeft, color: 'bg-cyan-100 border-cyan-400' },
   SIGNATURE: { id: 'signature', label: 'Signature', icon: PenTool, color: 'bg-green-100 border-green-400' },
+  INITIALS: { id: 'initials', label: 'Initials', icon: Edit3, color: 'bg-lime-100 border-lime-400' },
   IMAGE: { id: 'image', label: 'Image', icon: ImageIcon, color: 'bg-purple-100 border-purple-400' },
   DATE: { id: 'date', label: 'Date', icon: Calendar, color: 'bg-yellow-100 border-yellow-400' },
-  RADIO: { id: 'radio', label: 'Radio', icon: Circle, color: 'bg-red-100 border-red-400' }
+  RADIO: { id: 'radio', label: 'Radio', icon: Circle, color: 'bg-red-100 border-red-400' },
+  CHECKBOX: { id: 'checkbox', label: 'Checkbox', icon: CheckSquare, color: 'bg-orange-100 border-orange-400' }
 };
 
 const API_BASE = process.env.REACT_APP_API_URL || 'http://localhost:5000';
 
+// Signature pad size in CSS pixels; the canvas holds SIGNATURE_PAD_SCALE device pixels per CSS
+// pixel (at least 3) so strokes stay sharp on high-density screens
+const SIGNATURE_PAD_WIDTH = 400;
+const SIGNATURE_PAD_HEIGHT = 200;
+const SIGNATURE_PAD_SCALE = Math.max(window.devicePixelRatio || 1, 3);
+
+// Styling properties of text, text area and date fields, sent and stored with the field
+const TEXT_STYLE_KEYS = ['fontFamily', 'fontSize', 'color', 'bold', 'italic', 'align', 'overflow', 'dateFormat'];
+
+const pickTextStyle = (field) => Object.fromEntries(
+  TEXT_STYLE_KEYS.filter(key => field[key] !== undefined && field[key] !== null).map(key => [key, field[key]])
+);
+
+// Date formats offered for date fields (Acrobat-style tokens, formatted by the server)
+const DATE_FORMATS = [
+  { format: 'yyyy-mm-dd', example: '2024-06-30' },
+  { format: 'dd/mm/yyyy', example: '30/06/2024' },
+  { format: 'mm/dd/yyyy', example: '06/30/2024' },
+  { format: 'd mmmm yyyy', example: '30 June 2024' },
+  { format: 'mmmm d, yyyy', example: 'June 30, 2024' },
+  { format: 'dddd, d mmmm yyyy', example: 'Sunday, 30 June 2024' }
+];
+
+// Placeholders like {{customer.name}} that are filled from merge data when signing
+const hasPlaceholders = (value) => /\{\{[^{}]+\}\}/.test(value || '');
+
+// Browser stand-ins for the server's standard PDF fonts
+const CSS_FONT_FAMILIES = {
+  Helvetica: 'Helvetica, Arial, sans-serif',
+  'Times Roman': '"Times New Roman", Times, serif',
+  Courier: '"Courier New", Courier, monospace'
+};
+
+// Horizontal inset of text inside its box, in PDF points (matches the server)
+const TEXT_PADDING = 5;
+
 function App() {
   const [pdfFile, setPdfFile] = useState(null);
   const [numPages, setNumPages] = useState(null);
-  const [pageWidth, setPageWidth] = useState(595);
-  const [pageHeight, setPageHeight] = useState(842);
+  const [pageDimensions, setPageDimensions] = useState({});
   const [fields, setFields] = useState([]);
   const [selectedField, setSelectedField] = useState(null);
   const [draggingType, setDraggingType] = useState(null);
   const [resizing, setResizing] = useState(null);
   const [containerWidth, setContainerWidth] = useState(800);
   const [signaturePad, setSignaturePad] = useState(null);
+  const [signatureTab, setSignatureTab] = useState('draw');
+  const [typedName, setTypedName] = useState('');
+  const [typedFont, setTypedFont] = useState(SIGNATURE_FONTS[0]);
+  const [uploadedSignature, setUploadedSignature] = useState(null);
   const [processing, setProcessing] = useState(false);
+  const [digitalSignature, setDigitalSignature] = useState(false);
+  const [completionCertificate, setCompletionCertificate] = useState(false);
+  const [flattenForm, setFlattenForm] = useState(false);
+  const [mergeFile, setMergeFile] = useState(null);
+  const [mergeRow, setMergeRow] = useState(1);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [fieldMode, setFieldMode] = useState('stamp');
+  const [signers, setSigners] = useState([]);
+  const [routingOrder, setRoutingOrder] = useState('sequential');
+  const [envelopeLinks, setEnvelopeLinks] = useState(null);
+  const [templates, setTemplates] = useState([]);
+  const [selectedTemplate, setSelectedTemplate] = useState('');
+  const [fonts, setFonts] = useState([]);
+  const [textLayouts, setTextLayouts] = useState({});
+  // Session token of the signed-in user, kept across reloads
+  const [authToken, setAuthToken] = useState(() => localStorage.getItem('authToken'));
+  const [profile, setProfile] = useState(null);
+  const [credentials, setCredentials] = useState({ username: '', password: '' });
+  const [saveToProfile, setSaveToProfile] = useState(false);
+
+  // A ?sign=<token> link opens the signer-only view of an envelope
+  const [signerToken] = useState(() => new URLSearchParams(window.location.search).get('sign'));
+  const [signerSession, setSignerSession] = useState(null);
   
   const containerRef = useRef(null);
+  const pageRefs = useRef([]);
   const canvasRef = useRef(null);
+  // Strokes on the signature pad: arrays of { x, y, pressure } in CSS pixels
+  const strokesRef = useRef([]);
+  const textLayoutRequests = useRef({});
+
+  // Actual PDF dimensions of a page (A4 until react-pdf reports the real size)
+  const getPageSize = (pageIndex) => pageDimensions[pageIndex] || { width: 595, height: 842 };
+
+  // Every page is rendered at the container width, so each has its own scale factor
+  const getScale = (pageIndex) => containerWidth / getPageSize(pageIndex).width;
+
+  // Lets the server fill saved signatures and initials for the signed-in user
+  const authHeaders = () => (authToken ? { Authorization: `Bearer ${authToken}` } : {});
 
-  // Calculate scale factor based on container width
-  const scale = containerWidth / pageWidth;
+  // Ask the server how it will wrap each text area, so the preview shows the same lines
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      fields.filter(f => f.type === 'textarea').forEach(field => {
+        const pageSize = getPageSize(field.pageIndex);
+        const request = JSON.stringify({
+          text: field.value || '',
+          width: field.width / 100 * pageSize.width,
+          height: field.height / 100 * pageSize.height,
+          ...pickTextStyle(field)
+        });
+        if (textLayoutRequests.current[field.id] === request) return;
+        textLayoutRequests.current[field.id] = request;
+
+        fetch(`${API_BASE}/text-layout`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: request
+        })
+          .then(response => response.ok ? response.json() : null)
+          .then(layout => {
+            // A newer request may have been sent while this one was in flight
+            if (layout && textLayoutRequests.current[field.id] === request) {
+              setTextLayouts(layouts => ({ ...layouts, [field.id]: layout }));
+            }
+          })
+          .catch((error) => console.error('Error laying out text:', error));
+      });
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [fields, pageDimensions]);
 
   // Update container width on resize
   useEffect(() => {
@@ -51,12 +163,180 @@ function App() {
     return () => window.removeEventListener('resize', updateWidth);
   }, []);
 
+  // Signer view: load the envelope PDF and only this signer's fields
+  useEffect(() => {
+    if (!signerToken) return;
+
+    fetch(`${API_BASE}/sign/${signerToken}`)
+      .then(async (response) => {
+        const session = await response.json();
+        if (!response.ok) throw new Error(session.error);
+
+        setSignerSession(session);
+        setPdfFile(`${API_BASE}/sign/${signerToken}/pdf`);
+        setFields(session.fields.map(f => ({
+          id: f.id,
+          type: f.type,
+          pageIndex: f.pageIndex,
+          ...f.coordinates,
+          label: f.label || '',
+          required: f.required,
+          formFieldName: f.formFieldName,
+          formOption: f.formOption,
+          groupName: f.groupName,
+          optionValue: f.optionValue,
+          checkStyle: f.checkStyle,
+          ...pickTextStyle(f),
+          ...pickValidationRules(f),
+          value: '',
+          imageData: null,
+          checked: false
+        })));
+      })
+      .catch((error) => setSignerSession({ error: error.message }));
+  }, [signerToken]);
+
+  // Saved templates for the sender's template picker; templates belong to the signed-in user
+  const loadTemplates = async () => {
+    if (!authToken) {
+      setTemplates([]);
+      return;
+    }
+    try {
+      const response = await fetch(`${API_BASE}/templates`, { headers: authHeaders() });
+      if (response.ok) setTemplates(await response.json());
+    } catch (error) {
+      console.error('Error loading templates:', error);
+    }
+  };
+
+  useEffect(() => {
+    if (!signerToken) loadTemplates();
+  }, [signerToken, authToken]);
+
+  // Fonts the server can draw text and date fields in
+  useEffect(() => {
+    fetch(`${API_BASE}/fonts`)
+      .then(response => response.ok ? response.json() : [])
+      .then(setFonts)
+      .catch((error) => console.error('Error loading fonts:', error));
+  }, []);
+
+  // Profile of the signed-in user; a rejected token signs the user out
+  useEffect(() => {
+    if (authToken) {
+      localStorage.setItem('authToken', authToken);
+    } else {
+      localStorage.removeItem('authToken');
+      setProfile(null);
+      return;
+    }
+
+    fetch(`${API_BASE}/me`, { headers: { Authorization: `Bearer ${authToken}` } })
+      .then(async (response) => {
+        if (response.status === 401) {
+          setAuthToken(null);
+          return;
+        }
+        if (response.ok) setProfile(await response.json());
+      })
+      .catch((error) => console.error('Error loading profile:', error));
+  }, [authToken]);
+
+  // Call an account endpoint as the signed-in user, alerting on failure
+  const accountRequest = async (method, path, body) => {
+    const response = await fetch(`${API_BASE}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...authHeaders() },
+      body: body && JSON.stringify(body)
+    });
+    const result = await response.json();
+    if (!response.ok) {
+      alert(result.error);
+      return null;
+    }
+    return result;
+  };
+
+  // Sign in, or register a new account with the same form
+  const handleAuth = async (register) => {
+    const result = await accountRequest('POST', register ? '/users' : '/sessions', credentials);
+    if (result) {
+      setProfile(result.user);
+      setAuthToken(result.token);
+      setCredentials({ username: '', password: '' });
+    }
+  };
+
+  const handleSignOut = async () => {
+    await accountRequest('DELETE', '/sessions/current');
+    setAuthToken(null);
+  };
+
+  // Forget the saved signature or initials
+  const removeSaved = async (kind) => {
+    const result = await accountRequest('DELETE', `/me/${kind}`);
+    if (result) setProfile(result);
+  };
+
+  // API keys are only shown once, right after they are created
+  const createApiKey = async () => {
+    const name = window.prompt('API key name');
+    if (name === null) return;
+
+    const result = await accountRequest('POST', '/me/api-keys', { name });
+    if (result) {
+      setProfile({ ...profile, apiKeys: [...profile.apiKeys, result.apiKey] });
+      window.prompt('Copy your API key now; it will not be shown again', result.key);
+    }
+  };
+
+  const revokeApiKey = async (id) => {
+    const result = await accountRequest('DELETE', `/me/api-keys/${id}`);
+    if (result) setProfile(result);
+  };
+
   // Handle PDF file upload
   const handleFileUpload = (e) => {
     const file = e.target.files[0];
     if (file && file.type === 'application/pdf') {
       setPdfFile(file);
       setFields([]);
+      setPageDimensions({});
+      loadFormFields(file);
+    }
+  };
+
+  // Pre-place the PDF's own AcroForm fields so they can be filled by name
+  const loadFormFields = async (file) => {
+    try {
+      const formData = new FormData();
+      formData.append('pdf', file);
+
+      const response = await fetch(`${API_BASE}/form-fields`, {
+        method: 'POST',
+        body: formData
+      });
+      if (!response.ok) return;
+
+      const { fields: formFields } = await response.json();
+      const baseId = Date.now();
+      setFields(formFields.map((f, i) => ({
+        id: baseId + i,
+        type: f.type,
+        pageIndex: f.pageIndex,
+        ...f.coordinates,
+        label: f.formOption ? `${f.formFieldName}: ${f.formOption}` : f.formFieldName,
+        required: f.required,
+        formFieldName: f.formFieldName,
+        formOption: f.formOption,
+        options: f.options,
+        value: f.value || '',
+        imageData: null,
+        checked: Boolean(f.checked)
+      })));
+    } catch (error) {
+      console.error('Error reading form fields:', error);
     }
   };
 
@@ -65,19 +345,28 @@ function App() {
     setNumPages(numPages);
   };
 
-  // Get actual PDF page dimensions
+  // Get actual PDF page dimensions (pages may differ in size)
+  // The viewport is already cropped to the CropBox and turned by /Rotate, so these
+  // are the dimensions of the page exactly as react-pdf draws it
   const onPageLoadSuccess = (page) => {
-    const viewport = page.getViewport({ scale: 1 });
-    setPageWidth(viewport.width);
-    setPageHeight(viewport.height);
+    const viewport = page.getViewport({ scale: 1, rotation: page.rotate });
+    setPageDimensions(prev => ({
+      ...prev,
+      [page.pageNumber - 1]: { width: viewport.width, height: viewport.height }
+    }));
   };
 
   /**
    * COORDINATE TRANSFORMATION - FRONTEND SIDE
    * Convert pixel coordinates to percentage-based coordinates
    * This ensures fields maintain position across different screen sizes
+   * Percentages are of the displayed (cropped, rotated) page; the backend
+   * maps them back through the page's CropBox and /Rotate
    */
-  const pixelToPercentage = (pixelX, pixelY, pixelWidth, pixelHeight) => {
+  const pixelToPercentage = (pixelX, pixelY, pixelWidth, pixelHeight, pageIndex) => {
+    const { width: pageWidth, height: pageHeight } = getPageSize(pageIndex);
+    const scale = getScale(pageIndex);
+
     // Divide by scale to get actual PDF coordinates, then convert to percentage
     const actualX = pixelX / scale;
     const actualY = pixelY / scale;
@@ -97,6 +386,9 @@ function App() {
    * This is called on every render to adapt to current viewport
    */
   const percentageToPixel = (field) => {
+    const { width: pageWidth, height: pageHeight } = getPageSize(field.pageIndex);
+    const scale = getScale(field.pageIndex);
+
     return {
       x: (field.x / 100) * pageWidth * scale,
       y: (field.y / 100) * pageHeight * scale,
@@ -105,12 +397,13 @@ function App() {
     };
   };
 
-  // Handle drop on PDF
-  const handleDrop = (e) => {
+  // Handle drop on a PDF page
+  const handleDrop = (e, pageIndex) => {
     e.preventDefault();
-    if (!draggingType || !containerRef.current) return;
+    const pageElement = pageRefs.current[pageIndex];
+    if (!draggingType || !pageElement) return;
 
-    const rect = containerRef.current.getBoundingClientRect();
+    const rect = pageElement.getBoundingClientRect();
     const pixelX = e.clientX - rect.left;
     const pixelY = e.clientY - rect.top;
 
@@ -118,17 +411,31 @@ function App() {
     const defaultWidth = 150;
     const defaultHeight = 50;
 
-    const percentCoords = pixelToPercentage(pixelX, pixelY, defaultWidth, defaultHeight);
+    const percentCoords = pixelToPercentage(pixelX, pixelY, defaultWidth, defaultHeight, pageIndex);
 
     const newField = {
       id: Date.now(),
       type: draggingType,
+      pageIndex,
       ...percentCoords,
+      label: '',
+      required: false,
       value: '',
       imageData: null,
       checked: false
     };
 
+    // New radio buttons join the most recently used group as its next option
+    if (draggingType === 'radio') {
+      const lastRadio = [...fields].reverse().find(f => f.type === 'radio' && f.groupName);
+      newField.groupName = lastRadio ? lastRadio.groupName : 'group1';
+      const groupSize = fields.filter(f => f.type === 'radio' && f.groupName === newField.groupName).length;
+      newField.optionValue = `Option ${groupSize + 1}`;
+    }
+    if (draggingType === 'checkbox') {
+      newField.checkStyle = 'check';
+    }
+
     setFields([...fields, newField]);
     setDraggingType(null);
   };
@@ -139,6 +446,9 @@ function App() {
     e.stopPropagation();
     setSelectedField(fieldId);
 
+    // Signers fill fields in place; only the sender lays them out
+    if (signerToken) return;
+
     const field = fields.find(f => f.id === fieldId);
     const startX = e.clientX;
     const startY = e.clientY;
@@ -151,7 +461,7 @@ function App() {
       const newPixelX = pixelCoords.x + deltaX;
       const newPixelY = pixelCoords.y + deltaY;
 
-      const newPercent = pixelToPercentage(newPixelX, newPixelY, pixelCoords.width, pixelCoords.height);
+      const newPercent = pixelToPercentage(newPixelX, newPixelY, pixelCoords.width, pixelCoords.height, field.pageIndex);
 
       setFields(prevFields => prevFields.map(f =>
         f.id === fieldId
@@ -194,16 +504,19 @@ function App() {
 
       if (corner.includes('e')) newWidth = Math.max(50, pixelCoords.width + deltaX);
       if (corner.includes('s')) newHeight = Math.max(30, pixelCoords.height + deltaY);
+      // The top and left edges stop at the page's edge
       if (corner.includes('w')) {
-        newWidth = Math.max(50, pixelCoords.width - deltaX);
-        newX = pixelCoords.x + deltaX;
+        const shiftX = Math.max(deltaX, -pixelCoords.x);
+        newWidth = Math.max(50, pixelCoords.width - shiftX);
+        newX = pixelCoords.x + shiftX;
       }
       if (corner.includes('n')) {
-        newHeight = Math.max(30, pixelCoords.height - deltaY);
-        newY = pixelCoords.y + deltaY;
+        const shiftY = Math.max(deltaY, -pixelCoords.y);
+        newHeight = Math.max(30, pixelCoords.height - shiftY);
+        newY = pixelCoords.y + shiftY;
       }
 
-      const newPercent = pixelToPercentage(newX, newY, newWidth, newHeight);
+      const newPercent = pixelToPercentage(newX, newY, newWidth, newHeight, field.pageIndex);
 
       setFields(prevFields => prevFields.map(f =>
         f.id === fieldId ? { ...f, ...newPercent } : f
@@ -225,6 +538,87 @@ function App() {
     setFields(fields.map(f => f.id === fieldId ? { ...f, [key]: value } : f));
   };
 
+  // Once problems are shown, keep them current as fields are corrected
+  useEffect(() => {
+    setFieldErrors(errors => Object.keys(errors).length > 0 ? validateFieldValues(fields) : errors);
+  }, [fields]);
+
+  // Highlight failing fields and list them; returns whether there were any
+  const reportFieldErrors = (errors) => {
+    setFieldErrors(errors);
+    const ids = Object.keys(errors);
+    if (ids.length === 0) return false;
+
+    const lines = ids.map(id => {
+      const field = fields.find(f => String(f.id) === id);
+      const name = field?.label || (field ? FIELD_TYPES[field.type.toUpperCase()].label : `Field ${id}`);
+      return `- ${name} ${errors[id]}`;
+    });
+    alert(`Please fix these fields:\n${lines.join('\n')}`);
+    return true;
+  };
+
+  // Failing fields of an error response: { details: [{ fieldId, message }] }
+  const serverFieldErrors = (result) => Object.fromEntries(
+    (result.details || []).filter(detail => detail.fieldId !== undefined).map(({ fieldId, message }) => [fieldId, message])
+  );
+
+  // PDF radios are grouped by their form field, placed radios by group name
+  const radioGroupOf = (field) => field.type === 'radio' && (field.formFieldName || field.groupName);
+
+  // Options of a radio group are mutually exclusive
+  const selectRadioOption = (fieldId, checked) => {
+    const group = radioGroupOf(fields.find(f => f.id === fieldId));
+    setFields(fields.map(f => {
+      if (f.id === fieldId) return { ...f, checked };
+      if (checked && group && radioGroupOf(f) === group) return { ...f, checked: false };
+      return f;
+    }));
+  };
+
+  // Moving a radio to another group drops its selection if that group already has one
+  const moveRadioToGroup = (fieldId, groupName) => {
+    const groupHasSelection = fields.some(f => f.id !== fieldId && f.type === 'radio' && f.groupName === groupName && f.checked);
+    setFields(fields.map(f => f.id === fieldId
+      ? { ...f, groupName, checked: f.checked && !groupHasSelection }
+      : f));
+  };
+
+  // CSS approximation of a field's font
+  const fontPreviewStyle = (field) => ({
+    fontFamily: CSS_FONT_FAMILIES[field.fontFamily || 'Helvetica'] || field.fontFamily,
+    fontWeight: field.bold ? 'bold' : 'normal',
+    fontStyle: field.italic ? 'italic' : 'normal',
+    color: field.color || '#000000'
+  });
+
+  // CSS approximation of how the server draws a text or date value
+  const textPreviewStyle = (field) => {
+    if ((field.type !== 'text' && field.type !== 'date') || !field.value) return undefined;
+    const scale = getScale(field.pageIndex);
+    return {
+      ...fontPreviewStyle(field),
+      justifyContent: { left: 'flex-start', center: 'center', right: 'flex-end' }[field.align || 'left'],
+      padding: `0 ${TEXT_PADDING * scale}px`,
+      fontSize: field.fontSize ? `${field.fontSize * scale}px` : undefined,
+      whiteSpace: 'nowrap',
+      overflow: 'hidden'
+    };
+  };
+
+  // A text area's server-computed lines, at the size the server chose
+  const textAreaPreviewStyle = (field, layout) => {
+    const scale = getScale(field.pageIndex);
+    return {
+      ...fontPreviewStyle(field),
+      padding: `${TEXT_PADDING * scale}px`,
+      fontSize: `${layout.fontSize * scale}px`,
+      lineHeight: `${layout.lineHeight * scale}px`,
+      textAlign: field.align || 'left',
+      whiteSpace: 'pre'
+    };
+  };
+
   // Delete field
   const deleteField = (fieldId) => {
     setFields(fields.filter(f => f.id !== fieldId));
@@ -234,23 +628,94 @@ function App() {
   // Open signature pad
   const openSignaturePad = (fieldId) => {
     setSignaturePad(fieldId);
+    setUploadedSignature(null);
+    setSaveToProfile(false);
+    strokesRef.current = [];
   };
 
-  // Save signature
-  const saveSignature = () => {
-    const canvas = canvasRef.current;
-    if (canvas) {
-      const imageData = canvas.toDataURL('image/png');
-      updateFieldValue(signaturePad, 'imageData', imageData);
-      setSignaturePad(null);
+  // Turn a photo of a handwritten signature into a transparent PNG
+  const handleSignatureUpload = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    try {
+      const imageData = await extractSignatureFromPhoto(file);
+      if (!imageData) {
+        alert('No signature could be found in that image');
+        return;
+      }
+      setUploadedSignature(imageData);
+    } catch (error) {
+      alert(error.message);
     }
   };
 
-  // Clear signature canvas
-  const clearCanvas = () => {
+  // Save signature: drawn ones as vector strokes, typed and uploaded ones as a
+  // transparent PNG trimmed to the ink
+  const saveSignature = async () => {
+    let imageData = null;
+    let vectorData = null;
+    if (signatureTab === 'draw') {
+      vectorData = strokesToVector(strokesRef.current);
+    } else if (signatureTab === 'type') {
+      imageData = await renderTypedSignature(typedName, typedFont);
+    } else {
+      imageData = uploadedSignature;
+    }
+
+    if (!imageData && !vectorData) {
+      alert('Please create a signature first');
+      return;
+    }
+
+    // Also keep it as the default signature or initials for later documents
+    if (saveToProfile) {
+      const kind = fields.find(f => f.id === signaturePad).type;
+      const result = await accountRequest('PUT', `/me/${kind}`, vectorData ? { vectorData } : { imageData });
+      if (!result) return;
+      setProfile(result);
+    }
+
+    setFields(fields.map(f => f.id === signaturePad ? { ...f, imageData, vectorData, useSavedSignature: false } : f));
+    setSignaturePad(null);
+  };
+
+  // Sign with the saved signature; the server fills it in when the document is signed
+  const applySavedSignature = (fieldId) => {
+    setFields(fields.map(f => f.id === fieldId
+      ? { ...f, imageData: null, vectorData: null, useSavedSignature: true }
+      : f));
+  };
+
+  // What a signature or initials field shows when the profile fills it
+  const savedSignatureCaption = (field) => {
+    const drawn = field.imageData || field.vectorData;
+    if (field.type === 'signature' && field.useSavedSignature) return 'Saved signature';
+    if (field.type === 'initials' && !drawn && profile?.initials) return 'Saved initials';
+    return null;
+  };
+
+  // Repaint the signature pad from its strokes
+  const redrawSignaturePad = () => {
     const canvas = canvasRef.current;
+    if (!canvas) return;
     const ctx = canvas.getContext('2d');
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
     ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.setTransform(SIGNATURE_PAD_SCALE, 0, 0, SIGNATURE_PAD_SCALE, 0, 0);
+    drawStrokes(ctx, strokesRef.current);
+  };
+
+  // Clear signature canvas
+  const clearCanvas = () => {
+    strokesRef.current = [];
+    redrawSignaturePad();
+  };
+
+  // Remove the most recent stroke
+  const undoStroke = () => {
+    strokesRef.current.pop();
+    redrawSignaturePad();
   };
 
   // Submit to backend
@@ -259,6 +724,7 @@ function App() {
       alert('Please upload a PDF and add at least one field');
       return;
     }
+    if (reportFieldErrors(validateFieldValues(fields))) return;
 
     setProcessing(true);
 
@@ -270,26 +736,47 @@ function App() {
         fields: fields.map(f => ({
           id: f.id,
           type: f.type,
+          pageIndex: f.pageIndex,
           coordinates: {
             x: f.x,
             y: f.y,
             width: f.width,
             height: f.height
           },
+          label: f.label,
           value: f.value,
           imageData: f.imageData,
-          checked: f.checked
+          vectorData: f.vectorData,
+          useSavedSignature: f.useSavedSignature,
+          checked: f.checked,
+          required: f.required,
+          formFieldName: f.formFieldName,
+          formOption: f.formOption,
+          groupName: f.groupName,
+          optionValue: f.optionValue,
+          checkStyle: f.checkStyle,
+          ...pickTextStyle(f),
+          ...pickValidationRules(f)
         })),
         pdfDimensions: {
-          width: pageWidth,
-          height: pageHeight
-        }
+          ...getPageSize(0),
+          pages: Array.from({ length: numPages || 1 }, (_, i) => getPageSize(i))
+        },
+        signatureMode: digitalSignature ? 'digital' : 'stamp',
+        completionCertificate: completionCertificate && !digitalSignature,
+        fieldMode,
+        flattenForm,
+        mergeRow: mergeRow - 1,
+        // Today's date and timestamps in date fields follow the signer's clock
+        timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone
       };
 
       formData.append('data', JSON.stringify(data));
+      if (mergeFile) formData.append('mergeData', mergeFile);
 
       const response = await fetch(`${API_BASE}/sign-pdf`, {
         method: 'POST',
+        headers: authHeaders(),
         body: formData
       });
 
@@ -306,7 +793,11 @@ function App() {
         
         alert(`PDF signed successfully!\nOriginal Hash: ${originalHash}\nSigned Hash: ${signedHash}`);
       } else {
-        alert('Error signing PDF');
+        const result = await response.json().catch(() => ({}));
+        // Problems with particular fields are shown on them; anything else as a message
+        if (response.status !== 422 || !reportFieldErrors(serverFieldErrors(result))) {
+          alert('Error signing PDF' + (result.error ? `: ${result.error}` : ''));
+        }
       }
     } catch (error) {
       console.error('Error:', error);
@@ -316,151 +807,946 @@ function App() {
     }
   };
 
-  // Canvas drawing
+  // Save the current layout as a reusable template
+  const handleSaveTemplate = async () => {
+    const name = window.prompt('Template name', pdfFile.name.replace(/\.pdf$/i, ''));
+    if (!name) return;
+
+    try {
+      const formData = new FormData();
+      formData.append('pdf', pdfFile);
+      formData.append('data', JSON.stringify({
+        name,
+        fields: fields.map(f => ({
+          type: f.type,
+          pageIndex: f.pageIndex,
+          coordinates: {
+            x: f.x,
+            y: f.y,
+            width: f.width,
+            height: f.height
+          },
+          label: f.label,
+          required: f.required,
+          groupName: f.groupName,
+          optionValue: f.optionValue,
+          checkStyle: f.checkStyle,
+          ...pickTextStyle(f),
+          ...pickValidationRules(f)
+        }))
+      }));
+
+      const response = await fetch(`${API_BASE}/templates`, {
+        method: 'POST',
+        headers: authHeaders(),
+        body: formData
+      });
+      const template = await response.json();
+
+      if (response.ok) {
+        await loadTemplates();
+        setSelectedTemplate(template._id);
+        alert(`Template "${template.name}" saved`);
+      } else {
+        alert('Error saving template: ' + template.error);
+      }
+    } catch (error) {
+      console.error('Error:', error);
+      alert('Error saving template: ' + error.message);
+    }
+  };
+
+  // Place every field of a template on the current PDF at once
+  const handleApplyTemplate = async () => {
+    try {
+      const formData = new FormData();
+      formData.append('pdf', pdfFile);
+
+      const response = await fetch(`${API_BASE}/templates/${selectedTemplate}/apply`, {
+        method: 'POST',
+        headers: authHeaders(),
+        body: formData
+      });
+      const result = await response.json();
+
+      if (!response.ok) {
+        alert('Error applying template: ' + result.error);
+        return;
+      }
+
+      const baseId = Date.now();
+      setFields(result.fields.map((f, i) => ({
+        id: baseId + i,
+        type: f.type,
+        pageIndex: f.pageIndex,
+        ...f.coordinates,
+        label: f.label || '',
+        required: f.required,
+        groupName: f.groupName,
+        optionValue: f.optionValue,
+        checkStyle: f.checkStyle,
+        ...pickTextStyle(f),
+        ...pickValidationRules(f),
+        value: '',
+        imageData: null,
+        checked: false
+      })));
+      setSelectedField(null);
+
+      if (result.warnings.length > 0) {
+        alert('Template applied with warnings:\n' + result.warnings.join('\n'));
+      }
+    } catch (error) {
+      console.error('Error:', error);
+      alert('Error applying template: ' + error.message);
+    }
+  };
+
+  // Signers list (sender side)
+  const addSigner = () => {
+    setSigners([...signers, { name: '', email: '' }]);
+  };
+
+  const updateSigner = (index, key, value) => {
+    setSigners(signers.map((s, i) => i === index ? { ...s, [key]: value } : s));
+  };
+
+  const removeSigner = (index) => {
+    setSigners(signers.filter((_, i) => i !== index));
+    // Fields assigned to later signers shift down with them
+    setFields(fields.map(f => {
+      if (f.signerIndex === index) return { ...f, signerIndex: undefined };
+      if (f.signerIndex > index) return { ...f, signerIndex: f.signerIndex - 1 };
+      return f;
+    }));
+  };
+
+  const canSendEnvelope = pdfFile && fields.length > 0 && signers.length > 0 &&
+    signers.every(s => s.name.trim()) &&
+    fields.every(f => signers[f.signerIndex]);
+
+  // Send the layout to the backend as an envelope and show each signer's link
+  const handleSendEnvelope = async () => {
+    setProcessing(true);
+
+    try {
+      const formData = new FormData();
+      formData.append('pdf', pdfFile);
+      formData.append('data', JSON.stringify({
+        title: pdfFile.name,
+        routingOrder,
+        signers,
+        fields: fields.map(f => ({
+          id: f.id,
+          type: f.type,
+          pageIndex: f.pageIndex,
+          coordinates: {
+            x: f.x,
+            y: f.y,
+            width: f.width,
+            height: f.height
+          },
+          label: f.label,
+          required: f.required,
+          formFieldName: f.formFieldName,
+          formOption: f.formOption,
+          groupName: f.groupName,
+          optionValue: f.optionValue,
+          checkStyle: f.checkStyle,
+          ...pickTextStyle(f),
+          ...pickValidationRules(f),
+          signerIndex: f.signerIndex
+        }))
+      }));
+
+      const response = await fetch(`${API_BASE}/envelopes`, {
+        method: 'POST',
+        headers: authHeaders(),
+        body: formData
+      });
+      const envelope = await response.json();
+
+      if (response.ok) {
+        const baseUrl = `${window.location.origin}${window.location.pathname}`;
+        setEnvelopeLinks(envelope.signers.map(s => ({
+          name: s.name,
+          email: s.email,
+          url: `${baseUrl}?sign=${s.token}`
+        })));
+      } else {
+        alert('Error creating envelope: ' + envelope.error);
+      }
+    } catch (error) {
+      console.error('Error:', error);
+      alert('Error creating envelope: ' + error.message);
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  // Signer submits their completed fields
+  const handleSignerSubmit = async () => {
+    if (reportFieldErrors(validateFieldValues(fields))) return;
+    setProcessing(true);
+
+    try {
+      const response = await fetch(`${API_BASE}/sign/${signerToken}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...authHeaders() },
+        body: JSON.stringify({
+          fields: fields.map(f => ({
+            id: f.id,
+            value: f.value,
+            imageData: f.imageData,
+            vectorData: f.vectorData,
+            useSavedSignature: f.useSavedSignature,
+            checked: f.checked
+          })),
+          timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone
+        })
+      });
+      const result = await response.json();
+
+      if (response.ok) {
+        setSignerSession({ ...signerSession, canSign: false, signer: { ...signerSession.signer, status: result.status } });
+        alert(result.envelopeStatus === 'completed'
+          ? 'Thank you! Everyone has signed and the document is complete.'
+          : 'Thank you! Your signature has been recorded.');
+      } else if (response.status !== 422 || !reportFieldErrors(serverFieldErrors(result))) {
+        alert('Error submitting signature: ' + result.error);
+      }
+    } catch (error) {
+      console.error('Error:', error);
+      alert('Error submitting signature: ' + error.message);
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  // Canvas drawing with mouse, touch or pen through pointer events
   useEffect(() => {
-    if (signaturePad && canvasRef.current) {
+    if (signaturePad && signatureTab === 'draw' && canvasRef.current) {
       const canvas = canvasRef.current;
-      const ctx = canvas.getContext('2d');
-      let drawing = false;
+      let stroke = null;
 
-      const startDrawing = (e) => {
-        drawing = true;
+      // Mice report no real pressure, so they draw at a constant medium width
+      const pointFrom = (e) => {
         const rect = canvas.getBoundingClientRect();
-        ctx.beginPath();
-        ctx.moveTo(e.clientX - rect.left, e.clientY - rect.top);
+        return {
+          x: e.clientX - rect.left,
+          y: e.clientY - rect.top,
+          pressure: e.pointerType === 'mouse' || !e.pressure ? 0.5 : e.pressure
+        };
       };
 
-      const draw = (e) => {
-        if (!drawing) return;
-        const rect = canvas.getBoundingClientRect();
-        ctx.lineTo(e.clientX - rect.left, e.clientY - rect.top);
-        ctx.stroke();
+      const startStroke = (e) => {
+        e.preventDefault();
+        canvas.setPointerCapture(e.pointerId);
+        stroke = [pointFrom(e)];
+        strokesRef.current.push(stroke);
+        redrawSignaturePad();
+      };
+
+      const extendStroke = (e) => {
+        if (!stroke) return;
+        // Coalesced events carry the samples the browser merged between frames
+        const samples = e.getCoalescedEvents ? e.getCoalescedEvents() : [];
+        (samples.length > 0 ? samples : [e]).forEach(sample => stroke.push(pointFrom(sample)));
+        redrawSignaturePad();
       };
 
-      const stopDrawing = () => {
-        drawing = false;
+      const endStroke = () => {
+        stroke = null;
       };
 
-      canvas.addEventListener('mousedown', startDrawing);
-      canvas.addEventListener('mousemove', draw);
-      canvas.addEventListener('mouseup', stopDrawing);
-      canvas.addEventListener('mouseleave', stopDrawing);
+      canvas.addEventListener('pointerdown', startStroke);
+      canvas.addEventListener('pointermove', extendStroke);
+      canvas.addEventListener('pointerup', endStroke);
+      canvas.addEventListener('pointercancel', endStroke);
 
-      ctx.strokeStyle = '#000';
-      ctx.lineWidth = 2;
-      ctx.lineCap = 'round';
+      redrawSignaturePad();
 
       return () => {
-        canvas.removeEventListener('mousedown', startDrawing);
-        canvas.removeEventListener('mousemove', draw);
-        canvas.removeEventListener('mouseup', stopDrawing);
-        canvas.removeEventListener('mouseleave', stopDrawing);
+        canvas.removeEventListener('pointerdown', startStroke);
+        canvas.removeEventListener('pointermove', extendStroke);
+        canvas.removeEventListener('pointerup', endStroke);
+        canvas.removeEventListener('pointercancel', endStroke);
       };
     }
-  }, [signaturePad]);
+  }, [signaturePad, signatureTab]);
 
   return (
     <div className="flex h-screen bg-gray-50">
       {/* Sidebar */}
       <div className="w-64 bg-white border-r p-4 overflow-y-auto">
-        <h2 className="text-lg font-bold mb-4">Field Toolbox</h2>
-
-        <div className="mb-4">
-          <label className="block text-sm font-medium mb-2">Upload PDF</label>
-          <input
-            type="file"
-            accept=".pdf"
-            onChange={handleFileUpload}
-            className="block w-full text-sm"
-          />
+        <div className="border-b pb-4 mb-4">
+          <h3 className="font-semibold mb-2 text-sm flex items-center gap-2">
+            <User size={14} />
+            Account
+          </h3>
+          {profile ? (
+            <>
+              <div className="flex items-center justify-between text-sm mb-2">
+                <span>Signed in as <strong>{profile.username}</strong></span>
+                <button onClick={handleSignOut} title="Sign out" className="text-gray-600">
+                  <LogOut size={14} />
+                </button>
+              </div>
+              {['signature', 'initials'].map(kind => (
+                <div key={kind} className="flex items-center justify-between text-xs mb-1">
+                  <span>Saved {kind}: {profile[kind] ? 'yes' : 'none'}</span>
+                  {profile[kind] && (
+                    <button onClick={() => removeSaved(kind)} className="text-red-600">Remove</button>
+                  )}
+                </div>
+              ))}
+              <div className="text-xs font-medium mt-2 mb-1 flex items-center gap-1">
+                <Key size={12} />
+                API keys
+              </div>
+              {profile.apiKeys.map(apiKey => (
+                <div key={apiKey.id} className="flex items-center justify-between text-xs mb-1">
+                  <span>{apiKey.name} <span className="text-gray-500">({apiKey.prefix}…)</span></span>
+                  <button onClick={() => revokeApiKey(apiKey.id)} className="text-red-600">
+                    <X size={12} />
+                  </button>
+                </div>
+              ))}
+              <button onClick={createApiKey} className="w-full bg-gray-200 px-3 py-1 rounded text-xs mt-1">
+                New API key
+              </button>
+            </>
+          ) : (
+            <>
+              <input
+                type="text"
+                value={credentials.username}
+                onChange={(e) => setCredentials({ ...credentials, username: e.target.value })}
+                placeholder="Username"
+                className="w-full px-2 py-1 border rounded text-sm mb-1"
+              />
+              <input
+                type="password"
+                value={credentials.password}
+                onChange={(e) => setCredentials({ ...credentials, password: e.target.value })}
+                placeholder="Password"
+                className="w-full px-2 py-1 border rounded text-sm mb-2"
+              />
+              <div className="flex gap-2">
+                <button onClick={() => handleAuth(false)} className="flex-1 bg-gray-200 px-3 py-1 rounded text-sm">
+                  Sign in
+                </button>
+                <button onClick={() => handleAuth(true)} className="flex-1 bg-gray-200 px-3 py-1 rounded text-sm">
+                  Register
+                </button>
+              </div>
+            </>
+          )}
         </div>
 
-        <div className="space-y-2 mb-6">
-          {Object.values(FIELD_TYPES).map(ft => {
-            const Icon = ft.icon;
-            return (
-              <div
-                key={ft.id}
-                draggable
-                onDragStart={() => setDraggingType(ft.id)}
-                className={`${ft.color} border-2 rounded p-3 cursor-move hover:shadow`}
+        {signerToken ? (
+          <div className="mb-4">
+            <h2 className="text-lg font-bold mb-2">{signerSession?.title || 'Signing'}</h2>
+            {signerSession?.error && (
+              <p className="text-sm text-red-600">{signerSession.error}</p>
+            )}
+            {signerSession?.signer && (
+              <>
+                <p className="text-sm mb-2">Signing as <strong>{signerSession.signer.name}</strong></p>
+                {signerSession.signer.status === 'completed' ? (
+                  <p className="text-sm text-green-700">You have completed your fields.</p>
+                ) : !signerSession.canSign && (
+                  <p className="text-sm text-gray-500">Waiting for earlier signers to finish.</p>
+                )}
+              </>
+            )}
+          </div>
+        ) : (
+          <>
+            <h2 className="text-lg font-bold mb-4">Field Toolbox</h2>
+
+            <div className="mb-4">
+              <label className="block text-sm font-medium mb-2">Upload PDF</label>
+              <input
+                type="file"
+                accept=".pdf"
+                onChange={handleFileUpload}
+                className="block w-full text-sm"
+              />
+            </div>
+
+            <div className="space-y-2 mb-6">
+              {Object.values(FIELD_TYPES).map(ft => {
+                const Icon = ft.icon;
+                return (
+                  <div
+                    key={ft.id}
+                    draggable
+                    onDragStart={() => setDraggingType(ft.id)}
+                    className={`${ft.color} border-2 rounded p-3 cursor-move hover:shadow`}
+                  >
+                    <div className="flex items-center gap-2">
+                      <Icon size={16} />
+                      <span className="text-sm font-medium">{ft.label}</span>
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+
+            <div className="border-t pt-4 mb-4">
+              <h3 className="font-semibold mb-2 text-sm">Templates</h3>
+              <select
+                value={selectedTemplate}
+                onChange={(e) => setSelectedTemplate(e.target.value)}
+                className="w-full px-2 py-1 border rounded text-sm mb-2"
               >
-                <div className="flex items-center gap-2">
-                  <Icon size={16} />
-                  <span className="text-sm font-medium">{ft.label}</span>
-                </div>
+                <option value="">Choose a template...</option>
+                {templates.map(t => (
+                  <option key={t._id} value={t._id}>
+                    {t.name} ({t.fields.length} fields)
+                  </option>
+                ))}
+              </select>
+              <div className="flex gap-2">
+                <button
+                  onClick={handleApplyTemplate}
+                  disabled={!pdfFile || !selectedTemplate}
+                  className="flex-1 bg-gray-200 px-3 py-1 rounded text-sm"
+                >
+                  Apply
+                </button>
+                <button
+                  onClick={handleSaveTemplate}
+                  disabled={!pdfFile || fields.length === 0 || !authToken}
+                  className="flex-1 bg-gray-200 px-3 py-1 rounded text-sm flex items-center justify-center gap-1"
+                >
+                  <Save size={12} />
+                  Save
+                </button>
               </div>
-            );
-          })}
-        </div>
+            </div>
+
+            <div className="border-t pt-4 mb-4">
+              <h3 className="font-semibold mb-2 text-sm flex items-center gap-2">
+                <Users size={14} />
+                Signers
+              </h3>
+              {signers.map((signer, index) => (
+                <div key={index} className="mb-2">
+                  <div className="flex items-center gap-2">
+                    <span className="text-xs text-gray-500">{index + 1}.</span>
+                    <input
+                      type="text"
+                      value={signer.name}
+                      onChange={(e) => updateSigner(index, 'name', e.target.value)}
+                      placeholder="Name"
+                      className="w-full px-2 py-1 border rounded text-sm"
+                    />
+                    <button onClick={() => removeSigner(index)} className="text-red-600">
+                      <X size={14} />
+                    </button>
+                  </div>
+                  <input
+                    type="text"
+                    value={signer.email}
+                    onChange={(e) => updateSigner(index, 'email', e.target.value)}
+                    placeholder="Email"
+                    className="w-full px-2 py-1 border rounded text-sm mt-1"
+                  />
+                </div>
+              ))}
+              <button
+                onClick={addSigner}
+                className="w-full bg-gray-200 px-3 py-1 rounded text-sm mb-2"
+              >
+                Add Signer
+              </button>
+              {signers.length > 1 && (
+                <select
+                  value={routingOrder}
+                  onChange={(e) => setRoutingOrder(e.target.value)}
+                  className="w-full px-2 py-1 border rounded text-sm"
+                >
+                  <option value="sequential">Sign in order</option>
+                  <option value="parallel">Sign in any order</option>
+                </select>
+              )}
+            </div>
+          </>
+        )}
 
         {selectedField && (() => {
           const field = fields.find(f => f.id === selectedField);
           return (
             <div className="border-t pt-4">
               <h3 className="font-semibold mb-2 text-sm">Field Properties</h3>
-              
-              {field.type === 'text' && (
+
+              {!signerToken && (
+                <>
+                  <input
+                    type="text"
+                    value={field.label || ''}
+                    onChange={(e) => updateFieldValue(field.id, 'label', e.target.value)}
+                    placeholder="Label"
+                    className="w-full px-2 py-1 border rounded text-sm mb-2"
+                  />
+                  <label className="flex items-center gap-2 text-sm mb-2">
+                    <input
+                      type="checkbox"
+                      checked={Boolean(field.required)}
+                      onChange={(e) => updateFieldValue(field.id, 'required', e.target.checked)}
+                    />
+                    Required
+                  </label>
+
+                  {(field.type === 'text' || field.type === 'textarea') && !field.options && (
+                    <div className="mb-2">
+                      <div className="flex items-center gap-1 mb-1">
+                        <select
+                          value={field.format || ''}
+                          onChange={(e) => updateFieldValue(field.id, 'format', e.target.value || undefined)}
+                          className="flex-1 px-2 py-1 border rounded text-sm"
+                        >
+                          <option value="">Any text</option>
+                          {Object.entries(FIELD_FORMATS).map(([format, { description }]) => (
+                            <option key={format} value={format}>Must be {description}</option>
+                          ))}
+                        </select>
+                        <input
+                          type="number"
+                          min="1"
+                          value={field.maxLength || ''}
+                          onChange={(e) => updateFieldValue(field.id, 'maxLength', e.target.value ? Number(e.target.value) : undefined)}
+                          placeholder="Max"
+                          title="Maximum length (characters)"
+                          className="w-16 px-2 py-1 border rounded text-sm"
+                        />
+                      </div>
+                      <input
+                        type="text"
+                        value={field.pattern || ''}
+                        onChange={(e) => updateFieldValue(field.id, 'pattern', e.target.value || undefined)}
+                        placeholder="Pattern (regular expression)"
+                        className="w-full px-2 py-1 border rounded text-sm mb-1 font-mono"
+                      />
+                      {field.pattern && !compilePattern(field.pattern) && (
+                        <p className="text-xs text-red-600 mb-1">
+                          Not usable: backreferences, lookarounds and repeated groups that repeat inside, like (a+)+, are refused
+                        </p>
+                      )}
+                      {field.pattern && (
+                        <input
+                          type="text"
+                          value={field.patternMessage || ''}
+                          onChange={(e) => updateFieldValue(field.id, 'patternMessage', e.target.value || undefined)}
+                          placeholder="Message when it doesn't match"
+                          className="w-full px-2 py-1 border rounded text-sm"
+                        />
+                      )}
+                    </div>
+                  )}
+
+                  {field.type === 'date' && (
+                    <div className="flex items-center gap-1 mb-2">
+                      <input
+                        type="text"
+                        value={field.minDate || ''}
+                        onChange={(e) => updateFieldValue(field.id, 'minDate', e.target.value || undefined)}
+                        placeholder="Earliest"
+                        title="Earliest date: yyyy-mm-dd or today"
+                        className="w-1/2 px-2 py-1 border rounded text-sm"
+                      />
+                      <input
+                        type="text"
+                        value={field.maxDate || ''}
+                        onChange={(e) => updateFieldValue(field.id, 'maxDate', e.target.value || undefined)}
+                        placeholder="Latest"
+                        title="Latest date: yyyy-mm-dd or today"
+                        className="w-1/2 px-2 py-1 border rounded text-sm"
+                      />
+                    </div>
+                  )}
+                </>
+              )}
+
+              {fieldErrors[field.id] && (
+                <p className="text-xs text-red-600 mb-2">
+                  {field.label || FIELD_TYPES[field.type.toUpperCase()].label} {fieldErrors[field.id]}
+                </p>
+              )}
+
+              {field.type === 'text' && field.options && (
+                <select
+                  value={field.value}
+                  onChange={(e) => updateFieldValue(field.id, 'value', e.target.value)}
+                  className="w-full px-2 py-1 border rounded text-sm mb-2"
+                >
+                  <option value="">Choose...</option>
+                  {field.options.map(option => (
+                    <option key={option} value={option}>{option}</option>
+                  ))}
+                </select>
+              )}
+
+              {field.type === 'text' && !field.options && (
                 <input
                   type="text"
                   value={field.value}
                   onChange={(e) => updateFieldValue(field.id, 'value', e.target.value)}
-                  placeholder="Enter text"
+                  placeholder="Enter text or {{customer.name}}"
                   className="w-full px-2 py-1 border rounded text-sm mb-2"
                 />
               )}
 
+              {field.type === 'textarea' && (
+                <>
+                  <textarea
+                    value={field.value}
+                    onChange={(e) => updateFieldValue(field.id, 'value', e.target.value)}
+                    placeholder="Enter text"
+                    rows={4}
+                    className="w-full px-2 py-1 border rounded text-sm mb-2"
+                  />
+                  {textLayouts[field.id]?.overflowed && (
+                    <p className="text-xs text-red-600 mb-2">
+                      {(field.overflow || 'shrink') === 'error' ? 'Text does not fit; signing will fail' : 'Text does not fit and is cut off'}
+                    </p>
+                  )}
+                </>
+              )}
+
               {field.type === 'signature' && (
-                <button
-                  onClick={() => openSignaturePad(field.id)}
-                  className="w-full bg-green-600 text-white px-3 py-1 rounded text-sm mb-2"
-                >
-                  Draw Signature
-                </button>
+                <div className="flex gap-2 mb-2">
+                  <button
+                    onClick={() => openSignaturePad(field.id)}
+                    className="flex-1 bg-green-600 text-white px-3 py-1 rounded text-sm"
+                  >
+                    Draw Signature
+                  </button>
+                  <button
+                    onClick={() => applySavedSignature(field.id)}
+                    disabled={!profile?.signature}
+                    title={profile ? undefined : 'Sign in to use a saved signature'}
+                    className="flex-1 bg-gray-200 px-3 py-1 rounded text-sm disabled:text-gray-400"
+                  >
+                    Use my saved signature
+                  </button>
+                </div>
+              )}
+
+              {field.type === 'initials' && (
+                <>
+                  <button
+                    onClick={() => openSignaturePad(field.id)}
+                    className="w-full bg-green-600 text-white px-3 py-1 rounded text-sm mb-2"
+                  >
+                    Draw Initials
+                  </button>
+                  {!field.imageData && !field.vectorData && (
+                    <p className="text-xs text-gray-500 mb-2">
+                      {profile?.initials ? 'Filled from your saved initials' : 'Sign in with saved initials to fill this automatically'}
+                    </p>
+                  )}
+                </>
               )}
 
               {field.type === 'date' && (
-                <input
-                  type="date"
-                  value={field.value}
-                  onChange={(e) => updateFieldValue(field.id, 'value', e.target.value)}
-                  className="w-full px-2 py-1 border rounded text-sm mb-2"
-                />
+                <>
+                  <input
+                    type="date"
+                    value={hasPlaceholders(field.value) ? '' : field.value}
+                    onChange={(e) => updateFieldValue(field.id, 'value', e.target.value)}
+                    className="w-full px-2 py-1 border rounded text-sm mb-2"
+                  />
+                  {!signerToken && (
+                    <>
+                      <input
+                        type="text"
+                        value={hasPlaceholders(field.value) ? field.value : ''}
+                        onChange={(e) => updateFieldValue(field.id, 'value', e.target.value)}
+                        placeholder="Or bind to data: {{contract.startDate}}"
+                        className="w-full px-2 py-1 border rounded text-sm mb-2"
+                      />
+                      <select
+                        value={field.dateFormat || 'yyyy-mm-dd'}
+                        onChange={(e) => updateFieldValue(field.id, 'dateFormat', e.target.value)}
+                        className="w-full px-2 py-1 border rounded text-sm mb-2"
+                      >
+                        {DATE_FORMATS.map(({ format, example }) => (
+                          <option key={format} value={format}>{example}</option>
+                        ))}
+                      </select>
+                    </>
+                  )}
+                </>
+              )}
+
+              {(field.type === 'text' || field.type === 'textarea' || field.type === 'date') && !signerToken && (
+                <>
+                  <select
+                    value={field.fontFamily || 'Helvetica'}
+                    onChange={(e) => updateFieldValue(field.id, 'fontFamily', e.target.value)}
+                    className="w-full px-2 py-1 border rounded text-sm mb-2"
+                  >
+                    {(fonts.length > 0 ? fonts : [{ family: 'Helvetica' }]).map(font => (
+                      <option key={font.family} value={font.family}>{font.family}</option>
+                    ))}
+                  </select>
+                  <div className="flex items-center gap-1 mb-2">
+                    <input
+                      type="number"
+                      min="1"
+                      value={field.fontSize || ''}
+                      onChange={(e) => updateFieldValue(field.id, 'fontSize', e.target.value ? Number(e.target.value) : undefined)}
+                      placeholder="Auto"
+                      title="Font size (pt)"
+                      className="w-16 px-2 py-1 border rounded text-sm"
+                    />
+                    <input
+                      type="color"
+                      value={field.color || '#000000'}
+                      onChange={(e) => updateFieldValue(field.id, 'color', e.target.value)}
+                      title="Color"
+                      className="w-8 h-8 border rounded"
+                    />
+                    <button
+                      onClick={() => updateFieldValue(field.id, 'bold', !field.bold)}
+                      title="Bold"
+                      className={`p-1 border rounded ${field.bold ? 'bg-blue-100' : ''}`}
+                    >
+                      <Bold size={14} />
+                    </button>
+                    <button
+                      onClick={() => updateFieldValue(field.id, 'italic', !field.italic)}
+                      title="Italic"
+                      className={`p-1 border rounded ${field.italic ? 'bg-blue-100' : ''}`}
+                    >
+                      <Italic size={14} />
+                    </button>
+                  </div>
+                  <select
+                    value={field.align || 'left'}
+                    onChange={(e) => updateFieldValue(field.id, 'align', e.target.value)}
+                    className="w-full px-2 py-1 border rounded text-sm mb-2"
+                  >
+                    <option value="left">Align left</option>
+                    <option value="center">Align center</option>
+                    <option value="right">Align right</option>
+                  </select>
+                  {field.type === 'textarea' && (
+                    <select
+                      value={field.overflow || 'shrink'}
+                      onChange={(e) => updateFieldValue(field.id, 'overflow', e.target.value)}
+                      className="w-full px-2 py-1 border rounded text-sm mb-2"
+                    >
+                      <option value="shrink">Shrink text to fit</option>
+                      <option value="truncate">Cut off with ellipsis</option>
+                      <option value="error">Reject text that doesn't fit</option>
+                    </select>
+                  )}
+                </>
+              )}
+
+              {field.type === 'radio' && !field.formFieldName && !signerToken && (
+                <>
+                  <label className="block text-xs text-gray-500">Group</label>
+                  <input
+                    type="text"
+                    list="radio-groups"
+                    value={field.groupName || ''}
+                    onChange={(e) => moveRadioToGroup(field.id, e.target.value)}
+                    className="w-full px-2 py-1 border rounded text-sm mb-2"
+                  />
+                  <datalist id="radio-groups">
+                    {[...new Set(fields.filter(f => f.type === 'radio' && f.groupName).map(f => f.groupName))].map(name => (
+                      <option key={name} value={name} />
+                    ))}
+                  </datalist>
+                  <label className="block text-xs text-gray-500">Option value</label>
+                  <input
+                    type="text"
+                    value={field.optionValue || ''}
+                    onChange={(e) => updateFieldValue(field.id, 'optionValue', e.target.value)}
+                    className="w-full px-2 py-1 border rounded text-sm mb-2"
+                  />
+                </>
               )}
 
               {field.type === 'radio' && (
                 <label className="flex items-center gap-2 text-sm">
                   <input
-                    type="checkbox"
-                    checked={field.checked}
-                    onChange={(e) => updateFieldValue(field.id, 'checked', e.target.checked)}
+                    type="radio"
+                    checked={Boolean(field.checked)}
+                    onChange={() => selectRadioOption(field.id, true)}
                   />
                   Selected
+                  {field.checked && (
+                    <button
+                      onClick={() => selectRadioOption(field.id, false)}
+                      className="text-xs text-blue-600 ml-auto"
+                    >
+                      Clear
+                    </button>
+                  )}
                 </label>
               )}
 
-              <button
-                onClick={() => deleteField(field.id)}
-                className="w-full bg-red-600 text-white px-3 py-1 rounded text-sm mt-2"
-              >
-                Delete Field
-              </button>
+              {field.type === 'checkbox' && (
+                <>
+                  <label className="flex items-center gap-2 text-sm mb-2">
+                    <input
+                      type="checkbox"
+                      checked={Boolean(field.checked)}
+                      onChange={(e) => updateFieldValue(field.id, 'checked', e.target.checked)}
+                    />
+                    Checked
+                  </label>
+                  {!field.formFieldName && !signerToken && (
+                    <select
+                      value={field.checkStyle || 'check'}
+                      onChange={(e) => updateFieldValue(field.id, 'checkStyle', e.target.value)}
+                      className="w-full px-2 py-1 border rounded text-sm"
+                    >
+                      <option value="check">Check mark</option>
+                      <option value="tick">Tick</option>
+                      <option value="cross">Cross</option>
+                    </select>
+                  )}
+                </>
+              )}
+
+              {!signerToken && signers.length > 0 && (
+                <select
+                  value={field.signerIndex ?? ''}
+                  onChange={(e) => updateFieldValue(field.id, 'signerIndex', e.target.value === '' ? undefined : Number(e.target.value))}
+                  className="w-full px-2 py-1 border rounded text-sm mt-2"
+                >
+                  <option value="">Assign to signer...</option>
+                  {signers.map((signer, index) => (
+                    <option key={index} value={index}>{signer.name || `Signer ${index + 1}`}</option>
+                  ))}
+                </select>
+              )}
+
+              {!signerToken && (
+                <button
+                  onClick={() => deleteField(field.id)}
+                  className="w-full bg-red-600 text-white px-3 py-1 rounded text-sm mt-2"
+                >
+                  Delete Field
+                </button>
+              )}
             </div>
           );
         })()}
 
-        <button
-          onClick={handleSubmit}
-          disabled={processing || !pdfFile || fields.length === 0}
-          className="w-full bg-blue-600 text-white px-4 py-2 rounded mt-4 disabled:bg-gray-400 flex items-center justify-center gap-2"
-        >
-          {processing ? 'Processing...' : (
-            <>
-              <Download size={16} />
-              Sign PDF
-            </>
-          )}
-        </button>
+        {signerToken ? (
+          <button
+            onClick={handleSignerSubmit}
+            disabled={processing || !signerSession?.canSign}
+            className="w-full bg-blue-600 text-white px-4 py-2 rounded mt-4 disabled:bg-gray-400 flex items-center justify-center gap-2"
+          >
+            {processing ? 'Processing...' : (
+              <>
+                <Check size={16} />
+                Finish Signing
+              </>
+            )}
+          </button>
+        ) : signers.length > 0 ? (
+          <button
+            onClick={handleSendEnvelope}
+            disabled={processing || !canSendEnvelope}
+            className="w-full bg-blue-600 text-white px-4 py-2 rounded mt-4 disabled:bg-gray-400 flex items-center justify-center gap-2"
+          >
+            {processing ? 'Processing...' : (
+              <>
+                <Send size={16} />
+                Send for Signing
+              </>
+            )}
+          </button>
+        ) : (
+          <>
+            <label className="flex items-center gap-2 text-sm mt-4">
+              <input
+                type="checkbox"
+                checked={digitalSignature}
+                onChange={(e) => setDigitalSignature(e.target.checked)}
+              />
+              Digital signature (PKCS#7)
+            </label>
+
+            {/* A page added after a digital signature would invalidate it */}
+            <label className={`flex items-center gap-2 text-sm mt-2 ${digitalSignature ? 'text-gray-400' : ''}`}>
+              <input
+                type="checkbox"
+                checked={completionCertificate && !digitalSignature}
+                disabled={digitalSignature}
+                onChange={(e) => setCompletionCertificate(e.target.checked)}
+              />
+              Append certificate of completion
+            </label>
+
+            <select
+              value={fieldMode}
+              onChange={(e) => setFieldMode(e.target.value)}
+              className="w-full px-2 py-1 border rounded text-sm mt-2"
+            >
+              <option value="stamp">Stamp values onto the page</option>
+              <option value="interactive">Create fillable form fields</option>
+            </select>
+
+            {fields.some(f => hasPlaceholders(f.value)) && (
+              <div className="mt-2">
+                <label className="block text-sm mb-1">Merge data (CSV or JSON)</label>
+                <input
+                  type="file"
+                  accept=".csv,.json,text/csv,application/json"
+                  onChange={(e) => setMergeFile(e.target.files[0] || null)}
+                  className="w-full text-sm"
+                />
+                {mergeFile && /\.csv$/i.test(mergeFile.name) && (
+                  <label className="flex items-center gap-2 text-sm mt-1">
+                    Row
+                    <input
+                      type="number"
+                      min="1"
+                      value={mergeRow}
+                      onChange={(e) => setMergeRow(Math.max(1, Number(e.target.value) || 1))}
+                      className="w-16 px-2 py-1 border rounded text-sm"
+                    />
+                  </label>
+                )}
+              </div>
+            )}
+
+            {fields.some(f => f.formFieldName) && (
+              <label className="flex items-center gap-2 text-sm mt-2">
+                <input
+                  type="checkbox"
+                  checked={flattenForm}
+                  onChange={(e) => setFlattenForm(e.target.checked)}
+                />
+                Flatten form fields
+              </label>
+            )}
+
+            <button
+              onClick={handleSubmit}
+              disabled={processing || !pdfFile || fields.length === 0}
+              className="w-full bg-blue-600 text-white px-4 py-2 rounded mt-4 disabled:bg-gray-400 flex items-center justify-center gap-2"
+            >
+              {processing ? 'Processing...' : (
+                <>
+                  <Download size={16} />
+                  Sign PDF
+                </>
+              )}
+            </button>
+          </>
+        )}
       </div>
 
       {/* Main area */}
@@ -468,61 +1754,79 @@ function App() {
         <h1 className="text-2xl font-bold mb-4">Signature Injection Engine</h1>
 
         {pdfFile ? (
-          <div
-            className="relative inline-block shadow-lg bg-white"
-            onDrop={handleDrop}
-            onDragOver={(e) => e.preventDefault()}
+          <Document
+            file={pdfFile}
+            onLoadSuccess={onDocumentLoadSuccess}
           >
-            <Document
-              file={pdfFile}
-              onLoadSuccess={onDocumentLoadSuccess}
-            >
-              <Page
-                pageNumber={1}
-                width={containerWidth}
-                onLoadSuccess={onPageLoadSuccess}
-              />
-            </Document>
-
-            {fields.map(field => {
-              const coords = percentageToPixel(field);
-              const ft = FIELD_TYPES[field.type.toUpperCase()];
-              const Icon = ft.icon;
-
-              return (
+            {Array.from({ length: numPages || 0 }, (_, pageIndex) => (
+              <div key={pageIndex} className="mb-6">
+                <div className="text-xs text-gray-500 mb-1">
+                  Page {pageIndex + 1} of {numPages}
+                </div>
                 <div
-                  key={field.id}
-                  onMouseDown={(e) => handleFieldMouseDown(e, field.id)}
-                  className={`absolute ${ft.color} border-2 cursor-move ${
-                    selectedField === field.id ? 'ring-2 ring-blue-500' : ''
-                  }`}
-                  style={{
-                    left: `${coords.x}px`,
-                    top: `${coords.y}px`,
-                    width: `${coords.width}px`,
-                    height: `${coords.height}px`
-                  }}
+                  ref={(el) => { pageRefs.current[pageIndex] = el; }}
+                  className="relative inline-block shadow-lg bg-white"
+                  onDrop={(e) => handleDrop(e, pageIndex)}
+                  onDragOver={(e) => e.preventDefault()}
                 >
-                  <div className="flex items-center justify-center h-full text-xs gap-1">
-                    <Icon size={12} />
-                    {field.value || ft.label}
-                  </div>
+                  <Page
+                    pageNumber={pageIndex + 1}
+                    width={containerWidth}
+                    onLoadSuccess={onPageLoadSuccess}
+                  />
 
-                  {selectedField === field.id && ['nw', 'ne', 'sw', 'se'].map(corner => (
-                    <div
-                      key={corner}
-                      onMouseDown={(e) => handleResizeMouseDown(e, field.id, corner)}
-                      className="absolute w-3 h-3 bg-blue-600 border border-white"
-                      style={{
-                        ...(corner.includes('n') ? { top: -4 } : { bottom: -4 }),
-                        ...(corner.includes('w') ? { left: -4 } : { right: -4 })
-                      }}
-                    />
-                  ))}
+                  {fields.filter(field => field.pageIndex === pageIndex).map(field => {
+                    const coords = percentageToPixel(field);
+                    const ft = FIELD_TYPES[field.type.toUpperCase()];
+                    const Icon = ft.icon;
+
+                    return (
+                      <div
+                        key={field.id}
+                        onMouseDown={(e) => handleFieldMouseDown(e, field.id)}
+                        className={`absolute ${ft.color} border-2 cursor-move ${
+                          fieldErrors[field.id] ? 'ring-2 ring-red-500' : selectedField === field.id ? 'ring-2 ring-blue-500' : ''
+                        }`}
+                        title={fieldErrors[field.id] && `${field.label || ft.label} ${fieldErrors[field.id]}`}
+                        style={{
+                          left: `${coords.x}px`,
+                          top: `${coords.y}px`,
+                          width: `${coords.width}px`,
+                          height: `${coords.height}px`
+                        }}
+                      >
+                        {field.type === 'textarea' && field.value && textLayouts[field.id] ? (
+                          <div className="h-full overflow-hidden" style={textAreaPreviewStyle(field, textLayouts[field.id])}>
+                            {textLayouts[field.id].lines.map((line, index) => (
+                              <div key={index}>{line || '\u00a0'}</div>
+                            ))}
+                          </div>
+                        ) : (
+                          <div className="flex items-center justify-center h-full text-xs gap-1" style={textPreviewStyle(field)}>
+                            <Icon size={12} />
+                            {field.value || field.label || savedSignatureCaption(field) || (field.groupName && `${field.groupName}: ${field.optionValue}`) || ft.label}
+                            {(field.type === 'radio' || field.type === 'checkbox') && field.checked && <Check size={12} />}
+                          </div>
+                        )}
+
+                        {selectedField === field.id && !signerToken && ['nw', 'ne', 'sw', 'se'].map(corner => (
+                          <div
+                            key={corner}
+                            onMouseDown={(e) => handleResizeMouseDown(e, field.id, corner)}
+                            className="absolute w-3 h-3 bg-blue-600 border border-white"
+                            style={{
+                              ...(corner.includes('n') ? { top: -4 } : { bottom: -4 }),
+                              ...(corner.includes('w') ? { left: -4 } : { right: -4 })
+                            }}
+                          />
+                        ))}
+                      </div>
+                    );
+                  })}
                 </div>
-              );
-            })}
-          </div>
+              </div>
+            ))}
+          </Document>
         ) : (
           <div className="text-center text-gray-500 mt-20">
             Upload a PDF to get started
@@ -530,24 +1834,137 @@ function App() {
         )}
       </div>
 
+      {/* Envelope links modal */}
+      {envelopeLinks && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white p-6 rounded-lg shadow-xl max-w-xl">
+            <h3 className="text-lg font-bold mb-4">Envelope Sent</h3>
+            <p className="text-sm mb-4">Share each signer's personal link with them:</p>
+            {envelopeLinks.map(link => (
+              <div key={link.url} className="mb-3">
+                <div className="text-sm font-medium">{link.name}{link.email && ` <${link.email}>`}</div>
+                <input
+                  type="text"
+                  readOnly
+                  value={link.url}
+                  onFocus={(e) => e.target.select()}
+                  className="w-full px-2 py-1 border rounded text-xs"
+                />
+              </div>
+            ))}
+            <button
+              onClick={() => setEnvelopeLinks(null)}
+              className="px-4 py-2 bg-gray-300 rounded"
+            >
+              Close
+            </button>
+          </div>
+        </div>
+      )}
+
       {/* Signature modal */}
       {signaturePad && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
           <div className="bg-white p-6 rounded-lg shadow-xl">
-            <h3 className="text-lg font-bold mb-4">Draw Your Signature</h3>
-            <canvas
-              ref={canvasRef}
-              width={400}
-              height={200}
-              className="border-2 border-gray-300 rounded mb-4"
-            />
+            <h3 className="text-lg font-bold mb-4">
+              {fields.find(f => f.id === signaturePad)?.type === 'initials' ? 'Create Your Initials' : 'Create Your Signature'}
+            </h3>
+            <div className="flex gap-2 mb-4">
+              {[['draw', 'Draw'], ['type', 'Type'], ['upload', 'Upload']].map(([tab, label]) => (
+                <button
+                  key={tab}
+                  onClick={() => setSignatureTab(tab)}
+                  className={`px-3 py-1 rounded text-sm ${signatureTab === tab ? 'bg-blue-600 text-white' : 'bg-gray-200'}`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+
+            {signatureTab === 'draw' && (
+              <canvas
+                ref={canvasRef}
+                width={SIGNATURE_PAD_WIDTH * SIGNATURE_PAD_SCALE}
+                height={SIGNATURE_PAD_HEIGHT * SIGNATURE_PAD_SCALE}
+                className="border-2 border-gray-300 rounded mb-4"
+                style={{ width: SIGNATURE_PAD_WIDTH, height: SIGNATURE_PAD_HEIGHT, touchAction: 'none' }}
+              />
+            )}
+
+            {signatureTab === 'type' && (
+              <div className="mb-4" style={{ width: SIGNATURE_PAD_WIDTH }}>
+                <input
+                  type="text"
+                  value={typedName}
+                  onChange={(e) => setTypedName(e.target.value)}
+                  placeholder="Type your name"
+                  className="w-full px-2 py-1 border rounded mb-2"
+                />
+                {SIGNATURE_FONTS.map(font => (
+                  <label key={font} className="flex items-center gap-2 mb-1">
+                    <input
+                      type="radio"
+                      checked={typedFont === font}
+                      onChange={() => setTypedFont(font)}
+                    />
+                    <span style={{ fontFamily: `"${font}", cursive`, fontSize: 28 }}>
+                      {typedName || 'Your Name'}
+                    </span>
+                  </label>
+                ))}
+              </div>
+            )}
+
+            {signatureTab === 'upload' && (
+              <div className="mb-4" style={{ width: SIGNATURE_PAD_WIDTH }}>
+                <input
+                  type="file"
+                  accept="image/*"
+                  onChange={handleSignatureUpload}
+                  className="block w-full text-sm mb-2"
+                />
+                <p className="text-xs text-gray-500 mb-2">
+                  A photo or scan of your signature on plain paper. The paper is removed automatically.
+                </p>
+                {uploadedSignature && (
+                  <img
+                    src={uploadedSignature}
+                    alt="Extracted signature"
+                    className="border-2 border-gray-300 rounded"
+                    style={{ maxWidth: SIGNATURE_PAD_WIDTH, maxHeight: SIGNATURE_PAD_HEIGHT }}
+                  />
+                )}
+              </div>
+            )}
+
+            {profile && (
+              <label className="flex items-center gap-2 text-sm mb-4">
+                <input
+                  type="checkbox"
+                  checked={saveToProfile}
+                  onChange={(e) => setSaveToProfile(e.target.checked)}
+                />
+                Save as my default {fields.find(f => f.id === signaturePad)?.type === 'initials' ? 'initials' : 'signature'}
+              </label>
+            )}
+
             <div className="flex gap-2">
-              <button
-                onClick={clearCanvas}
-                className="px-4 py-2 bg-gray-300 rounded"
-              >
-                Clear
-              </button>
+              {signatureTab === 'draw' && (
+                <>
+                  <button
+                    onClick={undoStroke}
+                    className="px-4 py-2 bg-gray-300 rounded"
+                  >
+                    Undo
+                  </button>
+                  <button
+                    onClick={clearCanvas}
+                    className="px-4 py-2 bg-gray-300 rounded"
+                  >
+                    Clear
+                  </button>
+                </>
+              )}
               <button
                 onClick={saveSignature}
                 className="px-4 py-2 bg-green-600 text-white rounded"
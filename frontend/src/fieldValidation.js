@@ -0,0 +1,163 @@
+// Named formats for text fields (the server checks the same ones)
+export const FIELD_FORMATS = {
+  email: { pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/, description: 'an email address' },
+  phone: { pattern: /^\+?[\d\s().-]{6,20}$/, description: 'a phone number' },
+  number: { pattern: /^-?\d+(\.\d+)?$/, description: 'a number' },
+  integer: { pattern: /^-?\d+$/, description: 'a whole number' }
+};
+
+// Validation rules of a field besides required, sent and stored with the field
+export const VALIDATION_KEYS = ['maxLength', 'format', 'pattern', 'patternMessage', 'minDate', 'maxDate'];
+
+export const pickValidationRules = (field) => Object.fromEntries(
+  VALIDATION_KEYS.filter(key => field[key] !== undefined && field[key] !== null && field[key] !== '')
+    .map(key => [key, field[key]])
+);
+
+// A quantifier at the start of a string: *, +, ?, {n}, {n,} or {n,m}, optionally lazy
+const QUANTIFIER = /^(?:[*+?]|\{\d+(?:,\d*)?\})\??/;
+
+// Index of the ] closing the character class opened at start, or -1
+function classEnd(source, start) {
+  let i = start + 1;
+  if (source[i] === '^') i++;
+  if (source[i] === ']') i++;
+  for (; i < source.length; i++) {
+    if (source[i] === '\\') i++;
+    else if (source[i] === ']') return i;
+  }
+  return -1;
+}
+
+/**
+ * Compile a field's pattern to match whole values, or null for the patterns the server refuses:
+ * over 200 characters, malformed, backreferences, lookarounds, and repeated groups that can
+ * themselves match in more than one way, like (a+)+ or (a|aa)*
+ *
+ * @param {String} source - JavaScript regular expression without delimiters
+ * @returns {RegExp|null}
+ */
+export function compilePattern(source) {
+  if (typeof source !== 'string' || source.length > 200) return null;
+
+  // Whether each open group (the pattern itself first) contains a quantifier or alternation
+  const groups = [false];
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (char === '\\') {
+      if (/[1-9k]/.test(source[i + 1] || '')) return null;
+      i++;
+    } else if (char === '[') {
+      i = classEnd(source, i);
+      if (i < 0) return null;
+    } else if (char === '(') {
+      if (/^\(\?<?[=!]/.test(source.slice(i, i + 4))) return null;
+      const prefix = /^\?(?::|<[^>]*>)/.exec(source.slice(i + 1));
+      if (prefix) i += prefix[0].length;
+      groups.push(false);
+    } else if (char === ')') {
+      if (groups.length === 1) return null;
+      const ambiguous = groups.pop();
+      const quantifier = QUANTIFIER.exec(source.slice(i + 1));
+      if (quantifier && !quantifier[0].startsWith('?') && ambiguous) return null;
+      if (ambiguous || quantifier) groups[groups.length - 1] = true;
+      if (quantifier) i += quantifier[0].length;
+    } else if (char === '|') {
+      groups[groups.length - 1] = true;
+    } else {
+      const quantifier = QUANTIFIER.exec(source.slice(i));
+      if (quantifier) {
+        groups[groups.length - 1] = true;
+        i += quantifier[0].length - 1;
+      }
+    }
+  }
+  if (groups.length !== 1) return null;
+
+  try {
+    return new RegExp(`^(?:${source})$`);
+  } catch (error) {
+    return null;
+  }
+}
+
+// Placeholders are only filled in on the server, so their values can't be checked here
+const hasPlaceholders = (value) => /\{\{[^{}]+\}\}/.test(value || '');
+
+// Today as yyyy-mm-dd on this device's clock
+function localToday() {
+  const now = new Date();
+  return [now.getFullYear(), now.getMonth() + 1, now.getDate()].map(n => String(n).padStart(2, '0')).join('-');
+}
+
+function isFilled(field) {
+  switch (field.type) {
+    case 'signature':
+    case 'initials':
+    case 'image':
+      return Boolean(field.imageData || field.vectorData || field.useSavedSignature);
+    case 'checkbox':
+    case 'radio':
+      return Boolean(field.checked);
+    default:
+      return String(field.value ?? '').trim() !== '';
+  }
+}
+
+// Why a filled-in value breaks its field's rules, or null
+function ruleProblem(field) {
+  const value = String(field.value);
+  if (hasPlaceholders(value)) return null;
+
+  if (field.maxLength && value.length > field.maxLength) {
+    return `is longer than ${field.maxLength} characters`;
+  }
+
+  if (field.type === 'text' || field.type === 'textarea') {
+    const format = FIELD_FORMATS[field.format];
+    if (format && !format.pattern.test(value.trim())) return `must be ${format.description}`;
+
+    if (field.pattern) {
+      const pattern = compilePattern(field.pattern);
+      if (!pattern) return 'has an invalid pattern';
+      if (!pattern.test(value)) return field.patternMessage || 'does not have the expected format';
+    }
+  }
+
+  if (field.type === 'date') {
+    const bound = limit => limit === 'today' ? localToday() : limit;
+    if (field.minDate && value < bound(field.minDate)) return `must not be before ${bound(field.minDate)}`;
+    if (field.maxDate && value > bound(field.maxDate)) return `must not be after ${bound(field.maxDate)}`;
+  }
+
+  return null;
+}
+
+/**
+ * Check fields against their rules before submitting, like the server does
+ * Required radio buttons are satisfied by any selected option in their group
+ *
+ * @param {Array} fields - Editor fields
+ * @returns {Object} - { [fieldId]: reason } for every failing field; empty when all pass
+ */
+export function validateFieldValues(fields) {
+  const errors = {};
+  const groupOf = f => f.formFieldName || f.groupName || `radio_${f.id}`;
+
+  for (const field of fields) {
+    if (field.type === 'radio') {
+      const groupChosen = fields.some(f => f.type === 'radio' && groupOf(f) === groupOf(field) && f.checked);
+      if (field.required && !groupChosen) errors[field.id] = 'is required: choose an option';
+      continue;
+    }
+
+    if (!isFilled(field)) {
+      if (field.required) errors[field.id] = 'is required';
+      continue;
+    }
+
+    const problem = ['text', 'textarea', 'date'].includes(field.type) && ruleProblem(field);
+    if (problem) errors[field.id] = problem;
+  }
+  return errors;
+}
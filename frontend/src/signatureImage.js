@@ -0,0 +1,259 @@
+// Script-style fonts offered for typed signatures (loaded from Google Fonts in index.html)
+export const SIGNATURE_FONTS = ['Dancing Script', 'Great Vibes', 'Caveat', 'Sacramento'];
+
+// Pen width in CSS pixels at zero and full pressure
+const MIN_STROKE_WIDTH = 1;
+const MAX_STROKE_WIDTH = 4;
+
+// Pixels with less opacity than this don't count as ink when trimming
+const INK_ALPHA = 8;
+
+// Photos are scaled down to this many pixels on their longer side before processing
+const MAX_PHOTO_SIZE = 1600;
+
+// Stroke width for a pointer pressure between 0 and 1
+function strokeWidth(pressure) {
+  return MIN_STROKE_WIDTH + (MAX_STROKE_WIDTH - MIN_STROKE_WIDTH) * pressure;
+}
+
+/**
+ * Split a stroke into smoothed segments
+ * Each segment is a quadratic curve through a sample, ending halfway to the next one,
+ * so consecutive segments join without corners. A single sample (a tap) yields a
+ * zero-length segment, which round caps draw as a dot
+ *
+ * @param {Array} stroke - [{ x, y, pressure }]
+ * @returns {Array} - [{ start, control, end, width }]
+ */
+function strokeSegments(stroke) {
+  if (stroke.length === 1) {
+    const [point] = stroke;
+    return [{ start: point, control: point, end: point, width: strokeWidth(point.pressure) }];
+  }
+
+  const segments = [];
+  let start = stroke[0];
+  for (let i = 1; i < stroke.length; i++) {
+    const control = stroke[i - 1];
+    const end = i === stroke.length - 1
+      ? stroke[i]
+      : { x: (control.x + stroke[i].x) / 2, y: (control.y + stroke[i].y) / 2 };
+
+    segments.push({ start, control, end, width: strokeWidth((control.pressure + stroke[i].pressure) / 2) });
+    start = end;
+  }
+  return segments;
+}
+
+/**
+ * Draw pen strokes as smoothed curves whose width follows the pen pressure
+ *
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Array} strokes - [[{ x, y, pressure }]] in canvas units
+ */
+export function drawStrokes(ctx, strokes) {
+  ctx.strokeStyle = '#000';
+  ctx.lineCap = 'round';
+  ctx.lineJoin = 'round';
+
+  for (const stroke of strokes) {
+    for (const { start, control, end, width } of strokeSegments(stroke)) {
+      ctx.beginPath();
+      ctx.moveTo(start.x, start.y);
+      ctx.quadraticCurveTo(control.x, control.y, end.x, end.y);
+      ctx.lineWidth = width;
+      ctx.stroke();
+    }
+  }
+}
+
+/**
+ * Convert pen strokes into vector data the server draws as PDF paths
+ * Segments are grouped into one SVG path per stroke width (rounded to quarter pixels),
+ * and moved so the drawing starts at 0,0 with room for the widest line
+ *
+ * @param {Array} strokes - [[{ x, y, pressure }]] in CSS pixels
+ * @returns {Object|null} - { width, height, strokes: [{ width, path }] }, or null when nothing is drawn
+ */
+export function strokesToVector(strokes) {
+  const segments = strokes.flatMap(strokeSegments);
+  if (segments.length === 0) return null;
+
+  const points = segments.flatMap(({ start, control, end }) => [start, control, end]);
+  const margin = Math.max(...segments.map(segment => segment.width)) / 2;
+  const left = Math.min(...points.map(p => p.x)) - margin;
+  const top = Math.min(...points.map(p => p.y)) - margin;
+  const right = Math.max(...points.map(p => p.x)) + margin;
+  const bottom = Math.max(...points.map(p => p.y)) + margin;
+
+  const format = (point) => `${+(point.x - left).toFixed(2)} ${+(point.y - top).toFixed(2)}`;
+  const paths = new Map();
+  for (const { start, control, end, width } of segments) {
+    const key = Math.round(width * 4) / 4;
+    paths.set(key, `${paths.get(key) || ''}M${format(start)} Q${format(control)} ${format(end)} `);
+  }
+
+  return {
+    width: right - left,
+    height: bottom - top,
+    strokes: [...paths].map(([width, path]) => ({ width, path: path.trim() }))
+  };
+}
+
+/**
+ * Crop a canvas to the bounding box of its visible pixels
+ *
+ * @param {HTMLCanvasElement} canvas - Transparent canvas with the signature drawn on it
+ * @param {Number} padding - Transparent margin kept around the ink, in pixels
+ * @returns {HTMLCanvasElement|null} - Trimmed copy, or null when nothing is drawn
+ */
+export function trimToInk(canvas, padding = 4) {
+  const { width, height } = canvas;
+  const { data } = canvas.getContext('2d').getImageData(0, 0, width, height);
+
+  let top = height, left = width, bottom = -1, right = -1;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (data[(y * width + x) * 4 + 3] < INK_ALPHA) continue;
+      if (y < top) top = y;
+      if (y > bottom) bottom = y;
+      if (x < left) left = x;
+      if (x > right) right = x;
+    }
+  }
+  if (bottom < 0) return null;
+
+  const trimmed = document.createElement('canvas');
+  trimmed.width = right - left + 1 + padding * 2;
+  trimmed.height = bottom - top + 1 + padding * 2;
+  trimmed.getContext('2d').drawImage(
+    canvas,
+    left, top, right - left + 1, bottom - top + 1,
+    padding, padding, right - left + 1, bottom - top + 1
+  );
+  return trimmed;
+}
+
+/**
+ * Render a typed name in a script font as a trimmed transparent PNG
+ *
+ * @param {String} name
+ * @param {String} fontFamily - One of SIGNATURE_FONTS
+ * @returns {Promise<String|null>} - PNG data URL, or null for an empty name
+ */
+export async function renderTypedSignature(name, fontFamily) {
+  const text = name.trim();
+  if (!text) return null;
+
+  // Drawing before the web font arrives would silently fall back to a default font
+  const font = `96px "${fontFamily}"`;
+  await document.fonts.load(font, text);
+
+  const canvas = document.createElement('canvas');
+  const ctx = canvas.getContext('2d');
+  ctx.font = font;
+  // Script fonts overhang their advance width, so leave generous room before trimming
+  canvas.width = Math.ceil(ctx.measureText(text).width + 96);
+  canvas.height = 192;
+
+  ctx.font = font;
+  ctx.fillStyle = '#000';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(text, 48, canvas.height / 2);
+
+  const trimmed = trimToInk(canvas);
+  return trimmed && trimmed.toDataURL('image/png');
+}
+
+// Otsu's method: the brightness that best splits a histogram into background and ink
+function otsuThreshold(histogram, total) {
+  let sum = 0;
+  for (let i = 0; i < 256; i++) sum += i * histogram[i];
+
+  let sumBackground = 0, weightBackground = 0, best = 0, threshold = 127;
+  for (let i = 0; i < 256; i++) {
+    weightBackground += histogram[i];
+    if (weightBackground === 0) continue;
+    const weightForeground = total - weightBackground;
+    if (weightForeground === 0) break;
+
+    sumBackground += i * histogram[i];
+    const meanBackground = sumBackground / weightBackground;
+    const meanForeground = (sum - sumBackground) / weightForeground;
+    const between = weightBackground * weightForeground * (meanBackground - meanForeground) ** 2;
+    if (between > best) {
+      best = between;
+      threshold = i;
+    }
+  }
+  return threshold;
+}
+
+// Decode an uploaded image file
+function loadImage(file) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+    image.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(image);
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('The file is not an image the browser can read'));
+    };
+    image.src = url;
+  });
+}
+
+/**
+ * Lift a handwritten signature off a photo or scan
+ * Paper becomes transparent, ink keeps its colour with soft edges, and the
+ * result is cropped to the ink
+ *
+ * @param {File} file - JPEG/PNG photo of the signature
+ * @returns {Promise<String|null>} - PNG data URL, or null when no ink was found
+ */
+export async function extractSignatureFromPhoto(file) {
+  const image = await loadImage(file);
+  const scale = Math.min(1, MAX_PHOTO_SIZE / Math.max(image.width, image.height));
+
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(image.width * scale);
+  canvas.height = Math.round(image.height * scale);
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+  const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  const { data } = imageData;
+  const pixelCount = canvas.width * canvas.height;
+
+  const luminance = new Uint8ClampedArray(pixelCount);
+  const histogram = new Array(256).fill(0);
+  for (let i = 0; i < pixelCount; i++) {
+    luminance[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+    histogram[luminance[i]]++;
+  }
+
+  const threshold = otsuThreshold(histogram, pixelCount);
+
+  // Average brightness of the ink, so opacity ramps from paper to full ink
+  let inkSum = 0, inkCount = 0;
+  for (let i = 0; i < pixelCount; i++) {
+    if (luminance[i] <= threshold) {
+      inkSum += luminance[i];
+      inkCount++;
+    }
+  }
+  if (inkCount === 0) return null;
+  const inkLevel = inkSum / inkCount;
+
+  for (let i = 0; i < pixelCount; i++) {
+    const opacity = (threshold - luminance[i]) / Math.max(threshold - inkLevel, 1);
+    data[i * 4 + 3] = Math.round(255 * Math.min(Math.max(opacity, 0), 1));
+  }
+  ctx.putImageData(imageData, 0, 0);
+
+  const trimmed = trimToInk(canvas);
+  return trimmed && trimmed.toDataURL('image/png');
+}